@@ -0,0 +1,76 @@
+const { getStore, ConditionFailedError } = require('../storage');
+const {
+  DEFAULT_PERMISSIONS,
+  validateUsername,
+  validatePassword,
+  hashPassword,
+  verifyPassword
+} = require('../lib/users');
+const { issueTokens, consumeRefreshToken } = require('../lib/tokens');
+const { ValidationError, UnauthorizedError, ForbiddenError, ConflictError } = require('../lib/errors');
+
+const users = getStore('users');
+
+// Helper to read credentials from a Basic auth header, or else from the JSON body
+function readCredentials(req) {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Basic ')) {
+    const base64Credentials = authHeader.split(' ')[1];
+    const credentials = Buffer.from(base64Credentials, 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return { username: credentials.slice(0, separator), password: credentials.slice(separator + 1) };
+  }
+  const body = req.body || {};
+  return { username: body.username, password: body.password };
+}
+
+// Who may register is checked by AuthMiddleware.allowRegistration
+const register = async (req, res) => {
+  const { username, password } = req.body || {};
+  const error = validateUsername(username) || validatePassword(password);
+  if (error) throw new ValidationError(error);
+  try {
+    const user = {
+      Username: username,
+      passwordHash: await hashPassword(password),
+      permissions: DEFAULT_PERMISSIONS,
+      created_at: Date.now()
+    };
+    await users.put(user, { condition: { Username: null } });
+    res.status(201).json({ username, permissions: user.permissions });
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError(`The username ${username} is taken`);
+    throw err;
+  }
+}
+
+const token = async (req, res) => {
+  const { username, password } = readCredentials(req);
+  if (!username || !password) {
+    throw new UnauthorizedError('Missing credentials');
+  }
+  const user = await users.get(String(username));
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new ForbiddenError('Invalid credentials');
+  }
+  res.json(await issueTokens(user));
+}
+
+const refresh = async (req, res) => {
+  const refreshToken = req.body && req.body.refreshToken;
+  if (!refreshToken) throw new ValidationError('refreshToken is required');
+  const username = await consumeRefreshToken(refreshToken);
+  const user = username ? await users.get(username) : null;
+  if (!user) throw new UnauthorizedError('Invalid or expired refresh token');
+  // The new access token carries the current permissions of the user
+  res.json(await issueTokens(user));
+}
+
+const logout = async (req, res) => {
+  const refreshToken = req.body && req.body.refreshToken;
+  if (!refreshToken) throw new ValidationError('refreshToken is required');
+  await consumeRefreshToken(refreshToken);
+  res.status(204).send();
+}
+
+module.exports = { register, token, refresh, logout };
@@ -0,0 +1,9 @@
+const { getIngestStatus } = require('../lib/cardData');
+
+// The ingest itself runs in its own function (src/ingest.js) or the ingest:bulk script
+const status = async (req, res) => {
+  const ingest = await getIngestStatus();
+  res.json(ingest || { state: 'never' });
+}
+
+module.exports = { status };
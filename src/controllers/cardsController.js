@@ -1,283 +1,522 @@
-const { fetchScryfallCard } = require('../middleware/scryfall');
-const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
-const { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, ScanCommand } = require("@aws-sdk/lib-dynamodb");
-
-const client = new DynamoDBClient({ region: "eu-central-1" });
-const dynamoDb = DynamoDBDocumentClient.from(client);
-const CARDS_TABLE = 'cardsTable';
-const SCRYFALL_TTL_HOURS = 24;
-
-// Helper to get DynamoDB key
-function getKey(setCode, cardNumber) {
-  return `${setCode.toLowerCase()}:${cardNumber}`;
+const { getCollection, expectVersion, retryOnConflict } = require('../lib/collection');
+const { ConditionFailedError } = require('../storage');
+const { ValidationError, NotFoundError, ConflictError, PreconditionFailedError } = require('../lib/errors');
+const { parseCardQuery, listCardPage, forEachCardPage } = require('../lib/cardQuery');
+const { parseSearchQuery, matchesSearch } = require('../lib/cardSearch');
+const { createNote, addFinishes, setFinishes, validateFinishes, withoutPrivateFields } = require('../lib/finishes');
+const { parseCollection } = require('../lib/collectionImport');
+const { EXPORT_FORMATS } = require('../lib/collectionExport');
+const { recordPrices, getPriceHistory, listPriceSnapshots } = require('../lib/priceHistory');
+const { runBatch } = require('../lib/cardBatch');
+const { getCollectionValue } = require('../lib/prices');
+const { parseStatsQuery, getCollectionStats, getTopCards, getPriceMovers } = require('../lib/cardStats');
+const {
+  getKey, needsScryfallRefresh, scryfallTtl, cardEtag, ifMatches, validateLanguages, resolveEntries, getCardData,
+  readPrintingLookup, resolvePrinting, oracleIdOf
+} = require('../lib/cards');
+const { printingLanguage } = require('../lib/lots');
+const log = require('../lib/logger');
+
+// How many cards an import writes in one transaction; a chunk that conflicts with another write is read and
+// written again on its own, so the chunks before it stay imported
+const IMPORT_CHUNK_CARDS = 25;
+
+// Helper to send a page of cards as { [CardId]: card } in sort order, with the cursor of the next page in a header
+function sendCardPage(res, page) {
+  const cardsObj = {};
+  for (const card of page.cards) {
+    cardsObj[card.CardId] = card;
+  }
+  if (page.cursor) res.set('X-Next-Cursor', page.cursor);
+  res.json(cardsObj);
+}
+
+function username(req) {
+  return req.user ? req.user.username : null;
+}
+
+// Helper to show cards to whoever asks: notes and acquisition prices are only shown to the owner.
+// They are removed before searching, so a search on notes cannot reveal them either.
+function visibleCards(req, cards) {
+  if (username(req) === req.owner) return cards;
+  return cards.map(card => ({ ...card, finishes: withoutPrivateFields(card.finishes) }));
+}
+
+// Helper to get the collection a request changes, with who changes it and how for the card history
+function collectionFor(req, source = 'api') {
+  return getCollection(req.owner, { user: username(req), source });
 }
-// Helper to check TTL
-function isScryfallExpired(card) {
-  if (!card.scryfall || !card.scryfall_ttl) return true;
-  return Date.now() > card.scryfall_ttl;
+
+// Helper to reject a write whose If-Match does not match the stored card; the problem carries the current etag
+function preconditionFailed(card) {
+  return new PreconditionFailedError(card ? 'The card has changed since it was read' : 'Card not found', {
+    etag: card ? cardEtag(card) : null
+  });
 }
 
+// Helper for the read-modify-write handlers. With If-Match the client edits the version it has seen, so a
+// conflicting write is reported as 412; without it, the write is tried again on the fresh card.
+async function handleWrite(req, write) {
+  try {
+    return req.get('If-Match') ? await write() : await retryOnConflict(write);
+  } catch (err) {
+    if (!(err instanceof ConditionFailedError)) throw err;
+    if (!req.get('If-Match')) {
+      throw new ConflictError('The card kept changing while it was written, try again');
+    }
+    const current = await getCollection(req.owner).get(getKey(req.params.setCode, req.params.cardNumber));
+    throw preconditionFailed(current);
+  }
+}
 
 const patch = async (req, res) => {
-// Ensure setCode is lowercase
+  const cards = collectionFor(req);
+  // Ensure setCode is lowercase
   const setCode = req.params.setCode.toLowerCase();
   const { cardNumber } = req.params;
   const key = getKey(setCode, cardNumber);
 
   // Check for missing request body
   if (!req.body || Object.keys(req.body).length === 0) {
-    return res.status(400).json({ error: 'Missing request body' });
+    throw new ValidationError('Missing request body');
   }
 
   let { finishes } = req.body;
   if (!Array.isArray(finishes) || finishes.length === 0) {
-    return res.status(400).json({ error: 'finishes array required' });
+    throw new ValidationError('finishes array required');
   }
 
-  try {
-    const result = await dynamoDb.send(new GetCommand({
-      TableName: CARDS_TABLE,
-      Key: { CardId: key }
-    }));
-    let card = result.Item;
-    if (!card) return res.status(404).json({ error: 'Card not found' });
+  await handleWrite(req, async () => {
+    let card = await cards.get(key);
+    if (!card) throw new NotFoundError('Card not found');
+    if (!ifMatches(req.get('If-Match'), card)) throw preconditionFailed(card);
 
     // Validate finishes against Scryfall
     let scryfallData = card.scryfall;
-    if (isScryfallExpired(card)) {
-      scryfallData = await fetchScryfallCard(setCode, cardNumber);
+    const refreshed = needsScryfallRefresh(card);
+    if (refreshed) {
+      scryfallData = await getCardData(setCode, cardNumber);
+      if (!scryfallData) throw new NotFoundError(`Card ${key} not found on Scryfall`);
     }
     const validFinishes = Array.isArray(scryfallData.finishes) ? scryfallData.finishes : [];
-    for (const finishObj of finishes) {
-      if (!finishObj.finish || !validFinishes.includes(finishObj.finish)) {
-        return res.status(400).json({
-          error: `The finish "${finishObj.finish}" does not exist for card ${setCode}:${cardNumber}`
-        });
-      }
-      if (!Number.isInteger(Number(finishObj.amount)) || Number(finishObj.amount) < 0) {
-        return res.status(400).json({ error: `Invalid amount for finish "${finishObj.finish}"` });
-      }
-    }
-
-    // Merge finishes
-    const existingFinishes = Array.isArray(card.finishes) ? card.finishes : [];
-    const finishMap = {};
-    for (const f of existingFinishes) {
-      finishMap[f.finish] = { ...f };
-    }
-
-    const now = new Date();
-    const datetime = now.toISOString().slice(0, 16).replace('T', ' ');
-
-    for (const posted of finishes) {
-      if (finishMap[posted.finish]) {
-        // Update amount
-        finishMap[posted.finish].amount = Number(posted.amount);
-        // Append notes
-        if (posted.notes) {
-          const noteStr = `${datetime} ${posted.notes}`;
-            finishMap[posted.finish].notes = (finishMap[posted.finish].notes ? finishMap[posted.finish].notes + '\n' : '') + noteStr;
-        }
-      } else {
-        // New finish: set amount and notes
-        finishMap[posted.finish] = {
-          finish: posted.finish,
-          amount: Number(posted.amount),
-          notes: posted.notes ? `${datetime} ${posted.notes}` : ''
-        };
-      }
-    }
+    const finishError = validateFinishes(finishes, validFinishes, `${setCode}:${cardNumber}`)
+      || await validateLanguages(finishes, scryfallData, key);
+    if (finishError) throw new ValidationError(finishError);
 
-    // Remove finishes with amount 0
-    const updatedFinishes = Object.values(finishMap).filter(f => f.amount > 0);
+    // Merge finishes; lots and finishes set to 0 are removed
+    const updatedFinishes = setFinishes(card.finishes, finishes, { author: username(req), language: printingLanguage(scryfallData) });
 
     // If no finishes remain, delete the card
     if (updatedFinishes.length === 0) {
-      await dynamoDb.send(new DeleteCommand({
-        TableName: CARDS_TABLE,
-        Key: { CardId: key }
-      }));
+      await cards.delete(key, { condition: expectVersion(card) });
       return res.status(204).send();
     }
 
     // Update card
     card.finishes = updatedFinishes;
     card.scryfall = scryfallData;
-    card.scryfall_ttl = Date.now() + SCRYFALL_TTL_HOURS * 3600 * 1000;
+    card.scryfall_ttl = scryfallTtl();
 
-    await dynamoDb.send(new PutCommand({
-      TableName: CARDS_TABLE,
-      Item: card
-    }));
+    card = await cards.put(card);
+    if (refreshed) await recordPrices(key, scryfallData);
 
+    res.set('ETag', cardEtag(card));
     res.json(card);
-  } catch (err) {
-    res.status(500).json({ error: 'DynamoDB error', details: err });
-  }
+  });
+}
+
+// Helper to validate the text of a note
+function readNoteText(body) {
+  const text = body && body.text;
+  if (typeof text !== 'string' || !text.trim()) return { error: 'text must be a non-empty string' };
+  return { text: text.trim() };
+}
+
+// Helper for the note endpoints: reads the card, lets change() edit the notes of the finish in the path,
+// and writes the card. change returns { notes, note } with the note to answer with, or throws.
+async function writeNotes(req, res, status, change) {
+  const cards = collectionFor(req);
+  const key = getKey(req.params.setCode.toLowerCase(), req.params.cardNumber);
+  await handleWrite(req, async () => {
+    let card = await cards.get(key);
+    if (!card) throw new NotFoundError('Card not found');
+    if (!ifMatches(req.get('If-Match'), card)) throw preconditionFailed(card);
+    const finish = card.finishes.find(f => f.finish === req.params.finish);
+    if (!finish) throw new NotFoundError(`The card has no "${req.params.finish}" finish`);
+
+    const result = change(finish.notes);
+    card = await cards.put({ ...card, finishes: card.finishes.map(f => (f === finish ? { ...f, notes: result.notes } : f)) });
+
+    res.set('ETag', cardEtag(card));
+    if (!result.note) return res.status(204).send();
+    res.status(status).json(result.note);
+  });
+}
+
+const addNote = async (req, res) => {
+  const { text, error } = readNoteText(req.body);
+  if (error) throw new ValidationError(error);
+  await writeNotes(req, res, 201, notes => {
+    const note = createNote(text, username(req));
+    return { notes: [...notes, note], note };
+  });
+}
+
+const editNote = async (req, res) => {
+  const { text, error } = readNoteText(req.body);
+  if (error) throw new ValidationError(error);
+  await writeNotes(req, res, 200, notes => {
+    const existing = notes.find(note => note.id === req.params.noteId);
+    if (!existing) throw new NotFoundError('Note not found');
+    const note = { ...existing, text, edited_at: Date.now(), edited_by: username(req) };
+    return { notes: notes.map(n => (n === existing ? note : n)), note };
+  });
+}
+
+const deleteNote = async (req, res) => {
+  await writeNotes(req, res, 204, notes => {
+    const existing = notes.find(note => note.id === req.params.noteId);
+    if (!existing) throw new NotFoundError('Note not found');
+    return { notes: notes.filter(n => n !== existing), note: null };
+  });
 }
 
 const getCard = async (req, res) => {
+  const cards = getCollection(req.owner);
   // Ensure setCode is lowercase
   const setCode = req.params.setCode.toLowerCase();
   const { cardNumber } = req.params;
   const key = getKey(setCode, cardNumber);
-  try {
-    const result = await dynamoDb.send(new GetCommand({
-      TableName: CARDS_TABLE,
-      Key: { CardId: key }
-    }));
-    let card = result.Item;
-    if (!card) return res.status(404).json({ error: 'Card not found' });
-
-    // Refresh Scryfall if expired
-    if (isScryfallExpired(card)) {
-      const scryfallData = await fetchScryfallCard(setCode, cardNumber);
-      card.scryfall = scryfallData;
-      card.scryfall_ttl = Date.now() + SCRYFALL_TTL_HOURS * 3600 * 1000;
-      await dynamoDb.send(new PutCommand({
-        TableName: CARDS_TABLE,
-        Item: card
-      }));
-    }
-    res.json(card);
-  } catch (err) {
-    res.status(500).json({ error: 'DynamoDB error', details: err });
-  }
+  // Reads never write; expired Scryfall data is refreshed by the scheduled refresh (or the next change)
+  const card = await cards.get(key);
+  if (!card) throw new NotFoundError('Card not found');
+  res.set('ETag', cardEtag(card));
+  res.json(visibleCards(req, [card])[0]);
 }
 
-const post = async (req, res) => {
-  // Ensure setCode is lowercase
-  const setCode = req.params.setCode.toLowerCase();
-  const { cardNumber } = req.params;
-
-  // Check for missing request body
-  if (!req.body || Object.keys(req.body).length === 0) {
-    return res.status(400).json({ error: 'Missing request body' });
+// Helper to total the copies of every printing of one card, per printing and per finish
+function summarizePrintings(oracleId, printings) {
+  const finishes = {};
+  let amount = 0;
+  const sorted = printings.slice().sort((a, b) => a.CardId.localeCompare(b.CardId, undefined, { numeric: true }));
+  for (const card of sorted) {
+    for (const f of card.finishes) {
+      finishes[f.finish] = (finishes[f.finish] || 0) + f.amount;
+      amount += f.amount;
+    }
   }
+  return {
+    oracle_id: oracleId,
+    name: sorted[0].scryfall.name,
+    amount,
+    finishes,
+    printings: sorted.map(card => ({
+      CardId: card.CardId,
+      set: card.scryfall.set,
+      set_name: card.scryfall.set_name,
+      collector_number: card.scryfall.collector_number,
+      amount: card.finishes.reduce((total, f) => total + f.amount, 0),
+      finishes: card.finishes
+    }))
+  };
+}
 
-  let body = req.body;
-  const key = getKey(setCode, cardNumber)
+const getByOracle = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const { oracleId } = req.params;
+  const printings = visibleCards(req, await cards.listAll()).filter(card => oracleIdOf(card.scryfall) === oracleId);
+  if (printings.length === 0) throw new NotFoundError('No printing of this card in the collection');
+  res.json(summarizePrintings(oracleId, printings));
+}
 
-  try {
-    const result = await dynamoDb.send(new GetCommand({
-      TableName: CARDS_TABLE,
-      Key: { CardId: key }
-    }));
-    console.log('Existing card:', result.Item);
-    let card = result.Item;
+// Adds the posted finishes to a card, creating it if needed. Scryfall data the caller already resolved
+// is used as is; otherwise it is looked up when the card is new or its data has expired.
+async function addCard(req, res, setCode, cardNumber, resolved = null) {
+  const cards = collectionFor(req);
+  const body = req.body;
+  const key = getKey(setCode, cardNumber);
+  await handleWrite(req, async () => {
+    let card = await cards.get(key);
+    if (!ifMatches(req.get('If-Match'), card)) throw preconditionFailed(card);
     let scryfallData;
-    if (!card || isScryfallExpired(card)) {
-      scryfallData = await fetchScryfallCard(setCode, cardNumber);
+    const refreshed = Boolean(resolved) || !card || needsScryfallRefresh(card);
+    if (resolved) {
+      scryfallData = resolved;
+    } else if (refreshed) {
+      scryfallData = await getCardData(setCode, cardNumber);
+      if (!scryfallData) throw new NotFoundError(`Card ${key} not found on Scryfall`);
     } else {
       scryfallData = card.scryfall;
     }
-    console.log('Scryfall data:', scryfallData);
     const validFinishes = Array.isArray(scryfallData.finishes) ? scryfallData.finishes : [];
-    console.log('Valid finishes:', validFinishes);
-    console.log('Posted finishes:', body.finishes);
-    for (const finishObj of body.finishes) {
-      if (!finishObj.finish || !validFinishes.includes(finishObj.finish)) {
-        return res.status(400).json({
-          error: `The finish "${finishObj.finish}" does not exist for card ${setCode}:${cardNumber}`
-        });
-      }
-    }
+    log.debug('Adding finishes', { CardId: key, finishes: body.finishes, validFinishes, existing: Boolean(card) });
+    const finishError = validateFinishes(body.finishes, validFinishes, key)
+      || await validateLanguages(body.finishes, scryfallData, key);
+    if (finishError) throw new ValidationError(finishError);
 
-    if (card) {
-      // Card exists: merge finishes
-      const existingFinishes = Array.isArray(card.finishes) ? card.finishes : [];
-      const now = new Date();
-      const datetime = now.toISOString().slice(0, 16).replace('T', ' ');
-
-      // Map existing finishes for quick lookup
-      const finishMap = {};
-      for (const f of existingFinishes) {
-        finishMap[f.finish] = { ...f };
-      }
-
-      for (const posted of body.finishes) {
-        if (finishMap[posted.finish]) {
-          // Increment amount
-          finishMap[posted.finish].amount += Number(posted.amount);
-          // Append notes
-          if (posted.notes) {
-            const noteStr = `${datetime} ${posted.notes}`;
-            finishMap[posted.finish].notes = (finishMap[posted.finish].notes ? finishMap[posted.finish].notes + '\n' : '') + noteStr;
-          }
-        } else {
-          // New finish: set amount and notes
-          finishMap[posted.finish] = {
-            finish: posted.finish,
-            amount: Number(posted.amount),
-            notes: posted.notes ? `${datetime} ${posted.notes}` : ''
-          };
-        }
-      }
-
-      // Convert back to array
-      body.finishes = Object.values(finishMap);
-    } else {
-      // New card: set amount and notes for each finish
-      const now = new Date();
-      const datetime = now.toISOString().slice(0, 16).replace('T', ' ');
-      body.finishes = body.finishes.map(finishObj => ({
-        ...finishObj,
-        amount: Number(finishObj.amount),
-        notes: finishObj.notes ? `${datetime} ${finishObj.notes}` : ''
-      }));
-    }
+    // Merge into the existing finishes, if any
+    const finishes = addFinishes(card ? card.finishes : [], body.finishes, { author: username(req), language: printingLanguage(scryfallData) });
 
     card = {
       CardId: key,
-      finishes: body.finishes,
+      finishes,
       scryfall: scryfallData,
-      scryfall_ttl: Date.now() + SCRYFALL_TTL_HOURS * 3600 * 1000
+      scryfall_ttl: scryfallTtl(),
+      added_at: card && card.added_at ? card.added_at : Date.now(),
+      version: card ? card.version : undefined
     };
-    console.log("card to save:", card);
-    await dynamoDb.send(new PutCommand({
-      TableName: CARDS_TABLE,
-      Item: card
-    }));
+    card = await cards.put(card);
+    if (refreshed) await recordPrices(key, scryfallData);
+    res.set('ETag', cardEtag(card));
     res.status(201).json(card);
-  } catch (err) {
-    console.error('POST /:setCode/:cardNumber/ error:', err);
-    res.status(500).json({ error: 'DynamoDB error', details: err });
+  });
+}
+
+const post = async (req, res) => {
+  // Check for missing request body
+  if (!req.body || Object.keys(req.body).length === 0) {
+    throw new ValidationError('Missing request body');
+  }
+  // Ensure setCode is lowercase
+  await addCard(req, res, req.params.setCode.toLowerCase(), req.params.cardNumber);
+}
+
+// Like post, for a card named by Scryfall id, name or fuzzy name; it is stored under its set and collector number
+const create = async (req, res) => {
+  if (!req.body || Object.keys(req.body).length === 0) {
+    throw new ValidationError('Missing request body');
   }
+  const { lookup, error } = readPrintingLookup(req.body);
+  if (error) throw new ValidationError(error);
+  const scryfallData = await resolvePrinting(lookup);
+  if (!scryfallData) throw new NotFoundError('Card not found on Scryfall');
+  await addCard(req, res, scryfallData.set, scryfallData.collector_number, scryfallData);
 }
 
 const deleteCard = async (req, res) => {
+  const cards = collectionFor(req);
   // Ensure setCode is lowercase
   const setCode = req.params.setCode.toLowerCase();
   const { cardNumber } = req.params;
   const key = getKey(setCode, cardNumber);
-  try {
-    const result = await dynamoDb.send(new GetCommand({
-      TableName: CARDS_TABLE,
-      Key: { CardId: key }
-    }));
-    if (!result.Item) return res.status(404).json({ error: 'Card not found' });
-    await dynamoDb.send(new DeleteCommand({
-      TableName: CARDS_TABLE,
-      Key: { CardId: key }
-    }));
+  await handleWrite(req, async () => {
+    const card = await cards.get(key);
+    if (!card) throw new NotFoundError('Card not found');
+    if (!ifMatches(req.get('If-Match'), card)) throw preconditionFailed(card);
+    await cards.delete(key, { condition: expectVersion(card) });
     res.status(204).send();
-  } catch (err) {
-    res.status(500).json({ error: 'DynamoDB error', details: err });
-  }
+  });
 }
 
 const getAll = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const { options, error } = parseCardQuery(req.query);
+  if (error) throw new ValidationError(error);
+
+  sendCardPage(res, await listCardPage(cards, options, { show: items => visibleCards(req, items) }));
+}
+
+const search = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const { q, ...listQuery } = req.query;
+  const { terms, error: searchError } = parseSearchQuery(q || '');
+  if (searchError) throw new ValidationError(searchError);
+  const { options, error } = parseCardQuery(listQuery);
+  if (error) throw new ValidationError(error);
+
+  sendCardPage(res, await listCardPage(cards, options, {
+    show: items => visibleCards(req, items),
+    matches: card => matchesSearch(card, terms)
+  }));
+}
+
+const importCards = async (req, res) => {
+  const cards = collectionFor(req, 'import');
+  // Accept a raw text/csv body with options in the query, or JSON { content, format, dryRun }
+  const isRaw = typeof req.body === 'string';
+  const content = isRaw ? req.body : req.body && req.body.content;
+  // req.body is undefined for other content types, e.g. XML
+  const format = (isRaw ? req.query.format : (req.body && req.body.format) || req.query.format) || 'auto';
+  const dryRunValue = isRaw || !req.body || req.body.dryRun === undefined ? req.query.dryRun : req.body.dryRun;
+  const dryRun = dryRunValue === true || dryRunValue === 'true';
+
+  if (!content || typeof content !== 'string') {
+    throw new ValidationError('Missing collection content');
+  }
+  const parsed = parseCollection(content, String(format).toLowerCase());
+  if (parsed.error) throw new ValidationError(parsed.error);
+
+  // The cards of the chunks written so far, reported if a later chunk cannot be written
+  const written = [];
   try {
-    const result = await dynamoDb.send(new ScanCommand({ TableName: CARDS_TABLE }));
-    // Return as { [CardId]: card }
-    const cardsObj = {};
-    for (const card of result.Items) {
-      cardsObj[card.CardId] = card;
+    const unresolved = [...parsed.unrecognized];
+    const invalidFinishes = [];
+    // Group resolved lines per card so each card is read and written once
+    const groups = {};
+    let imported = 0;
+
+    const resolved = await resolveEntries(parsed.entries);
+    for (const [i, entry] of parsed.entries.entries()) {
+      const scryfallData = resolved[i];
+      if (!scryfallData) {
+        unresolved.push({ lineNumber: entry.lineNumber, line: entry.line, reason: 'Card not found on Scryfall' });
+        continue;
+      }
+
+      const key = getKey(scryfallData.set, scryfallData.collector_number);
+      const validFinishes = Array.isArray(scryfallData.finishes) ? scryfallData.finishes : [];
+      if (!validFinishes.includes(entry.finish)) {
+        invalidFinishes.push({
+          lineNumber: entry.lineNumber,
+          line: entry.line,
+          CardId: key,
+          finish: entry.finish,
+          validFinishes
+        });
+        continue;
+      }
+
+      if (!groups[key]) groups[key] = { scryfall: scryfallData, finishes: [] };
+      groups[key].finishes.push({ finish: entry.finish, amount: entry.quantity });
+      imported++;
+    }
+
+    const changes = [];
+    const groupList = Object.entries(groups);
+    for (let start = 0; start < groupList.length; start += IMPORT_CHUNK_CARDS) {
+      const chunk = groupList.slice(start, start + IMPORT_CHUNK_CARDS);
+      // Read and write the cards of a chunk together, so a concurrent edit is merged instead of overwritten
+      const chunkChanges = await retryOnConflict(async () => {
+        const existing = await Promise.all(chunk.map(([key]) => cards.get(key)));
+        const result = [];
+        const writes = chunk.map(([key, group], i) => {
+          const card = existing[i];
+          const finishes = addFinishes(card ? card.finishes : [], group.finishes, { language: printingLanguage(group.scryfall) });
+          for (const f of finishes) {
+            const before = card && card.finishes ? card.finishes.find(e => e.finish === f.finish) : null;
+            const beforeAmount = before ? before.amount : 0;
+            if (f.amount === beforeAmount) continue;
+            result.push({ CardId: key, name: group.scryfall.name, finish: f.finish, before: beforeAmount, after: f.amount });
+          }
+          return {
+            put: {
+              CardId: key,
+              finishes,
+              scryfall: group.scryfall,
+              scryfall_ttl: scryfallTtl(),
+              added_at: card && card.added_at ? card.added_at : Date.now(),
+              version: card ? card.version : undefined
+            }
+          };
+        });
+        if (!dryRun) await cards.transact(writes);
+        return result;
+      });
+      changes.push(...chunkChanges);
+      if (!dryRun) {
+        written.push(...chunk.map(([key]) => key));
+        await Promise.all(chunk.map(([key, group]) => recordPrices(key, group.scryfall)));
+      }
     }
-    res.json(cardsObj);
+
+    unresolved.sort((a, b) => a.lineNumber - b.lineNumber);
+    res.json({
+      format: parsed.format,
+      dryRun,
+      summary: {
+        lines: parsed.entries.length + parsed.unrecognized.length,
+        imported,
+        unresolved: unresolved.length,
+        invalidFinishes: invalidFinishes.length,
+        cards: Object.keys(groups).length
+      },
+      changes,
+      unresolved,
+      invalidFinishes
+    });
   } catch (err) {
-    res.status(500).json({ error: 'DynamoDB error', details: err });
+    if (err instanceof ConditionFailedError) {
+      // Imports add to what is there, so the client must leave out the cards that were imported before trying again
+      throw new ConflictError(`Cards kept changing while the import was written; ${written.length} cards were imported before it stopped`, {
+        imported: written
+      });
+    }
+    throw err;
+  }
+}
+
+const exportCards = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const { format = 'csv', ...listQuery } = req.query;
+  const exporter = EXPORT_FORMATS[String(format).toLowerCase()];
+  if (!exporter) {
+    throw new ValidationError(`Invalid format "${format}", expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const { options, error } = parseCardQuery(listQuery);
+  if (error) throw new ValidationError(error);
+
+  // The export covers every matching card, written page by page as they are read
+  res.set('Content-Type', exporter.contentType);
+  res.set('Content-Disposition', `attachment; filename="tradelist.${exporter.extension}"`);
+  if (exporter.header) res.write(exporter.header());
+  let index = 0;
+  await forEachCardPage(cards, options, (page) => {
+    for (const card of page) {
+      // A finish filter also limits which finishes of a card are exported
+      const finishes = options.finishes.length > 0
+        ? card.finishes.filter(f => options.finishes.includes(f.finish))
+        : card.finishes;
+      res.write(exporter.card({ ...card, finishes }, index++));
+    }
+  }, { show: items => visibleCards(req, items) });
+  if (exporter.footer) res.write(exporter.footer());
+  res.end();
+}
+
+const getPrices = async (req, res) => {
+  const setCode = req.params.setCode.toLowerCase();
+  const { cardNumber } = req.params;
+  const key = getKey(setCode, cardNumber);
+  const finishes = await getPriceHistory(key);
+  if (!finishes) throw new NotFoundError('No price history for card');
+  res.json({ CardId: key, finishes });
+}
+
+const getValue = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const items = await cards.listAll();
+  res.json(getCollectionValue(items));
+}
+
+const getStats = async (req, res) => {
+  const cards = getCollection(req.owner);
+  res.json(getCollectionStats(await cards.listAll()));
+}
+
+const getTop = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const { options, error } = parseStatsQuery(req.query);
+  if (error) throw new ValidationError(error);
+  res.json(getTopCards(await cards.listAll(), options));
+}
+
+const getMovers = async (req, res) => {
+  const cards = getCollection(req.owner);
+  const { options, error } = parseStatsQuery(req.query);
+  if (error) throw new ValidationError(error);
+  const items = await cards.listAll();
+  const snapshots = await listPriceSnapshots(items.map(card => card.CardId));
+  res.json(getPriceMovers(items, snapshots, options));
+}
+
+const batch = async (req, res) => {
+  const cards = collectionFor(req, 'batch');
+  const { operations, atomic } = req.body || {};
+  if (!Array.isArray(operations)) {
+    throw new ValidationError('Missing or invalid operations array.');
   }
+  const { status, body } = await runBatch(operations, cards, { atomic: atomic === true, author: username(req) });
+  res.status(status).json(body);
 }
 
-module.exports = { post, patch, deleteCard, getAll, getCard}
\ No newline at end of file
+module.exports = { batch, post, create, patch, deleteCard, getAll, getCard, getByOracle, search, importCards, exportCards, getPrices, getValue, getStats, getTop, getMovers, addNote, editNote, deleteNote}
\ No newline at end of file
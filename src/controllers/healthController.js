@@ -0,0 +1,16 @@
+const { getHealth } = require('../lib/health');
+const { getMetrics } = require('../lib/metrics');
+
+// 503 when a check fails, so load balancers and monitors can act on the status alone
+const health = async (req, res) => {
+  const result = await getHealth();
+  res.set('Cache-Control', 'no-store');
+  res.status(result.status === 'ok' ? 200 : 503).json(result);
+}
+
+const metrics = async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(getMetrics());
+}
+
+module.exports = { health, metrics };
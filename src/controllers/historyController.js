@@ -0,0 +1,140 @@
+const { ConditionFailedError } = require('../storage');
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors');
+const { getKey, scryfallTtl, cardEtag, getScryfallData } = require('../lib/cards');
+const { getCollection, expectVersion, retryOnConflict } = require('../lib/collection');
+const { ACTIONS, listHistory, toResponse, getEvent } = require('../lib/cardHistory');
+const { normalizeFinishes, setFinishAmount } = require('../lib/finishes');
+const { printingLanguage } = require('../lib/lots');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Helper to read a from/to filter: an ISO date (e.g. "2024-01-31") or milliseconds since the epoch
+function parseTime(value, name) {
+  if (value === undefined || value === '') return { time: null };
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(String(value));
+  if (Number.isNaN(time)) return { error: `Invalid ${name} "${value}", expected an ISO date or milliseconds since the epoch` };
+  return { time };
+}
+
+// Helper to parse the filters shared by the history endpoints. Returns { filters, limit, cursor } or { error }.
+function parseHistoryQuery(query) {
+  const from = parseTime(query.from, 'from');
+  if (from.error) return { error: from.error };
+  const to = parseTime(query.to, 'to');
+  if (to.error) return { error: to.error };
+  const action = query.action ? String(query.action).toLowerCase() : null;
+  if (action && !ACTIONS.includes(action)) {
+    return { error: `Invalid action "${query.action}", expected one of ${ACTIONS.join(', ')}` };
+  }
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  const cursor = query.cursor ? String(query.cursor) : null;
+  if (cursor && !isCursor(cursor)) return { error: 'Invalid cursor' };
+  return { filters: { from: from.time, to: to.time, action }, limit, cursor };
+}
+
+// Helper to check a cursor is an X-Next-Cursor value: base64url encoded JSON
+function isCursor(cursor) {
+  try {
+    return typeof JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')) === 'object';
+  } catch (err) {
+    return false;
+  }
+}
+
+async function sendHistory(req, res, cardId) {
+  const { filters, limit, cursor, error } = parseHistoryQuery(req.query);
+  if (error) throw new ValidationError(error);
+  const page = await listHistory(req.owner, { ...filters, cardId, limit, cursor });
+  if (page.cursor) res.set('X-Next-Cursor', page.cursor);
+  res.json(page.items.map(toResponse));
+}
+
+// Undoes an event: every finish it changed gets back its old lots; other finishes keep their current
+// amounts. A deleted card is stored again from the snapshot in the event.
+// Events from before lots were recorded only set the amount of the finish back.
+// Returns the card, or null if undoing left it without finishes.
+async function revertEvent(event, collection) {
+  return retryOnConflict(async () => {
+    const current = await collection.get(event.CardId);
+    const language = printingLanguage((current && current.scryfall) || (event.snapshot && event.snapshot.scryfall));
+    const finishes = {};
+    for (const f of current ? current.finishes : []) finishes[f.finish] = { ...f };
+    const snapshotFinishes = normalizeFinishes(event.snapshot ? event.snapshot.finishes : [], language);
+    for (const change of event.changes) {
+      // A finish that is gone gets its lots and notes back from the snapshot, if there is one
+      const finish = finishes[change.finish]
+        || snapshotFinishes.find(f => f.finish === change.finish)
+        || { finish: change.finish, amount: 0, notes: [], lots: [] };
+      finishes[change.finish] = change.lotsBefore
+        ? { ...finish, lots: change.lotsBefore, amount: change.before }
+        : setFinishAmount(finish, change.before, language);
+    }
+    const remaining = Object.values(finishes).filter(f => f.amount > 0);
+
+    if (remaining.length === 0) {
+      if (current) await collection.delete(event.CardId, { condition: expectVersion(current) });
+      return null;
+    }
+    if (current) return collection.put({ ...current, finishes: remaining });
+
+    const [setCode, cardNumber] = event.CardId.split(':');
+    const scryfall = (event.snapshot && event.snapshot.scryfall) || await getScryfallData(setCode, cardNumber);
+    return collection.put({
+      CardId: event.CardId,
+      finishes: remaining,
+      scryfall,
+      // Scryfall data from a snapshot has expired, so the next scheduled refresh replaces it
+      scryfall_ttl: event.snapshot && event.snapshot.scryfall ? 0 : scryfallTtl(),
+      added_at: event.snapshot && event.snapshot.added_at ? event.snapshot.added_at : Date.now()
+    });
+  });
+}
+
+function sendReverted(res, card, status = 200) {
+  if (!card) return res.status(204).send();
+  res.set('ETag', cardEtag(card));
+  res.status(status).json(card);
+}
+
+const list = async (req, res) => {
+  await sendHistory(req, res, null);
+}
+
+const getCardHistory = async (req, res) => {
+  await sendHistory(req, res, getKey(req.params.setCode, req.params.cardNumber));
+}
+
+const revert = async (req, res) => {
+  try {
+    const event = await getEvent(req.owner, req.params.eventId);
+    if (!event) throw new NotFoundError('Event not found');
+    const collection = getCollection(req.owner, { user: req.user.username, source: 'revert', revertOf: event.EventId });
+    sendReverted(res, await revertEvent(event, collection));
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError('The card kept changing while it was reverted, try again');
+    throw err;
+  }
+}
+
+const restore = async (req, res) => {
+  const key = getKey(req.params.setCode, req.params.cardNumber);
+  try {
+    if (await getCollection(req.owner).get(key)) {
+      throw new ConflictError('The card is in the collection; revert a change in its history instead');
+    }
+    // The latest deletion; the events are sorted newest first
+    const { items: [deletion] } = await listHistory(req.owner, { cardId: key, action: 'delete', limit: 1 });
+    if (!deletion) throw new NotFoundError('No deletion of this card in the history');
+    const collection = getCollection(req.owner, { user: req.user.username, source: 'restore', revertOf: deletion.EventId });
+    sendReverted(res, await revertEvent(deletion, collection), 201);
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError('The card kept changing while it was restored, try again');
+    throw err;
+  }
+}
+
+module.exports = { list, getCardHistory, revert, restore };
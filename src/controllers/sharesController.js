@@ -0,0 +1,79 @@
+const {
+  readShare,
+  toResponse,
+  shareStatus,
+  listShares,
+  getShare,
+  createShare,
+  updateShare,
+  revokeShare,
+  getSharedCards
+} = require('../lib/shares');
+const { renderSharePage } = require('../lib/sharePage');
+const { ValidationError, NotFoundError, GoneError } = require('../lib/errors');
+
+// Helper to get a share link of the logged in user, or throw a 404
+async function findShare(req) {
+  const share = await getShare(req.params.token);
+  if (!share || share.owner !== req.user.username) throw new NotFoundError('Share link not found');
+  return share;
+}
+
+const list = async (req, res) => {
+  const items = await listShares(req.user.username);
+  res.json(items.map(toResponse));
+}
+
+const get = async (req, res) => {
+  res.json(toResponse(await findShare(req)));
+}
+
+const create = async (req, res) => {
+  const { fields, error } = readShare(req.body);
+  if (error) throw new ValidationError(error);
+  const result = await createShare(req.user.username, fields);
+  if (result.error) throw new ValidationError(result.error);
+  res.status(201).json(toResponse(result.share));
+}
+
+const update = async (req, res) => {
+  const { fields, error } = readShare(req.body, { partial: true });
+  if (error) throw new ValidationError(error);
+  const share = await findShare(req);
+  if (share.revoked_at) throw new ValidationError('A revoked share link cannot be changed');
+  res.json(toResponse(await updateShare(share, fields)));
+}
+
+const revoke = async (req, res) => {
+  await revokeShare(await findShare(req));
+  res.status(204).send();
+}
+
+// The public view of a share link, as JSON or, for browsers and ?format=html, as an HTML page.
+// Nothing is cached, so a revoked link stops working at once.
+const view = async (req, res) => {
+  const share = await getShare(req.params.token);
+  if (!share) throw new NotFoundError('Share link not found');
+  const status = shareStatus(share);
+  if (status !== 'active') throw new GoneError(status === 'revoked' ? 'This share link was revoked' : 'This share link has expired');
+
+  const cards = await getSharedCards(share);
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Robots-Tag', 'noindex');
+  const format = req.query.format || req.accepts(['json', 'html']);
+  if (format === 'html') {
+    res.set('Content-Security-Policy', "default-src 'none'; img-src https:; style-src 'unsafe-inline'");
+    res.type('html').send(renderSharePage(share, cards));
+    return;
+  }
+  res.json({
+    name: share.name,
+    owner: share.owner,
+    fields: share.fields,
+    expires_at: share.expires_at ? new Date(share.expires_at).toISOString() : null,
+    total: cards.length,
+    cards
+  });
+}
+
+module.exports = { list, get, create, update, revoke, view };
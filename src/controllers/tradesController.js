@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { getStore, queryAll, ConditionFailedError } = require('../storage');
+const { ValidationError, NotFoundError, ConflictError } = require('../lib/errors');
+const { getKey, scryfallTtl, getScryfallData } = require('../lib/cards');
+const { getCollection, expectVersion, retryOnConflict } = require('../lib/collection');
+const { addFinishes, subtractFinishes } = require('../lib/finishes');
+const { printingLanguage } = require('../lib/lots');
+const { CURRENCIES, getFinishPrice, roundPrice } = require('../lib/prices');
+const { recordPrices } = require('../lib/priceHistory');
+const { publish } = require('../lib/webhooks');
+
+const trades = getStore('trades');
+
+const STATUSES = ['draft', 'proposed', 'accepted', 'completed', 'cancelled'];
+// Allowed status changes; completed and cancelled trades are final
+const TRANSITIONS = {
+  draft: ['proposed', 'cancelled'],
+  proposed: ['draft', 'accepted', 'cancelled'],
+  accepted: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+// DynamoDB transactions hold at most 100 items, and completing a trade writes its cards together with the trade
+const MAX_TRADE_CARDS = 99;
+
+// Helper to refuse trades that change more cards than completing them can write at once; lines are counted
+// before they are resolved, so an oversized trade does not look up every card on Scryfall first
+function checkTradeSize(give, receive) {
+  const keys = new Set();
+  for (const line of [...(Array.isArray(give) ? give : []), ...(Array.isArray(receive) ? receive : [])]) {
+    if (line && line.setCode && line.cardNumber) keys.add(getKey(String(line.setCode).toLowerCase(), String(line.cardNumber)));
+  }
+  if (keys.size > MAX_TRADE_CARDS) {
+    throw new ValidationError(`A trade can change at most ${MAX_TRADE_CARDS} different cards`);
+  }
+}
+
+// Helper to validate a list of trade lines and attach the Scryfall details they are valued with.
+// Returns { lines } or { error }.
+async function resolveLines(lines, side, collection) {
+  if (lines === undefined) return { lines: [] };
+  if (!Array.isArray(lines)) return { error: `${side} must be an array` };
+
+  const resolved = [];
+  for (const line of lines) {
+    if (!line || !line.setCode || !line.cardNumber) {
+      return { error: `Each ${side} line requires setCode and cardNumber` };
+    }
+    const amount = Number(line.amount);
+    if (!Number.isInteger(amount) || amount < 1) {
+      return { error: `Invalid amount for ${side} line ${line.setCode}:${line.cardNumber}` };
+    }
+    const setCode = String(line.setCode).toLowerCase();
+    const cardNumber = String(line.cardNumber);
+    const scryfallData = await getScryfallData(setCode, cardNumber, collection);
+    if (!scryfallData) {
+      return { error: `Card ${setCode}:${cardNumber} not found on Scryfall` };
+    }
+    const validFinishes = Array.isArray(scryfallData.finishes) ? scryfallData.finishes : [];
+    if (!line.finish || !validFinishes.includes(line.finish)) {
+      return { error: `The finish "${line.finish}" does not exist for card ${setCode}:${cardNumber}` };
+    }
+    resolved.push({
+      CardId: getKey(setCode, cardNumber),
+      setCode,
+      cardNumber,
+      finish: line.finish,
+      amount,
+      name: scryfallData.name,
+      prices: scryfallData.prices || {}
+    });
+  }
+  return { lines: resolved };
+}
+
+// Helper to total the value of one side of a trade per currency
+function sideValue(lines) {
+  const value = {};
+  for (const currency of CURRENCIES) {
+    value[currency] = roundPrice(lines.reduce((total, line) => {
+      const price = getFinishPrice({ prices: line.prices }, line.finish, currency);
+      return total + (price === null ? 0 : price * line.amount);
+    }, 0));
+  }
+  return value;
+}
+
+function toResponse(trade) {
+  return { ...trade, value: { give: sideValue(trade.give), receive: sideValue(trade.receive) } };
+}
+
+// Helper for a trade write that only succeeds if nobody changed the trade since it was read
+function tradeWrite(trade, updated) {
+  return { store: trades, put: updated, condition: { status: trade.status, updated_at: trade.updated_at } };
+}
+
+// Applies a completed trade to the stock: given copies are removed, received copies added.
+// Every card is checked before anything is written, and all cards are written in one transaction
+// together with the completed trade, so the stock changes exactly once. Received cards Scryfall does not
+// know are rejected. Returns { shortages } if stock is short.
+async function applyTrade(trade, completed, username) {
+  const cards = getCollection(trade.owner, { user: username, source: `trade:${trade.TradeId}` });
+  const changed = {};
+  const load = async (line) => {
+    if (!changed[line.CardId]) {
+      const card = await cards.get(line.CardId);
+      changed[line.CardId] = { card, finishes: card ? card.finishes : [], line };
+    }
+    return changed[line.CardId];
+  };
+
+  const shortages = [];
+  for (const line of trade.give) {
+    const entry = await load(line);
+    const result = subtractFinishes(entry.finishes, [line], { language: printingLanguage(entry.card && entry.card.scryfall) });
+    for (const shortage of result.shortages) shortages.push({ CardId: line.CardId, ...shortage });
+    entry.finishes = result.finishes;
+  }
+  if (shortages.length > 0) return { shortages };
+
+  for (const line of trade.receive) {
+    const entry = await load(line);
+    entry.finishes = addFinishes(entry.finishes, [{ finish: line.finish, amount: line.amount, notes: `Received in trade ${trade.TradeId}` }], {
+      author: username,
+      language: printingLanguage(entry.card && entry.card.scryfall)
+    });
+  }
+
+  const writes = [];
+  const fetched = [];
+  for (const [key, entry] of Object.entries(changed)) {
+    if (entry.finishes.length === 0) {
+      if (entry.card) writes.push({ delete: key, condition: expectVersion(entry.card) });
+      continue;
+    }
+    if (entry.card) {
+      writes.push({ put: { ...entry.card, finishes: entry.finishes } });
+      continue;
+    }
+    // A card we did not have yet: store it with full Scryfall data, like post() does
+    const scryfallData = await getScryfallData(entry.line.setCode, entry.line.cardNumber, cards);
+    if (!scryfallData) throw new NotFoundError(`Card ${key} not found on Scryfall`);
+    writes.push({
+      put: {
+        CardId: key,
+        finishes: entry.finishes,
+        scryfall: scryfallData,
+        scryfall_ttl: scryfallTtl(),
+        added_at: Date.now()
+      }
+    });
+    fetched.push({ key, scryfallData });
+  }
+  await cards.transact(writes, [tradeWrite(trade, completed)]);
+  for (const { key, scryfallData } of fetched) await recordPrices(key, scryfallData);
+  return { shortages: [] };
+}
+
+// Helper to load a trade of the requesting user; trades of other users are reported as not found
+async function loadTrade(req) {
+  const trade = await trades.get(req.params.tradeId);
+  return trade && trade.owner === req.user.username ? trade : null;
+}
+
+const list = async (req, res) => {
+  const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+  if (status && !STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status "${status}", expected one of ${STATUSES.join(', ')}`);
+  }
+  const items = await queryAll(trades, 'owner-created_at-index', req.user.username, { order: 'desc' });
+  const result = items
+    .filter(trade => !status || trade.status === status)
+    .map(toResponse);
+  res.json(result);
+}
+
+const get = async (req, res) => {
+  const trade = await loadTrade(req);
+  if (!trade) throw new NotFoundError('Trade not found');
+  res.json(toResponse(trade));
+}
+
+const create = async (req, res) => {
+  const body = req.body || {};
+  if (!body.counterparty || typeof body.counterparty !== 'string') {
+    throw new ValidationError('counterparty is required');
+  }
+  checkTradeSize(body.give, body.receive);
+  const collection = getCollection(req.user.username);
+  const give = await resolveLines(body.give, 'give', collection);
+  if (give.error) throw new ValidationError(give.error);
+  const receive = await resolveLines(body.receive, 'receive', collection);
+  if (receive.error) throw new ValidationError(receive.error);
+
+  const now = Date.now();
+  const trade = {
+    TradeId: crypto.randomUUID(),
+    owner: req.user.username,
+    counterparty: body.counterparty,
+    notes: body.notes || '',
+    status: 'draft',
+    give: give.lines,
+    receive: receive.lines,
+    created_at: now,
+    updated_at: now
+  };
+  await trades.put(trade);
+  res.status(201).json(toResponse(trade));
+}
+
+const update = async (req, res) => {
+  const body = req.body || {};
+  const trade = await loadTrade(req);
+  if (!trade) throw new NotFoundError('Trade not found');
+  if (trade.status !== 'draft') {
+    throw new ConflictError(`Only draft trades can be edited, this trade is ${trade.status}`);
+  }
+
+  if (body.counterparty !== undefined) {
+    if (!body.counterparty || typeof body.counterparty !== 'string') {
+      throw new ValidationError('counterparty must be a non-empty string');
+    }
+    trade.counterparty = body.counterparty;
+  }
+  if (body.notes !== undefined) trade.notes = String(body.notes);
+  checkTradeSize(body.give === undefined ? trade.give : body.give, body.receive === undefined ? trade.receive : body.receive);
+  for (const side of ['give', 'receive']) {
+    if (body[side] === undefined) continue;
+    const result = await resolveLines(body[side], side, getCollection(trade.owner));
+    if (result.error) throw new ValidationError(result.error);
+    trade[side] = result.lines;
+  }
+  const readAt = trade.updated_at;
+  trade.updated_at = Date.now();
+
+  try {
+    await trades.put(trade, { condition: { status: 'draft', updated_at: readAt } });
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError('The trade was changed meanwhile, try again');
+    throw err;
+  }
+  res.json(toResponse(trade));
+}
+
+const setStatus = async (req, res) => {
+  const status = req.body && req.body.status ? String(req.body.status).toLowerCase() : null;
+  if (!STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status "${status}", expected one of ${STATUSES.join(', ')}`);
+  }
+  try {
+    // The trade and the cards are read again when someone else changed them meanwhile
+    const { trade, updated } = await retryOnConflict(async () => {
+      const trade = await loadTrade(req);
+      if (!trade) throw new NotFoundError('Trade not found');
+      if (!TRANSITIONS[trade.status].includes(status)) {
+        throw new ConflictError(`Cannot change a ${trade.status} trade to ${status}`);
+      }
+      const now = Date.now();
+      const updated = { ...trade, status, updated_at: now };
+      if (status !== 'completed') {
+        await trades.put(updated, { condition: tradeWrite(trade, updated).condition });
+        return { trade, updated };
+      }
+      // Checked again here, as trades saved before the limit can be too large to complete
+      checkTradeSize(trade.give, trade.receive);
+      updated.completed_at = now;
+      const { shortages } = await applyTrade(trade, updated, req.user.username);
+      if (shortages.length > 0) {
+        throw new ConflictError('Not enough copies in stock to complete the trade', { shortages });
+      }
+      return { trade, updated };
+    });
+
+    await publish(updated.owner, 'trade.status_changed', {
+      TradeId: updated.TradeId,
+      counterparty: updated.counterparty,
+      from: trade.status,
+      to: status
+    });
+    res.json(toResponse(updated));
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError('The stock kept changing while the trade was applied, try again');
+    throw err;
+  }
+}
+
+const remove = async (req, res) => {
+  const trade = await loadTrade(req);
+  if (!trade) throw new NotFoundError('Trade not found');
+  if (!['draft', 'cancelled'].includes(trade.status)) {
+    throw new ConflictError(`Only draft or cancelled trades can be deleted, this trade is ${trade.status}`);
+  }
+  await trades.delete(trade.TradeId);
+  res.status(204).send();
+}
+
+module.exports = { list, get, create, update, setStatus, remove };
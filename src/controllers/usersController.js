@@ -0,0 +1,52 @@
+const { getStore, listAll } = require('../storage');
+const {
+  validatePassword,
+  validatePermissions,
+  hashPassword,
+  verifyPassword,
+  toPublicUser
+} = require('../lib/users');
+const { revokeAllRefreshTokens } = require('../lib/tokens');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../lib/errors');
+
+const users = getStore('users');
+
+const list = async (req, res) => {
+  const items = await listAll(users);
+  res.json(items.map(toPublicUser).sort((a, b) => a.Username.localeCompare(b.Username)));
+}
+
+const setPassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const error = validatePassword(newPassword, 'newPassword');
+  if (error) throw new ValidationError(error);
+  const user = await users.get(req.params.username);
+  if (!user) throw new NotFoundError('User not found');
+  // Admins can reset someone else's password; for your own the current one is required
+  if (req.user.username === user.Username && !(await verifyPassword(currentPassword, user.passwordHash))) {
+    throw new ForbiddenError('currentPassword is incorrect');
+  }
+  await users.update(user.Username, { passwordHash: await hashPassword(newPassword), password_changed_at: Date.now() });
+  // Sessions started with the old password have to log in again
+  await revokeAllRefreshTokens(user.Username);
+  res.status(204).send();
+}
+
+const setPermissions = async (req, res) => {
+  const permissions = req.body && req.body.permissions;
+  const error = validatePermissions(permissions);
+  if (error) throw new ValidationError(error);
+  const user = await users.get(req.params.username);
+  if (!user) throw new NotFoundError('User not found');
+  const updated = { ...user, permissions: [...new Set(permissions)] };
+  await users.update(user.Username, { permissions: updated.permissions });
+  // Access tokens keep their permissions until they expire; refreshing picks up the new ones
+  res.json(toPublicUser(updated));
+}
+
+const revokeTokens = async (req, res) => {
+  const revoked = await revokeAllRefreshTokens(req.params.username);
+  res.json({ revoked });
+}
+
+module.exports = { list, setPassword, setPermissions, revokeTokens };
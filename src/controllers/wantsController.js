@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { fetchScryfallCardByOracleId, fetchScryfallCardByName, fetchScryfallFinishes } = require('../lib/scryfall');
+const { getStore, queryAll } = require('../storage');
+const { getKey, getScryfallData, resolveEntries, oracleIdOf } = require('../lib/cards');
+const { getCollection } = require('../lib/collection');
+const { CURRENCIES } = require('../lib/prices');
+const { parseCollection } = require('../lib/collectionImport');
+const { matchOurWants, matchTheirWants } = require('../lib/wantMatching');
+const { ValidationError, NotFoundError } = require('../lib/errors');
+
+const wants = getStore('wants');
+// The most lines each list given to the match endpoint may have; every line may be looked up on Scryfall
+const MAX_MATCH_LINES = 500;
+
+// Helper to validate quantity, maxPrice, currency and notes, shared by create and update.
+// Only the fields present in the body are returned.
+function readWantFields(body, defaults = {}) {
+  const fields = { ...defaults };
+  if (body.quantity !== undefined) {
+    fields.quantity = Number(body.quantity);
+    if (!Number.isInteger(fields.quantity) || fields.quantity < 1) return { error: 'quantity must be a positive integer' };
+  }
+  if (body.maxPrice !== undefined) {
+    fields.maxPrice = body.maxPrice === null ? null : Number(body.maxPrice);
+    if (fields.maxPrice !== null && (Number.isNaN(fields.maxPrice) || fields.maxPrice < 0)) {
+      return { error: 'maxPrice must be a non-negative number or null' };
+    }
+  }
+  if (body.currency !== undefined) {
+    fields.currency = String(body.currency).toLowerCase();
+    if (!CURRENCIES.includes(fields.currency)) {
+      return { error: `Invalid currency "${body.currency}", expected one of ${CURRENCIES.join(', ')}` };
+    }
+  }
+  if (body.notes !== undefined) fields.notes = String(body.notes);
+  return { fields };
+}
+
+// Helper to turn a list given to the match endpoint into collection entries.
+// Accepts a JSON array of lines, a string in one of the import formats, or { content, format }.
+function readEntries(input, name) {
+  if (Array.isArray(input)) {
+    if (input.length > MAX_MATCH_LINES) return { error: `${name} can have at most ${MAX_MATCH_LINES} lines` };
+    return {
+      entries: input.map((item, i) => ({
+        lineNumber: i + 1,
+        line: JSON.stringify(item),
+        quantity: Number(item.amount ?? item.quantity ?? 1),
+        name: item.name || null,
+        setCode: item.setCode ? String(item.setCode).toLowerCase() : null,
+        collectorNumber: item.cardNumber ? String(item.cardNumber) : null,
+        scryfallId: item.scryfallId || null,
+        finish: item.finish || null
+      })),
+      unrecognized: []
+    };
+  }
+  const content = typeof input === 'string' ? input : input && input.content;
+  if (typeof content !== 'string') return { error: `${name} must be an array of cards or an exported list` };
+  const parsed = parseCollection(content, String((input && input.format) || 'auto').toLowerCase());
+  if (parsed.error) return { error: `${name}: ${parsed.error}` };
+  if (parsed.entries.length + parsed.unrecognized.length > MAX_MATCH_LINES) {
+    return { error: `${name} can have at most ${MAX_MATCH_LINES} lines` };
+  }
+  return parsed;
+}
+
+// Helper to resolve entries against Scryfall; unresolved lines are collected in `unresolved`
+async function resolveList(parsed, side, unresolved) {
+  for (const line of parsed.unrecognized) unresolved.push({ side, ...line });
+  const resolved = await resolveEntries(parsed.entries);
+  const result = [];
+  parsed.entries.forEach((entry, i) => {
+    if (!resolved[i]) {
+      unresolved.push({ side, lineNumber: entry.lineNumber, line: entry.line, reason: 'Card not found on Scryfall' });
+    } else if (!Number.isInteger(entry.quantity) || entry.quantity < 1) {
+      unresolved.push({ side, lineNumber: entry.lineNumber, line: entry.line, reason: 'Invalid quantity' });
+    } else if (entry.finish && !(resolved[i].finishes || []).includes(entry.finish)) {
+      unresolved.push({ side, lineNumber: entry.lineNumber, line: entry.line, reason: `The finish "${entry.finish}" does not exist for this card` });
+    } else {
+      result.push({
+        ...entry,
+        // A have without a finish is a regular copy; a want without one takes any finish
+        finish: entry.finish || (side === 'haves' ? 'nonfoil' : null),
+        scryfall: resolved[i],
+        exact: Boolean(entry.collectorNumber || entry.scryfallId)
+      });
+    }
+  });
+  return result;
+}
+
+const list = async (req, res) => {
+  const items = await queryAll(wants, 'owner-index', req.owner);
+  res.json(items.sort((a, b) => String(a.name).localeCompare(String(b.name))));
+}
+
+const get = async (req, res) => {
+  const want = await wants.get(req.params.wantId);
+  if (!want || want.owner !== req.owner) throw new NotFoundError('Want not found');
+  res.json(want);
+}
+
+const create = async (req, res) => {
+  const body = req.body || {};
+  const { fields, error } = readWantFields(body, { quantity: 1, maxPrice: null, currency: 'usd', notes: '' });
+  if (error) throw new ValidationError(error);
+
+  let want;
+  if (body.setCode && body.cardNumber) {
+    // An exact printing and finish
+    const setCode = String(body.setCode).toLowerCase();
+    const cardNumber = String(body.cardNumber);
+    const scryfallData = await getScryfallData(setCode, cardNumber, getCollection(req.owner));
+    if (!scryfallData) throw new ValidationError(`Card ${setCode}:${cardNumber} not found on Scryfall`);
+    const validFinishes = Array.isArray(scryfallData.finishes) ? scryfallData.finishes : [];
+    if (!body.finish || !validFinishes.includes(body.finish)) {
+      throw new ValidationError(`The finish "${body.finish}" does not exist for card ${setCode}:${cardNumber}`);
+    }
+    want = { CardId: getKey(setCode, cardNumber), finish: body.finish, oracle_id: oracleIdOf(scryfallData), name: scryfallData.name };
+  } else if (body.oracle_id || body.name) {
+    // Any printing of the card, optionally in one finish
+    const scryfallData = body.oracle_id
+      ? await fetchScryfallCardByOracleId(body.oracle_id)
+      : await fetchScryfallCardByName(body.name);
+    if (!scryfallData) throw new ValidationError(`Card ${body.oracle_id || body.name} not found on Scryfall`);
+    const oracleId = oracleIdOf(scryfallData);
+    if (body.finish && !(await fetchScryfallFinishes(oracleId)).includes(body.finish)) {
+      throw new ValidationError(`The finish "${body.finish}" does not exist for any printing of ${scryfallData.name}`);
+    }
+    want = { CardId: null, finish: body.finish || null, oracle_id: oracleId, name: scryfallData.name };
+  } else {
+    throw new ValidationError('Either setCode, cardNumber and finish, or oracle_id or name is required');
+  }
+
+  want = { WantId: crypto.randomUUID(), owner: req.owner, ...want, ...fields, created_at: Date.now() };
+  await wants.put(want);
+  res.status(201).json(want);
+}
+
+const update = async (req, res) => {
+  const { fields, error } = readWantFields(req.body || {});
+  if (error) throw new ValidationError(error);
+  const want = await wants.get(req.params.wantId);
+  if (!want || want.owner !== req.owner) throw new NotFoundError('Want not found');
+  const updated = { ...want, ...fields };
+  await wants.put(updated);
+  res.json(updated);
+}
+
+const remove = async (req, res) => {
+  const want = await wants.get(req.params.wantId);
+  if (!want || want.owner !== req.owner) throw new NotFoundError('Want not found');
+  await wants.delete(want.WantId);
+  res.status(204).send();
+}
+
+const match = async (req, res) => {
+  const body = req.body || {};
+  if (body.haves === undefined && body.wants === undefined) {
+    throw new ValidationError('Provide haves, wants or both');
+  }
+  const haves = body.haves === undefined ? { entries: [], unrecognized: [] } : readEntries(body.haves, 'haves');
+  if (haves.error) throw new ValidationError(haves.error);
+  const theirWants = body.wants === undefined ? { entries: [], unrecognized: [] } : readEntries(body.wants, 'wants');
+  if (theirWants.error) throw new ValidationError(theirWants.error);
+
+  const unresolved = [];
+  const collection = getCollection(req.owner);
+  const resolvedHaves = await resolveList(haves, 'haves', unresolved);
+  const resolvedWants = await resolveList(theirWants, 'wants', unresolved);
+  const ourWants = await queryAll(wants, 'owner-index', req.owner);
+  const stock = await collection.listAll();
+
+  res.json({
+    // Which of our wants their haves can fill
+    weCanGet: matchOurWants(ourWants, resolvedHaves),
+    // Which of their wants our stock can fill
+    theyCanGet: matchTheirWants(resolvedWants, stock),
+    unresolved
+  });
+}
+
+module.exports = { list, get, create, update, remove, match };
@@ -0,0 +1,89 @@
+const {
+  readSubscription,
+  toResponse,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  ping: pingSubscription,
+  redeliver: redeliverDelivery,
+  listDeliveries: listSubscriptionDeliveries,
+  getDelivery: getSubscriptionDelivery
+} = require('../lib/webhooks');
+const { ValidationError, NotFoundError } = require('../lib/errors');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Helper to get a webhook of the logged in user, or throw a 404
+async function findSubscription(req) {
+  const subscription = await getSubscription(req.user.username, req.params.webhookId);
+  if (!subscription) throw new NotFoundError('Webhook not found');
+  return subscription;
+}
+
+// Helper to get a delivery of a webhook of the logged in user, or throw a 404
+async function findDelivery(req) {
+  const subscription = await findSubscription(req);
+  const delivery = await getSubscriptionDelivery(subscription.WebhookId, req.params.deliveryId);
+  if (!delivery) throw new NotFoundError('Delivery not found');
+  return delivery;
+}
+
+const list = async (req, res) => {
+  const items = await listSubscriptions(req.user.username);
+  res.json(items.map(toResponse));
+}
+
+const get = async (req, res) => {
+  res.json(toResponse(await findSubscription(req)));
+}
+
+// The secret is only returned here; receivers need it to check the signatures
+const create = async (req, res) => {
+  const { fields, error } = readSubscription(req.body);
+  if (error) throw new ValidationError(error);
+  const result = await createSubscription(req.user.username, fields);
+  if (result.error) throw new ValidationError(result.error);
+  res.status(201).json(result.subscription);
+}
+
+const update = async (req, res) => {
+  const { fields, error } = readSubscription(req.body, { partial: true });
+  if (error) throw new ValidationError(error);
+  const result = await updateSubscription(await findSubscription(req), fields);
+  if (result.error) throw new ValidationError(result.error);
+  res.json(toResponse(result.subscription));
+}
+
+const remove = async (req, res) => {
+  await deleteSubscription(await findSubscription(req));
+  res.status(204).send();
+}
+
+const ping = async (req, res) => {
+  res.json(await pingSubscription(await findSubscription(req)));
+}
+
+const listDeliveries = async (req, res) => {
+  const subscription = await findSubscription(req);
+  const { status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    throw new ValidationError(`Invalid status "${status}", expected one of ${DELIVERY_STATUSES.join(', ')}`);
+  }
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw new ValidationError('limit must be an integer from 1 to 200');
+  res.json(await listSubscriptionDeliveries(subscription.WebhookId, { status, limit }));
+}
+
+const getDelivery = async (req, res) => {
+  res.json(await findDelivery(req));
+}
+
+const redeliver = async (req, res) => {
+  const delivery = await redeliverDelivery(await findDelivery(req));
+  if (!delivery) throw new NotFoundError('Webhook not found');
+  res.status(201).json(delivery);
+}
+
+module.exports = { list, get, create, update, remove, ping, listDeliveries, getDelivery, redeliver };
@@ -1,102 +1,94 @@
+const path = require('path');
 const express = require('express');
 const axios = require('axios');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
-const { fetchScryfallCard } = require('./middleware/scryfall');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const app = express();
-app.use(cors());
+const { requestContext } = require('./middleware/logging');
+const { notFound, errorHandler, documentErrors } = require('./middleware/errors');
+const log = require('./lib/logger');
+app.use(requestContext);
+app.use(cors({ exposedHeaders: ['X-Next-Cursor', 'ETag', 'X-Request-Id'] }));
 app.use(express.json());
 const port = 8080;
 
-// Helper to fetch public key from AWS Secrets Manager
-const publicKeyArn = process.env.JWT_PUBLIC_KEY_SECRET_ARN;
-let cachedPublicKey = null;
-async function getPublicKey() {
-  if (cachedPublicKey) return cachedPublicKey;
-  const client = new SecretsManagerClient({ region: 'eu-central-1' });
-  const command = new GetSecretValueCommand({ SecretId: publicKeyArn });
-  const response = await client.send(command);
-  cachedPublicKey = response.SecretString;
-  return cachedPublicKey;
-}
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'MTG Trades API',
+      version: '1.0.0',
+      description: 'API documentation for MTG Trades backend',
+    },
+  },
+  // The route files, wherever the app is started from
+  apis: [path.join(__dirname, 'routes/*.js')],
+};
 
-// Helper to fetch private key from AWS Secrets Manager
-const privateKeyArn = process.env.JWT_PRIVATE_KEY_SECRET_ARN;
-let cachedPrivateKey = null;
-async function getPrivateKey() {
-  if (cachedPrivateKey) return cachedPrivateKey;
-  const client = new SecretsManagerClient({ region: 'eu-central-1' });
-  const command = new GetSecretValueCommand({ SecretId: privateKeyArn });
-  const response = await client.send(command);
-  cachedPrivateKey = response.SecretString;
-  return cachedPrivateKey;
+// Every error is answered with problem details; documentErrors adds them to every operation in the spec
+const swaggerSpec = documentErrors(swaggerJsdoc(swaggerOptions));
+// Without paths nothing would be validated or documented, so a spec that found no routes is an error
+if (Object.keys(swaggerSpec.paths || {}).length === 0) {
+  throw new Error(`The API spec has no paths; no route files found at ${swaggerOptions.apis[0]}`);
 }
 
-// Helper to fetch credentials from AWS Secrets Manager
-const credentialsArn = process.env.JWT_CREDENTIALS_SECRET_ARN;
-let cachedCredentials = null;
-async function getCredentials() {
-  if (cachedCredentials) return cachedCredentials;
-  const client = new SecretsManagerClient({ region: 'eu-central-1' });
-  const command = new GetSecretValueCommand({ SecretId: credentialsArn });
-  const response = await client.send(command);
-  cachedCredentials = JSON.parse(response.SecretString);
-  return cachedCredentials;
-}
+// Requests are checked against the spec; the routers under /users/{username} share the /cards, /wants and /history docs.
+// Protected operations are checked by checkRequest in their routes, after the login and permission checks;
+// the routers of createRouter add it to every route, routes of the app itself name it.
+const { validateRequests, checkRequest } = require('./middleware/validate');
+const AuthMiddleware = require('./middleware/auth');
+app.use(validateRequests(swaggerSpec, { aliases: [/^\/users\/[^/]+(?=\/(?:cards|wants|history)(?:\/|$))/] }));
 
-// Endpoint to generate a JWT token for testing
-app.get('/gettoken', async (req, res) => {
-  // Basic Auth check
-  const authHeader = req.headers['authorization'];
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    return res.status(401).json({ error: 'Missing basic auth' });
-  }
-  const base64Credentials = authHeader.split(' ')[1];
-  const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-  const [username, password] = credentials.split(':');
-  try {
-    const secret = await getCredentials();
-    if (username !== secret.username || password !== secret.password) {
-      return res.status(403).json({ error: 'Invalid credentials' });
-    }
-    const jwtUsername = secret.username;
-    const privateKey = await getPrivateKey();
-    const token = jwt.sign(
-      { username: jwtUsername, permissions: ['CARD_EDITOR'] },
-      privateKey,
-      { expiresIn: '1h', algorithm: 'RS256' }
-    );
-    res.json({ token });
-  } catch (err) {
-    console.error('Error generating token:', err);
-    res.status(500).json({ error: 'Failed to generate token' });
-  }
-});
+// Accounts and tokens
+const authRouter = require('./routes/auth');
+const { token } = require('./controllers/authController');
+app.use('/auth', authRouter);
+// Older clients get their token here with Basic auth
+app.get('/gettoken', checkRequest, token);
 
 app.get('/', (req, res) => {
   res.send('<html><head><title>T1 Swamp Ritual Thoughtseize Hymn</title></head><body>Welcome to the MTG Trades back-end. See /api-docs for API documentation. <br /><br />The Swagger spec is available at /api-docs/swagger.json<br /><br />You can\'t play if you don\'t have cards in hand.</body></html>');
 });
 
-// Cards RESTful API
+// Cards RESTful API; /cards is the collection of the logged in user
+const { ownerFromUser } = require('./middleware/owner');
 const cardsRouter = require('./routes/cards');
-app.use('/cards', cardsRouter);
+app.use('/cards', AuthMiddleware.identifyUser, ownerFromUser, cardsRouter);
 
-const swaggerOptions = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'MTG Trades API',
-      version: '1.0.0',
-      description: 'API documentation for MTG Trades backend',
-    },
-  },
-  apis: ['./src/routes/*.js'], // Path to your route files
-};
+// Trades RESTful API
+const tradesRouter = require('./routes/trades');
+app.use('/trades', tradesRouter);
 
-const swaggerSpec = swaggerJsdoc(swaggerOptions);
+// Wantlist RESTful API
+const wantsRouter = require('./routes/wants');
+app.use('/wants', AuthMiddleware.authenticateToken(), ownerFromUser, wantsRouter);
+
+// Change history of the collection; only for its owner, so always of the logged in user
+const historyRouter = require('./routes/history');
+app.use('/history', AuthMiddleware.authenticateToken(), ownerFromUser, historyRouter);
+
+// Card metadata from Scryfall's bulk data
+const bulkDataRouter = require('./routes/bulkData');
+app.use('/bulk-data', bulkDataRouter);
+
+// Health checks and counters for monitoring
+const healthRouter = require('./routes/health');
+app.use('/health', healthRouter);
+
+// Webhooks for changes to the collection, prices and trades
+const webhooksRouter = require('./routes/webhooks');
+app.use('/webhooks', webhooksRouter);
+
+// Share links: curated views of a collection, public to anyone with the link
+const sharesRouter = require('./routes/shares');
+const shareRouter = require('./routes/share');
+app.use('/shares', sharesRouter);
+app.use('/share', shareRouter);
+
+// The collections of every user, public to read, and their wantlists and histories, for that user and admins
+const usersRouter = require('./routes/users');
+app.use('/users', usersRouter);
 
 // Serve raw swagger spec as JSON
 app.get('/api-docs/swagger.json', (req, res) => {
@@ -106,11 +98,20 @@ app.get('/api-docs/swagger.json', (req, res) => {
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
-  // Running in AWS Lambda, do not start server
-} else {
+// Unknown routes and every error thrown by a handler end up here, as problem details
+app.use(notFound);
+app.use(errorHandler);
+
+// Started as a server by node src/index.js; lambda.js and the tests use the app without it
+if (require.main === module) {
   app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
+    log.info(`Server is running on port ${port}`);
   });
+  // Queued webhook deliveries are sent, and failed ones tried again, here; in AWS the webhook function
+  // does this on a schedule
+  const { deliverDue } = require('./lib/webhooks');
+  setInterval(() => {
+    deliverDue().catch(err => log.error('Error sending due webhook deliveries', { error: err }));
+  }, 5 * 1000).unref();
 }
 module.exports = app;
@@ -0,0 +1,10 @@
+// Lambda handler for the daily ingest of Scryfall's default-cards bulk data, next to the API handler in
+// lambda.js. The file is hundreds of MB, so it gets its own function with the longest timeout.
+const { ingestBulkData } = require('./lib/cardData');
+const log = require('./lib/logger');
+
+exports.handler = async (event = {}, context = {}) => log.runWithContext({ requestId: context.awsRequestId }, async () => {
+  const status = await ingestBulkData({ source: event.source });
+  log.info('Bulk data ingest done', { cards: status.cards, source: status.source });
+  return status;
+});
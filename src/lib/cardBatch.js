@@ -0,0 +1,201 @@
+const { ConditionFailedError } = require('../storage');
+const { ValidationError, ConflictError } = require('./errors');
+const {
+  getKey, isScryfallExpired, needsScryfallRefresh, scryfallTtl, cardEtag, ifMatches, validateLanguages, getCardData, getCardsData
+} = require('./cards');
+const { expectVersion } = require('./collection');
+const { addFinishes, setFinishes, validateFinishes } = require('./finishes');
+const { printingLanguage } = require('./lots');
+const { recordPrices } = require('./priceHistory');
+
+const OPERATION_TYPES = ['create', 'update', 'delete'];
+// DynamoDB transactions hold at most 100 items, so an atomic batch can touch at most 100 cards
+const MAX_ATOMIC_CARDS = 100;
+
+// Helper to load the working state of a card once per batch; later operations see earlier ones
+async function loadState(states, collection, setCode, cardNumber) {
+  const key = getKey(setCode, cardNumber);
+  if (!states[key]) {
+    const original = await collection.get(key);
+    states[key] = { key, setCode, cardNumber, original, card: original || null, scryfall: null, refreshed: false, changed: false };
+  }
+  return states[key];
+}
+
+// Helper to get the Scryfall data a card is validated against: the cached copy if fresh, else fetched
+async function loadScryfall(state) {
+  if (state.scryfall) return state.scryfall;
+  if (state.original && !needsScryfallRefresh(state.original)) {
+    state.scryfall = state.original.scryfall;
+  } else {
+    state.scryfall = await getCardData(state.setCode, state.cardNumber);
+    state.refreshed = true;
+  }
+  return state.scryfall;
+}
+
+// Validates one operation against the working state and applies it there; notes are added by author.
+// Returns { status, card } on success or { status, error } without touching the state.
+async function planOperation(op, states, collection, author) {
+  if (!OPERATION_TYPES.includes(op.type)) {
+    return { status: 400, error: `Unknown operation type "${op.type}", expected one of ${OPERATION_TYPES.join(', ')}` };
+  }
+  if (!op.setCode || !op.cardNumber) {
+    return { status: 400, error: 'setCode and cardNumber are required' };
+  }
+  const state = await loadState(states, collection, op.setCode, op.cardNumber);
+  if (op.type !== 'create' && !state.card) {
+    return { status: 404, error: 'Card not found' };
+  }
+  if (!ifMatches(op.ifMatch, state.card)) {
+    return { status: 412, error: 'The card has changed since it was read', etag: state.card ? cardEtag(state.card) : null };
+  }
+  if (op.type === 'delete') {
+    state.card = null;
+    state.changed = true;
+    return { status: 204 };
+  }
+
+  const finishes = op.body && op.body.finishes;
+  if (!Array.isArray(finishes) || finishes.length === 0) {
+    return { status: 400, error: 'finishes array required' };
+  }
+  const scryfallData = await loadScryfall(state);
+  if (!scryfallData) {
+    return { status: 400, error: `Card ${state.key} not found on Scryfall` };
+  }
+  const validFinishes = Array.isArray(scryfallData.finishes) ? scryfallData.finishes : [];
+  const finishError = validateFinishes(finishes, validFinishes, state.key)
+    || await validateLanguages(finishes, scryfallData, state.key);
+  if (finishError) return { status: 400, error: finishError };
+
+  state.changed = true;
+  if (op.type === 'create') {
+    state.card = {
+      CardId: state.key,
+      finishes: addFinishes(state.card ? state.card.finishes : [], finishes, { author, language: printingLanguage(scryfallData) }),
+      added_at: state.card && state.card.added_at ? state.card.added_at : Date.now(),
+      version: state.original ? state.original.version : undefined
+    };
+    return { status: 201, card: state.card };
+  }
+  const updatedFinishes = setFinishes(state.card.finishes, finishes, { author, language: printingLanguage(scryfallData) });
+  // Like patch(), an update that leaves no finishes deletes the card
+  if (updatedFinishes.length === 0) {
+    state.card = null;
+    return { status: 204 };
+  }
+  state.card = { ...state.card, finishes: updatedFinishes };
+  return { status: 200, card: state.card };
+}
+
+// Helper to look up the Scryfall data of every card the operations create or update in one request,
+// except for cards whose cached copy is still fresh. Cards Scryfall does not have are left to loadScryfall.
+async function prefetchScryfall(ops, states, collection) {
+  const pending = [];
+  for (const op of ops) {
+    if (!['create', 'update'].includes(op.type) || !op.setCode || !op.cardNumber) continue;
+    const state = await loadState(states, collection, op.setCode, op.cardNumber);
+    if (op.type === 'update' && !state.original) continue;
+    if (state.scryfall || pending.includes(state) || (state.original && !isScryfallExpired(state.original))) continue;
+    pending.push(state);
+  }
+  const cards = await getCardsData(pending.map(state => ({ set: state.setCode, collector_number: state.cardNumber })));
+  pending.forEach((state, i) => {
+    if (!cards[i]) return;
+    state.scryfall = cards[i];
+    state.refreshed = true;
+  });
+}
+
+// Validates every operation in order, without writing anything. Operations on the same card
+// build on each other. Returns { results, states }; results hold a status per operation.
+async function planBatch(operations, collection, author = null) {
+  const states = {};
+  const results = [];
+  const ops = operations.map(raw => ({
+    type: raw && raw.type,
+    // "setcode" is what the batch endpoint has always taken
+    setCode: raw && (raw.setCode || raw.setcode) ? String(raw.setCode || raw.setcode).toLowerCase() : null,
+    cardNumber: raw && raw.cardNumber ? String(raw.cardNumber) : null,
+    body: raw && raw.body,
+    ifMatch: raw && raw.ifMatch
+  }));
+  await prefetchScryfall(ops, states, collection);
+  for (const [index, op] of ops.entries()) {
+    const result = await planOperation(op, states, collection, author);
+    results.push({ index, type: op.type, setCode: op.setCode, cardNumber: op.cardNumber, ...result });
+  }
+  return { results, states };
+}
+
+// Turns the final state of a card into a store write, or null if nothing needs writing.
+// Writes carry the version the card was read with, so a card changed meanwhile is not overwritten.
+function toWrite(state) {
+  if (!state.changed) return null;
+  if (!state.card) return state.original ? { delete: state.key, condition: expectVersion(state.original) } : null;
+  const scryfall = state.scryfall || state.original.scryfall;
+  return {
+    put: { ...state.card, scryfall, scryfall_ttl: state.refreshed || !state.original ? scryfallTtl() : state.original.scryfall_ttl }
+  };
+}
+
+function isFailure(result) {
+  return result.status >= 400;
+}
+
+// Validates and applies a batch. With atomic, either every operation is applied in one transaction or
+// none is; otherwise the valid operations are applied and the invalid ones reported.
+// Returns { status, body } for the response; a batch that cannot be applied as a whole throws an HttpError.
+async function runBatch(operations, collection, { atomic = false, author = null } = {}) {
+  const { results, states } = await planBatch(operations, collection, author);
+  const failed = results.filter(isFailure).length;
+  const stateList = Object.values(states).filter(state => state.changed);
+  const writes = stateList.map(toWrite);
+
+  if (atomic) {
+    if (failed > 0) {
+      for (const result of results) {
+        if (isFailure(result)) continue;
+        delete result.card;
+        Object.assign(result, { status: 424, error: 'Not applied because another operation in the batch failed' });
+      }
+      return { status: 400, body: { atomic, succeeded: 0, failed, results } };
+    }
+    if (stateList.length > MAX_ATOMIC_CARDS) {
+      throw new ValidationError(`An atomic batch can change at most ${MAX_ATOMIC_CARDS} cards`);
+    }
+    try {
+      await collection.transact(writes.filter(Boolean));
+    } catch (err) {
+      if (!(err instanceof ConditionFailedError)) throw err;
+      throw new ConflictError('The collection changed while the batch was applied, nothing was written');
+    }
+  } else {
+    for (const [i, state] of stateList.entries()) {
+      if (!writes[i]) continue;
+      try {
+        if (writes[i].put) await collection.put(writes[i].put);
+        else await collection.delete(writes[i].delete, { condition: writes[i].condition });
+      } catch (err) {
+        if (!(err instanceof ConditionFailedError)) throw err;
+        // Someone else changed the card meanwhile: report every operation on it as a conflict
+        for (const result of results) {
+          if (!isFailure(result) && getKey(result.setCode, result.cardNumber) === state.key) {
+            delete result.card;
+            Object.assign(result, { status: 409, error: 'The card was changed by someone else, this operation was not applied' });
+          }
+        }
+        state.refreshed = false;
+      }
+    }
+  }
+
+  for (const state of stateList) {
+    if (state.refreshed) await recordPrices(state.key, state.scryfall);
+  }
+  const failedAfterWrite = results.filter(isFailure).length;
+  return { status: 200, body: { atomic, succeeded: results.length - failedAfterWrite, failed: failedAfterWrite, results } };
+}
+
+module.exports = { OPERATION_TYPES, planBatch, runBatch };
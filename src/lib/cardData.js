@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { getStore, ConditionFailedError } = require('../storage');
+const { getScryfallClient } = require('./scryfall');
+const { parseJsonArray } = require('./jsonStream');
+const { ValidationError, ConflictError } = require('./errors');
+
+// Card metadata from Scryfall's bulk data, so cards can be looked up without asking the API.
+// Each card is stored under "card:<set>:<number>"; "id:<scryfall id>" items point to it.
+const cardData = getStore('cardData');
+const STATUS_KEY = 'ingest';
+const BULK_TYPE = 'default-cards';
+// Cards written per store call during an ingest
+const BATCH_SIZE = 500;
+// A running ingest writes its status after every batch. One whose status was not written for this long
+// died (a Lambda runs at most 15 minutes), and another ingest may take over.
+const STALE_MS = 20 * 60 * 1000;
+// Bulk files are only downloaded from Scryfall
+const SOURCE_HOSTS = ['scryfall.io', 'scryfall.com'];
+// Fields of the Scryfall card object the app has no use for; leaving them out keeps the store small
+const OMITTED_FIELDS = [
+  'all_parts', 'related_uris', 'purchase_uris', 'legalities', 'multiverse_ids', 'mtgo_id', 'mtgo_foil_id', 'arena_id',
+  'tcgplayer_id', 'tcgplayer_etched_id', 'cardmarket_id', 'artist_ids', 'card_back_id', 'games', 'uri',
+  'scryfall_set_uri', 'set_uri', 'set_search_uri', 'rulings_uri', 'prints_search_uri', 'preview'
+];
+
+function cardKey(setCode, cardNumber) {
+  return `card:${setCode.toLowerCase()}:${cardNumber}`;
+}
+
+function toMetadata(card) {
+  const data = { ...card };
+  for (const field of OMITTED_FIELDS) delete data[field];
+  return data;
+}
+
+// Returns the Scryfall data of a card from the last ingest, or null if it was not in it
+async function lookupCard(setCode, cardNumber) {
+  const item = await cardData.get(cardKey(setCode, cardNumber));
+  return item ? item.data : null;
+}
+
+async function lookupCardById(scryfallId) {
+  const ref = await cardData.get(`id:${scryfallId}`);
+  if (!ref) return null;
+  const item = await cardData.get(ref.ref);
+  return item ? item.data : null;
+}
+
+async function getIngestStatus() {
+  return (await cardData.get(STATUS_KEY)) || null;
+}
+
+// Writes cards read from the bulk file (any iterable, sync or async) to the store. Returns the number written.
+async function ingestCards(cards, onProgress = async () => {}) {
+  let batch = [];
+  let count = 0;
+  const flush = async () => {
+    await cardData.putMany(batch);
+    count += batch.length / 2;
+    batch = [];
+    await onProgress(count);
+  };
+  for await (const card of cards) {
+    if (!card || !card.set || !card.collector_number || !card.id) continue;
+    const key = cardKey(card.set, card.collector_number);
+    batch.push({ DataKey: key, data: toMetadata(card) }, { DataKey: `id:${card.id}`, ref: key });
+    if (batch.length >= BATCH_SIZE * 2) await flush();
+  }
+  if (batch.length > 0) await flush();
+  return count;
+}
+
+// Helper to open the bulk file: a local path, a Scryfall URL, or by default the latest default-cards file
+// Scryfall lists
+async function openSource(source) {
+  if (source && !/^https?:\/\//.test(source)) {
+    return { stream: fs.createReadStream(source), source, updatedAt: null };
+  }
+  if (source) {
+    const url = new URL(source);
+    if (url.protocol !== 'https:' || !SOURCE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+      throw new ValidationError(`source must be an https URL on ${SOURCE_HOSTS.join(' or ')}`);
+    }
+  }
+  let uri = source;
+  let updatedAt = null;
+  if (!uri) {
+    const bulk = await getScryfallClient().request('get', `/bulk-data/${BULK_TYPE}`);
+    uri = bulk.download_uri;
+    updatedAt = bulk.updated_at;
+  }
+  const response = await axios.get(uri, { responseType: 'stream' });
+  return { stream: response.data, source: uri, updatedAt };
+}
+
+// Helper to take the ingest lock: the status item of a new run, written only if the status is still the one
+// read, so of two ingests starting together one fails. A running ingest is only replaced once it is stale.
+async function claimIngest() {
+  const current = await getIngestStatus();
+  const now = Date.now();
+  if (current && current.state === 'running' && now - (current.updated_at || current.started_at) < STALE_MS) {
+    throw new ConflictError('An ingest is already running');
+  }
+  const status = { DataKey: STATUS_KEY, run_id: crypto.randomUUID(), state: 'running', started_at: now, updated_at: now, cards: 0 };
+  try {
+    await cardData.put(status, { condition: current ? { started_at: current.started_at } : { DataKey: null } });
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError('An ingest is already running');
+    throw err;
+  }
+  return status;
+}
+
+// Helper to write the status of a run, as long as no other ingest took over
+async function saveStatus(status) {
+  status.updated_at = Date.now();
+  try {
+    await cardData.put(status, { condition: { run_id: status.run_id } });
+  } catch (err) {
+    if (err instanceof ConditionFailedError) throw new ConflictError('Another ingest took over');
+    throw err;
+  }
+}
+
+// Ingests Scryfall's default-cards bulk file, streaming it so it is never in memory as a whole.
+// The progress is kept in the "ingest" status item, which is also the lock: only one ingest runs at a
+// time, and starting another throws a ConflictError.
+async function ingestBulkData({ source } = {}) {
+  const status = await claimIngest();
+  try {
+    const opened = await openSource(source);
+    Object.assign(status, { source: opened.source, bulk_updated_at: opened.updatedAt });
+    await saveStatus(status);
+    status.cards = await ingestCards(parseJsonArray(opened.stream), async count => {
+      status.cards = count;
+      await saveStatus(status);
+    });
+    Object.assign(status, { state: 'completed', finished_at: Date.now() });
+    await saveStatus(status);
+    return status;
+  } catch (err) {
+    if (!(err instanceof ConflictError)) {
+      Object.assign(status, { state: 'failed', finished_at: Date.now(), error: err.message });
+      await saveStatus(status);
+    }
+    throw err;
+  }
+}
+
+module.exports = { lookupCard, lookupCardById, getIngestStatus, ingestCards, ingestBulkData };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { getStore } = require('../storage');
+const { normalizeNotes } = require('./finishes');
+const log = require('./logger');
+
+const history = getStore('history');
+const ACTIONS = ['create', 'update', 'delete'];
+const DEFAULT_LIMIT = 100;
+// Events read per query when filtering on the action, as the filter can skip most of them
+const FILTERED_QUERY_LIMIT = 1000;
+
+// The key events are queried by per card: the owner and CardId, as cards are stored
+function ownerCardKey(owner, cardId) {
+  return `${owner}#${cardId}`;
+}
+
+function finishMap(card) {
+  const map = {};
+  for (const f of (card && Array.isArray(card.finishes)) ? card.finishes : []) map[f.finish] = f;
+  return map;
+}
+
+// Helper to get the text of the notes added by a change
+function addedNote(before, after) {
+  const oldIds = new Set(normalizeNotes(before && before.notes).map(note => note.id));
+  const added = normalizeNotes(after && after.notes).filter(note => !oldIds.has(note.id));
+  return added.length > 0 ? added.map(note => note.text).join('\n') : null;
+}
+
+// Lists the finishes whose lots changed or that got a note, as [{ finish, before, after, note, lotsBefore }].
+// lotsBefore keeps the lots the finish had, so a revert can put back copies in the right condition and language.
+function diffFinishes(beforeCard, afterCard) {
+  const before = finishMap(beforeCard);
+  const after = finishMap(afterCard);
+  const changes = [];
+  for (const finish of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const beforeAmount = before[finish] ? before[finish].amount : 0;
+    const afterAmount = after[finish] ? after[finish].amount : 0;
+    const lotsBefore = before[finish] && Array.isArray(before[finish].lots) ? before[finish].lots : [];
+    const lotsAfter = after[finish] && Array.isArray(after[finish].lots) ? after[finish].lots : [];
+    const note = addedNote(before[finish], after[finish]);
+    if (beforeAmount === afterAmount && !note && JSON.stringify(lotsBefore) === JSON.stringify(lotsAfter)) continue;
+    changes.push({ finish, before: beforeAmount, after: afterAmount, note, lotsBefore });
+  }
+  return changes;
+}
+
+// Appends an event for a card write to the history, if it changed any amounts or notes.
+// context holds who made the change (user), through what (source, e.g. "api", "import", "trade:<id>")
+// and, for reverts, the reverted event (revertOf). Like price snapshots, failures are only logged.
+async function recordChange(owner, beforeCard, afterCard, context = {}) {
+  const changes = diffFinishes(beforeCard, afterCard);
+  if (changes.length === 0) return null;
+  const event = {
+    EventId: crypto.randomUUID(),
+    owner,
+    CardId: (afterCard || beforeCard).CardId,
+    ownerCard: ownerCardKey(owner, (afterCard || beforeCard).CardId),
+    action: !beforeCard ? 'create' : !afterCard ? 'delete' : 'update',
+    changes,
+    user: context.user || null,
+    source: context.source || 'api',
+    at: Date.now()
+  };
+  if (context.revertOf) event.revertOf = context.revertOf;
+  // Deleted cards keep their finishes and Scryfall data in the event, so they can be restored
+  if (!afterCard) {
+    event.snapshot = { finishes: beforeCard.finishes, scryfall: beforeCard.scryfall, added_at: beforeCard.added_at };
+  }
+  try {
+    await history.put(event);
+  } catch (err) {
+    log.error('Error recording history', { CardId: event.CardId, error: err });
+  }
+  return event;
+}
+
+// Returns a page of the events of an owner, newest first, optionally for one card, action and time range
+// (epoch ms): { items, cursor }, where cursor is null on the last page. A card is found by its index; the
+// action is filtered while querying full pages, which are cut down to the limit, continuing after the last
+// event returned.
+async function listHistory(owner, { cardId, action, from, to, limit = DEFAULT_LIMIT, cursor = null } = {}) {
+  const [indexName, value] = cardId ? ['ownerCard-at-index', ownerCardKey(owner, cardId)] : ['owner-at-index', owner];
+  const items = [];
+  let next = cursor;
+  do {
+    const page = await history.query(indexName, value, {
+      from: from === null ? undefined : from,
+      to: to === null ? undefined : to,
+      order: 'desc',
+      limit: action ? FILTERED_QUERY_LIMIT : limit - items.length,
+      cursor: next,
+      filter: action ? { action } : undefined
+    });
+    const room = limit - items.length;
+    if (page.items.length > room) {
+      items.push(...page.items.slice(0, room));
+      return { items, cursor: history.cursorAfter(indexName, items[items.length - 1]) };
+    }
+    items.push(...page.items);
+    next = page.cursor;
+  } while (next && items.length < limit);
+  return { items, cursor: next };
+}
+
+// The event as the API shows it, without the attribute it is indexed by
+function toResponse(event) {
+  const { ownerCard, ...rest } = event;
+  return rest;
+}
+
+async function getEvent(owner, eventId) {
+  const event = await history.get(eventId);
+  return event && event.owner === owner ? event : null;
+}
+
+module.exports = { ACTIONS, ownerCardKey, diffFinishes, recordChange, listHistory, toResponse, getEvent };
@@ -0,0 +1,161 @@
+const SORT_FIELDS = ['name', 'set', 'price', 'added'];
+const COLORS = ['w', 'u', 'b', 'r', 'g', 'c'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Helper to read a query value as a lowercase list, accepting repeated keys and comma separation
+function toList(value) {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(v => String(v).split(',')).map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// A listing cursor is the store's cursor with the order it was read in, as it only continues that order
+function encodeCursor(options, storeCursor) {
+  return Buffer.from(JSON.stringify({ sort: options.sort, order: options.order, after: storeCursor })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.after === 'string' ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Parses GET /cards query parameters into listing options, or returns { error } for invalid input
+function parseCardQuery(query = {}) {
+  const options = {
+    sets: toList(query.set),
+    colors: toList(query.color).flatMap(c => c.split('')),
+    rarities: toList(query.rarity),
+    type: query.type ? String(query.type).toLowerCase() : null,
+    name: query.name ? String(query.name).toLowerCase() : null,
+    finishes: toList(query.finish),
+    minAmount: null,
+    sort: query.sort ? String(query.sort).toLowerCase() : 'set',
+    order: query.order ? String(query.order).toLowerCase() : 'asc',
+    limit: DEFAULT_LIMIT,
+    cursor: null
+  };
+
+  const invalidColor = options.colors.find(c => !COLORS.includes(c));
+  if (invalidColor) {
+    return { error: `Invalid color "${invalidColor}", expected any of ${COLORS.join(', ')}` };
+  }
+  if (query.minAmount !== undefined) {
+    options.minAmount = Number(query.minAmount);
+    if (!Number.isInteger(options.minAmount) || options.minAmount < 0) {
+      return { error: 'minAmount must be a non-negative integer' };
+    }
+  }
+  if (!SORT_FIELDS.includes(options.sort)) {
+    return { error: `Invalid sort "${options.sort}", expected one of ${SORT_FIELDS.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(options.order)) {
+    return { error: 'order must be "asc" or "desc"' };
+  }
+  if (query.limit !== undefined) {
+    options.limit = Number(query.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+  }
+  if (query.cursor) {
+    const cursor = decodeCursor(String(query.cursor));
+    if (!cursor) return { error: 'Invalid cursor' };
+    if (cursor.sort !== options.sort || cursor.order !== options.order) {
+      return { error: 'The cursor continues another sort order' };
+    }
+    options.cursor = cursor.after;
+  }
+  return { options };
+}
+
+// Helper to collect a card's colors, including those of double-faced cards
+function getColors(scryfall) {
+  if (Array.isArray(scryfall.colors)) return scryfall.colors;
+  const faces = Array.isArray(scryfall.card_faces) ? scryfall.card_faces : [];
+  return [...new Set(faces.flatMap(face => face.colors || []))];
+}
+
+// Helper to count the copies that count towards minAmount (only the requested finishes, if any)
+function getAmount(card, finishes) {
+  return (card.finishes || [])
+    .filter(f => finishes.length === 0 || finishes.includes(f.finish))
+    .reduce((total, f) => total + Number(f.amount || 0), 0);
+}
+
+function matchesCard(card, options) {
+  const scryfall = card.scryfall || {};
+  if (options.sets.length > 0 && !options.sets.includes(String(scryfall.set || card.CardId.split(':')[0]).toLowerCase())) {
+    return false;
+  }
+  if (options.colors.length > 0) {
+    const colors = getColors(scryfall).map(c => c.toLowerCase());
+    for (const color of options.colors) {
+      if (color === 'c' ? colors.length > 0 : !colors.includes(color)) return false;
+    }
+  }
+  if (options.rarities.length > 0 && !options.rarities.includes(String(scryfall.rarity).toLowerCase())) {
+    return false;
+  }
+  if (options.type && !String(scryfall.type_line || '').toLowerCase().includes(options.type)) {
+    return false;
+  }
+  if (options.name && !String(scryfall.name || '').toLowerCase().includes(options.name)) {
+    return false;
+  }
+  if (options.finishes.length > 0 && !(card.finishes || []).some(f => options.finishes.includes(f.finish) && f.amount > 0)) {
+    return false;
+  }
+  if (options.minAmount !== null && getAmount(card, options.finishes) < options.minAmount) {
+    return false;
+  }
+  return true;
+}
+
+// Helper to read a page of a collection in the requested order, from the index of that order, keeping the
+// cards that match the filters. show prepares the cards for whoever asks, and matches filters them further,
+// e.g. on a search. Store pages are read until limit cards match or the store runs out, so a page is only
+// short when it is the last. Resolves with the cards and the store's cursor after the last of them.
+async function readCardPage(collection, options, { show = cards => cards, matches = () => true } = {}) {
+  const cards = [];
+  let cursor = options.cursor;
+  // Later store pages are read at the largest size, as a filter can skip many cards
+  let limit = options.limit;
+  for (;;) {
+    const page = await collection.list({ sort: options.sort, order: options.order, limit, cursor });
+    const shown = show(page.items);
+    for (const [i, card] of shown.entries()) {
+      if (!matchesCard(card, options) || !matches(card)) continue;
+      cards.push(card);
+      if (cards.length < options.limit) continue;
+      const isLast = i === shown.length - 1 && !page.cursor;
+      return { cards, after: isLast ? null : collection.cursorAfter(page.items[i], options) };
+    }
+    if (!page.cursor) return { cards, after: null };
+    cursor = page.cursor;
+    limit = MAX_LIMIT;
+  }
+}
+
+// Reads the page of a listing that options ask for, with filters as readCardPage takes them
+async function listCardPage(collection, options, filters) {
+  const { cards, after } = await readCardPage(collection, options, filters);
+  return { cards, cursor: after ? encodeCursor(options, after) : null };
+}
+
+// Calls onPage with the cards of every page of a listing in turn, for the listings that cover every
+// matching card; paging options are ignored
+async function forEachCardPage(collection, options, onPage, filters) {
+  let cursor = null;
+  do {
+    const page = await readCardPage(collection, { ...options, limit: MAX_LIMIT, cursor }, filters);
+    await onPage(page.cards);
+    cursor = page.after;
+  } while (cursor);
+}
+
+module.exports = { parseCardQuery, matchesCard, listCardPage, forEachCardPage, getColors };
@@ -0,0 +1,85 @@
+const { getColors } = require('./cardQuery');
+const { notesToText } = require('./finishes');
+
+// Supported search operators and the aliases Scryfall uses for them
+const OPERATORS = {
+  name: 'name', n: 'name',
+  t: 'type', type: 'type',
+  o: 'oracle', oracle: 'oracle',
+  c: 'color', color: 'color',
+  set: 'set', s: 'set', e: 'set',
+  r: 'rarity', rarity: 'rarity',
+  f: 'finish', finish: 'finish',
+  note: 'notes', notes: 'notes'
+};
+const COLORS = ['w', 'u', 'b', 'r', 'g', 'c'];
+
+// A term is an optional "-", an optional "operator:" and a bare word or a "quoted phrase"
+const TERM_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+// Parses a Scryfall-like query (e.g. `t:creature c:b o:"draw a card" set:khm`) into terms,
+// or returns { error } for an unknown operator or color
+function parseSearchQuery(q) {
+  const terms = [];
+  for (const match of String(q).matchAll(TERM_PATTERN)) {
+    const [, negate, operator, phrase, word] = match;
+    const value = (phrase !== undefined ? phrase : word).toLowerCase();
+    if (!value) continue;
+    let field = 'text';
+    if (operator) {
+      field = OPERATORS[operator.toLowerCase()];
+      if (!field) return { error: `Unknown search operator "${operator}:"` };
+    }
+    if (field === 'color') {
+      const invalid = value.split('').find(c => !COLORS.includes(c));
+      if (invalid) return { error: `Invalid color "${invalid}", expected any of ${COLORS.join(', ')}` };
+    }
+    terms.push({ field, value, negate: negate === '-' });
+  }
+  if (terms.length === 0) return { error: 'Search query q is required' };
+  return { terms };
+}
+
+// Helper to join a text field over the card and its faces (double-faced and split cards)
+function faceText(scryfall, field) {
+  const faces = Array.isArray(scryfall.card_faces) ? scryfall.card_faces : [];
+  return [scryfall[field], ...faces.map(face => face[field])].filter(Boolean).join('\n').toLowerCase();
+}
+
+function notesText(card) {
+  return (card.finishes || []).map(f => notesToText(f.notes)).join('\n').toLowerCase();
+}
+
+function matchesTerm(card, term) {
+  const scryfall = card.scryfall || {};
+  switch (term.field) {
+    case 'name':
+      return faceText(scryfall, 'name').includes(term.value);
+    case 'type':
+      return faceText(scryfall, 'type_line').includes(term.value);
+    case 'oracle':
+      return faceText(scryfall, 'oracle_text').includes(term.value);
+    case 'color': {
+      const colors = getColors(scryfall).map(c => c.toLowerCase());
+      return term.value.split('').every(c => (c === 'c' ? colors.length === 0 : colors.includes(c)));
+    }
+    case 'set':
+      return String(scryfall.set || card.CardId.split(':')[0]).toLowerCase() === term.value;
+    case 'rarity':
+      return String(scryfall.rarity).toLowerCase() === term.value;
+    case 'finish':
+      return (card.finishes || []).some(f => f.finish === term.value && f.amount > 0);
+    case 'notes':
+      return notesText(card).includes(term.value);
+    default:
+      return [faceText(scryfall, 'name'), faceText(scryfall, 'type_line'), faceText(scryfall, 'oracle_text'), notesText(card)]
+        .some(text => text.includes(term.value));
+  }
+}
+
+// A card matches when every term matches (or, for negated terms, does not)
+function matchesSearch(card, terms) {
+  return terms.every(term => matchesTerm(card, term) !== term.negate);
+}
+
+module.exports = { parseSearchQuery, matchesSearch };
@@ -0,0 +1,135 @@
+const { PRICE_FIELDS, CURRENCIES, getFinishPrice, roundPrice } = require('./prices');
+
+// Scryfall's color identity letters in WUBRG order; colorless cards are counted as "C"
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+// The card types a type line is broken down by; a card counts once for each of its types
+const CARD_TYPES = ['Artifact', 'Battle', 'Creature', 'Enchantment', 'Instant', 'Kindred', 'Land', 'Planeswalker', 'Sorcery'];
+const DIRECTIONS = ['both', 'up', 'down'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Parses the query of the top and movers endpoints into options, or returns { error } for invalid input
+function parseStatsQuery(query = {}) {
+  const options = {
+    limit: query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit),
+    currency: query.currency ? String(query.currency).toLowerCase() : 'usd',
+    direction: query.direction ? String(query.direction).toLowerCase() : 'both'
+  };
+  if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+  if (!CURRENCIES.includes(options.currency)) {
+    return { error: `Invalid currency "${query.currency}", expected one of ${CURRENCIES.join(', ')}` };
+  }
+  if (!DIRECTIONS.includes(options.direction)) {
+    return { error: `Invalid direction "${query.direction}", expected one of ${DIRECTIONS.join(', ')}` };
+  }
+  return { options };
+}
+
+function copiesOf(card) {
+  return (card.finishes || []).reduce((total, f) => total + (Number(f.amount) || 0), 0);
+}
+
+// Helper to read the color identity of a card as one key, e.g. "WU", or "C" for colorless
+function colorIdentity(scryfall) {
+  const identity = Array.isArray(scryfall.color_identity) ? scryfall.color_identity : [];
+  const key = COLOR_ORDER.filter(color => identity.includes(color)).join('');
+  return key || 'C';
+}
+
+// Helper to read the card types of a card from the type line of every face; "Tribal" is the old name of "Kindred"
+function cardTypes(scryfall) {
+  const faces = Array.isArray(scryfall.card_faces) ? scryfall.card_faces : [];
+  const typeLines = [scryfall.type_line, ...faces.map(face => face.type_line)].filter(Boolean);
+  const types = typeLines.flatMap(line => line.split('—')[0].replace(/\bTribal\b/g, 'Kindred').split(/[\s/]+/));
+  const known = CARD_TYPES.filter(type => types.includes(type));
+  return known.length > 0 ? known : ['Other'];
+}
+
+function addTo(breakdown, key, cards, copies) {
+  if (!breakdown[key]) breakdown[key] = { cards: 0, copies: 0 };
+  breakdown[key].cards += cards;
+  breakdown[key].copies += copies;
+  return breakdown[key];
+}
+
+// Counts the cards and copies of a collection, in total and broken down by set, color identity,
+// rarity, card type and finish. "cards" counts distinct printings, "copies" counts every copy.
+function getCollectionStats(cards) {
+  const stats = { cards: 0, copies: 0, sets: {}, colors: {}, rarities: {}, types: {}, finishes: {} };
+  for (const card of cards) {
+    const copies = copiesOf(card);
+    if (copies === 0) continue;
+    const scryfall = card.scryfall || {};
+    stats.cards++;
+    stats.copies += copies;
+    const set = addTo(stats.sets, scryfall.set || card.CardId.split(':')[0], 1, copies);
+    if (scryfall.set_name) set.name = scryfall.set_name;
+    addTo(stats.colors, colorIdentity(scryfall), 1, copies);
+    addTo(stats.rarities, scryfall.rarity || 'unknown', 1, copies);
+    for (const type of cardTypes(scryfall)) addTo(stats.types, type, 1, copies);
+    for (const f of card.finishes || []) {
+      if (f.amount > 0) addTo(stats.finishes, f.finish, 1, f.amount);
+    }
+  }
+  return stats;
+}
+
+// Helper to describe one finish of a card in the top and movers lists
+function finishEntry(card, finish) {
+  const scryfall = card.scryfall || {};
+  return { CardId: card.CardId, name: scryfall.name || null, set: scryfall.set || null, finish: finish.finish, copies: finish.amount };
+}
+
+// Lists the finishes of cards with the highest price per copy in the currency, most valuable first
+function getTopCards(cards, { limit = 10, currency = 'usd' } = {}) {
+  const entries = [];
+  for (const card of cards) {
+    for (const f of card.finishes || []) {
+      const price = getFinishPrice(card.scryfall, f.finish, currency);
+      if (price === null || !(f.amount > 0)) continue;
+      entries.push({ ...finishEntry(card, f), price, value: roundPrice(price * f.amount) });
+    }
+  }
+  return entries.sort((a, b) => b.price - a.price || b.value - a.value).slice(0, limit);
+}
+
+// Helper to find the price a finish had when the card was added: the last snapshot recorded by then,
+// or the first one after it for cards added before their prices were recorded
+function priceWhenAdded(snapshots, addedAt, field) {
+  const candidates = snapshots.filter(s => s[field] !== null && s[field] !== undefined);
+  if (candidates.length === 0) return null;
+  const before = candidates.filter(s => addedAt && s.recorded_at <= addedAt);
+  return before.length > 0 ? before[before.length - 1][field] : candidates[0][field];
+}
+
+// Lists the finishes whose price changed most since the card was added to the collection, comparing the
+// recorded price history ({ [CardId]: snapshots }) with the current Scryfall price. direction "up" or "down"
+// keeps only rises or drops; "both" ranks by the size of the change either way.
+function getPriceMovers(cards, snapshots, { limit = 10, currency = 'usd', direction = 'both' } = {}) {
+  const entries = [];
+  for (const card of cards) {
+    const history = snapshots[card.CardId] || [];
+    for (const f of card.finishes || []) {
+      const field = PRICE_FIELDS[f.finish] && PRICE_FIELDS[f.finish][currency];
+      const price = getFinishPrice(card.scryfall, f.finish, currency);
+      if (!field || price === null || !(f.amount > 0)) continue;
+      const addedPrice = priceWhenAdded(history, card.added_at, field);
+      if (addedPrice === null) continue;
+      const change = roundPrice(price - addedPrice);
+      if ((direction === 'up' && change <= 0) || (direction === 'down' && change >= 0)) continue;
+      entries.push({
+        ...finishEntry(card, f),
+        added_at: card.added_at || null,
+        addedPrice,
+        price,
+        change,
+        changePercent: addedPrice > 0 ? roundPrice((change / addedPrice) * 100) : null
+      });
+    }
+  }
+  return entries.sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, limit);
+}
+
+module.exports = { parseStatsQuery, getCollectionStats, getTopCards, getPriceMovers };
@@ -0,0 +1,178 @@
+const {
+  fetchScryfallCard,
+  fetchScryfallCardById,
+  fetchScryfallCardByName,
+  fetchScryfallCardByFuzzyName,
+  fetchScryfallCards,
+  fetchScryfallLanguages,
+  fetchScryfallSetCodes
+} = require('./scryfall');
+const { printingLanguage } = require('./lots');
+const { lookupCard, lookupCardById } = require('./cardData');
+const { increment } = require('./metrics');
+
+const SCRYFALL_TTL_HOURS = 24;
+// The ways POST /cards can name a card instead of a set code and collector number
+const LOOKUP_FIELDS = ['scryfallId', 'name', 'fuzzy'];
+
+// Helper to get the card key
+function getKey(setCode, cardNumber) {
+  return `${setCode.toLowerCase()}:${cardNumber}`;
+}
+// Helper to check TTL
+function isScryfallExpired(card) {
+  if (!card.scryfall || !card.scryfall_ttl) return true;
+  return Date.now() > card.scryfall_ttl;
+}
+// Helper for writes and lookups that would use the Scryfall data stored on a card: true if it has to be
+// fetched again. Counted as a hit or miss of the scryfall_ttl cache, unlike the refresh's isScryfallExpired.
+function needsScryfallRefresh(card) {
+  const expired = isScryfallExpired(card);
+  increment(expired ? 'scryfall.ttl.miss' : 'scryfall.ttl.hit');
+  return expired;
+}
+// Helper to get the TTL for Scryfall data fetched now
+function scryfallTtl() {
+  return Date.now() + SCRYFALL_TTL_HOURS * 3600 * 1000;
+}
+
+// Helper to get the ETag of a card, derived from its version (cards stored before versions count as 0)
+function cardEtag(card) {
+  return `"${card.version || 0}"`;
+}
+
+// Helper to check an If-Match header against a card. Without the header every write is allowed;
+// "*" only requires the card to exist. Weak tags compare like strong ones.
+function ifMatches(ifMatch, card) {
+  if (!ifMatch) return true;
+  if (!card) return false;
+  if (ifMatch.trim() === '*') return true;
+  const etag = cardEtag(card);
+  return ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Helper to get the Scryfall data of a printing from the last bulk data ingest, asking the API only for
+// cards that were not in it. Resolves with null if Scryfall does not know the card.
+async function getCardData(setCode, cardNumber) {
+  return (await lookupCard(setCode, cardNumber)) || fetchScryfallCard(setCode.toLowerCase(), cardNumber);
+}
+
+// Like getCardData, for many cards at once. Takes Scryfall identifiers ({ id }, { set, collector_number },
+// { name, set? } or { oracle_id }) and resolves with the Scryfall data, or null, per identifier.
+async function getCardsData(identifiers) {
+  const results = await Promise.all(identifiers.map(identifier => {
+    if (identifier.id) return lookupCardById(identifier.id);
+    if (identifier.collector_number) return lookupCard(identifier.set, identifier.collector_number);
+    return null;
+  }));
+  const missing = identifiers.map((identifier, i) => i).filter(i => !results[i]);
+  if (missing.length > 0) {
+    const fetched = await fetchScryfallCards(missing.map(i => identifiers[i]));
+    missing.forEach((i, k) => {
+      results[i] = fetched[k];
+    });
+  }
+  return results;
+}
+
+// Helper to get Scryfall data for any printing: the cached copy of a card in the given collection,
+// if still fresh, otherwise from getCardData (null if Scryfall does not know the card)
+async function getScryfallData(setCode, cardNumber, collection) {
+  const card = collection ? await collection.get(getKey(setCode, cardNumber)) : null;
+  if (card && !needsScryfallRefresh(card)) return card.scryfall;
+  return getCardData(setCode, cardNumber);
+}
+
+// Helper to read how a posted card names its printing: { scryfallId }, { name, set? } or { fuzzy, set? },
+// where fuzzy is a name that may be misspelled or partial. Returns { lookup } or { error }.
+function readPrintingLookup(body) {
+  const given = LOOKUP_FIELDS.filter(field => body[field] !== undefined && body[field] !== '');
+  if (given.length !== 1) return { error: `Name the card with exactly one of ${LOOKUP_FIELDS.join(', ')}` };
+  const [field] = given;
+  if (typeof body[field] !== 'string') return { error: `${field} must be a string` };
+  if (body.set !== undefined && field === 'scryfallId') return { error: 'set cannot be combined with scryfallId' };
+  if (body.set !== undefined && typeof body.set !== 'string') return { error: 'set must be a string' };
+  return { lookup: { [field]: body[field].trim(), set: body.set ? body.set.toLowerCase() : undefined } };
+}
+
+// Resolves a lookup from readPrintingLookup to the Scryfall data of one printing, or null if Scryfall finds
+// no such card. Ids are looked up in the last bulk data ingest first; names always ask Scryfall, which
+// picks the most recent printing unless a set is given.
+async function resolvePrinting(lookup) {
+  if (lookup.scryfallId) return (await lookupCardById(lookup.scryfallId)) || fetchScryfallCardById(lookup.scryfallId);
+  if (lookup.name) return fetchScryfallCardByName(lookup.name, lookup.set);
+  return fetchScryfallCardByFuzzyName(lookup.fuzzy, lookup.set);
+}
+
+// Helper to get the oracle id of a printing; reversible cards only have it on their faces
+function oracleIdOf(scryfall) {
+  if (!scryfall) return null;
+  if (scryfall.oracle_id) return scryfall.oracle_id;
+  const face = (scryfall.card_faces || []).find(f => f.oracle_id);
+  return face ? face.oracle_id : null;
+}
+
+// Checks the languages of posted finishes against the languages Scryfall has printings of the card in.
+// Scryfall is only asked when a language other than the printing's own is posted. Returns an error message or null.
+async function validateLanguages(postedFinishes, scryfallData, cardId) {
+  const ownLanguage = printingLanguage(scryfallData);
+  const posted = postedFinishes.filter(f => f.language !== undefined && String(f.language).toLowerCase() !== ownLanguage);
+  if (posted.length === 0) return null;
+  const languages = await fetchScryfallLanguages(scryfallData.set, scryfallData.collector_number);
+  const invalid = posted.find(f => !languages.includes(String(f.language).toLowerCase()));
+  if (!invalid) return null;
+  return `Card ${cardId} was not printed in language "${invalid.language}"; Scryfall has ${[ownLanguage, ...languages.filter(l => l !== ownLanguage)].join(', ')}`;
+}
+
+// Helper to turn a parsed collection entry into a Scryfall identifier, preferring the id, then set/number,
+// then name. Returns null if the entry names no card.
+async function toIdentifier(entry) {
+  if (entry.scryfallId) return { id: entry.scryfallId };
+  let setCode = entry.setCode;
+  if (!setCode && entry.setName) {
+    const setCodes = await fetchScryfallSetCodes();
+    setCode = setCodes[entry.setName.toLowerCase()];
+  }
+  if (setCode && entry.collectorNumber) return { set: setCode.toLowerCase(), collector_number: String(entry.collectorNumber) };
+  if (entry.name) return setCode ? { name: entry.name, set: setCode.toLowerCase() } : { name: entry.name };
+  return null;
+}
+
+// Resolves a list of entries: every distinct card is looked up in one go, through getCardsData, rather
+// than read card by card. Returns Scryfall data (or null) per entry.
+async function resolveEntries(entries) {
+  const results = entries.map(() => null);
+  const lookups = {};
+  for (const [i, entry] of entries.entries()) {
+    const identifier = await toIdentifier(entry);
+    if (!identifier) continue;
+    const lookupKey = JSON.stringify(identifier);
+    if (!lookups[lookupKey]) lookups[lookupKey] = [];
+    lookups[lookupKey].push(i);
+  }
+
+  const lookupKeys = Object.keys(lookups);
+  const cards = await getCardsData(lookupKeys.map(key => JSON.parse(key)));
+  lookupKeys.forEach((key, k) => {
+    for (const i of lookups[key]) results[i] = cards[k];
+  });
+  return results;
+}
+
+module.exports = {
+  SCRYFALL_TTL_HOURS,
+  getKey,
+  isScryfallExpired,
+  needsScryfallRefresh,
+  scryfallTtl,
+  cardEtag,
+  ifMatches,
+  getCardData,
+  getCardsData,
+  getScryfallData,
+  readPrintingLookup,
+  resolvePrinting,
+  oracleIdOf,
+  validateLanguages,
+  resolveEntries
+};
@@ -0,0 +1,130 @@
+const { getStore, queryAll, transact, ConditionFailedError } = require('../storage');
+const { recordChange } = require('./cardHistory');
+const { publishCardChange } = require('./webhooks');
+const { normalizeFinishes } = require('./finishes');
+const { printingLanguage } = require('./lots');
+const { getCardPrice } = require('./prices');
+
+const cards = getStore('cards');
+// How often a read-modify-write is tried before a conflict is reported
+const WRITE_ATTEMPTS = 3;
+// The index on owner that lists the cards in each sort order of the listing, by the attribute sortAttributes sets
+const SORT_INDEXES = {
+  set: 'owner-sort_set-index',
+  name: 'owner-sort_name-index',
+  price: 'owner-sort_price-index',
+  added: 'owner-sort_added-index'
+};
+
+// Cards are stored under "<owner>#<set>:<number>"; outside this module CardId stays "<set>:<number>"
+function storageKey(owner, cardId) {
+  return `${owner}#${cardId}`;
+}
+
+// Notes stored as one legacy string are read as note entries, and finishes without lots as one lot;
+// the migrated finishes are stored on the next write. The sort attributes stay in storage.
+function fromStored({ sort_set, sort_name, sort_price, sort_added, ...item }) {
+  return {
+    ...item,
+    CardId: item.CardId.slice(item.CardId.indexOf('#') + 1),
+    finishes: normalizeFinishes(item.finishes, printingLanguage(item.scryfall))
+  };
+}
+
+// Helper to build the attributes the listing sorts by, so every stored card is in every sort index.
+// Sets sort by collector number as a number (numbers without digits last), cards without a price as if
+// they cost 0 and cards stored before added_at was kept as if added first.
+function sortAttributes(card) {
+  const scryfall = card.scryfall || {};
+  const [setCode, cardNumber] = card.CardId.split(':');
+  const number = parseInt(cardNumber, 10);
+  return {
+    sort_set: `${setCode}#${Number.isNaN(number) ? '~' : String(number).padStart(6, '0')}#${cardNumber}`,
+    sort_name: String(scryfall.name || card.CardId).toLowerCase(),
+    sort_price: getCardPrice(card) || 0,
+    sort_added: card.added_at || 0
+  };
+}
+
+// Every card write bumps the version and only succeeds if the stored card still has the version the
+// written card was read with. A card without a version must be new (or stored before cards had versions).
+function toStored(owner, card) {
+  return { ...card, ...sortAttributes(card), CardId: storageKey(owner, card.CardId), owner, version: (card.version || 0) + 1 };
+}
+
+// The condition for writing or deleting a card read earlier: it must not have changed since
+function expectVersion(card) {
+  return { version: card && card.version ? card.version : null };
+}
+
+// Helper to add a card write to the history and tell the webhooks of the owner about it
+async function recordWrite(owner, before, after, context) {
+  const event = await recordChange(owner, before, after, context);
+  if (event) await publishCardChange(event, after || before);
+}
+
+// Returns the cards store scoped to one owner, with the same get/put/delete/transact interface.
+// transact takes writes to other stores ([{ store, put | delete, condition }]) as a second argument, made in
+// the same transaction as the card writes.
+// Every write that changes amounts or notes is added to the card history, with the given context
+// ({ user, source }) saying who made it and how, and published to the webhooks of the owner.
+function getCollection(owner, context = {}) {
+  const get = async (cardId) => {
+    const item = await cards.get(storageKey(owner, cardId));
+    return item ? fromStored(item) : undefined;
+  };
+  return {
+    owner,
+    get,
+    // Resolves with the card as stored, including its new version
+    async put(card, options = {}) {
+      const previous = await get(card.CardId);
+      const stored = toStored(owner, card);
+      await cards.put(stored, { condition: { ...expectVersion(card), ...options.condition } });
+      await recordWrite(owner, previous, fromStored(stored), context);
+      return fromStored(stored);
+    },
+    async delete(cardId, options) {
+      const previous = await get(cardId);
+      await cards.delete(storageKey(owner, cardId), options);
+      if (previous) await recordWrite(owner, previous, null, context);
+    },
+    async transact(writes, otherWrites = []) {
+      const previous = await Promise.all(writes.map(write => get(write.put ? write.put.CardId : write.delete)));
+      const stored = writes.map(write => (write.put
+        ? { put: toStored(owner, write.put), condition: { ...expectVersion(write.put), ...write.condition } }
+        : { delete: storageKey(owner, write.delete), condition: write.condition }));
+      await transact([...stored.map(write => ({ ...write, store: cards })), ...otherWrites]);
+      await Promise.all(stored.map((write, i) => (write.put || previous[i]
+        ? recordWrite(owner, previous[i], write.put ? fromStored(write.put) : null, context)
+        : null)));
+    },
+    // Returns a page of the owner's cards in CardId order, or in a sort order of SORT_INDEXES ('asc' or
+    // 'desc'), with the cursor of the next page. A cursor only continues the order it was read in.
+    async list({ sort, order, limit, cursor } = {}) {
+      const page = await cards.query(sort ? SORT_INDEXES[sort] : 'owner-index', owner, { order, limit, cursor });
+      return { items: page.items.map(fromStored), cursor: page.cursor };
+    },
+    // Returns the list cursor that continues after a card read with list, in the same sort order
+    cursorAfter(card, { sort } = {}) {
+      return cards.cursorAfter(sort ? SORT_INDEXES[sort] : 'owner-index', toStored(owner, card));
+    },
+    async listAll() {
+      return (await queryAll(cards, 'owner-index', owner)).map(fromStored);
+    }
+  };
+}
+
+// Runs a read-modify-write, trying again on fresh data when another write got in between.
+// The attempt must read the cards it writes itself. Rethrows the ConditionFailedError if every attempt conflicts.
+async function retryOnConflict(attempt) {
+  for (let i = 1; ; i++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (!(err instanceof ConditionFailedError) || i >= WRITE_ATTEMPTS) throw err;
+    }
+  }
+}
+
+module.exports = { getCollection, storageKey, toStored, expectVersion, retryOnConflict, SORT_INDEXES };
@@ -0,0 +1,97 @@
+const { formatCsvRow } = require('./csv');
+const { notesToText } = require('./finishes');
+const { CONDITION_NAMES, LANGUAGES, normalizeLots } = require('./lots');
+
+// Helper to list the finishes of a card that are in stock, with the card's Scryfall details
+function stockedFinishes(card) {
+  const scryfall = card.scryfall || {};
+  const [setCode, cardNumber] = card.CardId.split(':');
+  return (card.finishes || [])
+    .filter(f => Number(f.amount) > 0)
+    .map(f => ({
+      CardId: card.CardId,
+      name: scryfall.name || '',
+      setCode: scryfall.set || setCode,
+      setName: scryfall.set_name || '',
+      collectorNumber: scryfall.collector_number || cardNumber,
+      finish: f.finish,
+      amount: Number(f.amount),
+      notes: notesToText(f.notes),
+      lots: normalizeLots(f)
+    }));
+}
+
+// Helper to list the lots of a card that are in stock, for formats with a row per condition and language
+function stockedLots(card) {
+  return stockedFinishes(card).flatMap(f => f.lots.map(lot => ({
+    ...f,
+    ...lot,
+    amount: Number(lot.amount),
+    conditionName: CONDITION_NAMES[lot.condition] || CONDITION_NAMES.NM,
+    languageName: LANGUAGES[lot.language] || lot.language
+  })));
+}
+
+// Each format writes an optional header, the lines for one card, and an optional footer
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => formatCsvRow(['CardId', 'Name', 'Set', 'Collector Number', 'Finish', 'Amount', 'Notes']),
+    card: card => stockedFinishes(card)
+      .map(f => formatCsvRow([f.CardId, f.name, f.setCode, f.collectorNumber, f.finish, f.amount, f.notes]))
+      .join('')
+  },
+  txt: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    card: card => stockedFinishes(card)
+      .map(f => {
+        const marker = { foil: ' *F*', etched: ' *E*' }[f.finish] || '';
+        return `${f.amount} ${f.name} (${f.setCode.toUpperCase()}) ${f.collectorNumber}${marker}\n`;
+      })
+      .join('')
+  },
+  moxfield: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => formatCsvRow(['Count', 'Tradelist Count', 'Name', 'Edition', 'Condition', 'Language', 'Foil', 'Tags', 'Last Modified', 'Collector Number', 'Alter', 'Proxy', 'Purchase Price']),
+    card: card => stockedLots(card)
+      .map(f => formatCsvRow([
+        f.amount, f.amount, f.name, f.setCode, f.conditionName, f.languageName,
+        f.finish === 'nonfoil' ? '' : f.finish, '', '', f.collectorNumber, f.altered ? 'True' : 'False', 'False',
+        f.acquisitionPrice === null ? '' : f.acquisitionPrice
+      ]))
+      .join('')
+  },
+  deckbox: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: () => formatCsvRow(['Count', 'Tradelist Count', 'Name', 'Edition', 'Card Number', 'Condition', 'Language', 'Foil', 'Signed', 'Artist Proof', 'Altered Art', 'Misprint', 'Promo', 'Textless', 'My Price']),
+    card: card => stockedLots(card)
+      .map(f => formatCsvRow([
+        f.amount, f.amount, f.name, f.setName, f.collectorNumber, f.conditionName, f.languageName,
+        f.finish === 'nonfoil' ? '' : 'foil', f.signed ? 'signed' : '', '', f.altered ? 'altered' : '', '', '', '', ''
+      ]))
+      .join('')
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: () => '[',
+    card: (card, index) => {
+      const scryfall = card.scryfall || {};
+      const entry = {
+        CardId: card.CardId,
+        name: scryfall.name,
+        set: scryfall.set,
+        collector_number: scryfall.collector_number,
+        finishes: (card.finishes || []).map(f => ({ finish: f.finish, amount: f.amount, notes: f.notes, lots: f.lots }))
+      };
+      return (index > 0 ? ',\n' : '\n') + JSON.stringify(entry);
+    },
+    footer: () => '\n]\n'
+  }
+};
+
+module.exports = { EXPORT_FORMATS };
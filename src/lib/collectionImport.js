@@ -0,0 +1,123 @@
+const { parseCsv } = require('./csv');
+
+// Column names (lowercased CSV headers) per supported CSV export
+const CSV_FORMATS = {
+  moxfield: {
+    detect: headers => headers.includes('tradelist count') && headers.includes('collector number'),
+    columns: { quantity: 'count', name: 'name', setCode: 'edition', collectorNumber: 'collector number', finish: 'foil' }
+  },
+  deckbox: {
+    detect: headers => headers.includes('tradelist count') && headers.includes('card number'),
+    columns: { quantity: 'count', name: 'name', setName: 'edition', setCode: 'edition code', collectorNumber: 'card number', finish: 'foil' }
+  },
+  manabox: {
+    detect: headers => headers.includes('manabox id') || (headers.includes('set code') && headers.includes('scryfall id')),
+    columns: { quantity: 'quantity', name: 'name', setCode: 'set code', setName: 'set name', collectorNumber: 'collector number', finish: 'foil', scryfallId: 'scryfall id' }
+  },
+  tcgplayer: {
+    detect: headers => headers.includes('printing') && headers.includes('product id'),
+    columns: { quantity: 'quantity', name: 'name', setCode: 'set code', setName: 'set', collectorNumber: 'card number', finish: 'printing' }
+  }
+};
+const FORMATS = ['auto', 'text', ...Object.keys(CSV_FORMATS)];
+
+// The foil column values used by the supported exports, mapped to Scryfall finishes
+const FINISH_ALIASES = {
+  '': 'nonfoil', normal: 'nonfoil', nonfoil: 'nonfoil', 'non-foil': 'nonfoil', no: 'nonfoil', false: 'nonfoil',
+  foil: 'foil', yes: 'foil', true: 'foil',
+  etched: 'etched', 'foil etched': 'etched', 'etched foil': 'etched'
+};
+
+// Decklist lines: "4 Thoughtseize (THS) 107 *F*", "4x Thoughtseize", "1 Sol Ring (CMR) 472 *E*"
+const TEXT_LINE = /^(\d+)x?\s+(.+?)(?:\s+\(([a-z0-9]+)\)(?:\s+([^\s*]+))?)?(?:\s+\*([fe])\*)?$/i;
+const TEXT_SKIP = /^(\/\/|#)|^(deck|sideboard|commander|companion|maybeboard)$/i;
+
+function normalizeFinish(value) {
+  const key = String(value || '').trim().toLowerCase();
+  return key in FINISH_ALIASES ? FINISH_ALIASES[key] : key;
+}
+
+// Helper to tell CSV from decklist text by looking for a known header row
+function detectFormat(content) {
+  const [headers] = parseCsv(content.split(/\r?\n/, 1)[0]);
+  const normalized = (headers || []).map(h => h.trim().toLowerCase());
+  for (const [format, { detect }] of Object.entries(CSV_FORMATS)) {
+    if (detect(normalized)) return format;
+  }
+  return 'text';
+}
+
+function parseTextLines(content) {
+  const entries = [];
+  const unrecognized = [];
+  content.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || TEXT_SKIP.test(line)) return;
+    const match = line.match(TEXT_LINE);
+    if (!match) {
+      unrecognized.push({ lineNumber: i + 1, line, reason: 'Unrecognized line' });
+      return;
+    }
+    const [, quantity, name, setCode, collectorNumber, marker] = match;
+    entries.push({
+      lineNumber: i + 1,
+      line,
+      quantity: Number(quantity),
+      name,
+      setCode: setCode ? setCode.toLowerCase() : null,
+      collectorNumber: collectorNumber || null,
+      finish: marker ? { f: 'foil', e: 'etched' }[marker.toLowerCase()] : 'nonfoil'
+    });
+  });
+  return { entries, unrecognized };
+}
+
+function parseCsvLines(content, format) {
+  const [headerRow, ...rows] = parseCsv(content);
+  if (!headerRow) return { entries: [], unrecognized: [] };
+  const headers = headerRow.map(h => h.trim().toLowerCase());
+  const { columns } = CSV_FORMATS[format];
+  const read = (row, field) => {
+    const index = columns[field] ? headers.indexOf(columns[field]) : -1;
+    return index === -1 || row[index] === undefined ? null : row[index].trim() || null;
+  };
+
+  const entries = [];
+  const unrecognized = [];
+  rows.forEach((row, i) => {
+    // Line numbers count the header row, matching what a spreadsheet shows
+    const lineNumber = i + 2;
+    const line = row.join(',');
+    const quantity = Number(read(row, 'quantity'));
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      unrecognized.push({ lineNumber, line, reason: 'Invalid quantity' });
+      return;
+    }
+    entries.push({
+      lineNumber,
+      line,
+      quantity,
+      name: read(row, 'name'),
+      setCode: read(row, 'setCode') ? read(row, 'setCode').toLowerCase() : null,
+      setName: read(row, 'setName'),
+      collectorNumber: read(row, 'collectorNumber'),
+      scryfallId: read(row, 'scryfallId'),
+      finish: normalizeFinish(read(row, 'finish'))
+    });
+  });
+  return { entries, unrecognized };
+}
+
+// Parses an exported collection into entries to resolve against Scryfall.
+// Returns { format, entries, unrecognized }, or { error } for an unknown format.
+function parseCollection(content, format = 'auto') {
+  if (!FORMATS.includes(format)) {
+    return { error: `Invalid format "${format}", expected one of ${FORMATS.join(', ')}` };
+  }
+  const text = String(content || '');
+  const resolvedFormat = format === 'auto' ? detectFormat(text) : format;
+  const parsed = resolvedFormat === 'text' ? parseTextLines(text) : parseCsvLines(text, resolvedFormat);
+  return { format: resolvedFormat, ...parsed };
+}
+
+module.exports = { FORMATS, parseCollection };
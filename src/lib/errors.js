@@ -0,0 +1,87 @@
+const { STATUS_CODES } = require('http');
+
+// Errors with an HTTP status. The error handler turns them into RFC 7807 problem details; detail is
+// the message shown to the client and extensions are extra members of the problem, e.g. { etag }.
+class HttpError extends Error {
+  constructor(status, detail, extensions = {}) {
+    super(detail || STATUS_CODES[status]);
+    this.name = 'HttpError';
+    this.status = status;
+    this.extensions = extensions;
+  }
+}
+
+// The request is malformed or breaks a rule, e.g. an unknown finish
+class ValidationError extends HttpError {
+  constructor(detail, extensions) {
+    super(400, detail, extensions);
+    this.name = 'ValidationError';
+  }
+}
+
+// No or an invalid login
+class UnauthorizedError extends HttpError {
+  constructor(detail = 'Authentication required', extensions) {
+    super(401, detail, extensions);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// Logged in, but not allowed to do this
+class ForbiddenError extends HttpError {
+  constructor(detail = 'Forbidden', extensions) {
+    super(403, detail, extensions);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(detail = 'Not found', extensions) {
+    super(404, detail, extensions);
+    this.name = 'NotFoundError';
+  }
+}
+
+// The request clashes with the current state, e.g. a card that kept changing or a trade in the wrong status
+class ConflictError extends HttpError {
+  constructor(detail, extensions) {
+    super(409, detail, extensions);
+    this.name = 'ConflictError';
+  }
+}
+
+// If-Match did not match
+class PreconditionFailedError extends HttpError {
+  constructor(detail, extensions) {
+    super(412, detail, extensions);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+// The resource existed but is no longer available, e.g. an expired or revoked share link
+class GoneError extends HttpError {
+  constructor(detail, extensions) {
+    super(410, detail, extensions);
+    this.name = 'GoneError';
+  }
+}
+
+// A service the request depends on, like Scryfall, cannot be reached
+class UpstreamUnavailableError extends HttpError {
+  constructor(detail = 'A service this request depends on is unavailable, try again later', extensions) {
+    super(503, detail, extensions);
+    this.name = 'UpstreamUnavailableError';
+  }
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  GoneError,
+  UpstreamUnavailableError
+};
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const {
+  readLot, validateLot, hasLotFields, normalizeLots, totalAmount, addToLots, setInLots, takeFromLots, adjustLots
+} = require('./lots');
+
+// Notes used to be one string per finish: "2024-01-31 13:37 note" entries joined by newlines
+const LEGACY_NOTE = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}) ?(.*)$/;
+
+// Helper to format a note timestamp the way notes used to be stored, e.g. "2024-01-31 13:37"
+function formatNoteTime(at) {
+  return new Date(at).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function createNote(text, author, now = Date.now()) {
+  return { id: crypto.randomUUID(), at: now, author: author || null, text: String(text) };
+}
+
+// Turns a legacy notes string into note entries. The ids are derived from the lines, so they stay the
+// same on every read until the card is written with the entries.
+function parseLegacyNotes(notes) {
+  return notes.split('\n').filter(line => line.trim()).map((line, i) => {
+    const match = line.match(LEGACY_NOTE);
+    return {
+      id: crypto.createHash('sha1').update(`${i}:${line}`).digest('hex').slice(0, 16),
+      at: match ? Date.parse(`${match[1]}T${match[2]}:00Z`) : null,
+      author: null,
+      text: match ? match[3] : line
+    };
+  });
+}
+
+// Returns the notes of a finish as a list of { id, at, author, text } entries, migrating a legacy string
+function normalizeNotes(notes) {
+  if (Array.isArray(notes)) return notes;
+  return typeof notes === 'string' && notes ? parseLegacyNotes(notes) : [];
+}
+
+// Returns finishes with note entries and lots, migrating finishes stored before either existed.
+// The amount of a finish is always the total of its lots.
+function normalizeFinishes(finishes, language = 'en') {
+  return (Array.isArray(finishes) ? finishes : []).map(f => {
+    const lots = normalizeLots(f, language);
+    return { ...f, amount: totalAmount(lots), notes: normalizeNotes(f.notes), lots };
+  });
+}
+
+// Returns finishes without what only the owner may see: the notes and the acquisition prices of the lots
+function withoutPrivateFields(finishes) {
+  return (Array.isArray(finishes) ? finishes : []).map(f => ({
+    ...f,
+    notes: [],
+    lots: normalizeLots(f).map(lot => ({ ...lot, acquisitionPrice: null }))
+  }));
+}
+
+// Helper to write notes as text for exports and search, one "2024-01-31 13:37 note" line per entry
+function notesToText(notes) {
+  return normalizeNotes(notes).map(note => (note.at ? `${formatNoteTime(note.at)} ${note.text}` : note.text)).join('\n');
+}
+
+// Helper to copy existing finishes into a map by finish, so they can be changed without touching the input
+function toFinishMap(existingFinishes, language) {
+  const finishMap = {};
+  for (const f of normalizeFinishes(existingFinishes, language)) {
+    finishMap[f.finish] = { ...f };
+  }
+  return finishMap;
+}
+
+function getOrAddFinish(finishMap, finish) {
+  if (!finishMap[finish]) finishMap[finish] = { finish, amount: 0, notes: [], lots: [] };
+  return finishMap[finish];
+}
+
+// Adds posted finishes to existing ones: copies are added to the lot the posted attributes name, and a
+// posted note is added as a new entry by author. Copies without a language are in `language`, the
+// language of the printing. Returns a new finishes array; the inputs are left untouched.
+function addFinishes(existingFinishes, postedFinishes, { author = null, language = 'en' } = {}) {
+  const finishMap = toFinishMap(existingFinishes, language);
+
+  for (const posted of postedFinishes) {
+    const finish = getOrAddFinish(finishMap, posted.finish);
+    finish.lots = addToLots(finish.lots, readLot(posted, language), Number(posted.amount));
+    finish.amount = totalAmount(finish.lots);
+    if (posted.notes) finish.notes = [...finish.notes, createNote(posted.notes, author)];
+  }
+
+  return Object.values(finishMap);
+}
+
+// Sets posted finishes on existing ones, the way patch() does: the amount of the lot the posted attributes
+// name is replaced and a posted note is added as a new entry. Lots and finishes set to 0 are removed.
+// Returns a new finishes array.
+function setFinishes(existingFinishes, postedFinishes, { author = null, language = 'en' } = {}) {
+  const finishMap = toFinishMap(existingFinishes, language);
+
+  for (const posted of postedFinishes) {
+    const finish = getOrAddFinish(finishMap, posted.finish);
+    finish.lots = setInLots(finish.lots, readLot(posted, language), Number(posted.amount));
+    finish.amount = totalAmount(finish.lots);
+    if (posted.notes) finish.notes = [...finish.notes, createNote(posted.notes, author)];
+  }
+
+  return Object.values(finishMap).filter(f => f.amount > 0);
+}
+
+// Checks posted finishes against the finishes Scryfall lists for the card.
+// Returns an error message for the first invalid finish, amount or lot attribute, or null.
+function validateFinishes(postedFinishes, validFinishes, cardId) {
+  for (const finishObj of postedFinishes) {
+    if (!finishObj || !finishObj.finish || !validFinishes.includes(finishObj.finish)) {
+      return `The finish "${finishObj && finishObj.finish}" does not exist for card ${cardId}`;
+    }
+    if (!Number.isInteger(Number(finishObj.amount)) || Number(finishObj.amount) < 0) {
+      return `Invalid amount for finish "${finishObj.finish}"`;
+    }
+    if (finishObj.notes !== undefined && finishObj.notes !== null && typeof finishObj.notes !== 'string') {
+      return `notes for finish "${finishObj.finish}" must be a string; edit single notes through the notes endpoints`;
+    }
+    const lotError = validateLot(finishObj);
+    if (lotError) return lotError;
+  }
+  return null;
+}
+
+// Takes amounts away from existing finishes. A removed finish with lot attributes only takes copies from
+// that lot; otherwise copies are taken from the lots in order. Finishes that reach 0 are removed.
+// Returns { finishes, shortages }, where shortages lists finishes without enough copies.
+function subtractFinishes(existingFinishes, removedFinishes, { language = 'en' } = {}) {
+  const finishMap = toFinishMap(existingFinishes, language);
+
+  const shortages = [];
+  for (const removed of removedFinishes) {
+    const finish = finishMap[removed.finish];
+    const lot = hasLotFields(removed) ? readLot(removed, language) : null;
+    const { lots, available } = takeFromLots(finish ? finish.lots : [], lot, Number(removed.amount));
+    if (!lots) {
+      shortages.push({ finish: removed.finish, requested: Number(removed.amount), available });
+      continue;
+    }
+    finish.lots = lots;
+    finish.amount = totalAmount(lots);
+  }
+
+  return {
+    finishes: Object.values(finishMap).filter(f => f.amount > 0),
+    shortages
+  };
+}
+
+// Sets the total amount of a finish, adding copies to its first lot or taking them from its last.
+// Used where only the amount of a finish is known, like when a change in the history is reverted.
+function setFinishAmount(finish, amount, language = 'en') {
+  const lots = adjustLots(normalizeLots(finish, language), amount, language);
+  return { ...finish, lots, amount: totalAmount(lots) };
+}
+
+module.exports = {
+  createNote,
+  normalizeNotes,
+  normalizeFinishes,
+  withoutPrivateFields,
+  notesToText,
+  addFinishes,
+  setFinishes,
+  subtractFinishes,
+  setFinishAmount,
+  validateFinishes
+};
@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const { getStore, STORE_NAMES } = require('../storage');
+const { getPublicKey, getPrivateKey } = require('./keys');
+const log = require('./logger');
+
+// A check that does not answer within this time has failed
+const CHECK_TIMEOUT_MS = 3000;
+
+// A failed check whose message is safe to show; other errors are only shown by name, as their
+// messages can name tables, ARNs or accounts
+class HealthCheckError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HealthCheckError';
+  }
+}
+
+// Every store answers a read, of a key that does not exist
+async function checkStorage() {
+  await Promise.all(STORE_NAMES.map(async name => {
+    try {
+      await getStore(name).get('__health__');
+    } catch (err) {
+      log.warn('Storage health check failed', { store: name, error: err });
+      throw new HealthCheckError(`The ${name} store failed: ${err.name}`);
+    }
+  }));
+}
+
+// The token keys are configured and can be read, and a token signed with the private key passes the public one
+async function checkKeys() {
+  for (const name of ['JWT_PUBLIC_KEY_SECRET_ARN', 'JWT_PRIVATE_KEY_SECRET_ARN']) {
+    if (!process.env[name]) throw new HealthCheckError(`${name} is not set`);
+  }
+  const [publicKey, privateKey] = await Promise.all([getPublicKey(), getPrivateKey()]);
+  const token = jwt.sign({ health: true }, privateKey, { algorithm: 'RS256', expiresIn: 60 });
+  try {
+    jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+  } catch (err) {
+    throw new HealthCheckError('The public key does not match the private key');
+  }
+}
+
+const CHECKS = { storage: checkStorage, keys: checkKeys };
+
+// Helper to run a check; resolves with { status: 'ok' | 'error', durationMs, error? }
+async function runCheck(name, check) {
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new HealthCheckError(`No answer within ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', durationMs: Date.now() - start };
+  } catch (err) {
+    log.warn('Health check failed', { check: name, error: err });
+    return { status: 'error', durationMs: Date.now() - start, error: err instanceof HealthCheckError ? err.message : err.name };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Runs every check. Resolves with { status, checks: { [name]: result } }; status is 'ok' if every check passed.
+async function getHealth() {
+  const names = Object.keys(CHECKS);
+  const results = await Promise.all(names.map(name => runCheck(name, CHECKS[name])));
+  const checks = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+  return {
+    status: results.every(result => result.status === 'ok') ? 'ok' : 'error',
+    checks
+  };
+}
+
+module.exports = { getHealth };
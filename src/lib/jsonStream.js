@@ -0,0 +1,43 @@
+const { StringDecoder } = require('string_decoder');
+
+// Yields the elements of a JSON array read from a stream one at a time, so a document of hundreds of
+// megabytes never has to be in memory at once. The elements must be objects or arrays.
+async function* parseJsonArray(readable) {
+  const decoder = new StringDecoder('utf8');
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  // The text of the element being read that came in earlier chunks
+  let pending = '';
+
+  for await (const chunk of readable) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    let start = depth >= 2 ? 0 : -1;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === '\\') escaped = true;
+        else if (c === '"') inString = false;
+        continue;
+      }
+      if (c === '"') {
+        inString = true;
+      } else if (c === '{' || c === '[') {
+        depth++;
+        if (depth === 2) start = i;
+      } else if (c === '}' || c === ']') {
+        depth--;
+        if (depth === 1) {
+          yield JSON.parse(pending + text.slice(start, i + 1));
+          pending = '';
+          start = -1;
+        }
+      }
+    }
+    if (start !== -1) pending += text.slice(start);
+  }
+  if (depth !== 0) throw new Error('The JSON array ended early');
+}
+
+module.exports = { parseJsonArray };
@@ -0,0 +1,30 @@
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+
+// The RS256 key pair of the access tokens, kept in AWS Secrets Manager under the ARNs in
+// JWT_PUBLIC_KEY_SECRET_ARN and JWT_PRIVATE_KEY_SECRET_ARN. Each secret is fetched once per process.
+const cache = {};
+
+async function getSecret(arn) {
+  if (!arn) throw new Error('The secret ARN is not configured');
+  if (!cache[arn]) {
+    const client = new SecretsManagerClient({ region: 'eu-central-1' });
+    cache[arn] = client.send(new GetSecretValueCommand({ SecretId: arn }))
+      .then(response => response.SecretString)
+      // A failed fetch is tried again next time
+      .catch(err => {
+        delete cache[arn];
+        throw err;
+      });
+  }
+  return cache[arn];
+}
+
+function getPublicKey() {
+  return getSecret(process.env.JWT_PUBLIC_KEY_SECRET_ARN);
+}
+
+function getPrivateKey() {
+  return getSecret(process.env.JWT_PRIVATE_KEY_SECRET_ARN);
+}
+
+module.exports = { getPublicKey, getPrivateKey };
@@ -0,0 +1,48 @@
+// Structured logger: every entry is one line of JSON, { time, level, message, ...fields }, which CloudWatch
+// can filter on. Entries written while handling a request carry its requestId (see runWithContext).
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn, error or silent.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+
+function threshold() {
+  const level = String(process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] ?? LEVELS.info;
+}
+
+// Helper to make a field JSON friendly; errors keep their name, message, status and stack
+function serialize(value) {
+  if (!(value instanceof Error)) return value;
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.status !== undefined ? { status: value.status } : {}),
+    ...(value.code !== undefined ? { code: value.code } : {}),
+    stack: value.stack
+  };
+}
+
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+  const entry = { time: new Date().toISOString(), level, message, ...context.getStore() };
+  for (const [name, value] of Object.entries(fields)) entry[name] = serialize(value);
+  const line = JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+// Runs fn with fields (e.g. { requestId }) added to every entry logged until it, and everything it
+// starts, is done
+function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  runWithContext
+};
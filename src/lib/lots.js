@@ -0,0 +1,170 @@
+// The copies of a finish are kept in lots: copies that share condition, language and the
+// signed/altered/graded flags. The amount of a finish is the total of its lots.
+
+const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+const CONDITION_NAMES = {
+  NM: 'Near Mint',
+  LP: 'Lightly Played',
+  MP: 'Moderately Played',
+  HP: 'Heavily Played',
+  DMG: 'Damaged'
+};
+// The language codes Scryfall uses
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  ru: 'Russian',
+  zhs: 'Chinese Simplified',
+  zht: 'Chinese Traditional',
+  he: 'Hebrew',
+  la: 'Latin',
+  grc: 'Ancient Greek',
+  ar: 'Arabic',
+  sa: 'Sanskrit',
+  ph: 'Phyrexian'
+};
+const FLAGS = ['signed', 'altered', 'graded'];
+// The attributes a posted finish may carry to say which lot it is about
+const LOT_FIELDS = ['condition', 'language', ...FLAGS, 'acquisitionPrice'];
+
+// Helper to get the language of a printing, which copies have unless another language is given
+function printingLanguage(scryfall) {
+  return (scryfall && scryfall.lang) || 'en';
+}
+
+// Helper to read the lot a posted finish is about, with defaults for the attributes not given.
+// Copies without a language are in the language of the printing.
+function readLot(posted, defaultLanguage = 'en') {
+  const lot = {
+    condition: posted.condition ? String(posted.condition).toUpperCase() : 'NM',
+    language: posted.language ? String(posted.language).toLowerCase() : defaultLanguage
+  };
+  for (const flag of FLAGS) lot[flag] = posted[flag] === true;
+  lot.acquisitionPrice = posted.acquisitionPrice === undefined || posted.acquisitionPrice === null
+    ? null
+    : Number(posted.acquisitionPrice);
+  return lot;
+}
+
+// Checks the lot attributes of a posted finish. Returns an error message or null.
+// Languages are only checked for being known here; cards.validateLanguages checks them against Scryfall.
+function validateLot(posted) {
+  if (posted.condition !== undefined && !CONDITIONS.includes(String(posted.condition).toUpperCase())) {
+    return `Invalid condition "${posted.condition}" for finish "${posted.finish}", expected one of ${CONDITIONS.join(', ')}`;
+  }
+  if (posted.language !== undefined && !LANGUAGES[String(posted.language).toLowerCase()]) {
+    return `Invalid language "${posted.language}" for finish "${posted.finish}", expected one of ${Object.keys(LANGUAGES).join(', ')}`;
+  }
+  for (const flag of FLAGS) {
+    if (posted[flag] !== undefined && typeof posted[flag] !== 'boolean') {
+      return `${flag} for finish "${posted.finish}" must be true or false`;
+    }
+  }
+  if (posted.acquisitionPrice !== undefined && posted.acquisitionPrice !== null
+    && (Number.isNaN(Number(posted.acquisitionPrice)) || Number(posted.acquisitionPrice) < 0)) {
+    return `acquisitionPrice for finish "${posted.finish}" must be a non-negative number or null`;
+  }
+  return null;
+}
+
+// Helper to check whether a posted finish names any lot attribute
+function hasLotFields(posted) {
+  return LOT_FIELDS.some(field => posted[field] !== undefined);
+}
+
+// Two lots hold the same kind of copies if everything but the amount and acquisition price matches
+function sameLot(a, b) {
+  return a.condition === b.condition && a.language === b.language && FLAGS.every(flag => Boolean(a[flag]) === Boolean(b[flag]));
+}
+
+// Helper to average the acquisition price of copies added to a lot with the price of the copies it has
+function mergePrice(lot, amount, price) {
+  if (price === null) return lot.acquisitionPrice;
+  if (lot.acquisitionPrice === null || lot.amount === 0) return price;
+  return Math.round(((lot.acquisitionPrice * lot.amount + price * amount) / (lot.amount + amount)) * 100) / 100;
+}
+
+// Returns the lots of a stored finish. Finishes stored before lots existed hold one lot of
+// near-mint copies in the language of the printing.
+function normalizeLots(finish, defaultLanguage = 'en') {
+  if (Array.isArray(finish.lots)) return finish.lots;
+  const amount = Number(finish.amount) || 0;
+  return amount > 0 ? [{ ...readLot({}, defaultLanguage), amount }] : [];
+}
+
+function totalAmount(lots) {
+  return lots.reduce((total, lot) => total + lot.amount, 0);
+}
+
+// Adds copies to the matching lot, or starts a new one. Returns a new lots array.
+function addToLots(lots, lot, amount) {
+  const existing = lots.find(l => sameLot(l, lot));
+  if (!existing) return amount > 0 ? [...lots, { ...lot, amount }] : lots;
+  return lots.map(l => (l === existing
+    ? { ...l, acquisitionPrice: mergePrice(l, amount, lot.acquisitionPrice), amount: l.amount + amount }
+    : l));
+}
+
+// Sets the amount of the matching lot; a lot set to 0 is removed. Returns a new lots array.
+function setInLots(lots, lot, amount) {
+  const existing = lots.find(l => sameLot(l, lot));
+  if (!existing) return amount > 0 ? [...lots, { ...lot, amount }] : lots;
+  if (amount === 0) return lots.filter(l => l !== existing);
+  return lots.map(l => (l === existing
+    ? { ...l, amount, acquisitionPrice: lot.acquisitionPrice === null ? l.acquisitionPrice : lot.acquisitionPrice }
+    : l));
+}
+
+// Takes copies from the lots matching `lot` (any lot if null), in the order they are stored.
+// Returns { lots, available }; lots is null if there are fewer than amount copies available.
+function takeFromLots(lots, lot, amount) {
+  const matches = l => !lot || sameLot(l, lot);
+  const available = totalAmount(lots.filter(matches));
+  if (available < amount) return { lots: null, available };
+  let left = amount;
+  const result = lots.map(l => {
+    if (!matches(l) || left === 0) return l;
+    const taken = Math.min(l.amount, left);
+    left -= taken;
+    return { ...l, amount: l.amount - taken };
+  });
+  return { lots: result.filter(l => l.amount > 0), available };
+}
+
+// Changes the total of a set of lots to amount: copies are added to the first lot and removed from the last
+function adjustLots(lots, amount, defaultLanguage = 'en') {
+  const difference = amount - totalAmount(lots);
+  if (difference > 0) {
+    return lots.length > 0
+      ? lots.map((l, i) => (i === 0 ? { ...l, amount: l.amount + difference } : l))
+      : [{ ...readLot({}, defaultLanguage), amount }];
+  }
+  let left = -difference;
+  return lots.slice().reverse().map(l => {
+    const taken = Math.min(l.amount, left);
+    left -= taken;
+    return { ...l, amount: l.amount - taken };
+  }).reverse().filter(l => l.amount > 0);
+}
+
+module.exports = {
+  CONDITIONS,
+  CONDITION_NAMES,
+  LANGUAGES,
+  printingLanguage,
+  readLot,
+  validateLot,
+  hasLotFields,
+  normalizeLots,
+  totalAmount,
+  addToLots,
+  setInLots,
+  takeFromLots,
+  adjustLots
+};
@@ -0,0 +1,23 @@
+// Counters of what the app does, kept in memory per process (so per Lambda instance) and reset when it
+// starts. The names in use:
+//   scryfall.requests   requests sent to Scryfall, retries included
+//   scryfall.failures   requests given up on because Scryfall could not be reached
+//   scryfall.ttl.hit    writes and lookups that used the Scryfall data stored on a card (scryfall_ttl not passed)
+//   scryfall.ttl.miss   the same, when the data had expired and was fetched again
+//   storage.errors      storage calls that failed, other than failed conditions
+const counters = new Map();
+const startedAt = Date.now();
+
+function increment(name, by = 1) {
+  counters.set(name, (counters.get(name) || 0) + by);
+}
+
+// Returns { since, counters: { [name]: count } }, since being when counting started
+function getMetrics() {
+  return {
+    since: new Date(startedAt).toISOString(),
+    counters: Object.fromEntries([...counters.entries()].sort(([a], [b]) => a.localeCompare(b)))
+  };
+}
+
+module.exports = { increment, getMetrics };
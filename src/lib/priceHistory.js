@@ -0,0 +1,129 @@
+const { getStore, queryAll, ConditionFailedError } = require('../storage');
+const { PRICE_FIELDS } = require('./prices');
+const { getCollection } = require('./collection');
+const { priceSubscriptions, publish } = require('./webhooks');
+const log = require('./logger');
+
+const snapshots = getStore('priceSnapshots');
+// The Scryfall price fields a snapshot keeps
+const SNAPSHOT_FIELDS = ['usd', 'usd_foil', 'usd_etched', 'eur', 'eur_foil'];
+// How many cards listPriceSnapshots reads the history of at once
+const READ_CONCURRENCY = 25;
+
+// A card has one snapshot per day, so its history grows by at most one small item a day
+function snapshotId(cardId, time) {
+  return `${cardId}#${new Date(time).toISOString().slice(0, 10)}`;
+}
+
+// Helper to get the latest snapshot of a card, or undefined
+async function lastSnapshot(cardId) {
+  const { items } = await snapshots.query('CardId-recorded_at-index', cardId, { order: 'desc', limit: 1 });
+  return items[0];
+}
+
+// Helper to get the snapshots of a card, oldest first, as { recorded_at, ...prices }
+async function cardSnapshots(cardId) {
+  const items = await queryAll(snapshots, 'CardId-recorded_at-index', cardId);
+  return items.map(({ recorded_at, ...item }) => {
+    const snapshot = { recorded_at };
+    for (const field of SNAPSHOT_FIELDS) snapshot[field] = item[field];
+    return snapshot;
+  });
+}
+
+function toSnapshot(scryfall) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    const price = parseFloat(scryfall.prices[field]);
+    snapshot[field] = Number.isNaN(price) ? null : price;
+  }
+  return snapshot;
+}
+
+// Publishes price.threshold_crossed to every webhook whose threshold a price of the card crossed between
+// two snapshots, for the finishes its owner has the card in
+async function publishPriceCrossings(cardId, scryfall, before, after) {
+  const subscriptions = await priceSubscriptions();
+  for (const subscription of subscriptions) {
+    const { currency, amount: threshold } = subscription.priceThreshold;
+    const card = await getCollection(subscription.owner).get(cardId);
+    if (!card) continue;
+    for (const { finish } of card.finishes) {
+      const field = PRICE_FIELDS[finish] && PRICE_FIELDS[finish][currency];
+      if (!field || before[field] === null || after[field] === null) continue;
+      const direction = before[field] < threshold && after[field] >= threshold ? 'up'
+        : before[field] >= threshold && after[field] < threshold ? 'down' : null;
+      if (!direction) continue;
+      await publish(subscription.owner, 'price.threshold_crossed', {
+        CardId: cardId,
+        name: scryfall.name,
+        finish,
+        currency,
+        threshold,
+        before: before[field],
+        after: after[field],
+        direction
+      }, other => other.WebhookId === subscription.WebhookId);
+    }
+  }
+}
+
+// Records the prices of freshly fetched Scryfall data in the card's history. Unchanged prices are not
+// recorded again; changed ones replace the snapshot of the day, if there is one, and are checked against
+// the price thresholds of the webhooks. The snapshot of the day is written with a version condition, so
+// of two writers recording the same change only one publishes it.
+// Failures are logged only: a missing snapshot must not fail a card write.
+async function recordPrices(cardId, scryfall, now = Date.now()) {
+  if (!scryfall || !scryfall.prices) return;
+  try {
+    const snapshot = toSnapshot(scryfall);
+    const last = await lastSnapshot(cardId);
+    if (last && SNAPSHOT_FIELDS.every(field => last[field] === snapshot[field])) return;
+    const id = snapshotId(cardId, now);
+    const sameDay = last && last.SnapshotId === id;
+    await snapshots.put(
+      { SnapshotId: id, CardId: cardId, recorded_at: now, ...snapshot, version: sameDay ? last.version + 1 : 1 },
+      { condition: sameDay ? { version: last.version } : { SnapshotId: null } }
+    );
+    if (last) await publishPriceCrossings(cardId, scryfall, last, snapshot);
+  } catch (err) {
+    if (err instanceof ConditionFailedError) return;
+    log.error('Error recording prices', { CardId: cardId, error: err });
+  }
+}
+
+// Returns the price history of a card per finish, e.g. { foil: [{ recorded_at, usd, eur }] },
+// or null if no prices were ever recorded for it
+async function getPriceHistory(cardId) {
+  const history = await cardSnapshots(cardId);
+  if (history.length === 0) return null;
+  const finishes = {};
+  // Glossy is priced as nonfoil, so it has no series of its own
+  for (const finish of ['nonfoil', 'foil', 'etched']) {
+    const fields = PRICE_FIELDS[finish];
+    const series = history.map(snapshot => {
+      const point = { recorded_at: snapshot.recorded_at };
+      for (const [currency, field] of Object.entries(fields)) point[currency] = snapshot[field];
+      return point;
+    });
+    if (series.some(point => Object.keys(fields).some(currency => point[currency] !== null))) {
+      finishes[finish] = series;
+    }
+  }
+  return finishes;
+}
+
+// Returns the recorded price snapshots of the given cards, oldest first, as { [CardId]: snapshots }
+async function listPriceSnapshots(cardIds) {
+  const result = {};
+  for (let start = 0; start < cardIds.length; start += READ_CONCURRENCY) {
+    const chunk = cardIds.slice(start, start + READ_CONCURRENCY);
+    const histories = await Promise.all(chunk.map(cardSnapshots));
+    chunk.forEach((cardId, i) => {
+      if (histories[i].length > 0) result[cardId] = histories[i];
+    });
+  }
+  return result;
+}
+
+module.exports = { SNAPSHOT_FIELDS, snapshotId, recordPrices, getPriceHistory, listPriceSnapshots };
@@ -0,0 +1,67 @@
+// Scryfall price field per finish and currency; glossy copies are priced as nonfoil
+const PRICE_FIELDS = {
+  nonfoil: { usd: 'usd', eur: 'eur' },
+  foil: { usd: 'usd_foil', eur: 'eur_foil' },
+  etched: { usd: 'usd_etched' },
+  glossy: { usd: 'usd', eur: 'eur' }
+};
+const CURRENCIES = ['usd', 'eur'];
+
+// Helper to read the price of one finish from cached Scryfall data, or null if unknown
+function getFinishPrice(scryfall, finish, currency = 'usd') {
+  const field = PRICE_FIELDS[finish] && PRICE_FIELDS[finish][currency];
+  if (!field || !scryfall || !scryfall.prices) return null;
+  const price = parseFloat(scryfall.prices[field]);
+  return Number.isNaN(price) ? null : price;
+}
+
+// Helper to get the highest price among the finishes a card is stocked in
+function getCardPrice(card, currency = 'usd') {
+  const finishes = Array.isArray(card.finishes) ? card.finishes : [];
+  let highest = null;
+  for (const f of finishes) {
+    const price = getFinishPrice(card.scryfall, f.finish, currency);
+    if (price !== null && (highest === null || price > highest)) highest = price;
+  }
+  return highest;
+}
+
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Totals the value of a collection per currency and per finish. Copies without a known price
+// are counted separately, so a low total can be told apart from missing price data.
+function getCollectionValue(cards) {
+  const result = { cards: cards.length, copies: 0, currencies: {} };
+  for (const currency of CURRENCIES) {
+    result.currencies[currency] = { total: 0, unpricedCopies: 0, finishes: {} };
+  }
+
+  for (const card of cards) {
+    for (const f of Array.isArray(card.finishes) ? card.finishes : []) {
+      const amount = Number(f.amount) || 0;
+      result.copies += amount;
+      for (const currency of CURRENCIES) {
+        const totals = result.currencies[currency];
+        const price = getFinishPrice(card.scryfall, f.finish, currency);
+        if (price === null) {
+          totals.unpricedCopies += amount;
+          continue;
+        }
+        if (!totals.finishes[f.finish]) totals.finishes[f.finish] = { copies: 0, value: 0 };
+        totals.finishes[f.finish].copies += amount;
+        totals.finishes[f.finish].value += price * amount;
+        totals.total += price * amount;
+      }
+    }
+  }
+
+  for (const totals of Object.values(result.currencies)) {
+    totals.total = roundPrice(totals.total);
+    for (const finish of Object.values(totals.finishes)) finish.value = roundPrice(finish.value);
+  }
+  return result;
+}
+
+module.exports = { PRICE_FIELDS, CURRENCIES, getFinishPrice, getCardPrice, roundPrice, getCollectionValue };
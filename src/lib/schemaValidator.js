@@ -0,0 +1,120 @@
+// Checks values against the OpenAPI 3.0 schemas of the swagger spec. It covers the parts of JSON Schema
+// the spec uses: type, nullable, enum, required, properties, additionalProperties, items, minItems,
+// maxItems, minimum, maximum, minLength, maxLength, pattern, allOf, oneOf, anyOf and $ref.
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  number: 'a number',
+  string: 'a string',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Helper to extend a path to a property or an array item, e.g. "finishes" -> "finishes[0]" -> "finishes[0].amount"
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Creates a validator for the schemas of a spec. validate(schema, value, options) returns a list of
+// violations, { path, message }, empty if the value is valid. With options.caseInsensitiveEnums,
+// strings match an enum whatever their case, as the controllers read query values.
+function createSchemaValidator(spec) {
+  function resolve(schema) {
+    let resolved = schema;
+    while (resolved && resolved.$ref) {
+      const ref = resolved.$ref;
+      resolved = ref.replace(/^#\//, '').split('/').reduce((node, part) => (node ? node[part] : undefined), spec);
+      if (!resolved) throw new Error(`Unknown schema reference ${ref}`);
+    }
+    return resolved || {};
+  }
+
+  function check(rawSchema, value, path, options, violations) {
+    const schema = resolve(rawSchema);
+    const add = message => violations.push({ path, message });
+
+    for (const part of schema.allOf || []) check(part, value, path, options, violations);
+    for (const [keyword, accepts] of [['oneOf', n => n === 1], ['anyOf', n => n >= 1]]) {
+      if (!schema[keyword]) continue;
+      const matching = schema[keyword].filter(part => check(part, value, path, options, []).length === 0).length;
+      if (!accepts(matching)) add(`must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of the allowed forms`);
+    }
+
+    if (value === null) {
+      if (!schema.nullable && schema.type) add('must not be null');
+      return violations;
+    }
+    if (schema.type && !hasType(value, schema.type)) {
+      add(`must be ${TYPE_NAMES[schema.type] || schema.type}`);
+      return violations;
+    }
+    if (schema.enum) {
+      const same = options.caseInsensitiveEnums && typeof value === 'string'
+        ? schema.enum.some(allowed => String(allowed).toLowerCase() === value.toLowerCase())
+        : schema.enum.includes(value);
+      if (!same) add(`must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) add(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) add(`must be at most ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) add(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) add(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) add(`must match ${schema.pattern}`);
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) add(`must have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`must have at most ${schema.maxItems} items`);
+      if (schema.items) value.forEach((item, i) => check(schema.items, item, childPath(path, i), options, violations));
+    }
+    if (isObject(value)) {
+      const properties = schema.properties || {};
+      for (const name of schema.required || []) {
+        if (value[name] === undefined) violations.push({ path: childPath(path, name), message: 'is required' });
+      }
+      for (const [name, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        if (properties[name]) {
+          check(properties[name], item, childPath(path, name), options, violations);
+        } else if (schema.additionalProperties === false) {
+          violations.push({ path: childPath(path, name), message: 'is not allowed' });
+        } else if (isObject(schema.additionalProperties)) {
+          check(schema.additionalProperties, item, childPath(path, name), options, violations);
+        }
+      }
+    }
+    return violations;
+  }
+
+  return {
+    resolve,
+    validate(schema, value, options = {}) {
+      return check(schema, value, options.path || '', options, []);
+    }
+  };
+}
+
+module.exports = { createSchemaValidator };
@@ -0,0 +1,323 @@
+const axios = require('axios');
+const { getStore } = require('../storage');
+const { increment } = require('./metrics');
+const log = require('./logger');
+
+const SCRYFALL_API_URL = 'https://api.scryfall.com';
+// Scryfall asks for 50-100 ms between requests
+const DEFAULT_SPACING_MS = 100;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_MS = 500;
+// The cache keeps cards as long as a card record keeps its Scryfall data
+const CACHE_TTL_HOURS = 24;
+// /cards/collection takes at most 75 identifiers per request
+const COLLECTION_CHUNK = 75;
+// /cards/search answers 175 cards per page; no card has this many pages of printings
+const MAX_SEARCH_PAGES = 20;
+
+class ScryfallError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'ScryfallError';
+    this.status = status;
+  }
+}
+
+// Thrown when Scryfall does not have the card asked for
+class ScryfallNotFoundError extends ScryfallError {
+  constructor(message = 'Card not found on Scryfall') {
+    super(message, 404);
+    this.name = 'ScryfallNotFoundError';
+  }
+}
+
+// Thrown when Scryfall cannot be reached or keeps failing after the retries
+class ScryfallUnavailableError extends ScryfallError {
+  constructor(message = 'Scryfall is unavailable, try again later', status = null) {
+    super(message, status);
+    this.name = 'ScryfallUnavailableError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper to read a Retry-After header in seconds, as milliseconds
+function retryAfterMs(response) {
+  const value = response && response.headers && response.headers['retry-after'];
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+function isRetryable(error) {
+  if (!error.response) return true;
+  return error.response.status === 429 || error.response.status >= 500;
+}
+
+// Helper to check whether a card matches an identifier sent to /cards/collection
+function matchesIdentifier(card, identifier) {
+  if (identifier.id) return card.id === identifier.id;
+  if (identifier.oracle_id) return card.oracle_id === identifier.oracle_id;
+  if (identifier.collector_number) {
+    return card.set === identifier.set.toLowerCase() && card.collector_number === String(identifier.collector_number);
+  }
+  if (identifier.name) {
+    const names = [card.name, ...(card.card_faces || []).map(face => face.name)].map(name => String(name).toLowerCase());
+    return names.includes(identifier.name.toLowerCase()) && (!identifier.set || card.set === identifier.set.toLowerCase());
+  }
+  return false;
+}
+
+// Creates a Scryfall client. Requests are spaced out and retried with backoff on 429 and 5xx answers.
+// Cards are cached in a store shared by every owner (and every instance, with DynamoDB).
+// Options default to the SCRYFALL_* env vars, so tests can point the client at a local stand-in server.
+function createScryfallClient({
+  baseUrl = process.env.SCRYFALL_API_URL || SCRYFALL_API_URL,
+  spacingMs = Number(process.env.SCRYFALL_REQUEST_SPACING_MS || DEFAULT_SPACING_MS),
+  retries = Number(process.env.SCRYFALL_RETRIES || DEFAULT_RETRIES),
+  backoffMs = BACKOFF_MS,
+  cache = getStore('scryfall'),
+  http = axios
+} = {}) {
+  let nextSlot = 0;
+  let setCodes = null;
+
+  // Waits for the next free request slot; slots are handed out in call order
+  async function throttle() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + spacingMs;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  // Sends a request, retrying 429 and 5xx answers and network errors. 404 becomes a ScryfallNotFoundError.
+  async function request(method, path, { params, data } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await throttle();
+      increment('scryfall.requests');
+      try {
+        const response = await http.request({
+          method,
+          url: `${baseUrl}${path}`,
+          params,
+          data,
+          headers: { Accept: 'application/json', 'User-Agent': 'mtg-trades-back/1.0' }
+        });
+        return response.data;
+      } catch (error) {
+        if (error.response && error.response.status === 404) throw new ScryfallNotFoundError();
+        if (!isRetryable(error)) {
+          const details = error.response.data && error.response.data.details;
+          throw new ScryfallError(`Scryfall rejected the request: ${details || error.message}`, error.response.status);
+        }
+        if (attempt >= retries) {
+          increment('scryfall.failures');
+          log.error('Scryfall request failed', { method: method.toUpperCase(), path, attempts: attempt + 1, reason: error.message });
+          throw new ScryfallUnavailableError(undefined, error.response ? error.response.status : null);
+        }
+        await sleep(retryAfterMs(error.response) ?? backoffMs * 2 ** attempt);
+      }
+    }
+  }
+
+  // Helpers for the card cache; a cache that fails only costs a request, so errors are logged
+  async function readCache(key) {
+    try {
+      const entry = await cache.get(key);
+      return entry && entry.expires_at > Date.now() ? entry.data : null;
+    } catch (err) {
+      log.warn('Error reading the Scryfall cache', { key, error: err });
+      return null;
+    }
+  }
+
+  async function writeCache(card) {
+    const expiresAt = Date.now() + CACHE_TTL_HOURS * 3600 * 1000;
+    const keys = [`id:${card.id}`, `card:${card.set}:${card.collector_number}`];
+    try {
+      for (const key of keys) {
+        await cache.put({ CacheKey: key, data: card, expires_at: expiresAt, ttl: Math.floor(expiresAt / 1000) });
+      }
+    } catch (err) {
+      log.warn('Error writing the Scryfall cache', { scryfallId: card.id, error: err });
+    }
+  }
+
+  async function cached(key, load) {
+    const hit = await readCache(key);
+    if (hit) return hit;
+    const card = await load();
+    await writeCache(card);
+    return card;
+  }
+
+  // Every card of a search, following the pages while Scryfall says it has more. A search without
+  // results is a ScryfallNotFoundError.
+  async function search(q, unique) {
+    const cards = [];
+    for (let page = 1; page <= MAX_SEARCH_PAGES; page++) {
+      const result = await request('get', '/cards/search', { params: { q, unique, page } });
+      cards.push(...(result.data || []));
+      if (!result.has_more) break;
+    }
+    return cards;
+  }
+
+  const client = {
+    request,
+    search,
+
+    getCard(setCode, cardNumber) {
+      const set = setCode.toLowerCase();
+      return cached(`card:${set}:${cardNumber}`, () => request('get', `/cards/${set}/${encodeURIComponent(cardNumber)}`));
+    },
+
+    getCardById(scryfallId) {
+      return cached(`id:${scryfallId}`, () => request('get', `/cards/${encodeURIComponent(scryfallId)}`));
+    },
+
+    async getCardByName(name, setCode) {
+      const card = await request('get', '/cards/named', { params: setCode ? { exact: name, set: setCode } : { exact: name } });
+      await writeCache(card);
+      return card;
+    },
+
+    // Scryfall's best guess at a name that may be misspelled or partial, e.g. "jac bele"
+    async getCardByFuzzyName(name, setCode) {
+      const card = await request('get', '/cards/named', { params: setCode ? { fuzzy: name, set: setCode } : { fuzzy: name } });
+      await writeCache(card);
+      return card;
+    },
+
+    // Any printing of the card with this oracle id; Scryfall returns the most recent first
+    async getCardByOracleId(oracleId) {
+      const [card] = await search(`oracleid:${oracleId}`, 'cards');
+      if (!card) throw new ScryfallNotFoundError();
+      await writeCache(card);
+      return card;
+    },
+
+    // Resolves many cards at once through /cards/collection. Identifiers are Scryfall's:
+    // { id }, { oracle_id }, { set, collector_number } or { name, set? }. Cached cards are not requested.
+    // Returns the card, or null if Scryfall does not have it, per identifier.
+    // With cache false every card is fetched from Scryfall (and cached again)
+    async getCards(identifiers, { cache = true } = {}) {
+      const results = await Promise.all(identifiers.map(identifier => {
+        if (!cache) return null;
+        if (identifier.id) return readCache(`id:${identifier.id}`);
+        if (identifier.collector_number) return readCache(`card:${identifier.set.toLowerCase()}:${identifier.collector_number}`);
+        return null;
+      }));
+      const missing = identifiers.map((identifier, i) => i).filter(i => !results[i]);
+      for (let start = 0; start < missing.length; start += COLLECTION_CHUNK) {
+        const chunk = missing.slice(start, start + COLLECTION_CHUNK);
+        const response = await request('post', '/cards/collection', { data: { identifiers: chunk.map(i => identifiers[i]) } });
+        for (const card of response.data || []) {
+          await writeCache(card);
+          for (const i of chunk) {
+            if (!results[i] && matchesIdentifier(card, identifiers[i])) results[i] = card;
+          }
+        }
+      }
+      return results.map(card => card || null);
+    },
+
+    // The languages Scryfall has printings of a card in, e.g. ["en", "ja"]
+    async getLanguages(setCode, cardNumber) {
+      const printings = await search(`set:${setCode} cn:"${cardNumber}" lang:any`, 'prints');
+      return [...new Set(printings.map(card => card.lang))];
+    },
+
+    // The finishes any printing of an oracle card comes in, e.g. ["nonfoil", "foil", "etched"]
+    async getFinishes(oracleId) {
+      const printings = await search(`oracleid:${oracleId}`, 'prints');
+      return [...new Set(printings.flatMap(card => card.finishes || []))];
+    },
+
+    // Set names change rarely, so the name -> code map is fetched once per client
+    async getSetCodes() {
+      if (setCodes) return setCodes;
+      const result = await request('get', '/sets');
+      setCodes = {};
+      for (const set of result.data) {
+        setCodes[set.name.toLowerCase()] = set.code;
+      }
+      return setCodes;
+    }
+  };
+  return client;
+}
+
+let defaultClient = null;
+function getScryfallClient() {
+  if (!defaultClient) defaultClient = createScryfallClient();
+  return defaultClient;
+}
+
+// Helper for lookups where a missing card is an answer rather than an error: resolves with null instead
+async function orNull(lookup) {
+  try {
+    return await lookup;
+  } catch (err) {
+    if (err instanceof ScryfallNotFoundError) return null;
+    throw err;
+  }
+}
+
+// Lookups with the default client. They resolve with null when Scryfall does not have the card and
+// reject with a ScryfallUnavailableError when Scryfall cannot be reached.
+function fetchScryfallCard(setCode, cardNumber) {
+  return orNull(getScryfallClient().getCard(setCode, cardNumber));
+}
+
+function fetchScryfallCardById(scryfallId) {
+  return orNull(getScryfallClient().getCardById(scryfallId));
+}
+
+function fetchScryfallCardByName(name, setCode) {
+  return orNull(getScryfallClient().getCardByName(name, setCode));
+}
+
+function fetchScryfallCardByFuzzyName(name, setCode) {
+  return orNull(getScryfallClient().getCardByFuzzyName(name, setCode));
+}
+
+function fetchScryfallCardByOracleId(oracleId) {
+  return orNull(getScryfallClient().getCardByOracleId(oracleId));
+}
+
+function fetchScryfallCards(identifiers, options) {
+  return getScryfallClient().getCards(identifiers, options);
+}
+
+// Empty if Scryfall does not know the card
+async function fetchScryfallLanguages(setCode, cardNumber) {
+  return (await orNull(getScryfallClient().getLanguages(setCode, cardNumber))) || [];
+}
+
+// Empty if Scryfall does not know the card
+async function fetchScryfallFinishes(oracleId) {
+  return (await orNull(getScryfallClient().getFinishes(oracleId))) || [];
+}
+
+function fetchScryfallSetCodes() {
+  return getScryfallClient().getSetCodes();
+}
+
+module.exports = {
+  ScryfallError,
+  ScryfallNotFoundError,
+  ScryfallUnavailableError,
+  createScryfallClient,
+  getScryfallClient,
+  fetchScryfallCard,
+  fetchScryfallCardById,
+  fetchScryfallCardByName,
+  fetchScryfallCardByFuzzyName,
+  fetchScryfallCardByOracleId,
+  fetchScryfallCards,
+  fetchScryfallLanguages,
+  fetchScryfallFinishes,
+  fetchScryfallSetCodes
+};
@@ -0,0 +1,107 @@
+const { getStore, listAll, queryAll, ConditionFailedError } = require('../storage');
+const { fetchScryfallCards, ScryfallUnavailableError } = require('./scryfall');
+const { isScryfallExpired, scryfallTtl } = require('./cards');
+const { getCollection, retryOnConflict } = require('./collection');
+const { recordPrices } = require('./priceHistory');
+const log = require('./logger');
+
+// Printings asked from Scryfall at once; /cards/collection takes 75 identifiers per request
+const BATCH_SIZE = 75;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper to list the owners of collections: every user, and DEFAULT_OWNER.
+// Cards stored before collections had owners are left to migrate:owners.
+async function listOwners() {
+  const users = await listAll(getStore('users'));
+  return [...new Set([...users.map(user => user.Username), process.env.DEFAULT_OWNER].filter(Boolean))];
+}
+
+// Helper to read the cards of every owner whose Scryfall data has expired, from the index on owner and
+// scryfall_ttl, so cards that are up to date are not read at all
+async function listStale(now = Date.now()) {
+  const cards = getStore('cards');
+  const items = [];
+  for (const owner of await listOwners()) {
+    items.push(...await queryAll(cards, 'owner-scryfall_ttl-index', owner, { to: now }));
+  }
+  return items;
+}
+
+// Helper to group the stored cards with expired Scryfall data by printing, so a printing several
+// users own is fetched once
+function groupStale(items) {
+  const printings = new Map();
+  for (const item of items) {
+    if (!isScryfallExpired(item)) continue;
+    const cardId = item.CardId.slice(item.CardId.indexOf('#') + 1);
+    if (!printings.has(cardId)) printings.set(cardId, []);
+    printings.get(cardId).push(item.owner);
+  }
+  return printings;
+}
+
+// Stores fresh Scryfall data on one owner's copy of a card, unless someone refreshed or deleted it meanwhile.
+// Only the Scryfall data changes, so nothing is added to the card history.
+async function refreshCard(owner, cardId, scryfall) {
+  const collection = getCollection(owner, { source: 'refresh' });
+  return retryOnConflict(async () => {
+    const card = await collection.get(cardId);
+    if (!card || !isScryfallExpired(card)) return false;
+    await collection.put({ ...card, scryfall, scryfall_ttl: scryfallTtl() });
+    return true;
+  });
+}
+
+// Refreshes the Scryfall data of every card in every collection whose data has expired, batch by batch,
+// fetched from Scryfall itself rather than the Scryfall cache, which may be as old as the card's data,
+// with pauseMs between batches on top of the client's own request spacing. Price changes are recorded.
+// maxPrintings caps the work of one run (the rest waits for the next run). While Scryfall cannot be
+// reached the run stops early; the cards not done keep their data until the next run.
+// Resolves with a report: { stale, refreshed, failed, remaining, unknown: [{ owner, CardId }] }.
+async function refreshStaleCards({ batchSize = BATCH_SIZE, pauseMs = 0, maxPrintings = Infinity } = {}) {
+  const printings = [...groupStale(await listStale()).entries()];
+  const report = { stale: printings.length, refreshed: 0, failed: 0, remaining: 0, unknown: [] };
+  const todo = printings.slice(0, maxPrintings);
+  report.remaining = printings.length - todo.length;
+
+  for (let start = 0; start < todo.length; start += batchSize) {
+    if (start > 0 && pauseMs > 0) await sleep(pauseMs);
+    const batch = todo.slice(start, start + batchSize);
+    let cards;
+    try {
+      cards = await fetchScryfallCards(batch.map(([cardId]) => {
+        const [set, collectorNumber] = cardId.split(':');
+        return { set, collector_number: collectorNumber };
+      }), { cache: false });
+    } catch (err) {
+      if (!(err instanceof ScryfallUnavailableError)) throw err;
+      log.warn('Scryfall refresh stopped', { reason: err.message, remaining: todo.length - start });
+      report.remaining += todo.length - start;
+      break;
+    }
+
+    for (const [i, [cardId, owners]] of batch.entries()) {
+      const scryfall = cards[i];
+      if (!scryfall) {
+        for (const owner of owners) report.unknown.push({ owner, CardId: cardId });
+        continue;
+      }
+      await recordPrices(cardId, scryfall);
+      for (const owner of owners) {
+        try {
+          if (await refreshCard(owner, cardId, scryfall)) report.refreshed++;
+        } catch (err) {
+          if (!(err instanceof ConditionFailedError)) throw err;
+          // The card kept changing; the next write or run refreshes it
+          report.failed++;
+        }
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = { refreshStaleCards };
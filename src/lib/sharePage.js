@@ -0,0 +1,82 @@
+const { CONDITION_NAMES, LANGUAGES } = require('./lots');
+
+const FINISH_NAMES = { nonfoil: 'Non-foil', foil: 'Foil', etched: 'Etched foil' };
+
+// Helper to escape text for HTML; every value on the page comes from the collection or the link
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatPrice(price, currency) {
+  if (price === null || price === undefined) return '';
+  return currency === 'eur' ? `€${price.toFixed(2)}` : `$${price.toFixed(2)}`;
+}
+
+// Helper to describe each lot of a finish, e.g. "2× Near Mint, Japanese, paid 1.50"
+function describeLots(lots) {
+  return lots.map(lot => {
+    const parts = [];
+    if (lot.condition) parts.push(CONDITION_NAMES[lot.condition] || lot.condition);
+    if (lot.language) parts.push(LANGUAGES[lot.language] || lot.language);
+    for (const flag of ['signed', 'altered', 'graded']) if (lot[flag]) parts.push(flag);
+    if (lot.acquisitionPrice !== undefined && lot.acquisitionPrice !== null) parts.push(`paid ${lot.acquisitionPrice.toFixed(2)}`);
+    return `${lot.amount}× ${parts.join(', ')}`;
+  });
+}
+
+// The table columns for the visible fields; every row is one finish of a card
+const COLUMNS = [
+  { field: 'image', title: '', cell: (card) => (card.image ? `<img src="${escapeHtml(card.image)}" alt="" loading="lazy" width="73">` : '') },
+  { field: 'name', title: 'Name', cell: (card) => escapeHtml(card.name) },
+  { field: 'set', title: 'Set', cell: (card) => escapeHtml(card.setName ? `${card.setName} (${String(card.set).toUpperCase()})` : String(card.set).toUpperCase()) },
+  { field: 'collectorNumber', title: '#', cell: (card) => escapeHtml(card.collectorNumber) },
+  { field: 'rarity', title: 'Rarity', cell: (card) => escapeHtml(card.rarity) },
+  { field: 'type', title: 'Type', cell: (card) => escapeHtml(card.type) },
+  { field: 'colors', title: 'Colors', cell: (card) => escapeHtml((card.colors || []).join('')) },
+  { title: 'Finish', cell: (card, finish) => escapeHtml(FINISH_NAMES[finish.finish] || finish.finish) },
+  { title: 'Amount', cell: (card, finish) => escapeHtml(finish.amount) },
+  { field: 'price', title: 'Price', cell: (card, finish) => escapeHtml(formatPrice(finish.price, finish.currency)) },
+  { fields: ['condition', 'language', 'acquisitionPrice'], title: 'Copies', cell: (card, finish) => describeLots(finish.lots || []).map(escapeHtml).join('<br>') },
+  { field: 'notes', title: 'Notes', cell: (card, finish) => (finish.notes || []).map(note => escapeHtml(note.text)).join('<br>') }
+];
+
+// Renders the cards of a share link as a plain HTML page with one table row per finish
+function renderSharePage(share, cards) {
+  const columns = COLUMNS.filter(column => (column.fields || [column.field]).some(field => field === undefined || share.fields.includes(field)));
+  const rows = cards.flatMap(card => card.finishes.map(finish => `<tr>${columns.map(column => `<td>${column.cell(card, finish)}</td>`).join('')}</tr>`));
+  const copies = cards.reduce((total, card) => total + card.finishes.reduce((sum, finish) => sum + finish.amount, 0), 0);
+  const expires = share.expires_at ? ` This list is available until ${escapeHtml(new Date(share.expires_at).toUTCString())}.` : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(share.name)} – ${escapeHtml(share.owner)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #ddd; padding: .4rem .6rem; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(share.name)}</h1>
+<p>Shared by ${escapeHtml(share.owner)}: ${cards.length} cards, ${copies} copies.${expires}</p>
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column.title)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderSharePage };
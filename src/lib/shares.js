@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { getStore, queryAll } = require('../storage');
+const { getCollection } = require('./collection');
+const { parseCardQuery, forEachCardPage } = require('./cardQuery');
+const { parseSearchQuery, matchesSearch } = require('./cardSearch');
+const { normalizeNotes } = require('./finishes');
+const { normalizeLots } = require('./lots');
+const { CURRENCIES, getFinishPrice } = require('./prices');
+
+const shares = getStore('shares');
+
+// The fields a share link can show of a card, besides CardId and the finishes with their amounts, which
+// are always shown. notes and acquisitionPrice are private: they are only shown when a link lists them.
+const FIELDS = ['name', 'set', 'collectorNumber', 'rarity', 'type', 'colors', 'image', 'price', 'condition', 'language', 'notes', 'acquisitionPrice'];
+const DEFAULT_FIELDS = ['name', 'set', 'collectorNumber', 'rarity', 'price'];
+// The card listing parameters a share filter can use; paging is left to the viewer
+const FILTER_KEYS = ['set', 'color', 'rarity', 'type', 'name', 'finish', 'minAmount', 'q', 'sort', 'order', 'currency'];
+const MAX_SHARES_PER_USER = 50;
+
+// Helper to validate the fields of a share link. With partial (PATCH) only the given fields are checked.
+// Returns { fields } or { error }.
+function readShare(body, { partial = false, now = Date.now() } = {}) {
+  if (!body || typeof body !== 'object') return { error: 'Missing request body' };
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+      return { error: 'name must be a non-empty string of at most 100 characters' };
+    }
+    fields.name = body.name.trim();
+  }
+  if (body.filter !== undefined) {
+    const { filter, error } = readFilter(body.filter);
+    if (error) return { error };
+    fields.filter = filter;
+  } else if (!partial) {
+    fields.filter = {};
+  }
+  if (body.fields !== undefined) {
+    if (!Array.isArray(body.fields) || body.fields.length === 0) return { error: 'fields must be a non-empty array' };
+    const unknown = body.fields.find(field => !FIELDS.includes(field));
+    if (unknown !== undefined) return { error: `Unknown field "${unknown}", expected any of ${FIELDS.join(', ')}` };
+    fields.fields = [...new Set(body.fields)];
+  } else if (!partial) {
+    fields.fields = DEFAULT_FIELDS;
+  }
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const expiresAt = Date.parse(body.expiresAt);
+    if (Number.isNaN(expiresAt)) return { error: 'expiresAt must be a date-time' };
+    if (expiresAt <= now) return { error: 'expiresAt must be in the future' };
+    fields.expires_at = expiresAt;
+  } else if (body.expiresAt === null || !partial) {
+    fields.expires_at = null;
+  }
+  return { fields };
+}
+
+// Helper to check a filter the way GET /cards and /cards/search check their query. Values are kept as
+// strings, like query parameters, except minAmount.
+function readFilter(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'filter must be an object' };
+  const unknown = Object.keys(input).find(key => !FILTER_KEYS.includes(key));
+  if (unknown !== undefined) return { error: `Unknown filter "${unknown}", expected any of ${FILTER_KEYS.join(', ')}` };
+  const filter = Object.fromEntries(Object.entries(input)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => [key, key === 'minAmount' ? Number(value) : String(value)]));
+  const { q, currency, ...query } = filter;
+  const { error } = parseCardQuery(query);
+  if (error) return { error: `filter: ${error}` };
+  if (q !== undefined) {
+    const { error: searchError } = parseSearchQuery(q);
+    if (searchError) return { error: `filter: ${searchError}` };
+  }
+  if (currency !== undefined && !CURRENCIES.includes(currency.toLowerCase())) {
+    return { error: `filter: Invalid currency "${currency}", expected one of ${CURRENCIES.join(', ')}` };
+  }
+  return { filter };
+}
+
+// The share link as its owner sees it, with the dates as ISO strings
+function toResponse(share) {
+  return {
+    Token: share.Token,
+    path: `/share/${share.Token}`,
+    owner: share.owner,
+    name: share.name,
+    filter: share.filter,
+    fields: share.fields,
+    created_at: new Date(share.created_at).toISOString(),
+    updated_at: share.updated_at ? new Date(share.updated_at).toISOString() : null,
+    expires_at: share.expires_at ? new Date(share.expires_at).toISOString() : null,
+    revoked_at: share.revoked_at ? new Date(share.revoked_at).toISOString() : null,
+    status: shareStatus(share)
+  };
+}
+
+// 'active', 'expired' or 'revoked'
+function shareStatus(share, now = Date.now()) {
+  if (share.revoked_at) return 'revoked';
+  if (share.expires_at && share.expires_at <= now) return 'expired';
+  return 'active';
+}
+
+// Newest first
+async function listShares(owner) {
+  return queryAll(shares, 'owner-created_at-index', owner, { order: 'desc' });
+}
+
+async function getShare(token) {
+  return shares.get(token);
+}
+
+// Creates a share link from fields checked by readShare. The token is the secret part of the link, so it
+// is long and random. Returns { share } or { error }.
+async function createShare(owner, fields) {
+  const active = (await listShares(owner)).filter(share => shareStatus(share) === 'active');
+  if (active.length >= MAX_SHARES_PER_USER) {
+    return { error: `A user can have at most ${MAX_SHARES_PER_USER} active share links` };
+  }
+  const share = { Token: crypto.randomBytes(24).toString('base64url'), owner, ...fields, revoked_at: null, created_at: Date.now() };
+  await shares.put(share);
+  return { share };
+}
+
+async function updateShare(share, fields) {
+  const updated = { ...share, ...fields, updated_at: Date.now() };
+  await shares.put(updated);
+  return updated;
+}
+
+// Revoked links stay listed for their owner, so it is clear which links stopped working
+async function revokeShare(share) {
+  const revoked = { ...share, revoked_at: share.revoked_at || Date.now() };
+  await shares.put(revoked);
+  return revoked;
+}
+
+// Helper to show a lot with only the visible fields
+function toSharedLot(lot, fields) {
+  const shared = { amount: lot.amount };
+  if (fields.includes('condition')) {
+    Object.assign(shared, { condition: lot.condition, signed: lot.signed, altered: lot.altered, graded: lot.graded });
+  }
+  if (fields.includes('language')) shared.language = lot.language;
+  if (fields.includes('acquisitionPrice')) shared.acquisitionPrice = lot.acquisitionPrice;
+  return shared;
+}
+
+// Helper to get the image of a card, or of the front face of a double-faced card
+function imageUrl(scryfall) {
+  const uris = scryfall.image_uris || (Array.isArray(scryfall.card_faces) && scryfall.card_faces[0] && scryfall.card_faces[0].image_uris);
+  return uris ? uris.normal || uris.small || null : null;
+}
+
+// A card as a share link shows it: the finishes in stock (only those of the finish filter, if any) and the
+// visible fields. Nothing else of the stored card is copied, so new private fields stay hidden.
+function toSharedCard(card, share) {
+  const { fields } = share;
+  const scryfall = card.scryfall || {};
+  const [setCode, cardNumber] = card.CardId.split(':');
+  const currency = (share.filter.currency || 'usd').toLowerCase();
+  const finishFilter = share.filter.finish ? share.filter.finish.toLowerCase().split(',').map(f => f.trim()) : [];
+  const shared = { CardId: card.CardId };
+  if (fields.includes('name')) shared.name = scryfall.name || null;
+  if (fields.includes('set')) Object.assign(shared, { set: scryfall.set || setCode, setName: scryfall.set_name || null });
+  if (fields.includes('collectorNumber')) shared.collectorNumber = scryfall.collector_number || cardNumber;
+  if (fields.includes('rarity')) shared.rarity = scryfall.rarity || null;
+  if (fields.includes('type')) shared.type = scryfall.type_line || null;
+  if (fields.includes('colors')) shared.colors = Array.isArray(scryfall.colors) ? scryfall.colors : [];
+  if (fields.includes('image')) shared.image = imageUrl(scryfall);
+  const showLots = ['condition', 'language', 'acquisitionPrice'].some(field => fields.includes(field));
+  shared.finishes = (card.finishes || [])
+    .filter(f => f.amount > 0 && (finishFilter.length === 0 || finishFilter.includes(f.finish)))
+    .map(f => {
+      const finish = { finish: f.finish, amount: f.amount };
+      if (fields.includes('price')) Object.assign(finish, { price: getFinishPrice(scryfall, f.finish, currency), currency });
+      if (showLots) finish.lots = normalizeLots(f).filter(lot => lot.amount > 0).map(lot => toSharedLot(lot, fields));
+      if (fields.includes('notes')) finish.notes = normalizeNotes(f.notes).map(note => ({ at: note.at, text: note.text }));
+      return finish;
+    });
+  return shared;
+}
+
+// Lists the cards of a share link: the owner's collection through the link's filter, in its sort order,
+// as toSharedCard shows them. Cards without copies of the shown finishes are left out.
+async function getSharedCards(share) {
+  const { q, currency, ...query } = share.filter;
+  const { options } = parseCardQuery(query);
+  const terms = q ? parseSearchQuery(q).terms : null;
+  const shared = [];
+  await forEachCardPage(getCollection(share.owner), options, (cards) => {
+    shared.push(...cards.map(card => toSharedCard(card, share)).filter(card => card.finishes.length > 0));
+  }, { matches: card => !terms || matchesSearch(card, terms) });
+  return shared;
+}
+
+module.exports = {
+  FIELDS,
+  DEFAULT_FIELDS,
+  readShare,
+  toResponse,
+  shareStatus,
+  listShares,
+  getShare,
+  createShare,
+  updateShare,
+  revokeShare,
+  getSharedCards
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getStore, queryAll, ConditionFailedError } = require('../storage');
+const { getPrivateKey } = require('./keys');
+
+const refreshTokens = getStore('refreshTokens');
+
+// Access tokens are not revoked, so changed permissions and revoked sessions take effect when they expire
+const ACCESS_TOKEN_EXPIRY = '15m';
+const ACCESS_TOKEN_EXPIRY_SECONDS = 15 * 60;
+const REFRESH_TOKEN_DAYS = 30;
+
+// Refresh tokens are stored by their hash only, so a leaked table does not leak usable tokens
+function tokenId(refreshToken) {
+  return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+}
+
+async function signAccessToken(user) {
+  const privateKey = await getPrivateKey();
+  return jwt.sign(
+    { username: user.Username, permissions: user.permissions },
+    privateKey,
+    { expiresIn: ACCESS_TOKEN_EXPIRY, algorithm: 'RS256' }
+  );
+}
+
+async function createRefreshToken(username) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const expiresAt = now + REFRESH_TOKEN_DAYS * 24 * 3600 * 1000;
+  await refreshTokens.put({
+    TokenId: tokenId(refreshToken),
+    username,
+    created_at: now,
+    expires_at: expiresAt,
+    // DynamoDB TTL works in seconds; it removes expired tokens eventually, so expires_at is still checked
+    ttl: Math.floor(expiresAt / 1000)
+  });
+  return refreshToken;
+}
+
+// Signs an access token and a new refresh token for a user
+async function issueTokens(user) {
+  return {
+    token: await signAccessToken(user),
+    refreshToken: await createRefreshToken(user.Username),
+    expiresIn: ACCESS_TOKEN_EXPIRY_SECONDS
+  };
+}
+
+// Revokes a refresh token and returns the username it belonged to, or null if it was not valid.
+// Each refresh token can be used once; of two concurrent uses only one succeeds.
+async function consumeRefreshToken(refreshToken) {
+  const id = tokenId(refreshToken);
+  const stored = await refreshTokens.get(id);
+  if (!stored) return null;
+  try {
+    await refreshTokens.delete(id, { condition: { username: stored.username } });
+  } catch (err) {
+    if (err instanceof ConditionFailedError) return null;
+    throw err;
+  }
+  return stored.expires_at > Date.now() ? stored.username : null;
+}
+
+// Revokes every refresh token of a user, e.g. after a password change. Returns how many were revoked.
+async function revokeAllRefreshTokens(username) {
+  const tokens = await queryAll(refreshTokens, 'username-index', username);
+  for (const token of tokens) await refreshTokens.delete(token.TokenId);
+  return tokens.length;
+}
+
+module.exports = { issueTokens, consumeRefreshToken, revokeAllRefreshTokens };
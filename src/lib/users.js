@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// CARD_VIEWER is what new accounts get; ADMIN implies every other permission
+const PERMISSIONS = ['CARD_VIEWER', 'CARD_EDITOR', 'TRADE_MANAGER', 'ADMIN'];
+const DEFAULT_PERMISSIONS = ['CARD_VIEWER'];
+const MIN_PASSWORD_LENGTH = 8;
+// Usernames end up in card keys ("<owner>#<set>:<number>") and URLs, so keep them plain
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,40}$/;
+
+function validateUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return 'username must be 2 to 40 letters, digits, dots, dashes or underscores';
+  }
+  return null;
+}
+
+function validatePassword(password, field = 'password') {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `${field} must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Returns the error for an invalid list of permissions, or null
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions)) return 'permissions must be an array';
+  const unknown = permissions.filter(p => !PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    return `Unknown permissions ${unknown.join(', ')}, expected any of ${PERMISSIONS.join(', ')}`;
+  }
+  return null;
+}
+
+// Hashes a password with scrypt as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hasPermission(user, permission) {
+  const permissions = (user && user.permissions) || [];
+  return permissions.includes('ADMIN') || permissions.includes(permission);
+}
+
+// A user as returned by the API: everything but the password hash
+function toPublicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_PERMISSIONS,
+  validateUsername,
+  validatePassword,
+  validatePermissions,
+  hashPassword,
+  verifyPassword,
+  hasPermission,
+  toPublicUser
+};
@@ -0,0 +1,80 @@
+const { getKey, oracleIdOf } = require('./cards');
+const { CURRENCIES, getFinishPrice } = require('./prices');
+
+// Helper to tell whether a card matches a want: the exact printing, or any printing of the same oracle card
+function matchesWant(want, cardId, oracleId, finish) {
+  if (want.finish && want.finish !== finish) return false;
+  return want.CardId ? want.CardId === cardId : want.oracle_id === oracleId;
+}
+
+function pricesOf(scryfall, finish) {
+  const prices = {};
+  for (const currency of CURRENCIES) prices[currency] = getFinishPrice(scryfall, finish, currency);
+  return prices;
+}
+
+// Matches our wants against resolved haves of someone else ([{ scryfall, finish, quantity }]).
+// Offers above a want's maxPrice are listed but do not count towards what can be filled.
+function matchOurWants(wants, haves) {
+  const results = [];
+  for (const want of wants) {
+    const offers = haves
+      .filter(have => matchesWant(want, getKey(have.scryfall.set, have.scryfall.collector_number), oracleIdOf(have.scryfall), have.finish))
+      .map(have => {
+        const prices = pricesOf(have.scryfall, have.finish);
+        const price = prices[want.currency || 'usd'];
+        return {
+          CardId: getKey(have.scryfall.set, have.scryfall.collector_number),
+          name: have.scryfall.name,
+          finish: have.finish,
+          available: have.quantity,
+          prices,
+          withinMaxPrice: want.maxPrice === null || want.maxPrice === undefined || (price !== null && price <= want.maxPrice)
+        };
+      })
+      .sort((a, b) => (a.prices[want.currency || 'usd'] ?? Infinity) - (b.prices[want.currency || 'usd'] ?? Infinity));
+    if (offers.length === 0) continue;
+    const available = offers.filter(o => o.withinMaxPrice).reduce((total, o) => total + o.available, 0);
+    results.push({ want, fillable: Math.min(want.quantity, available), offers });
+  }
+  return results;
+}
+
+// Matches someone else's resolved wants ([{ line, scryfall, finish, quantity, exact }]) against our stock
+function matchTheirWants(theirWants, stock) {
+  const results = [];
+  for (const theirWant of theirWants) {
+    const want = {
+      CardId: theirWant.exact ? getKey(theirWant.scryfall.set, theirWant.scryfall.collector_number) : null,
+      oracle_id: oracleIdOf(theirWant.scryfall),
+      finish: theirWant.finish
+    };
+    const available = [];
+    for (const card of stock) {
+      const oracleId = oracleIdOf(card.scryfall);
+      for (const f of card.finishes || []) {
+        if (f.amount > 0 && matchesWant(want, card.CardId, oracleId, f.finish)) {
+          available.push({
+            CardId: card.CardId,
+            name: card.scryfall ? card.scryfall.name : null,
+            finish: f.finish,
+            amount: f.amount,
+            prices: pricesOf(card.scryfall, f.finish)
+          });
+        }
+      }
+    }
+    if (available.length === 0) continue;
+    results.push({
+      lineNumber: theirWant.lineNumber,
+      line: theirWant.line,
+      name: theirWant.scryfall.name,
+      wanted: theirWant.quantity,
+      fillable: Math.min(theirWant.quantity, available.reduce((total, a) => total + a.amount, 0)),
+      available
+    });
+  }
+  return results;
+}
+
+module.exports = { matchOurWants, matchTheirWants };
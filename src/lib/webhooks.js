@@ -0,0 +1,409 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { getStore, queryAll, ConditionFailedError } = require('../storage');
+const { CURRENCIES } = require('./prices');
+const { increment } = require('./metrics');
+const log = require('./logger');
+
+const webhooks = getStore('webhooks');
+const deliveries = getStore('webhookDeliveries');
+
+// The events a webhook can subscribe to; "ping" is only sent on request and always delivered
+const EVENT_TYPES = ['card.added', 'card.quantity_changed', 'card.deleted', 'price.threshold_crossed', 'trade.status_changed'];
+const MAX_WEBHOOKS_PER_USER = 10;
+const DELIVERY_TIMEOUT_MS = 5000;
+// A failed delivery is tried again after each of these delays, then given up on
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 360].map(minutes => minutes * 60 * 1000);
+// How long a delivery being sent is kept from other senders; a sender that dies leaves it to the next run
+const CLAIM_MS = 60 * 1000;
+// Deliveries are removed from the log (by the table TTL) after this many days
+const DELIVERY_LOG_DAYS = 30;
+// Card writes look up the subscriptions of their owner, and price refreshes those watching prices;
+// they are read again at most this often
+const SUBSCRIPTION_CACHE_MS = 30 * 1000;
+// The value of the sparse watch attribute of active subscriptions to price.threshold_crossed, and of
+// the queue attribute of pending deliveries, which the watch and queue indexes are keyed by
+const PRICE_WATCH = 'price';
+const PENDING_QUEUE = 'pending';
+// Signatures older than this are rejected by verifySignature, against replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Webhooks must not reach the machines around the server: loopback, private, shared and link-local
+// (e.g. the instance metadata at 169.254.169.254) addresses are refused, unless allowed for local tests
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10]]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Active subscriptions by owner, and those watching prices under PRICE_WATCH: { items, loadedAt }
+const subscriptionCache = new Map();
+
+// Helper to validate the fields of a subscription. With partial (PATCH) only the given fields are checked.
+// Returns { fields } or { error }.
+function readSubscription(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') return { error: 'Missing request body' };
+  const fields = {};
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url));
+    } catch (err) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return { error: 'url must be an absolute http(s) URL' };
+    fields.url = url.toString();
+  }
+  if (body.events !== undefined || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0) return { error: 'events must be a non-empty array' };
+    const unknown = body.events.find(event => !EVENT_TYPES.includes(event));
+    if (unknown !== undefined) return { error: `Unknown event "${unknown}", expected one of ${EVENT_TYPES.join(', ')}` };
+    fields.events = [...new Set(body.events)];
+  }
+  if (body.priceThreshold !== undefined && body.priceThreshold !== null) {
+    const { currency, amount } = body.priceThreshold;
+    if (!CURRENCIES.includes(currency)) return { error: `priceThreshold.currency must be one of ${CURRENCIES.join(', ')}` };
+    if (typeof amount !== 'number' || !(amount > 0)) return { error: 'priceThreshold.amount must be a positive number' };
+    fields.priceThreshold = { currency, amount };
+  } else if (body.priceThreshold === null) {
+    fields.priceThreshold = null;
+  }
+  if (body.description !== undefined) {
+    if (typeof body.description !== 'string' || body.description.length > 200) {
+      return { error: 'description must be a string of at most 200 characters' };
+    }
+    fields.description = body.description;
+  }
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+    fields.active = body.active;
+  }
+  return { fields };
+}
+
+// Helper to check a subscription as a whole, after a create or update
+async function checkSubscription(subscription) {
+  if (subscription.events.includes('price.threshold_crossed') && !subscription.priceThreshold) {
+    return 'priceThreshold is required for the price.threshold_crossed event';
+  }
+  try {
+    await resolveHost(new URL(subscription.url).hostname);
+  } catch (err) {
+    return `url cannot be used: ${err.message}`;
+  }
+  return null;
+}
+
+// Helper to resolve the host of a webhook URL; throws if it does not resolve or any of its addresses is
+// blocked. WEBHOOKS_ALLOW_PRIVATE_URLS=true allows them, for receivers on the local machine.
+async function resolveHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  if (process.env.WEBHOOKS_ALLOW_PRIVATE_URLS !== 'true') {
+    const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) throw new Error(`the address ${blocked.address} of ${hostname} is private`);
+  }
+  return addresses;
+}
+
+// The DNS lookup of deliveries, so the address connected to is the one checked, even if the host
+// resolved to another address when the webhook was saved
+function deliveryLookup(hostname, options, callback) {
+  resolveHost(hostname).then(
+    addresses => (options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family)),
+    err => callback(err)
+  );
+}
+
+// The subscription as the API shows it; the secret is only shown when the webhook is created
+function toResponse(subscription) {
+  const { secret, watch, ...rest } = subscription;
+  return rest;
+}
+
+// Oldest first
+async function listSubscriptions(owner) {
+  return queryAll(webhooks, 'owner-created_at-index', owner);
+}
+
+// Helper to set the watch attribute, which puts active price subscriptions in the watch index
+function withWatch(subscription) {
+  const watching = subscription.active && subscription.events.includes('price.threshold_crossed') && subscription.priceThreshold;
+  return { ...subscription, watch: watching ? PRICE_WATCH : undefined };
+}
+
+async function getSubscription(owner, webhookId) {
+  const subscription = await webhooks.get(webhookId);
+  return subscription && subscription.owner === owner ? subscription : null;
+}
+
+// Creates a subscription from fields checked by readSubscription. Returns { subscription } with the
+// secret deliveries are signed with, or { error }.
+async function createSubscription(owner, fields) {
+  if ((await listSubscriptions(owner)).length >= MAX_WEBHOOKS_PER_USER) {
+    return { error: `A user can have at most ${MAX_WEBHOOKS_PER_USER} webhooks` };
+  }
+  const subscription = {
+    WebhookId: crypto.randomUUID(),
+    owner,
+    url: fields.url,
+    events: fields.events,
+    priceThreshold: fields.priceThreshold || null,
+    description: fields.description || '',
+    active: fields.active !== false,
+    secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+    created_at: Date.now()
+  };
+  const error = await checkSubscription(subscription);
+  if (error) return { error };
+  await webhooks.put(withWatch(subscription));
+  subscriptionCache.clear();
+  return { subscription };
+}
+
+// Returns { subscription } or { error }
+async function updateSubscription(subscription, fields) {
+  const updated = withWatch({ ...subscription, ...fields, updated_at: Date.now() });
+  const error = await checkSubscription(updated);
+  if (error) return { error };
+  await webhooks.put(updated);
+  subscriptionCache.clear();
+  return { subscription: updated };
+}
+
+async function deleteSubscription(subscription) {
+  await webhooks.delete(subscription.WebhookId);
+  subscriptionCache.clear();
+}
+
+// Helper to cache a subscription lookup for SUBSCRIPTION_CACHE_MS
+async function cachedSubscriptions(cacheKey, load) {
+  const cached = subscriptionCache.get(cacheKey);
+  if (cached && Date.now() - cached.loadedAt <= SUBSCRIPTION_CACHE_MS) return cached.items;
+  const items = await load();
+  subscriptionCache.set(cacheKey, { items, loadedAt: Date.now() });
+  return items;
+}
+
+// Helper to get the active subscriptions of one owner
+async function activeSubscriptions(owner) {
+  return cachedSubscriptions(`owner#${owner}`, async () => (await listSubscriptions(owner)).filter(item => item.active));
+}
+
+// Returns the active subscriptions to price.threshold_crossed of every user
+async function priceSubscriptions() {
+  return cachedSubscriptions(PRICE_WATCH, () => queryAll(webhooks, 'watch-created_at-index', PRICE_WATCH));
+}
+
+// The signature header of a delivery: "t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>"
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Checks a signature header against the raw body, as a receiver should; false if it does not match or is too old
+function verifySignature(secret, header, body, now = Date.now()) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+  const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Helper to post a delivery once; resolves with the attempt for the delivery log. The host is checked
+// again, since what it resolves to can change after the webhook was saved.
+async function send(subscription, delivery) {
+  const start = Date.now();
+  try {
+    await resolveHost(new URL(subscription.url).hostname);
+    const response = await axios.post(subscription.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'mtg-trades-back/1.0 (webhooks)',
+        'X-Webhook-Id': delivery.DeliveryId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(subscription.secret, delivery.payload)
+      },
+      timeout: DELIVERY_TIMEOUT_MS,
+      lookup: deliveryLookup,
+      maxRedirects: 0,
+      validateStatus: () => true
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    return { at: start, ok, status: response.status, durationMs: Date.now() - start };
+  } catch (err) {
+    return { at: start, ok: false, status: null, error: err.message, durationMs: Date.now() - start };
+  }
+}
+
+// Sends a due delivery and records the attempt: delivered on a 2xx answer, else tried again after the next
+// retry delay, or failed when none is left. Resolves with the updated delivery, or null when another
+// sender claimed it first.
+async function attemptDelivery(delivery) {
+  const claimed = { ...delivery, next_attempt_at: Date.now() + CLAIM_MS };
+  try {
+    await deliveries.put(claimed, { condition: { next_attempt_at: delivery.next_attempt_at } });
+  } catch (err) {
+    if (err instanceof ConditionFailedError) return null;
+    throw err;
+  }
+
+  const subscription = await webhooks.get(delivery.WebhookId);
+  const attempt = subscription
+    ? await send(subscription, delivery)
+    : { at: Date.now(), ok: false, status: null, error: 'The webhook was deleted', durationMs: 0 };
+  const attempts = [...delivery.attempts, attempt];
+  const retryDelay = subscription ? RETRY_DELAYS_MS[attempts.length - 1] : undefined;
+  const done = attempt.ok || retryDelay === undefined;
+  const updated = {
+    ...claimed,
+    attempts,
+    status: attempt.ok ? 'delivered' : done ? 'failed' : 'pending',
+    queue: done ? undefined : PENDING_QUEUE,
+    next_attempt_at: done ? undefined : Date.now() + retryDelay
+  };
+  await deliveries.put(updated);
+
+  increment(attempt.ok ? 'webhooks.delivered' : 'webhooks.attempts_failed');
+  if (!attempt.ok) {
+    log.warn('Webhook delivery failed', {
+      DeliveryId: delivery.DeliveryId, WebhookId: delivery.WebhookId, status: attempt.status, reason: attempt.error, final: updated.status === 'failed'
+    });
+  }
+  return updated;
+}
+
+// Helper to store a delivery of an event to one subscription
+async function createDelivery(subscription, event, extra = {}) {
+  const now = Date.now();
+  const delivery = {
+    DeliveryId: crypto.randomUUID(),
+    WebhookId: subscription.WebhookId,
+    owner: subscription.owner,
+    event: event.type,
+    EventId: event.id,
+    payload: JSON.stringify(event),
+    status: 'pending',
+    queue: PENDING_QUEUE,
+    attempts: [],
+    next_attempt_at: now,
+    created_at: now,
+    ttl: Math.floor(now / 1000) + DELIVERY_LOG_DAYS * 24 * 3600,
+    ...extra
+  };
+  await deliveries.put(delivery);
+  return delivery;
+}
+
+// Queues an event for the active subscriptions of the owner that subscribe to its type (and pass filter,
+// e.g. a price threshold). The deliveries are stored as pending and sent by deliverDue, so a slow receiver
+// never slows down the change it is told about.
+// Like the history, webhooks must not fail the change they report, so errors are only logged.
+async function publish(owner, type, data, filter = () => true) {
+  try {
+    const subscriptions = (await activeSubscriptions(owner))
+      .filter(subscription => subscription.events.includes(type) && filter(subscription));
+    if (subscriptions.length === 0) return [];
+    const event = { id: data.EventId || crypto.randomUUID(), type, created_at: new Date().toISOString(), owner, data };
+    return await Promise.all(subscriptions.map(subscription => createDelivery(subscription, event)));
+  } catch (err) {
+    log.error('Error queueing webhook deliveries', { owner, event: type, error: err });
+    return [];
+  }
+}
+
+// Publishes a card change recorded in the history (see cardHistory.recordChange): card.added,
+// card.quantity_changed or card.deleted. Changes to notes or lots alone are not published.
+async function publishCardChange(historyEvent, card) {
+  const amountChanges = historyEvent.changes.filter(change => change.before !== change.after);
+  const type = historyEvent.action === 'create' ? 'card.added'
+    : historyEvent.action === 'delete' ? 'card.deleted'
+      : amountChanges.length > 0 ? 'card.quantity_changed' : null;
+  if (!type) return [];
+  const finishes = Array.isArray(card.finishes) ? card.finishes : [];
+  return publish(historyEvent.owner, type, {
+    EventId: historyEvent.EventId,
+    CardId: historyEvent.CardId,
+    name: card.scryfall ? card.scryfall.name : null,
+    changes: amountChanges.map(({ finish, before, after }) => ({ finish, before, after })),
+    amount: historyEvent.action === 'delete' ? 0 : finishes.reduce((sum, f) => sum + (f.amount || 0), 0),
+    source: historyEvent.source,
+    user: historyEvent.user
+  });
+}
+
+// Sends a ping to one subscription, whatever it subscribes to, and waits for the first attempt
+async function ping(subscription) {
+  const event = { id: crypto.randomUUID(), type: 'ping', created_at: new Date().toISOString(), owner: subscription.owner, data: {} };
+  const delivery = await createDelivery(subscription, event);
+  return (await attemptDelivery(delivery)) || delivery;
+}
+
+// Sends a delivery again as a new delivery of the same event, with its own retries
+async function redeliver(delivery) {
+  const subscription = await webhooks.get(delivery.WebhookId);
+  if (!subscription) return null;
+  const copy = await createDelivery(subscription, JSON.parse(delivery.payload), { redeliveryOf: delivery.DeliveryId });
+  return (await attemptDelivery(copy)) || copy;
+}
+
+// Returns the deliveries of a subscription, newest first
+async function listDeliveries(webhookId, { status, limit = 50 } = {}) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await deliveries.query('WebhookId-created_at-index', webhookId, { order: 'desc', limit, cursor });
+    items.push(...page.items.filter(item => !status || item.status === status));
+    cursor = page.cursor;
+  } while (cursor && items.length < limit);
+  return items.slice(0, limit);
+}
+
+async function getDelivery(webhookId, deliveryId) {
+  const delivery = await deliveries.get(deliveryId);
+  return delivery && delivery.WebhookId === webhookId ? delivery : null;
+}
+
+// Sends the pending deliveries that are due, oldest first, at most limit of them. Run on a schedule
+// (and by the local server), so failed deliveries are tried again.
+// Resolves with { due, delivered, retrying, failed, skipped }.
+async function deliverDue({ limit = 100, now = Date.now() } = {}) {
+  const { items: due } = await deliveries.query('queue-next_attempt_at-index', PENDING_QUEUE, { to: now, limit });
+  const report = { due: due.length, delivered: 0, retrying: 0, failed: 0, skipped: 0 };
+  for (const delivery of due) {
+    const updated = await attemptDelivery(delivery);
+    if (!updated) report.skipped++;
+    else if (updated.status === 'delivered') report.delivered++;
+    else if (updated.status === 'failed') report.failed++;
+    else report.retrying++;
+  }
+  return report;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  readSubscription,
+  toResponse,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  activeSubscriptions,
+  priceSubscriptions,
+  signPayload,
+  verifySignature,
+  publish,
+  publishCardChange,
+  ping,
+  redeliver,
+  listDeliveries,
+  getDelivery,
+  deliverDue
+};
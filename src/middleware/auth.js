@@ -1,39 +1,63 @@
 const jwt = require('jsonwebtoken');
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { hasPermission } = require('../lib/users');
+const { getPublicKey } = require('../lib/keys');
+const { UnauthorizedError, ForbiddenError } = require('../lib/errors');
 
-const secretArn = process.env.JWT_PUBLIC_KEY_SECRET_ARN;
-let cachedSecret = null;
-
-async function getSecret() {
-  if (cachedSecret) return cachedSecret;
-  const client = new SecretsManagerClient({ region: 'eu-central-1' });
-  const command = new GetSecretValueCommand({ SecretId: secretArn });
-  const response = await client.send(command);
-  cachedSecret = response.SecretString;
-  return cachedSecret;
+// Helper to verify a token; resolves with the token payload, or null if the token is invalid
+async function verifyToken(token) {
+  const publicKey = await getPublicKey();
+  return new Promise((resolve) => {
+    jwt.verify(token, publicKey, { algorithms: ['RS256'] }, (err, user) => resolve(err ? null : user));
+  });
 }
 
 class AuthMiddleware {
-  static async authenticateToken(req, res, next) {
-    try {
+  // Returns middleware that requires a valid token with the given permission (ADMIN has them all),
+  // e.g. router.post('/', AuthMiddleware.authenticateToken('CARD_EDITOR'), handler)
+  static authenticateToken(permission) {
+    return async (req, res, next) => {
       const authHeader = req.headers['authorization'];
       const token = authHeader && authHeader.split(' ')[1];
-      if (!token) return res.sendStatus(401);
+      if (!token) throw new UnauthorizedError();
+
+      const user = await verifyToken(token);
+      if (!user) throw new UnauthorizedError('Invalid or expired token');
+      // Permission check
+      if (permission && !hasPermission(user, permission)) {
+        throw new ForbiddenError(`Missing ${permission} permission`);
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  // Sets req.user when a valid token is given, but lets anonymous requests through
+  static async identifyUser(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (token) {
+      const user = await verifyToken(token);
+      if (!user) throw new UnauthorizedError('Invalid or expired token');
+      req.user = user;
+    }
+    next();
+  }
+
+  // Only admins can create accounts, unless OPEN_REGISTRATION is true; use after identifyUser
+  static allowRegistration(req, res, next) {
+    if (process.env.OPEN_REGISTRATION !== 'true') {
+      if (!req.user) throw new UnauthorizedError('Log in as an admin to create accounts');
+      if (!hasPermission(req.user, 'ADMIN')) throw new ForbiddenError('Only admins can create accounts');
+    }
+    next();
+  }
 
-      const publicKey = await getSecret();
-      jwt.verify(token, publicKey, { algorithms: ['RS256'] }, (err, user) => {
-        if (err) return res.sendStatus(403);
-        // Permission check
-        if (!user.permissions || !user.permissions.includes('CARD_EDITOR')) {
-          return res.status(403).json({ error: 'Missing CARD_EDITOR permission' });
-        }
-        req.user = user;
-        next();
-      });
-    } catch (err) {
-      console.error('JWT verification error:', err);
-      res.sendStatus(500);
+  // Users may manage their own account (:username); admins may manage everyone's. Use after authenticateToken.
+  static requireSelfOrAdmin(req, res, next) {
+    if (req.user.username !== req.params.username && !hasPermission(req.user, 'ADMIN')) {
+      throw new ForbiddenError('You can only manage your own account');
     }
+    next();
   }
 }
 
@@ -0,0 +1,106 @@
+// Middleware for the error model: every error is answered with an RFC 7807 problem details body
+// (application/problem+json) carrying the request id. Details of unexpected errors are only logged,
+// never sent to the client.
+const { STATUS_CODES } = require('http');
+const { ConditionFailedError } = require('../storage');
+const { ScryfallError, ScryfallNotFoundError, ScryfallUnavailableError } = require('../lib/scryfall');
+const { HttpError, ValidationError, NotFoundError, ConflictError, UpstreamUnavailableError } = require('../lib/errors');
+const log = require('../lib/logger');
+
+const PROBLEM_TYPE = 'application/problem+json';
+
+// For requests no route answered
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+}
+
+// Helper to map any error to an HttpError; errors from the store, Scryfall and the body parser get their
+// own status, anything else is a 500 without details
+function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  if (err instanceof ScryfallUnavailableError) return new UpstreamUnavailableError(err.message);
+  // Scryfall refusing what the client asked for, e.g. a search it cannot parse
+  if (err instanceof ScryfallNotFoundError) return new NotFoundError(err.message);
+  if (err instanceof ScryfallError && err.status >= 400 && err.status < 500) return new ValidationError(err.message);
+  if (err instanceof ConditionFailedError) return new ConflictError('The data kept changing while it was written, try again');
+  if (err.type === 'entity.parse.failed') return new ValidationError('The request body is not valid JSON');
+  if (err.expose && err.status >= 400 && err.status < 500) return new HttpError(err.status, err.message);
+  return new HttpError(500, 'Something went wrong; quote the request id when reporting this');
+}
+
+function problemOf(err, req) {
+  const httpError = toHttpError(err);
+  return {
+    ...httpError.extensions,
+    type: 'about:blank',
+    title: STATUS_CODES[httpError.status],
+    status: httpError.status,
+    detail: httpError.message,
+    instance: req.originalUrl,
+    requestId: req.id,
+    // What clients read before problem details
+    error: httpError.message
+  };
+}
+
+// The last middleware of the app
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const problem = problemOf(err, req);
+  if (problem.status >= 500) {
+    log.error('Request failed', { method: req.method, path: req.originalUrl, error: err });
+  } else {
+    log.debug('Request rejected', { status: problem.status, detail: problem.detail });
+  }
+  res.status(problem.status).type(PROBLEM_TYPE).json(problem);
+}
+
+const PROBLEM_SCHEMA = {
+  type: 'object',
+  required: ['type', 'title', 'status'],
+  properties: {
+    type: { type: 'string', description: 'Always "about:blank": the status says what went wrong' },
+    title: { type: 'string', description: 'The HTTP status text' },
+    status: { type: 'integer' },
+    detail: { type: 'string', description: 'What went wrong, for people' },
+    instance: { type: 'string', description: 'The path of the request' },
+    requestId: { type: 'string', description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' },
+    error: { type: 'string', description: 'Same as detail, for older clients' },
+    violations: {
+      type: 'array',
+      description: 'Every way an invalid request breaks the API spec',
+      items: {
+        type: 'object',
+        properties: {
+          in: { type: 'string', enum: ['path', 'query', 'body'] },
+          path: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+// Documents the error model in a swagger spec: every error response of every operation gets the Problem
+// schema, and every operation documents the 400 of request validation, the 401 of protected routes and 500
+function documentErrors(spec) {
+  spec.components = spec.components || {};
+  spec.components.schemas = { ...spec.components.schemas, Problem: PROBLEM_SCHEMA };
+  const content = { [PROBLEM_TYPE]: { schema: { $ref: '#/components/schemas/Problem' } } };
+  for (const pathItem of Object.values(spec.paths || {})) {
+    for (const operation of Object.values(pathItem)) {
+      if (!operation || !operation.responses) continue;
+      const { responses } = operation;
+      if (!responses[400]) responses[400] = { description: 'Invalid request' };
+      if (operation.security && !responses[401]) responses[401] = { description: 'Missing or invalid token' };
+      if (!responses[500]) responses[500] = { description: 'Unexpected error; the details are logged under the request id' };
+      for (const [status, response] of Object.entries(responses)) {
+        // Kept next to any JSON the error already documents, e.g. the report of a rejected atomic batch
+        if (Number(status) >= 400 && !response.$ref) response.content = { ...response.content, ...content };
+      }
+    }
+  }
+  return spec;
+}
+
+module.exports = { notFound, errorHandler, documentErrors };
@@ -0,0 +1,34 @@
+// Middleware tracing requests: every request gets an id, logged with everything logged while handling it,
+// and one entry with its outcome and duration when the response is sent.
+const crypto = require('crypto');
+const { getCurrentInvoke } = require('@vendia/serverless-express');
+const log = require('../lib/logger');
+
+// Helper to get the id API Gateway gave the request, when running in Lambda via lambda.js
+function gatewayRequestId() {
+  const { event } = getCurrentInvoke();
+  return event && event.requestContext ? event.requestContext.requestId : undefined;
+}
+
+// Sets req.id from API Gateway, else from X-Request-Id (e.g. set by a proxy), else a new one, and echoes it
+// in the X-Request-Id response header
+function requestContext(req, res, next) {
+  const given = req.get('X-Request-Id');
+  req.id = gatewayRequestId() || (given && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID());
+  res.set('X-Request-Id', req.id);
+
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    log.info('Request handled', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      user: req.user ? req.user.username : undefined
+    });
+  });
+  log.runWithContext({ requestId: req.id }, next);
+}
+
+module.exports = { requestContext };
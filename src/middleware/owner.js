@@ -0,0 +1,36 @@
+// Middleware deciding whose collection a request is about, stored in req.owner
+const { ValidationError, ForbiddenError } = require('../lib/errors');
+const { hasPermission } = require('../lib/users');
+
+// /cards and /wants: the logged in user, or DEFAULT_OWNER for anonymous requests
+function ownerFromUser(req, res, next) {
+  req.owner = req.user ? req.user.username : process.env.DEFAULT_OWNER;
+  if (!req.owner) {
+    throw new ValidationError('No collection given, use /users/{username}/cards or log in');
+  }
+  next();
+}
+
+// /users/:username/...
+function ownerFromParams(req, res, next) {
+  req.owner = req.params.username;
+  next();
+}
+
+// Writes are only allowed to the owner of the collection; use after authenticateToken
+function requireOwner(req, res, next) {
+  if (!req.user || req.user.username !== req.owner) {
+    throw new ForbiddenError(`Only ${req.owner} can change this collection`);
+  }
+  next();
+}
+
+// Private reads, like the history, are only allowed to the owner and admins; use after authenticateToken
+function requireOwnerOrAdmin(req, res, next) {
+  if (!req.user || (req.user.username !== req.owner && !hasPermission(req.user, 'ADMIN'))) {
+    throw new ForbiddenError(`Only ${req.owner} can see this`);
+  }
+  next();
+}
+
+module.exports = { ownerFromUser, ownerFromParams, requireOwner, requireOwnerOrAdmin };
@@ -0,0 +1,202 @@
+// Middleware validating requests (and, in tests, responses) against the swagger spec built from the
+// JSDoc blocks in src/routes. Requests to paths or methods the spec does not document pass unchecked.
+// Enums are matched whatever the case of the request, like the controllers do (e.g. condition "lp").
+const express = require('express');
+const { createSchemaValidator } = require('../lib/schemaValidator');
+const { ValidationError } = require('../lib/errors');
+const { errorHandler } = require('./errors');
+const log = require('../lib/logger');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Helper to turn a spec path like /cards/{setCode}/{cardNumber} into a matcher. Literal segments
+// rank before parameters, so /cards/stats/top is matched before /cards/{setCode}/{cardNumber}.
+function compilePath(template) {
+  const names = [];
+  const segments = template.split('/').filter(Boolean);
+  const source = segments.map(segment => {
+    const param = segment.match(/^\{(.+)\}$/);
+    if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    names.push(param[1]);
+    return '([^/]+)';
+  }).join('/');
+  return {
+    template,
+    names,
+    rank: segments.map(segment => (segment.startsWith('{') ? '1' : '0')).join(''),
+    regex: new RegExp(`^/${source}/?$`)
+  };
+}
+
+function byRank(a, b) {
+  return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+}
+
+// Helper to read a query or path value as the type its schema asks for; values that do not convert are
+// left as strings, so the schema check reports them
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+// Creates the middleware. Options:
+//   aliases: patterns removed from a path the spec does not document, to find the documented one
+//            (e.g. /users/{username}/cards/... is checked as /cards/...)
+//   validateResponses: also check JSON responses against the documented response schemas; a response that
+//            does not match is replaced by a 500 listing the violations. On by default when NODE_ENV is "test".
+function validateRequests(spec, { aliases = [], validateResponses = process.env.NODE_ENV === 'test' } = {}) {
+  const validator = createSchemaValidator(spec);
+  const routes = Object.keys(spec.paths || {}).map(compilePath).sort(byRank);
+
+  function findRoute(path) {
+    for (const route of routes) {
+      const match = path.match(route.regex);
+      if (!match) continue;
+      const params = {};
+      route.names.forEach((name, i) => {
+        try {
+          params[name] = decodeURIComponent(match[i + 1]);
+        } catch (err) {
+          params[name] = match[i + 1];
+        }
+      });
+      return { route, params };
+    }
+    return null;
+  }
+
+  function findOperation(path, method) {
+    const candidates = [path, ...aliases.map(alias => path.replace(alias, ''))];
+    for (const candidate of candidates) {
+      const found = findRoute(candidate);
+      const operation = found && spec.paths[found.route.template][method];
+      if (operation) return { operation, params: found.params, pathItem: spec.paths[found.route.template] };
+    }
+    return null;
+  }
+
+  function checkParameters(parameters, req, params) {
+    const violations = [];
+    for (const raw of parameters) {
+      const parameter = validator.resolve(raw);
+      if (!['path', 'query'].includes(parameter.in) || !parameter.schema) continue;
+      const value = parameter.in === 'path' ? params[parameter.name] : req.query[parameter.name];
+      if (value === undefined || value === '') {
+        if (parameter.required) violations.push({ in: parameter.in, path: parameter.name, message: 'is required' });
+        continue;
+      }
+      // Repeated query keys (?set=khm&set=ths) are checked one by one
+      const values = Array.isArray(value) && validator.resolve(parameter.schema).type !== 'array' ? value : [value];
+      for (const item of values) {
+        const found = validator.validate(parameter.schema, coerce(validator.resolve(parameter.schema), item), {
+          path: parameter.name,
+          caseInsensitiveEnums: true
+        });
+        violations.push(...found.map(violation => ({ in: parameter.in, ...violation })));
+      }
+    }
+    return violations;
+  }
+
+  function checkBody(requestBody, req) {
+    if (!requestBody) return [];
+    const body = validator.resolve(requestBody);
+    // req.is() is null for requests without a body, but not for an empty one sent with Content-Length: 0
+    if (req.is() === null || req.headers['content-length'] === '0') {
+      return body.required ? [{ in: 'body', path: '', message: 'The request body is required' }] : [];
+    }
+    const media = body.content && body.content['application/json'];
+    if (!media || !media.schema || !req.is('application/json')) return [];
+    return validator.validate(media.schema, req.body, { caseInsensitiveEnums: true })
+      .map(violation => ({ in: 'body', ...violation }));
+  }
+
+  function checkResponses(operation, req, res) {
+    const send = res.json.bind(res);
+    res.json = (payload) => {
+      const responses = operation.responses || {};
+      const documented = responses[res.statusCode] || responses[`${String(res.statusCode)[0]}XX`] || responses.default;
+      const content = documented ? validator.resolve(documented).content || {} : {};
+      const media = content[res.get('Content-Type') && res.get('Content-Type').startsWith('application/problem+json')
+        ? 'application/problem+json'
+        : 'application/json'];
+      // Checked as the client receives it, e.g. with undefined properties left out
+      const sent = payload === undefined ? undefined : JSON.parse(JSON.stringify(payload));
+      const violations = media && media.schema ? validator.validate(media.schema, sent) : [];
+      if (violations.length === 0) return send(payload);
+      log.error('Response does not match the API spec', { method: req.method, path: req.originalUrl, violations });
+      res.status(500);
+      return send({ error: 'The response does not match the API spec', violations });
+    };
+  }
+
+  return (req, res, next) => {
+    const method = req.method.toLowerCase();
+    if (!METHODS.includes(method)) return next();
+    const found = findOperation(req.path, method);
+    if (!found) return next();
+    const { operation, params, pathItem } = found;
+    if (validateResponses) checkResponses(operation, req, res);
+
+    const check = () => {
+      req.pendingCheck = null;
+      const violations = [
+        ...checkParameters([...(pathItem.parameters || []), ...(operation.parameters || [])], req, params),
+        ...checkBody(operation.requestBody, req)
+      ];
+      if (violations.length > 0) {
+        throw new ValidationError('Invalid request', { violations });
+      }
+    };
+    // Protected operations are checked by checkRequest in their route (createRouter adds it to every route),
+    // once the route has checked the login, permission and owner, so a request that may not be made is answered with 401 or 403 rather than 400
+    if ((operation.security || spec.security || []).length > 0) {
+      req.pendingCheck = check;
+      failUnchecked(req, res);
+      return next();
+    }
+    check();
+    next();
+  };
+}
+
+// Helper to answer a protected request that no route checked with a 500 instead of its success response,
+// so a route that skips checkRequest fails closed
+function failUnchecked(req, res) {
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    res.send = send;
+    if (!req.pendingCheck || res.statusCode >= 400) return send(body);
+    req.pendingCheck = null;
+    return errorHandler(new Error(`${req.method} ${req.originalUrl} was not checked against the API spec; build its router with createRouter`), req, res, () => {});
+  };
+}
+
+// Route middleware checking a request to a protected operation against the spec; put it after the checks
+// of the login, permission and owner, right before the handler
+function checkRequest(req, res, next) {
+  if (req.pendingCheck) req.pendingCheck();
+  next();
+}
+
+// Creates an express router whose routes run checkRequest right before their handler, the last function
+// given, e.g. router.post('/', authenticateToken('CARD_EDITOR'), requireOwner, create)
+function createRouter(options) {
+  const router = express.Router(options);
+  for (const method of METHODS) {
+    const addRoute = router[method].bind(router);
+    router[method] = (path, ...handlers) => addRoute(path, ...handlers.slice(0, -1), checkRequest, handlers[handlers.length - 1]);
+  }
+  return router;
+}
+
+module.exports = { validateRequests, checkRequest, createRouter };
@@ -0,0 +1,12 @@
+// Lambda handler for the scheduled refresh of expired Scryfall data, next to the API handler in lambda.js
+const { refreshStaleCards } = require('./lib/scryfallRefresh');
+const log = require('./lib/logger');
+
+exports.handler = async (event, context = {}) => log.runWithContext({ requestId: context.awsRequestId }, async () => {
+  const report = await refreshStaleCards({
+    maxPrintings: Number(process.env.REFRESH_MAX_PRINTINGS) || Infinity,
+    pauseMs: Number(process.env.REFRESH_BATCH_PAUSE_MS) || 0
+  });
+  log.info('Scryfall refresh done', { report });
+  return report;
+});
@@ -0,0 +1,172 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const { register, token, refresh, logout } = require('../controllers/authController');
+
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     operationId: register
+ *     summary: Create an account (admin)
+ *     description: >-
+ *       Call this function to register a new user. New users get the CARD_VIEWER permission; an admin can grant more.
+ *       Only admins can create accounts, unless the server runs with OPEN_REGISTRATION=true.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       201:
+ *         description: User created
+ *       400:
+ *         description: Invalid username or password
+ *       401:
+ *         description: Not logged in
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: The username is taken
+ */
+router.post('/register', AuthMiddleware.identifyUser, AuthMiddleware.allowRegistration, register);
+
+/**
+ * @swagger
+ * /auth/token:
+ *   post:
+ *     operationId: getToken
+ *     summary: Log in
+ *     description: >-
+ *       Call this function to exchange a username and password, given as Basic auth or in the body, for an access token and a refresh token.
+ *       The access token expires after 15 minutes; use the refresh token with /auth/refresh to get a new one.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       401:
+ *         description: Missing credentials
+ *       403:
+ *         description: Invalid credentials
+ */
+router.post('/token', token);
+
+/**
+ * @swagger
+ * /gettoken:
+ *   get:
+ *     operationId: getTokenBasic
+ *     summary: Log in (older clients)
+ *     description: Like /auth/token, with the username and password given as Basic auth. Served outside /auth for clients written before it.
+ *     security:
+ *       - basicAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       401:
+ *         description: Missing credentials
+ *       403:
+ *         description: Invalid credentials
+ */
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     operationId: refreshToken
+ *     summary: Get a new access token
+ *     description: Call this function with a refresh token to get a new access token, with the current permissions of the user. The refresh token can only be used once; a new one is returned.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       401:
+ *         description: Invalid, used or expired refresh token
+ */
+router.post('/refresh', refresh);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     operationId: logout
+ *     summary: Revoke a refresh token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: The refresh token can no longer be used
+ */
+router.post('/logout', logout);
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     basicAuth:
+ *       type: http
+ *       scheme: basic
+ *   schemas:
+ *     Credentials:
+ *       type: object
+ *       required: [username, password]
+ *       properties:
+ *         username:
+ *           type: string
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *     Tokens:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: 'Access token, to send as "Authorization: Bearer <token>"'
+ *         refreshToken:
+ *           type: string
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the access token expires
+ */
+
+module.exports = router;
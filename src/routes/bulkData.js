@@ -0,0 +1,61 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { status } = require('../controllers/bulkDataController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IngestStatus:
+ *       type: object
+ *       properties:
+ *         state:
+ *           type: string
+ *           enum: [never, running, completed, failed]
+ *         started_at:
+ *           type: integer
+ *           description: Milliseconds since the epoch
+ *         updated_at:
+ *           type: integer
+ *           description: When the ingest last wrote its status; a running ingest that stopped writing it is taken over by the next one
+ *         finished_at:
+ *           type: integer
+ *         cards:
+ *           type: integer
+ *           description: Cards stored so far
+ *         source:
+ *           type: string
+ *           description: The file the cards were read from
+ *         bulk_updated_at:
+ *           type: string
+ *           nullable: true
+ *           description: When Scryfall last updated the file
+ *         error:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /bulk-data:
+ *   get:
+ *     operationId: getBulkDataStatus
+ *     summary: Get the state of the last Scryfall bulk data ingest (admin)
+ *     description: >-
+ *       Card metadata and valid finishes are read from the last ingest of Scryfall's default-cards bulk data.
+ *       Only cards that were not in it are looked up on the Scryfall API. The file is too big to ingest in a request, so it is ingested
+ *       daily by its own function, or with npm run ingest:bulk.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The ingest status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestStatus'
+ */
+router.get('/', authenticateToken('ADMIN'), status);
+
+module.exports = router;
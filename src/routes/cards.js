@@ -1,8 +1,321 @@
 const express = require('express');
-const router = express.Router();
+const { createRouter } = require('../middleware/validate');
+// mergeParams: the router is also mounted under /users/:username
+const router = createRouter({ mergeParams: true });
 const AuthMiddleware = require('../middleware/auth');
 const authenticateToken = AuthMiddleware.authenticateToken;
-const { getCard, post, patch, deleteCard, getAll } = require('../controllers/cardsController');
+const { requireOwner, requireOwnerOrAdmin } = require('../middleware/owner');
+const { getCardHistory, restore } = require('../controllers/historyController');
+const {
+  batch, getCard, getByOracle, post, create, patch, deleteCard, getAll, search, importCards, exportCards, getPrices, getValue, getStats, getTop,
+  getMovers, addNote, editNote, deleteNote
+} = require('../controllers/cardsController');
+
+/**
+ * @swagger
+ * /cards/search:
+ *   get:
+ *     operationId: searchCards
+ *     summary: Search cards in the collection
+ *     description: >-
+ *       Call this function to find cards by text, using a Scryfall-like query. Bare words and "quoted phrases" match the card name, type line, oracle text and the notes of its finishes.
+ *       Operators narrow the search: name: (n:), t: (type:), o: (oracle:), c: (color:, e.g. c:wu, c:c for colorless), set: (s:, e:), r: (rarity:), f: (finish:) and note: (notes:).
+ *       Prefix a term with "-" to exclude matches, e.g. `t:creature c:b o:"draw a card" -set:khm`.
+ *       All terms must match. The response has the same shape as getAllCards and accepts its filter, sort and paging parameters.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         description: The search query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, set, price, added]
+ *           default: set
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *       - in: query
+ *         name: cursor
+ *         description: The X-Next-Cursor value of the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching cards
+ *         headers:
+ *           X-Next-Cursor:
+ *             description: Cursor for the next page, absent on the last page
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing or invalid query
+ */
+router.get('/search', search);
+
+/**
+ * @swagger
+ * /cards/stats/value:
+ *   get:
+ *     operationId: getCollectionValue
+ *     summary: Get the value of the collection
+ *     description: Call this function to get the total value of the collection in USD and EUR, based on the cached Scryfall prices, with a breakdown per finish. Copies without a known price in a currency are counted in unpricedCopies.
+ *     responses:
+ *       200:
+ *         description: Collection value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cards:
+ *                   type: integer
+ *                 copies:
+ *                   type: integer
+ *                 currencies:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: number
+ *                       unpricedCopies:
+ *                         type: integer
+ *                       finishes:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: object
+ *                           properties:
+ *                             copies:
+ *                               type: integer
+ *                             value:
+ *                               type: number
+ */
+// Registered before /:setCode/:cardNumber, which would otherwise match it
+router.get('/stats/value', getValue);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StatsCount:
+ *       type: object
+ *       properties:
+ *         cards:
+ *           type: integer
+ *           description: Distinct printings
+ *         copies:
+ *           type: integer
+ *     RankedFinish:
+ *       type: object
+ *       properties:
+ *         CardId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         set:
+ *           type: string
+ *         finish:
+ *           type: string
+ *         copies:
+ *           type: integer
+ *         price:
+ *           type: number
+ *           description: The current price of one copy
+ */
+
+/**
+ * @swagger
+ * /cards/stats:
+ *   get:
+ *     operationId: getCollectionStats
+ *     summary: Get statistics of the collection
+ *     description: >-
+ *       Call this function to count the distinct cards and copies in the collection, in total and broken down by set, color identity, rarity, card type and finish.
+ *       Color identities are keyed in WUBRG order, e.g. "WU", with "C" for colorless. A card with several types, e.g. an artifact creature, counts for each of them.
+ *     responses:
+ *       200:
+ *         description: Collection statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cards:
+ *                   type: integer
+ *                 copies:
+ *                   type: integer
+ *                 sets:
+ *                   type: object
+ *                   description: Keyed by set code; each entry also has the set name
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/StatsCount'
+ *                 colors:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/StatsCount'
+ *                 rarities:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/StatsCount'
+ *                 types:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/StatsCount'
+ *                 finishes:
+ *                   type: object
+ *                   additionalProperties:
+ *                     $ref: '#/components/schemas/StatsCount'
+ */
+router.get('/stats', getStats);
+
+/**
+ * @swagger
+ * /cards/stats/top:
+ *   get:
+ *     operationId: getMostValuableCards
+ *     summary: Get the most valuable cards
+ *     description: Call this function to list the card finishes in the collection with the highest price per copy, based on the cached Scryfall prices, most valuable first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/StatsLimit'
+ *       - $ref: '#/components/parameters/StatsCurrency'
+ *     responses:
+ *       200:
+ *         description: The most valuable finishes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/RankedFinish'
+ *                   - type: object
+ *                     properties:
+ *                       value:
+ *                         type: number
+ *                         description: price times copies
+ *       400:
+ *         description: Invalid parameter
+ */
+router.get('/stats/top', getTop);
+
+/**
+ * @swagger
+ * /cards/stats/movers:
+ *   get:
+ *     operationId: getPriceMovers
+ *     summary: Get the cards whose price changed most since they were added
+ *     description: >-
+ *       Call this function to list the card finishes whose price changed most since the card was added to the collection, largest change first.
+ *       The price at the time is taken from the recorded price history, so cards without recorded prices are left out.
+ *     parameters:
+ *       - $ref: '#/components/parameters/StatsLimit'
+ *       - $ref: '#/components/parameters/StatsCurrency'
+ *       - in: query
+ *         name: direction
+ *         description: Only rises (up), only drops (down), or both ranked by the size of the change
+ *         schema:
+ *           type: string
+ *           enum: [both, up, down]
+ *           default: both
+ *     responses:
+ *       200:
+ *         description: The finishes with the largest price movement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/RankedFinish'
+ *                   - type: object
+ *                     properties:
+ *                       added_at:
+ *                         type: integer
+ *                       addedPrice:
+ *                         type: number
+ *                         description: The price when the card was added
+ *                       change:
+ *                         type: number
+ *                       changePercent:
+ *                         type: number
+ *                         nullable: true
+ *       400:
+ *         description: Invalid parameter
+ */
+router.get('/stats/movers', getMovers);
+
+/**
+ * @swagger
+ * /cards/by-oracle/{oracleId}:
+ *   get:
+ *     operationId: getCardByOracleId
+ *     summary: Get every printing of a card in the collection
+ *     description: Call this function to see how many copies of a card the collection holds across all its printings, e.g. every Sol Ring regardless of set. Printings are matched on their Scryfall oracle id.
+ *     parameters:
+ *       - in: path
+ *         name: oracleId
+ *         description: The Scryfall oracle id of the card
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The copies per finish and per printing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 oracle_id:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 amount:
+ *                   type: integer
+ *                   description: Copies across all printings and finishes
+ *                 finishes:
+ *                   type: object
+ *                   description: Copies per finish across all printings, keyed by finish
+ *                   additionalProperties:
+ *                     type: integer
+ *                 printings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       CardId:
+ *                         type: string
+ *                       set:
+ *                         type: string
+ *                       set_name:
+ *                         type: string
+ *                       collector_number:
+ *                         type: string
+ *                       amount:
+ *                         type: integer
+ *                       finishes:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Finish'
+ *       404:
+ *         description: No printing of the card in the collection
+ */
+// Registered before /:setCode/:cardNumber, which would otherwise match it
+router.get('/by-oracle/:oracleId', getByOracle);
 
 /**
  * @swagger
@@ -10,7 +323,7 @@ const { getCard, post, patch, deleteCard, getAll } = require('../controllers/car
  *   get:
  *     operationId: getCard
  *     summary: Get card info by setCode and cardNumber.
- *     description: Call this function to return a single card object in the collection. You need the setcode and cardnumber.
+ *     description: Call this function to return a single card object in the collection. You need the setcode and cardnumber. The ETag header holds the version of the card; send it as If-Match when changing the card. The Scryfall data is as last refreshed; reading a card never refreshes it.
  *     parameters:
  *       - in: path
  *         name: setCode
@@ -18,28 +331,245 @@ const { getCard, post, patch, deleteCard, getAll } = require('../controllers/car
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
  *       - in: path
  *         name: cardNumber
  *         description: The card number within the set (e.g., "123")
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
  *     responses:
  *       200:
  *         description: Card info
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       404:
  *         description: Card not found
  */
-// GET: Return card info, refresh Scryfall if expired
+// GET: Return card info
 router.get('/:setCode/:cardNumber', getCard);
 
+/**
+ * @swagger
+ * /cards/{setCode}/{cardNumber}/prices:
+ *   get:
+ *     operationId: getCardPrices
+ *     summary: Get the price history of a card
+ *     description: >-
+ *       Call this function to get the recorded Scryfall prices of a card per finish. A snapshot is recorded whenever the cached Scryfall data
+ *       is refreshed and the prices changed, at most one per day: a later change on the same day replaces it.
+ *     parameters:
+ *       - in: path
+ *         name: setCode
+ *         description: The set code of the card (e.g., "KHM")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
+ *       - in: path
+ *         name: cardNumber
+ *         description: The card number within the set (e.g., "123")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *     responses:
+ *       200:
+ *         description: Price history per finish
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 CardId:
+ *                   type: string
+ *                 finishes:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         recorded_at:
+ *                           type: integer
+ *                           description: Time of the snapshot in milliseconds since the epoch
+ *                         usd:
+ *                           type: number
+ *                           nullable: true
+ *                         eur:
+ *                           type: number
+ *                           nullable: true
+ *       404:
+ *         description: No price history for card
+ */
+router.get('/:setCode/:cardNumber/prices', getPrices);
+
+/**
+ * @swagger
+ * /cards/{setCode}/{cardNumber}/history:
+ *   get:
+ *     operationId: getCardHistory
+ *     summary: Get the change history of a card (protected)
+ *     description: >-
+ *       Call this function to list the changes to the amounts and notes of a card, newest first. Takes the same filters as /history.
+ *       Only the owner of the collection and admins can see its history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: setCode
+ *         description: The set code of the card (e.g., "KHM")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
+ *       - in: path
+ *         name: cardNumber
+ *         description: The card number within the set (e.g., "123")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         description: The X-Next-Cursor value of the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The events
+ *         headers:
+ *           X-Next-Cursor:
+ *             description: Cursor for the next page, absent on the last page
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HistoryEvent'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Not the owner of the collection
+ */
+router.get('/:setCode/:cardNumber/history', authenticateToken(), requireOwnerOrAdmin, getCardHistory);
+
+/**
+ * @swagger
+ * /cards/{setCode}/{cardNumber}/restore:
+ *   post:
+ *     operationId: restoreCard
+ *     summary: Restore a deleted card (protected)
+ *     description: Call this function to put a deleted card back in the collection, with the finishes, amounts and notes it had when it was last deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: setCode
+ *         description: The set code of the card (e.g., "KHM")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
+ *       - in: path
+ *         name: cardNumber
+ *         description: The card number within the set (e.g., "123")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *     responses:
+ *       201:
+ *         description: Card restored
+ *       404:
+ *         description: The card was never deleted
+ *       409:
+ *         description: The card is in the collection
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/:setCode/:cardNumber/restore', authenticateToken('CARD_EDITOR'), requireOwner, restore);
+
+/**
+ * @swagger
+ * /cards:
+ *   post:
+ *     operationId: createCardByLookup
+ *     summary: Create or increment a card named by Scryfall id or name (protected)
+ *     description: >-
+ *       Call this function to add a card without knowing its set code and collector number. Name the card with exactly one of "scryfallId", "name" (the exact card name) or "fuzzy" (a name that may be misspelled or partial, e.g. "jac bele");
+ *       "set" narrows a name to one set. Scryfall resolves it to one printing, the most recent unless a set is given, and the card is stored under that printing's set code and collector number.
+ *       The finishes are handled as for createCard.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CardInput'
+ *               - type: object
+ *                 properties:
+ *                   scryfallId:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *                     example: Sol Ring
+ *                   fuzzy:
+ *                     type: string
+ *                   set:
+ *                     type: string
+ *                     description: Set code to pick the printing from, with name or fuzzy
+ *     responses:
+ *       201:
+ *         description: Card created or updated
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Scryfall has no card by that id or name
+ *       409:
+ *         description: The card kept changing while it was written
+ *       412:
+ *         description: The card does not match If-Match
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/', authenticateToken('CARD_EDITOR'), requireOwner, create);
+
 /**
  * @swagger
  * /cards/{setCode}/{cardNumber}:
  *   post:
  *     operationId: createCard
  *     summary: Create or increment card (protected)
- *     description: Call this function to add a new card to the collection, or increment the amount for a specific finish if it already exists. You must provide a "finishes" array in the request body, with at least one finish. Each finish must be an object containing "finish" (string), "amount" (integer), and optional "notes" (string). The available finishes will be validated.
+ *     description: Call this function to add a new card to the collection, or increment the amount for a specific finish if it already exists. You must provide a "finishes" array in the request body, with at least one finish. Each finish must be an object containing "finish" (string), "amount" (integer), and optional "notes" (string). Copies are added to the lot named by the optional "condition", "language", "signed", "altered" and "graded" fields, which default to near-mint, unflagged copies in the language of the printing; "acquisitionPrice" is averaged into the lot. The available finishes and languages will be validated.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -49,28 +579,38 @@ router.get('/:setCode/:cardNumber', getCard);
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
  *       - in: path
  *         name: cardNumber
  *         description: The card number within the set (e.g., "123")
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Card'
+ *             $ref: '#/components/schemas/CardInput'
  *     responses:
- *       200:
- *         description: Card updated
  *       201:
- *         description: Card created
+ *         description: Card created or updated
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       400:
  *         description: Invalid input
+ *       409:
+ *         description: The card kept changing while it was written
+ *       412:
+ *         description: The card does not match If-Match
+ *       503:
+ *         description: Scryfall cannot be reached
  */
 // POST: Create or increment card (protected)
-router.post('/:setCode/:cardNumber', authenticateToken, post);
+router.post('/:setCode/:cardNumber', authenticateToken('CARD_EDITOR'), requireOwner, post);
 
 // Card schema for Swagger (reusable)
 const cardSchema = {
@@ -108,7 +648,7 @@ const cardSchema = {
  *   patch:
  *     operationId: updateCard
  *     summary: Update card finishes and amount (protected)
- *     description: Call this function to update the finishes and amount of a specific card in the collection. You must provide a "finishes" array in the request body, with at least one finish. Each finish must be an object containing "finish" (string), "amount" (integer), and optional "notes" (string). Setting the amount of a finish to 0 will remove that finish. If all finishes are removed, the card will be deleted.
+ *     description: Call this function to update the finishes and amount of a specific card in the collection. You must provide a "finishes" array in the request body, with at least one finish. Each finish must be an object containing "finish" (string), "amount" (integer), and optional "notes" (string). The amount replaces the amount of the lot named by the optional lot fields, as for creating; the amount of the finish is the total of its lots. Setting the amount of a lot to 0 will remove that lot, and a finish without lots is removed. If all finishes are removed, the card will be deleted.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -118,31 +658,43 @@ const cardSchema = {
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
  *       - in: path
  *         name: cardNumber
  *         description: The card number within the set (e.g., "123")
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Card'
+ *             $ref: '#/components/schemas/CardInput'
  *     responses:
  *       200:
  *         description: Card updated
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       204:
  *         description: Card deleted
  *       400:
  *         description: Invalid input
  *       404:
  *         description: Card not found
+ *       409:
+ *         description: The card kept changing while it was written
+ *       412:
+ *         description: The card does not match If-Match
+ *       503:
+ *         description: Scryfall cannot be reached
  */
 
 // PATCH: Update amount (protected)
-router.patch('/:setCode/:cardNumber', authenticateToken, patch);
+router.patch('/:setCode/:cardNumber', authenticateToken('CARD_EDITOR'), requireOwner, patch);
 /**
  * @swagger
  * /cards/{setCode}/{cardNumber}:
@@ -159,43 +711,454 @@ router.patch('/:setCode/:cardNumber', authenticateToken, patch);
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
  *       - in: path
  *         name: cardNumber
  *         description: The card number within the set (e.g., "123")
  *         required: true
  *         schema:
  *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       204:
  *         description: Card deleted
  *       404:
  *         description: Card not found
+ *       409:
+ *         description: The card kept changing while it was deleted
+ *       412:
+ *         description: The card does not match If-Match
  */
 // DELETE: Remove card (protected)
-router.delete('/:setCode/:cardNumber', authenticateToken, deleteCard);
-
-/**
- * @swagger
- * /cards:
- *   get:
- *     operationId: getAllCards
- *     summary: Get all cards
- *     description: Call this function to return all cards in the collection as a JSON object. It is an array of everything in the collection, where each object key consists of "setcode:cardnumber", e.g. "khm:123".
- *     responses:
- *       200:
- *         description: A list of cards
- */
-// Export all cards as JSON
-router.get('/', getAll);
+router.delete('/:setCode/:cardNumber', authenticateToken('CARD_EDITOR'), requireOwner, deleteCard);
 
 /**
  * @swagger
- * /cards/batch:
+ * /cards/{setCode}/{cardNumber}/finishes/{finish}/notes:
  *   post:
- *     operationId: batchCards
+ *     operationId: addCardNote
+ *     summary: Add a note to a finish of a card (protected)
+ *     description: Call this function to add a note to one finish of a card. The note is stamped with the current time and the user adding it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: setCode
+ *         description: The set code of the card (e.g., "KHM")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
+ *       - in: path
+ *         name: cardNumber
+ *         description: The card number within the set (e.g., "123")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - in: path
+ *         name: finish
+ *         description: The finish the note belongs to (e.g., "foil")
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Note added
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Note'
+ *       400:
+ *         description: Missing text
+ *       404:
+ *         description: Card, finish or note not found
+ *       409:
+ *         description: The card kept changing while it was written
+ *       412:
+ *         description: The card does not match If-Match
+ */
+router.post('/:setCode/:cardNumber/finishes/:finish/notes', authenticateToken('CARD_EDITOR'), requireOwner, addNote);
+
+/**
+ * @swagger
+ * /cards/{setCode}/{cardNumber}/finishes/{finish}/notes/{noteId}:
+ *   patch:
+ *     operationId: editCardNote
+ *     summary: Change the text of a note (protected)
+ *     description: Call this function to correct a note. The note keeps its time and author, and records when and by whom it was edited.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: setCode
+ *         description: The set code of the card (e.g., "KHM")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
+ *       - in: path
+ *         name: cardNumber
+ *         description: The card number within the set (e.g., "123")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - in: path
+ *         name: finish
+ *         description: The finish the note belongs to (e.g., "foil")
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Note changed
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Note'
+ *       400:
+ *         description: Missing text
+ *       404:
+ *         description: Card, finish or note not found
+ *       409:
+ *         description: The card kept changing while it was written
+ *       412:
+ *         description: The card does not match If-Match
+ */
+router.patch('/:setCode/:cardNumber/finishes/:finish/notes/:noteId', authenticateToken('CARD_EDITOR'), requireOwner, editNote);
+
+/**
+ * @swagger
+ * /cards/{setCode}/{cardNumber}/finishes/{finish}/notes/{noteId}:
+ *   delete:
+ *     operationId: deleteCardNote
+ *     summary: Delete a note (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: setCode
+ *         description: The set code of the card (e.g., "KHM")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9]{2,8}$'
+ *       - in: path
+ *         name: cardNumber
+ *         description: The card number within the set (e.g., "123")
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9★†-]{1,16}$'
+ *       - in: path
+ *         name: finish
+ *         description: The finish the note belongs to (e.g., "foil")
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: noteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       204:
+ *         description: Note deleted
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       404:
+ *         description: Card, finish or note not found
+ *       409:
+ *         description: The card kept changing while it was written
+ *       412:
+ *         description: The card does not match If-Match
+ */
+router.delete('/:setCode/:cardNumber/finishes/:finish/notes/:noteId', authenticateToken('CARD_EDITOR'), requireOwner, deleteNote);
+
+/**
+ * @swagger
+ * /cards:
+ *   get:
+ *     operationId: getAllCards
+ *     summary: Get all cards
+ *     description: Call this function to return the cards in the collection as a JSON object, where each object key consists of "setcode:cardnumber", e.g. "khm:123". Keys are in the requested sort order. The query parameters filter the cards on the cached Scryfall data; a page holds limit matching cards, and only the last page holds fewer. While more cards may follow, the X-Next-Cursor response header holds the cursor for the next page; a cursor only continues the sort and order it was read with. Cards without a price sort as if they cost 0.
+ *     parameters:
+ *       - in: query
+ *         name: set
+ *         description: Comma-separated set codes (e.g., "khm,neo")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: color
+ *         description: Colors the card must have, as letters (e.g., "wu"); "c" matches colorless cards
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rarity
+ *         description: Comma-separated rarities (e.g., "rare,mythic")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         description: Substring of the type line (e.g., "creature")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: name
+ *         description: Substring of the card name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: finish
+ *         description: Comma-separated finishes the card must be stocked in (e.g., "foil,etched")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAmount
+ *         description: Minimum number of copies, counted over the requested finishes if given
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: sort
+ *         description: Sort by name, set (set code and collector number), price (highest stocked finish in USD) or added (date added)
+ *         schema:
+ *           type: string
+ *           enum: [name, set, price, added]
+ *           default: set
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - in: query
+ *         name: limit
+ *         description: Number of cards to read for the page, before the filters apply
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *       - in: query
+ *         name: cursor
+ *         description: The X-Next-Cursor value of the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A list of cards
+ *         headers:
+ *           X-Next-Cursor:
+ *             description: Cursor for the next page, absent on the last page
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ */
+// Export all cards as JSON
+router.get('/', getAll);
+
+/**
+ * @swagger
+ * /cards/export:
+ *   get:
+ *     operationId: exportCards
+ *     summary: Export the collection
+ *     description: >-
+ *       Call this function to download the collection in a format other tools can import: csv (one row per finish, with amount and notes), txt (decklist lines such as "4 Thoughtseize (THS) 107 *F*"),
+ *       moxfield and deckbox (CSV files in the layout of those sites) or json (cards with their finishes, without the Scryfall data).
+ *       Accepts the same filter and sort parameters as getAllCards, e.g. finish=foil or set=khm.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, txt, moxfield, deckbox, json]
+ *           default: csv
+ *       - in: query
+ *         name: set
+ *         description: Comma-separated set codes (e.g., "khm,neo")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: color
+ *         description: Colors the card must have, as letters (e.g., "wu"); "c" matches colorless cards
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rarity
+ *         description: Comma-separated rarities (e.g., "rare,mythic")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         description: Substring of the type line (e.g., "creature")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: name
+ *         description: Substring of the card name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: finish
+ *         description: Comma-separated finishes the card must be stocked in (e.g., "foil,etched")
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, set, price, added]
+ *           default: set
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *     responses:
+ *       200:
+ *         description: The exported collection, as a file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format or query parameters
+ */
+router.get('/export', exportCards);
+
+/**
+ * @swagger
+ * /cards/import:
+ *   post:
+ *     operationId: importCards
+ *     summary: Import a collection export (protected)
+ *     description: >-
+ *       Call this function to add a collection exported from another tool. Supports Moxfield, Deckbox, ManaBox and TCGplayer CSV exports and decklist text
+ *       (MTGA/Moxfield style lines such as "4 Thoughtseize (THS) 107 *F*", with *F* for foil and *E* for etched). Each line is resolved to a printing on Scryfall,
+ *       by Scryfall id, set code and collector number, or name, and its finish is validated. Amounts are added to existing finishes the same way createCard does.
+ *       Send the export as a text/plain or text/csv body with format and dryRun as query parameters, or as JSON. With dryRun nothing is written, and the response
+ *       reports the quantity changes the import would make, the unresolved lines and the invalid finishes.
+ *       The cards are written in chunks of 25, each all or nothing; when cards keep changing meanwhile, the import stops with 409 and lists the cards it imported.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         description: The export format; auto detects CSV exports by their header row and treats anything else as decklist text
+ *         schema:
+ *           type: string
+ *           enum: [auto, text, moxfield, deckbox, manabox, tcgplayer]
+ *           default: auto
+ *       - in: query
+ *         name: dryRun
+ *         description: Report the changes without writing them
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/plain:
+ *           schema:
+ *             type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: The exported collection
+ *               format:
+ *                 type: string
+ *                 enum: [auto, text, moxfield, deckbox, manabox, tcgplayer]
+ *               dryRun:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Missing content or invalid format
+ *       409:
+ *         description: Cards kept changing while the import was written; the problem lists the cards imported before it stopped in imported
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/import', authenticateToken('CARD_EDITOR'), requireOwner, express.text({ type: 'text/*', limit: '5mb' }), importCards);
+
+/**
+ * @swagger
+ * /cards/batch:
+ *   post:
+ *     operationId: batchCards
  *     summary: Batch process card operations
  *     description: >-
- *       Accepts a batch of card operations (create, update, delete) and processes them sequentially. Each operation must specify a type (create, update, delete), setcode, cardNumber, and a body (for create/update).
+ *       Accepts a batch of card operations (create, update, delete). Each operation must specify a type, setCode, cardNumber, and a body (for create/update).
+ *       A create adds to the stock like POST /cards/{setCode}/{cardNumber}; an update sets amounts like PATCH. Operations on the same card are applied in order, each on top of the previous ones.
+ *       Every operation is validated first: finishes and amounts against Scryfall, and for update and delete that the card exists. With atomic set, nothing is written unless every operation is valid, and all changes are written in one transaction (at most 100 cards).
+ *       Without it, the valid operations are applied and the others reported.
+ *       An operation can carry the ETag of the card as ifMatch; cards changed by someone else are reported as conflicts instead of being overwritten.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -206,104 +1169,89 @@ router.get('/', getAll);
  *             type: object
  *             required: [operations]
  *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Apply all operations or none
  *               operations:
  *                 type: array
  *                 minItems: 1
  *                 items:
  *                   type: object
- *                   required: [type, setcode, cardNumber]
+ *                   required: [type, cardNumber]
  *                   properties:
  *                     type:
  *                       type: string
  *                       enum: [create, update, delete]
  *                       description: The operation type to perform.
- *                     setcode:
+ *                     setCode:
  *                       type: string
+ *                       pattern: '^[A-Za-z0-9]{2,8}$'
  *                       description: The set code of the card (e.g., "KHM")
+ *                     setcode:
+ *                       type: string
+ *                       pattern: '^[A-Za-z0-9]{2,8}$'
+ *                       description: Older spelling of setCode, still accepted
  *                     cardNumber:
  *                       type: string
+ *                       pattern: '^[A-Za-z0-9★†-]{1,16}$'
  *                       description: The card number within the set (e.g., "123")
  *                     body:
- *                       $ref: '#/components/schemas/Card'
+ *                       $ref: '#/components/schemas/CardInput'
+ *                     ifMatch:
+ *                       type: string
+ *                       description: Only apply the operation if the card still has this ETag
  *     responses:
  *       200:
  *         description: Batch operation results
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 results:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       type:
- *                         type: string
- *                       setcode:
- *                         type: string
- *                       cardNumber:
- *                         type: string
- *                       result:
- *                         type: object
+ *               $ref: '#/components/schemas/BatchReport'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or an atomic batch with invalid operations (nothing was written)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchReport'
+ *       409:
+ *         description: The collection changed while an atomic batch was written (nothing was written)
+ *       503:
+ *         description: Scryfall cannot be reached
  */
-router.post('/batch', authenticateToken, async (req, res) => {
-  const { operations } = req.body;
-  if (!Array.isArray(operations)) {
-    return res.status(400).json({ error: 'Missing or invalid operations array.' });
-  }
-
-  const results = [];
-  for (const op of operations) {
-    const { type, setcode, cardNumber, body } = op;
-    let result;
-    // Create mock req/res objects for each operation
-    const mockReq = {
-      params: { setCode: setcode, cardNumber },
-      body: body || {},
-      user: req.user // pass auth context if needed
-    };
-    const mockRes = {
-      status: (code) => {
-        result = { status: code };
-        return mockRes;
-      },
-      json: (data) => {
-        result = { ...result, ...data };
-        return result;
-      },
-      send: (data) => {
-        result = { ...result, data };
-        return result;
-      }
-    };
-    try {
-      switch (type) {
-        case 'create':
-          await post(mockReq, mockRes);
-          break;
-        case 'update':
-          await patch(mockReq, mockRes);
-          break;
-        case 'delete':
-          await deleteCard(mockReq, mockRes);
-          break;
-        default:
-          result = { error: `Unknown operation type: ${type}` };
-      }
-    } catch (err) {
-      result = { error: err.message };
-    }
-    results.push({ type, setcode, cardNumber, result });
-  }
-  res.json({ results });
-});
+router.post('/batch', authenticateToken('CARD_EDITOR'), requireOwner, batch);
 
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       description: Only change the card if its ETag still matches; "*" only requires it to exist
+ *       required: false
+ *       schema:
+ *         type: string
+ *     StatsLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 100
+ *         default: 10
+ *     StatsCurrency:
+ *       in: query
+ *       name: currency
+ *       schema:
+ *         type: string
+ *         enum: [usd, eur]
+ *         default: usd
+ *   headers:
+ *     ETag:
+ *       description: The version of the card, for If-Match
+ *       schema:
+ *         type: string
  *   schemas:
  *     Finish:
  *       type: object
@@ -316,11 +1264,195 @@ router.post('/batch', authenticateToken, async (req, res) => {
  *           description: The finish type (e.g., "nonfoil", "foil", "etched", "glossy")
  *         amount:
  *           type: integer
- *           description: Number of copies for this finish
+ *           description: Number of copies for this finish, the total of its lots
  *         notes:
+ *           type: array
+ *           description: The notes on this finish, oldest first; empty for anyone but the owner
+ *           items:
+ *             $ref: '#/components/schemas/Note'
+ *         lots:
+ *           type: array
+ *           description: The copies of this finish, grouped by condition, language and flags
+ *           items:
+ *             $ref: '#/components/schemas/Lot'
+ *     Lot:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: integer
+ *         condition:
  *           type: string
- *           description: Optional notes for this finish
- *     Card:
+ *           enum: [NM, LP, MP, HP, DMG]
+ *           default: NM
+ *         language:
+ *           type: string
+ *           description: Scryfall language code (e.g., "en", "ja")
+ *         signed:
+ *           type: boolean
+ *           default: false
+ *         altered:
+ *           type: boolean
+ *           default: false
+ *         graded:
+ *           type: boolean
+ *           default: false
+ *         acquisitionPrice:
+ *           type: number
+ *           nullable: true
+ *           description: What was paid per copy, averaged over the copies added to the lot; null for anyone but the owner
+ *     Note:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         at:
+ *           type: integer
+ *           nullable: true
+ *           description: When the note was added, in milliseconds since the epoch
+ *         author:
+ *           type: string
+ *           nullable: true
+ *           description: The user who added the note; null for notes from before notes had authors
+ *         text:
+ *           type: string
+ *         edited_at:
+ *           type: integer
+ *           description: When the text was last changed, if it was
+ *         edited_by:
+ *           type: string
+ *     FinishInput:
+ *       type: object
+ *       required:
+ *         - finish
+ *         - amount
+ *       properties:
+ *         finish:
+ *           type: string
+ *           description: The finish type (e.g., "nonfoil", "foil", "etched", "glossy")
+ *         amount:
+ *           type: integer
+ *           minimum: 0
+ *           description: Number of copies of the lot the other fields name
+ *         notes:
+ *           type: string
+ *           description: Optional note, added to the notes of this finish
+ *         condition:
+ *           type: string
+ *           enum: [NM, LP, MP, HP, DMG]
+ *           default: NM
+ *         language:
+ *           type: string
+ *           description: Scryfall language code (e.g., "en", "ja"); defaults to the language of the printing and must be one Scryfall has the card in
+ *         signed:
+ *           type: boolean
+ *           default: false
+ *         altered:
+ *           type: boolean
+ *           default: false
+ *         graded:
+ *           type: boolean
+ *           default: false
+ *         acquisitionPrice:
+ *           type: number
+ *           nullable: true
+ *           description: What was paid per copy
+ *     BatchReport:
+ *       type: object
+ *       properties:
+ *         atomic:
+ *           type: boolean
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the operation in the batch
+ *               type:
+ *                 type: string
+ *               setCode:
+ *                 type: string
+ *               cardNumber:
+ *                 type: string
+ *               status:
+ *                 type: integer
+ *                 description: 201 created, 200 updated, 204 deleted, 400 invalid, 404 card not found, 409 changed by someone else, 412 ifMatch does not match, 424 not applied because another operation failed
+ *               card:
+ *                 type: object
+ *                 description: The card after this operation, for 200 and 201
+ *               error:
+ *                 type: string
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         format:
+ *           type: string
+ *           description: The format the content was parsed as
+ *         dryRun:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *           properties:
+ *             lines:
+ *               type: integer
+ *             imported:
+ *               type: integer
+ *             unresolved:
+ *               type: integer
+ *             invalidFinishes:
+ *               type: integer
+ *             cards:
+ *               type: integer
+ *               description: Number of distinct cards changed
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               CardId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               finish:
+ *                 type: string
+ *               before:
+ *                 type: integer
+ *               after:
+ *                 type: integer
+ *         unresolved:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               lineNumber:
+ *                 type: integer
+ *               line:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *         invalidFinishes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               lineNumber:
+ *                 type: integer
+ *               line:
+ *                 type: string
+ *               CardId:
+ *                 type: string
+ *               finish:
+ *                 type: string
+ *               validFinishes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     CardInput:
  *       type: object
  *       required:
  *         - finishes
@@ -329,6 +1461,15 @@ router.post('/batch', authenticateToken, async (req, res) => {
  *           type: array
  *           minItems: 1
  *           items:
+ *             $ref: '#/components/schemas/FinishInput'
+ *     Card:
+ *       type: object
+ *       properties:
+ *         CardId:
+ *           type: string
+ *         finishes:
+ *           type: array
+ *           items:
  *             $ref: '#/components/schemas/Finish'
  */
 
@@ -0,0 +1,92 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { health, metrics } = require('../controllers/healthController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, error]
+ *         durationMs:
+ *           type: integer
+ *         error:
+ *           type: string
+ *           description: Why the check failed
+ *     Health:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ok, error]
+ *           description: ok if every check passed
+ *         checks:
+ *           type: object
+ *           properties:
+ *             storage:
+ *               $ref: '#/components/schemas/HealthCheck'
+ *             keys:
+ *               $ref: '#/components/schemas/HealthCheck'
+ */
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     operationId: getHealth
+ *     summary: Check that the API can serve requests
+ *     description: >-
+ *       Checks that every storage table can be read and that the token keys are configured, can be read from Secrets Manager and belong together.
+ *       Needs no login, for load balancers and monitors.
+ *     responses:
+ *       200:
+ *         description: Every check passed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ *       503:
+ *         description: A check failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Health'
+ */
+router.get('/', health);
+
+/**
+ * @swagger
+ * /health/metrics:
+ *   get:
+ *     operationId: getMetrics
+ *     summary: Get the counters of this instance (admin)
+ *     description: >-
+ *       Counts of Scryfall requests and failures, hits and misses of the Scryfall data stored on cards (scryfall_ttl) and storage errors,
+ *       since this instance started. Each Lambda instance counts on its own.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The counters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 since:
+ *                   type: string
+ *                   format: date-time
+ *                 counters:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ */
+router.get('/metrics', authenticateToken('ADMIN'), metrics);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const { createRouter } = require('../middleware/validate');
+// mergeParams: the router is also mounted under /users/:username
+const router = createRouter({ mergeParams: true });
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { requireOwner, requireOwnerOrAdmin } = require('../middleware/owner');
+const { list, revert } = require('../controllers/historyController');
+
+/**
+ * @swagger
+ * /history:
+ *   get:
+ *     operationId: getHistory
+ *     summary: Get the change history of the collection (protected)
+ *     description: >-
+ *       Call this function to list every change to card amounts and notes, newest first. Each event says who changed which finishes of which card, through what (e.g. "api", "import", "batch" or "trade:{tradeId}"), and the amounts before and after.
+ *       When more events match than the limit, the X-Next-Cursor response header holds the cursor for the next page. Only the owner of the
+ *       collection and admins can see its history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         description: Only events at or after this time, as an ISO date or milliseconds since the epoch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: to
+ *         description: Only events at or before this time, as an ISO date or milliseconds since the epoch
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *       - in: query
+ *         name: cursor
+ *         description: The X-Next-Cursor value of the previous page
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The events
+ *         headers:
+ *           X-Next-Cursor:
+ *             description: Cursor for the next page, absent on the last page
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HistoryEvent'
+ *       400:
+ *         description: Invalid filter
+ *       403:
+ *         description: Not the owner of the collection
+ */
+router.get('/', authenticateToken(), requireOwnerOrAdmin, list);
+
+/**
+ * @swagger
+ * /history/{eventId}/revert:
+ *   post:
+ *     operationId: revertHistoryEvent
+ *     summary: Undo a change (protected)
+ *     description: >-
+ *       Call this function to set every finish a change touched back to its amount before the change. Other finishes keep their current amounts.
+ *       Reverting a deletion stores the card again. The revert is recorded as a new event.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The card after the revert
+ *       204:
+ *         description: The revert left the card without copies, so it was deleted
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: The card kept changing while it was reverted
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/:eventId/revert', authenticateToken('CARD_EDITOR'), requireOwner, revert);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HistoryEvent:
+ *       type: object
+ *       properties:
+ *         EventId:
+ *           type: string
+ *         CardId:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               finish:
+ *                 type: string
+ *               before:
+ *                 type: integer
+ *               after:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *                 nullable: true
+ *                 description: The note added with the change
+ *               lotsBefore:
+ *                 type: array
+ *                 description: The lots of the finish before the change
+ *                 items:
+ *                   $ref: '#/components/schemas/Lot'
+ *         user:
+ *           type: string
+ *           nullable: true
+ *         source:
+ *           type: string
+ *         revertOf:
+ *           type: string
+ *           description: The event this change reverted
+ *         at:
+ *           type: integer
+ *           description: Time of the change in milliseconds since the epoch
+ *         snapshot:
+ *           type: object
+ *           description: For deletions, the card as it was
+ */
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const { view } = require('../controllers/sharesController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SharedCard:
+ *       type: object
+ *       description: A card with only the fields the share link shows
+ *       properties:
+ *         CardId:
+ *           type: string
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         set:
+ *           type: string
+ *         setName:
+ *           type: string
+ *           nullable: true
+ *         collectorNumber:
+ *           type: string
+ *         rarity:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           nullable: true
+ *         colors:
+ *           type: array
+ *           items:
+ *             type: string
+ *         image:
+ *           type: string
+ *           nullable: true
+ *         finishes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               finish:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *               price:
+ *                 type: number
+ *                 nullable: true
+ *               currency:
+ *                 type: string
+ *               lots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     amount:
+ *                       type: integer
+ *                     condition:
+ *                       type: string
+ *                     signed:
+ *                       type: boolean
+ *                     altered:
+ *                       type: boolean
+ *                     graded:
+ *                       type: boolean
+ *                     language:
+ *                       type: string
+ *                     acquisitionPrice:
+ *                       type: number
+ *                       nullable: true
+ *               notes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     at:
+ *                       type: integer
+ *                       nullable: true
+ *                     text:
+ *                       type: string
+ */
+
+/**
+ * @swagger
+ * /share/{token}:
+ *   get:
+ *     operationId: viewShare
+ *     summary: View a shared list
+ *     description: >-
+ *       Call this function to see the cards of a share link. Needs no login: the token is the secret. Answers with JSON, or with an HTML page
+ *       for browsers (Accept: text/html) and format=html.
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         description: json or html; without it the Accept header decides
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *     responses:
+ *       200:
+ *         description: The shared cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 name:
+ *                   type: string
+ *                 owner:
+ *                   type: string
+ *                 fields:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 total:
+ *                   type: integer
+ *                 cards:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SharedCard'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Share link not found
+ *       410:
+ *         description: The share link expired or was revoked
+ */
+router.get('/:token', view);
+
+module.exports = router;
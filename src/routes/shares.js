@@ -0,0 +1,236 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { list, get, create, update, revoke } = require('../controllers/sharesController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShareFilter:
+ *       type: object
+ *       description: >-
+ *         Which cards the link shows, with the parameters of GET /cards (set, color, rarity, type, name, finish, minAmount, sort, order)
+ *         and the q of GET /cards/search. With finish only the copies in those finishes are shown. currency (usd or eur) is the currency of the prices.
+ *       properties:
+ *         set:
+ *           type: string
+ *         color:
+ *           type: string
+ *         rarity:
+ *           type: string
+ *         type:
+ *           type: string
+ *         name:
+ *           type: string
+ *         finish:
+ *           type: string
+ *         minAmount:
+ *           type: integer
+ *         q:
+ *           type: string
+ *         sort:
+ *           type: string
+ *           enum: [name, set, price, added]
+ *         order:
+ *           type: string
+ *           enum: [asc, desc]
+ *         currency:
+ *           type: string
+ *           enum: [usd, eur]
+ *     ShareInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: The title of the list, e.g. "Foils for trade"
+ *         filter:
+ *           $ref: '#/components/schemas/ShareFilter'
+ *         fields:
+ *           type: array
+ *           description: >-
+ *             The fields shown of every card, besides CardId and the finishes with their amounts. Defaults to name, set, collectorNumber, rarity and price.
+ *             notes and acquisitionPrice are private and only shown when listed here.
+ *           items:
+ *             type: string
+ *             enum: [name, set, collectorNumber, rarity, type, colors, image, price, condition, language, notes, acquisitionPrice]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the link stops working; null for never
+ *     Share:
+ *       type: object
+ *       properties:
+ *         Token:
+ *           type: string
+ *         path:
+ *           type: string
+ *           description: The path of the public list, /share/{token}
+ *         owner:
+ *           type: string
+ *         name:
+ *           type: string
+ *         filter:
+ *           $ref: '#/components/schemas/ShareFilter'
+ *         fields:
+ *           type: array
+ *           items:
+ *             type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ */
+
+/**
+ * @swagger
+ * /shares:
+ *   get:
+ *     operationId: getShares
+ *     summary: List your share links (protected)
+ *     description: Call this function to list your share links, newest first, including the expired and revoked ones.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your share links
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Share'
+ */
+router.get('/', authenticateToken('CARD_EDITOR'), list);
+
+/**
+ * @swagger
+ * /shares:
+ *   post:
+ *     operationId: createShare
+ *     summary: Create a share link (protected)
+ *     description: >-
+ *       Call this function to share a curated view of your collection, e.g. "Foils for trade" with filter { finish: "foil" }.
+ *       Anyone with the link can see the matching cards with the chosen fields at /share/{token}, until it expires or is revoked.
+ *       A user can have 50 active share links.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareInput'
+ *     responses:
+ *       201:
+ *         description: Share link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         description: Invalid input, or too many share links
+ */
+router.post('/', authenticateToken('CARD_EDITOR'), create);
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   get:
+ *     operationId: getShare
+ *     summary: Get a share link (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The share link
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       404:
+ *         description: Share link not found
+ */
+router.get('/:token', authenticateToken('CARD_EDITOR'), get);
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   patch:
+ *     operationId: updateShare
+ *     summary: Update a share link (protected)
+ *     description: Call this function to change the name, filter, fields or expiry of a share link; the link itself stays the same.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShareInput'
+ *     responses:
+ *       200:
+ *         description: Share link updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Share'
+ *       400:
+ *         description: Invalid input, or the link was revoked
+ *       404:
+ *         description: Share link not found
+ */
+router.patch('/:token', authenticateToken('CARD_EDITOR'), update);
+
+/**
+ * @swagger
+ * /shares/{token}:
+ *   delete:
+ *     operationId: revokeShare
+ *     summary: Revoke a share link (protected)
+ *     description: Call this function to stop a share link from working. It stays in your list as revoked.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Share link revoked
+ *       404:
+ *         description: Share link not found
+ */
+router.delete('/:token', authenticateToken('CARD_EDITOR'), revoke);
+
+module.exports = router;
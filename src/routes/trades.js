@@ -0,0 +1,297 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { list, get, create, update, setStatus, remove } = require('../controllers/tradesController');
+
+/**
+ * @swagger
+ * /trades:
+ *   get:
+ *     operationId: getTrades
+ *     summary: List trades (protected)
+ *     description: Call this function to list your trades, newest first. Each trade includes the value of both sides, based on the cached Scryfall prices.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: Only return trades with this status
+ *         schema:
+ *           type: string
+ *           enum: [draft, proposed, accepted, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: A list of trades
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Trade'
+ *       400:
+ *         description: Invalid status, or the trade changes more cards than can be written at once
+ */
+router.get('/', authenticateToken('TRADE_MANAGER'), list);
+
+/**
+ * @swagger
+ * /trades:
+ *   post:
+ *     operationId: createTrade
+ *     summary: Create a trade (protected)
+ *     description: Call this function to start a trade with a counterparty. The trade is created as a draft. "give" lists the cards we give, "receive" the cards we get. Each line needs setCode, cardNumber, finish and amount; the finish is validated against Scryfall. A trade can change at most 99 different cards, as completing it writes them in one transaction with the trade.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TradeInput'
+ *     responses:
+ *       201:
+ *         description: Trade created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       400:
+ *         description: Invalid input
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/', authenticateToken('TRADE_MANAGER'), create);
+
+/**
+ * @swagger
+ * /trades/{tradeId}:
+ *   get:
+ *     operationId: getTrade
+ *     summary: Get a trade (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tradeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The trade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       404:
+ *         description: Trade not found
+ */
+router.get('/:tradeId', authenticateToken('TRADE_MANAGER'), get);
+
+/**
+ * @swagger
+ * /trades/{tradeId}:
+ *   patch:
+ *     operationId: updateTrade
+ *     summary: Edit a draft trade (protected)
+ *     description: Call this function to change the counterparty, notes or lines of a trade. Only draft trades can be edited; a given "give" or "receive" array replaces the existing lines of that side. The trade can change at most 99 different cards.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tradeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TradeInput'
+ *     responses:
+ *       200:
+ *         description: Trade updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Trade not found
+ *       409:
+ *         description: The trade is not a draft
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.patch('/:tradeId', authenticateToken('TRADE_MANAGER'), update);
+
+/**
+ * @swagger
+ * /trades/{tradeId}/status:
+ *   post:
+ *     operationId: setTradeStatus
+ *     summary: Move a trade through its lifecycle (protected)
+ *     description: >-
+ *       Call this function to change the status of a trade. Allowed changes are draft to proposed or cancelled, proposed to draft, accepted or cancelled, and accepted to completed or cancelled.
+ *       Completing a trade removes the given copies from our stock and adds the received ones. It is refused, without changing anything, if we no longer have enough copies of a given card.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tradeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, proposed, accepted, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Trade'
+ *       400:
+ *         description: Invalid status, or the trade changes more cards than can be written at once
+ *       404:
+ *         description: Trade not found, or Scryfall does not know a received card
+ *       409:
+ *         description: The status change is not allowed, or there are not enough copies in stock to complete the trade
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/:tradeId/status', authenticateToken('TRADE_MANAGER'), setStatus);
+
+/**
+ * @swagger
+ * /trades/{tradeId}:
+ *   delete:
+ *     operationId: deleteTrade
+ *     summary: Delete a trade (protected)
+ *     description: Call this function to delete a draft or cancelled trade.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tradeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Trade deleted
+ *       404:
+ *         description: Trade not found
+ *       409:
+ *         description: The trade is neither a draft nor cancelled
+ */
+router.delete('/:tradeId', authenticateToken('TRADE_MANAGER'), remove);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TradeLineInput:
+ *       type: object
+ *       required:
+ *         - setCode
+ *         - cardNumber
+ *         - finish
+ *         - amount
+ *       properties:
+ *         setCode:
+ *           type: string
+ *           description: The set code of the card (e.g., "KHM")
+ *         cardNumber:
+ *           type: string
+ *           description: The card number within the set (e.g., "123")
+ *         finish:
+ *           type: string
+ *           description: The finish type (e.g., "nonfoil", "foil", "etched", "glossy")
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *     TradeLine:
+ *       allOf:
+ *         - $ref: '#/components/schemas/TradeLineInput'
+ *         - type: object
+ *           properties:
+ *             CardId:
+ *               type: string
+ *             name:
+ *               type: string
+ *             prices:
+ *               type: object
+ *               description: The Scryfall prices of the card when the line was saved
+ *     TradeInput:
+ *       type: object
+ *       properties:
+ *         counterparty:
+ *           type: string
+ *           description: Who we trade with (required when creating)
+ *         notes:
+ *           type: string
+ *         give:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TradeLineInput'
+ *         receive:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TradeLineInput'
+ *     Trade:
+ *       type: object
+ *       properties:
+ *         TradeId:
+ *           type: string
+ *         counterparty:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [draft, proposed, accepted, completed, cancelled]
+ *         give:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TradeLine'
+ *         receive:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TradeLine'
+ *         value:
+ *           type: object
+ *           description: Value of each side per currency
+ *           properties:
+ *             give:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *             receive:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *         owner:
+ *           type: string
+ *           description: The user whose stock the trade applies to
+ *         created_at:
+ *           type: integer
+ *         updated_at:
+ *           type: integer
+ *         completed_at:
+ *           type: integer
+ */
+
+module.exports = router;
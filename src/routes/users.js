@@ -0,0 +1,215 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { ownerFromParams } = require('../middleware/owner');
+const { list, setPassword, setPermissions, revokeTokens } = require('../controllers/usersController');
+const cardsRouter = require('./cards');
+const wantsRouter = require('./wants');
+const historyRouter = require('./history');
+
+/**
+ * @swagger
+ * /users/{username}/cards:
+ *   get:
+ *     operationId: getUserCards
+ *     summary: Get the collection of a user
+ *     description: >-
+ *       Every /cards endpoint is also available under /users/{username}, e.g. /users/{username}/cards/search or /users/{username}/cards/export.
+ *       Reading is public, but notes and acquisition prices are only shown to that user; changes are only allowed with a token of that user. Plain /cards is the collection of the logged in user.
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cards of the user, keyed by CardId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               additionalProperties:
+ *                 $ref: '#/components/schemas/Card'
+ */
+router.use('/:username/cards', AuthMiddleware.identifyUser, ownerFromParams, cardsRouter);
+
+/**
+ * @swagger
+ * /users/{username}/wants:
+ *   get:
+ *     operationId: getUserWants
+ *     summary: Get the wantlist of a user (protected)
+ *     description: Every /wants endpoint is also available under /users/{username}. Only that user and admins can read and match the wants; changes are only allowed with a token of that user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The wants of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Want'
+ *       403:
+ *         description: Not that user or an admin
+ */
+router.use('/:username/wants', ownerFromParams, wantsRouter);
+
+// The change history of a collection, like /history
+router.use('/:username/history', ownerFromParams, historyRouter);
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     operationId: getUsers
+ *     summary: List users (admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All users, without their password hashes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ */
+router.get('/', authenticateToken('ADMIN'), list);
+
+/**
+ * @swagger
+ * /users/{username}/password:
+ *   put:
+ *     operationId: setPassword
+ *     summary: Change a password (protected)
+ *     description: Call this function to change your password; currentPassword is required. Admins can reset the password of any user without it. Every refresh token of the user is revoked.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newPassword]
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       204:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid new password
+ *       403:
+ *         description: Wrong current password, or not your account
+ *       404:
+ *         description: User not found
+ */
+router.put('/:username/password', authenticateToken(), AuthMiddleware.requireSelfOrAdmin, setPassword);
+
+/**
+ * @swagger
+ * /users/{username}/permissions:
+ *   put:
+ *     operationId: setPermissions
+ *     summary: Set the permissions of a user (admin)
+ *     description: Call this function to replace the permissions of a user. They take effect when the user gets a new access token.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [CARD_VIEWER, CARD_EDITOR, TRADE_MANAGER, ADMIN]
+ *     responses:
+ *       200:
+ *         description: The updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Unknown permissions
+ *       404:
+ *         description: User not found
+ */
+router.put('/:username/permissions', authenticateToken('ADMIN'), setPermissions);
+
+/**
+ * @swagger
+ * /users/{username}/tokens:
+ *   delete:
+ *     operationId: revokeTokens
+ *     summary: Revoke all refresh tokens of a user (protected)
+ *     description: Call this function to log a user out everywhere. Access tokens that were already issued stay valid until they expire.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The number of revoked refresh tokens
+ *       403:
+ *         description: Not your account
+ */
+router.delete('/:username/tokens', authenticateToken(), AuthMiddleware.requireSelfOrAdmin, revokeTokens);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         Username:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [CARD_VIEWER, CARD_EDITOR, TRADE_MANAGER, ADMIN]
+ *         created_at:
+ *           type: integer
+ *         password_changed_at:
+ *           type: integer
+ */
+
+module.exports = router;
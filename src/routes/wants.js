@@ -0,0 +1,300 @@
+const { createRouter } = require('../middleware/validate');
+// mergeParams: the router is also mounted under /users/:username
+const router = createRouter({ mergeParams: true });
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { requireOwner, requireOwnerOrAdmin } = require('../middleware/owner');
+const { list, get, create, update, remove, match } = require('../controllers/wantsController');
+
+/**
+ * @swagger
+ * /wants:
+ *   get:
+ *     operationId: getWants
+ *     summary: Get the wantlist (protected)
+ *     description: Call this function to return every card on the wantlist, sorted by name. Only its owner and admins can see a wantlist.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The wantlist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Want'
+ *       403:
+ *         description: Not the owner of the wantlist
+ */
+router.get('/', authenticateToken(), requireOwnerOrAdmin, list);
+
+/**
+ * @swagger
+ * /wants:
+ *   post:
+ *     operationId: createWant
+ *     summary: Add a card to the wantlist (protected)
+ *     description: >-
+ *       Call this function to add a want. Either give setCode, cardNumber and finish for one exact printing, or oracle_id (or a card name) to accept any printing,
+ *       optionally limited to one finish that at least one printing of the card has. The card is looked up on Scryfall. quantity defaults to 1; maxPrice, in the given currency, is optional.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WantInput'
+ *     responses:
+ *       201:
+ *         description: Want created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Want'
+ *       400:
+ *         description: Invalid input
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/', authenticateToken('CARD_EDITOR'), requireOwner, create);
+
+/**
+ * @swagger
+ * /wants/match:
+ *   post:
+ *     operationId: matchWants
+ *     summary: Match a trader's lists against our wants and stock (protected)
+ *     description: >-
+ *       Call this function with another trader's haves and/or wants to find trades. Each list is either a JSON array of cards
+ *       ({ setCode, cardNumber, finish, amount } or { name, amount }) or a list in one of the import formats (a string, or { content, format }).
+ *       weCanGet reports which of our wants their haves can fill; offers above a want's maxPrice are listed but not counted as fillable.
+ *       theyCanGet reports which of their wants our stock can fill. Wants given by name only match any printing. Each list can have at most 500 lines.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               haves:
+ *                 oneOf:
+ *                   - type: array
+ *                     maxItems: 500
+ *                     items:
+ *                       $ref: '#/components/schemas/MatchLine'
+ *                   - type: string
+ *                   - type: object
+ *                     properties:
+ *                       content:
+ *                         type: string
+ *                       format:
+ *                         type: string
+ *                         enum: [auto, text, moxfield, deckbox, manabox, tcgplayer]
+ *               wants:
+ *                 oneOf:
+ *                   - type: array
+ *                     maxItems: 500
+ *                     items:
+ *                       $ref: '#/components/schemas/MatchLine'
+ *                   - type: string
+ *                   - type: object
+ *                     properties:
+ *                       content:
+ *                         type: string
+ *                       format:
+ *                         type: string
+ *                         enum: [auto, text, moxfield, deckbox, manabox, tcgplayer]
+ *     responses:
+ *       200:
+ *         description: Matches in both directions, and the lines that could not be resolved
+ *       400:
+ *         description: Invalid input, or a list with too many lines
+ *       403:
+ *         description: Not the owner of the wantlist
+ *       503:
+ *         description: Scryfall cannot be reached
+ */
+router.post('/match', authenticateToken(), requireOwnerOrAdmin, match);
+
+/**
+ * @swagger
+ * /wants/{wantId}:
+ *   get:
+ *     operationId: getWant
+ *     summary: Get a want (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The want
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Want'
+ *       404:
+ *         description: Want not found
+ */
+router.get('/:wantId', authenticateToken(), requireOwnerOrAdmin, get);
+
+/**
+ * @swagger
+ * /wants/{wantId}:
+ *   patch:
+ *     operationId: updateWant
+ *     summary: Update a want (protected)
+ *     description: Call this function to change the quantity, maxPrice, currency or notes of a want. To want a different card, delete the want and create a new one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               maxPrice:
+ *                 type: number
+ *                 nullable: true
+ *               currency:
+ *                 type: string
+ *                 enum: [usd, eur]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Want updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Want'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Want not found
+ */
+router.patch('/:wantId', authenticateToken('CARD_EDITOR'), requireOwner, update);
+
+/**
+ * @swagger
+ * /wants/{wantId}:
+ *   delete:
+ *     operationId: deleteWant
+ *     summary: Remove a card from the wantlist (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: wantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Want deleted
+ *       404:
+ *         description: Want not found
+ */
+router.delete('/:wantId', authenticateToken('CARD_EDITOR'), requireOwner, remove);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WantInput:
+ *       type: object
+ *       properties:
+ *         setCode:
+ *           type: string
+ *           description: Set code of the exact printing wanted (e.g., "KHM")
+ *         cardNumber:
+ *           type: string
+ *           description: Card number of the exact printing wanted (e.g., "123")
+ *         finish:
+ *           type: string
+ *           description: The finish wanted; required for an exact printing, optional otherwise
+ *         oracle_id:
+ *           type: string
+ *           description: Scryfall oracle id, to accept any printing of the card
+ *         name:
+ *           type: string
+ *           description: Exact card name, as an alternative to oracle_id
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         maxPrice:
+ *           type: number
+ *           nullable: true
+ *           description: The most we want to pay per copy
+ *         currency:
+ *           type: string
+ *           enum: [usd, eur]
+ *           default: usd
+ *         notes:
+ *           type: string
+ *     Want:
+ *       type: object
+ *       properties:
+ *         WantId:
+ *           type: string
+ *         CardId:
+ *           type: string
+ *           nullable: true
+ *           description: The exact printing wanted, or null for any printing
+ *         finish:
+ *           type: string
+ *           nullable: true
+ *         oracle_id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         maxPrice:
+ *           type: number
+ *           nullable: true
+ *         currency:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         created_at:
+ *           type: integer
+ *     MatchLine:
+ *       type: object
+ *       properties:
+ *         setCode:
+ *           type: string
+ *         cardNumber:
+ *           type: string
+ *         scryfallId:
+ *           type: string
+ *         name:
+ *           type: string
+ *         finish:
+ *           type: string
+ *         amount:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ */
+
+module.exports = router;
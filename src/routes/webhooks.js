@@ -0,0 +1,390 @@
+const { createRouter } = require('../middleware/validate');
+const router = createRouter();
+const AuthMiddleware = require('../middleware/auth');
+const authenticateToken = AuthMiddleware.authenticateToken;
+const { list, get, create, update, remove, ping, listDeliveries, getDelivery, redeliver } = require('../controllers/webhooksController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceThreshold:
+ *       type: object
+ *       nullable: true
+ *       required: [currency, amount]
+ *       properties:
+ *         currency:
+ *           type: string
+ *           enum: [usd, eur]
+ *         amount:
+ *           type: number
+ *           description: price.threshold_crossed is sent when a price of a card you own goes from below this amount to at least it, or back
+ *     WebhookInput:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *           description: The http(s) URL the events are posted to
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [card.added, card.quantity_changed, card.deleted, price.threshold_crossed, trade.status_changed]
+ *         priceThreshold:
+ *           $ref: '#/components/schemas/PriceThreshold'
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *           default: true
+ *           description: Inactive webhooks get no events
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         WebhookId:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         url:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *         priceThreshold:
+ *           $ref: '#/components/schemas/PriceThreshold'
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *         secret:
+ *           type: string
+ *           description: The secret the deliveries are signed with; only returned when the webhook is created
+ *         created_at:
+ *           type: integer
+ *         updated_at:
+ *           type: integer
+ *     WebhookAttempt:
+ *       type: object
+ *       properties:
+ *         at:
+ *           type: integer
+ *         ok:
+ *           type: boolean
+ *         status:
+ *           type: integer
+ *           nullable: true
+ *           description: The HTTP status the receiver answered with; null when it could not be reached
+ *         error:
+ *           type: string
+ *         durationMs:
+ *           type: integer
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         DeliveryId:
+ *           type: string
+ *           description: Sent as X-Webhook-Id; the same on every attempt of the delivery
+ *         WebhookId:
+ *           type: string
+ *         event:
+ *           type: string
+ *         EventId:
+ *           type: string
+ *         payload:
+ *           type: string
+ *           description: The JSON body as posted, { id, type, created_at, owner, data }
+ *         status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         attempts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookAttempt'
+ *         next_attempt_at:
+ *           type: integer
+ *           description: When a pending delivery is tried again
+ *         redeliveryOf:
+ *           type: string
+ *           description: The delivery this one sends again
+ *         created_at:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /webhooks:
+ *   get:
+ *     operationId: getWebhooks
+ *     summary: List your webhooks (protected)
+ *     description: >-
+ *       Webhooks receive a POST with a JSON event when cards in your collection are added, change quantity or are deleted, when a price of a card
+ *       you own crosses the threshold of the webhook, or when one of your trades changes status. Events are sent within about a minute of the
+ *       change. Every request carries X-Webhook-Id (the delivery,
+ *       the same on every attempt), X-Webhook-Event and X-Webhook-Signature: "t=<unix seconds>,v1=<signature>", where the signature is the hex
+ *       HMAC-SHA256 of "<t>.<raw body>" with the secret of the webhook. Check it and reject old timestamps. Any 2xx answer within 5 seconds counts
+ *       as delivered; other deliveries are tried again after 1, 5, 30, 120 and 360 minutes, then marked failed. Events can arrive more than once
+ *       and out of order, so ignore X-Webhook-Id values you have seen. Deliveries are kept for 30 days.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your webhooks, without their secrets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Webhook'
+ */
+router.get('/', authenticateToken('CARD_EDITOR'), list);
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     operationId: createWebhook
+ *     summary: Register a webhook (protected)
+ *     description: >-
+ *       Call this function to register a URL for events; url and events are required, and priceThreshold is required for price.threshold_crossed.
+ *       The url must not resolve to a loopback, private or link-local address. The answer includes the secret the deliveries are signed with,
+ *       which is not shown again. A user can have 10 webhooks.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid input, a url with a private address, or too many webhooks
+ */
+router.post('/', authenticateToken('CARD_EDITOR'), create);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}:
+ *   get:
+ *     operationId: getWebhook
+ *     summary: Get a webhook (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The webhook, without its secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId', authenticateToken('CARD_EDITOR'), get);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}:
+ *   patch:
+ *     operationId: updateWebhook
+ *     summary: Update a webhook (protected)
+ *     description: Call this function to change the given fields of a webhook; set active to false to pause it. The secret stays the same.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid input, or a url with a private address
+ *       404:
+ *         description: Webhook not found
+ */
+router.patch('/:webhookId', authenticateToken('CARD_EDITOR'), update);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}:
+ *   delete:
+ *     operationId: deleteWebhook
+ *     summary: Delete a webhook (protected)
+ *     description: Call this function to stop the events; pending deliveries are marked failed when they are next tried.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:webhookId', authenticateToken('CARD_EDITOR'), remove);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/ping:
+ *   post:
+ *     operationId: pingWebhook
+ *     summary: Send a test event (protected)
+ *     description: Call this function to send a ping event to the webhook, whatever events it subscribes to, and get the delivery after the first attempt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery of the ping
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:webhookId/ping', authenticateToken('CARD_EDITOR'), ping);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/deliveries:
+ *   get:
+ *     operationId: getWebhookDeliveries
+ *     summary: List the deliveries of a webhook (protected)
+ *     description: Call this function to see the deliveries of the last 30 days with every attempt, newest first.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         description: Only return deliveries with this status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: The deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:webhookId/deliveries', authenticateToken('CARD_EDITOR'), listDeliveries);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/deliveries/{deliveryId}:
+ *   get:
+ *     operationId: getWebhookDelivery
+ *     summary: Get a delivery of a webhook (protected)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.get('/:webhookId/deliveries/:deliveryId', authenticateToken('CARD_EDITOR'), getDelivery);
+
+/**
+ * @swagger
+ * /webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     operationId: redeliverWebhookDelivery
+ *     summary: Send a delivery again (protected)
+ *     description: >-
+ *       Call this function to send the event of a delivery again, for instance one that failed, as a new delivery with its own id and retries.
+ *       Answers with the new delivery after its first attempt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new delivery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', authenticateToken('CARD_EDITOR'), redeliver);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+// Adds the global secondary indexes the app queries the cards table by. The cards table predates the
+// template, which creates the indexes of every other table, so they are added here.
+// Usage: STORAGE_BACKEND=dynamodb TABLE_NAME=<cards table> node src/scripts/createCardIndexes.js
+// Safe to run more than once: indexes that exist are left alone. DynamoDB builds one index at a time,
+// so this waits for each to become active, which can take a while on a large table.
+const { DynamoDBClient, DescribeTableCommand, UpdateTableCommand } = require('@aws-sdk/client-dynamodb');
+const { getStore } = require('../storage');
+
+// The types of the key attributes of the indexes
+const ATTRIBUTE_TYPES = {
+  owner: 'S', CardId: 'S', scryfall_ttl: 'N', sort_set: 'S', sort_name: 'S', sort_price: 'N', sort_added: 'N'
+};
+const POLL_MS = 15 * 1000;
+
+async function describe(client, tableName) {
+  return (await client.send(new DescribeTableCommand({ TableName: tableName }))).Table;
+}
+
+async function waitUntilActive(client, tableName, indexName) {
+  for (;;) {
+    const table = await describe(client, tableName);
+    const index = (table.GlobalSecondaryIndexes || []).find(gsi => gsi.IndexName === indexName);
+    if (table.TableStatus === 'ACTIVE' && index && index.IndexStatus === 'ACTIVE') return;
+    await new Promise(resolve => setTimeout(resolve, POLL_MS));
+  }
+}
+
+async function createIndex(client, tableName, indexName, { partitionKey, sortKey }) {
+  const keys = [partitionKey, sortKey].filter(Boolean);
+  await client.send(new UpdateTableCommand({
+    TableName: tableName,
+    AttributeDefinitions: keys.map(attr => ({ AttributeName: attr, AttributeType: ATTRIBUTE_TYPES[attr] })),
+    GlobalSecondaryIndexUpdates: [{
+      Create: {
+        IndexName: indexName,
+        KeySchema: keys.map((attr, i) => ({ AttributeName: attr, KeyType: i === 0 ? 'HASH' : 'RANGE' })),
+        Projection: { ProjectionType: 'ALL' }
+      }
+    }]
+  }));
+}
+
+async function main() {
+  const cards = getStore('cards');
+  if (!cards.tableName) {
+    console.error('Usage: STORAGE_BACKEND=dynamodb TABLE_NAME=<cards table> node src/scripts/createCardIndexes.js');
+    process.exit(1);
+  }
+  const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'eu-central-1' });
+  const existing = ((await describe(client, cards.tableName)).GlobalSecondaryIndexes || []).map(gsi => gsi.IndexName);
+  for (const [indexName, index] of Object.entries(cards.indexes)) {
+    if (!existing.includes(indexName)) {
+      console.log(`Creating ${indexName} on ${cards.tableName}`);
+      await createIndex(client, cards.tableName, indexName, index);
+    }
+    await waitUntilActive(client, cards.tableName, indexName);
+    console.log(`${indexName} is active`);
+  }
+}
+
+main().catch((err) => {
+  console.error('Creating the indexes failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+// Creates a user, or resets the password and permissions of an existing one. Used to set up the first admin.
+// Usage: node src/scripts/createUser.js <username> <password> [PERMISSION,...]   (defaults to ADMIN)
+//        node src/scripts/createUser.js --from-secret
+// --from-secret moves the account of the old /gettoken basic auth secret (JWT_CREDENTIALS_SECRET_ARN) to an admin user,
+// once: a user that already exists is left alone, so the deploy workflow runs it on every deploy.
+// To set up the first admin of a deployment, which /auth/register needs unless OPEN_REGISTRATION is true:
+//   STORAGE_BACKEND=dynamodb USERS_TABLE_NAME=usersTable JWT_CREDENTIALS_SECRET_ARN=<arn> npm run create-user -- --from-secret
+const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+const { getStore } = require('../storage');
+const { validateUsername, validatePassword, validatePermissions, hashPassword } = require('../lib/users');
+
+async function readSecretCredentials() {
+  const client = new SecretsManagerClient({ region: 'eu-central-1' });
+  const command = new GetSecretValueCommand({ SecretId: process.env.JWT_CREDENTIALS_SECRET_ARN });
+  const response = await client.send(command);
+  return JSON.parse(response.SecretString);
+}
+
+async function main() {
+  let username, password, permissions;
+  if (process.argv[2] === '--from-secret') {
+    ({ username, password } = await readSecretCredentials());
+    permissions = ['ADMIN'];
+  } else {
+    [username, password] = process.argv.slice(2, 4);
+    permissions = process.argv[4] ? process.argv[4].split(',') : ['ADMIN'];
+  }
+  const error = validateUsername(username) || validatePassword(password) || validatePermissions(permissions);
+  if (error) {
+    console.error(error);
+    console.error('Usage: node src/scripts/createUser.js <username> <password> [PERMISSION,...] | --from-secret');
+    process.exit(1);
+  }
+
+  const users = getStore('users');
+  const existing = await users.get(username);
+  if (existing && process.argv[2] === '--from-secret') {
+    console.log(`User ${username} already exists, leaving it alone`);
+    return;
+  }
+  await users.put({
+    ...existing,
+    Username: username,
+    passwordHash: await hashPassword(password),
+    permissions,
+    created_at: existing ? existing.created_at : Date.now()
+  });
+  console.log(`${existing ? 'Updated' : 'Created'} user ${username} with ${permissions.join(', ')}`);
+}
+
+main().catch((err) => {
+  console.error('Creating the user failed:', err);
+  process.exit(1);
+});
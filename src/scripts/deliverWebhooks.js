@@ -0,0 +1,13 @@
+// Sends the webhook deliveries that are due, like the scheduled webhook function does.
+// Usage: node src/scripts/deliverWebhooks.js [max-deliveries]
+const { deliverDue } = require('../lib/webhooks');
+
+async function main() {
+  const report = await deliverDue({ limit: Number(process.argv[2]) || 100 });
+  console.log(`${report.due} deliveries were due: ${report.delivered} delivered, ${report.retrying} will be tried again, ${report.failed} failed, ${report.skipped} sent by another run`);
+}
+
+main().catch((err) => {
+  console.error('Delivery failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,14 @@
+// Stores the card metadata of Scryfall's default-cards bulk data, for lookups without the API.
+// Usage: node src/scripts/ingestBulkData.js [file-or-url]   (defaults to the latest file Scryfall lists)
+// A URL must be on a Scryfall host. Fails if another ingest is running.
+const { ingestBulkData } = require('../lib/cardData');
+
+async function main() {
+  const status = await ingestBulkData({ source: process.argv[2] });
+  console.log(`Ingested ${status.cards} cards from ${status.source}`);
+}
+
+main().catch((err) => {
+  console.error('Ingest failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Moves cards stored before collections had owners to a single user.
+// Usage: node src/scripts/migrateCardOwners.js <username>   (defaults to DEFAULT_OWNER)
+// Safe to run more than once: cards that already have an owner are left alone.
+const { getStore, listAll, ConditionFailedError } = require('../storage');
+const { toStored } = require('../lib/collection');
+
+async function migrateCards(owner) {
+  const cards = getStore('cards');
+  let moved = 0;
+  for (const card of await listAll(cards)) {
+    if (card.owner) continue;
+    try {
+      // Stored as every card write stores it, with the attributes the listing sorts by
+      await cards.put(toStored(owner, card), { condition: { CardId: null } });
+    } catch (err) {
+      if (!(err instanceof ConditionFailedError)) throw err;
+      console.warn(`Skipping ${card.CardId}: ${owner} already has this card`);
+      continue;
+    }
+    await cards.delete(card.CardId);
+    moved++;
+  }
+  return moved;
+}
+
+async function main() {
+  const owner = process.argv[2] || process.env.DEFAULT_OWNER;
+  if (!owner) {
+    console.error('Usage: node src/scripts/migrateCardOwners.js <username> (or set DEFAULT_OWNER)');
+    process.exit(1);
+  }
+  const cards = await migrateCards(owner);
+  console.log(`Migrated ${cards} cards to ${owner}`);
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,16 @@
+// Refreshes the Scryfall data of every card whose data has expired, like the scheduled refresh does.
+// Usage: node src/scripts/refreshScryfall.js [max-printings]
+const { refreshStaleCards } = require('../lib/scryfallRefresh');
+
+async function main() {
+  const report = await refreshStaleCards({ maxPrintings: Number(process.argv[2]) || Infinity });
+  console.log(`${report.stale} printings had expired data: refreshed ${report.refreshed} cards, ${report.failed} kept changing, ${report.remaining} printings left for the next run`);
+  for (const card of report.unknown) {
+    console.warn(`Scryfall no longer knows ${card.CardId} (owned by ${card.owner})`);
+  }
+}
+
+main().catch((err) => {
+  console.error('Refresh failed:', err);
+  process.exit(1);
+});
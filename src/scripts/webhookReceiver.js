@@ -0,0 +1,31 @@
+// A local webhook receiver for trying out webhooks: prints every event it gets and whether its signature is valid.
+// Usage: node src/scripts/webhookReceiver.js <secret> [port] [status]
+// Register http://localhost:<port>/ (default 9000) as a webhook URL, and start this with the secret from the answer.
+// The server refuses local URLs unless it runs with WEBHOOKS_ALLOW_PRIVATE_URLS=true.
+// status (default 200) is what it answers with; give e.g. 500 to see deliveries being retried.
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+const [secret, port = 9000, status = 200] = process.argv.slice(2);
+if (!secret) {
+  console.error('Usage: node src/scripts/webhookReceiver.js <secret> [port] [status]');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const valid = verifySignature(secret, req.headers['x-webhook-signature'], body);
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} ${req.headers['x-webhook-id']} signature ${valid ? 'valid' : 'INVALID'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+    res.writeHead(valid ? Number(status) : 401).end();
+  });
+});
+
+server.listen(Number(port), () => console.log(`Receiving webhooks on http://localhost:${port}/`));
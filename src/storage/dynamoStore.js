@@ -0,0 +1,225 @@
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, ScanCommand, QueryCommand, TransactWriteCommand,
+  BatchWriteCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { ConditionFailedError } = require('./errors');
+const { increment } = require('../lib/metrics');
+const log = require('../lib/logger');
+
+let documentClient = null;
+function getDocumentClient() {
+  if (documentClient) return documentClient;
+  const client = new DynamoDBClient({ region: process.env.AWS_REGION || 'eu-central-1' });
+  documentClient = DynamoDBDocumentClient.from(client, {
+    marshallOptions: { removeUndefinedValues: true }
+  });
+  return documentClient;
+}
+
+// Helper to turn { attr: value } / { attr: null } into a ConditionExpression
+function buildCondition(condition, names, values) {
+  return Object.entries(condition).map(([attr, expected], i) => {
+    names[`#c${i}`] = attr;
+    if (expected === null) return `attribute_not_exists(#c${i})`;
+    values[`:c${i}`] = expected;
+    return `#c${i} = :c${i}`;
+  }).join(' AND ');
+}
+
+// Helper to attach a condition to command input, leaving it untouched when there is none
+function withCondition(input, condition, extra = []) {
+  const names = { ...input.ExpressionAttributeNames };
+  const values = { ...input.ExpressionAttributeValues };
+  const parts = [...extra];
+  if (condition && Object.keys(condition).length > 0) {
+    parts.push(buildCondition(condition, names, values));
+  }
+  if (parts.length === 0) return input;
+  const result = { ...input, ConditionExpression: parts.join(' AND ') };
+  if (Object.keys(names).length > 0) result.ExpressionAttributeNames = names;
+  if (Object.keys(values).length > 0) result.ExpressionAttributeValues = values;
+  return result;
+}
+
+// DynamoDB allows at most this many items in one transaction
+const MAX_TRANSACTION_ITEMS = 100;
+// ... and this many in one batch write
+const MAX_BATCH_ITEMS = 25;
+const BATCH_ATTEMPTS = 5;
+
+function encodeCursor(lastEvaluatedKey) {
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+}
+
+// Helper to build the key condition of a query: the partition key equals value, and the sort key,
+// if given, lies between from and to (both inclusive, either may be left out)
+function buildKeyCondition(index, value, { from, to }) {
+  const names = { '#pk': index.partitionKey };
+  const values = { ':pk': value };
+  const parts = ['#pk = :pk'];
+  if (index.sortKey && (from !== undefined || to !== undefined)) {
+    names['#sk'] = index.sortKey;
+    if (from !== undefined) values[':from'] = from;
+    if (to !== undefined) values[':to'] = to;
+    parts.push(from !== undefined && to !== undefined ? '#sk BETWEEN :from AND :to' : from !== undefined ? '#sk >= :from' : '#sk <= :to');
+  }
+  return { KeyConditionExpression: parts.join(' AND '), ExpressionAttributeNames: names, ExpressionAttributeValues: values };
+}
+
+// DynamoDB-backed store for a single table with a simple string partition key. indexes describes the
+// global secondary indexes of the table by name: { [name]: { partitionKey, sortKey? } }.
+class DynamoStore {
+  constructor({ tableName, keyName, indexes = {} }) {
+    this.tableName = tableName;
+    this.keyName = keyName;
+    this.indexes = indexes;
+  }
+
+  async send(command) {
+    try {
+      return await getDocumentClient().send(command);
+    } catch (err) {
+      if (err.name === 'ConditionalCheckFailedException') throw new ConditionFailedError();
+      if (err.name === 'TransactionCanceledException'
+        && (err.CancellationReasons || []).some(reason => reason.Code === 'ConditionalCheckFailed')) {
+        throw new ConditionFailedError();
+      }
+      increment('storage.errors');
+      log.error('Storage call failed', { table: this.tableName, command: command.constructor.name, error: err });
+      throw err;
+    }
+  }
+
+  async get(key) {
+    const result = await this.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { [this.keyName]: key }
+    }));
+    return result.Item;
+  }
+
+  async put(item, { condition } = {}) {
+    await this.send(new PutCommand(withCondition({
+      TableName: this.tableName,
+      Item: item
+    }, condition)));
+    return item;
+  }
+
+  // Writes many items without conditions, in batches. Items DynamoDB leaves unprocessed are sent again with backoff.
+  async putMany(items) {
+    for (let start = 0; start < items.length; start += MAX_BATCH_ITEMS) {
+      let requests = items.slice(start, start + MAX_BATCH_ITEMS).map(item => ({ PutRequest: { Item: item } }));
+      for (let attempt = 1; requests.length > 0; attempt++) {
+        if (attempt > BATCH_ATTEMPTS) throw new Error(`${requests.length} items were not written to ${this.tableName}`);
+        if (attempt > 1) await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+        const result = await this.send(new BatchWriteCommand({ RequestItems: { [this.tableName]: requests } }));
+        requests = (result.UnprocessedItems && result.UnprocessedItems[this.tableName]) || [];
+      }
+    }
+  }
+
+  // Sets the given attributes of an existing item; changes must set at least one attribute besides the key.
+  // Callers check what they update, so an empty update is a bug, not a bad request.
+  async update(key, changes, { condition } = {}) {
+    const entries = Object.entries(changes || {}).filter(([attr]) => attr !== this.keyName);
+    if (entries.length === 0) throw new Error('Nothing to update');
+    const names = { '#key': this.keyName };
+    const values = {};
+    const sets = entries.map(([attr, value], i) => {
+      names[`#u${i}`] = attr;
+      values[`:u${i}`] = value;
+      return `#u${i} = :u${i}`;
+    });
+    const result = await this.send(new UpdateCommand(withCondition({
+      TableName: this.tableName,
+      Key: { [this.keyName]: key },
+      UpdateExpression: `SET ${sets.join(', ')}`,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW'
+    }, condition, ['attribute_exists(#key)'])));
+    return result.Attributes;
+  }
+
+  async delete(key, { condition } = {}) {
+    await this.send(new DeleteCommand(withCondition({
+      TableName: this.tableName,
+      Key: { [this.keyName]: key }
+    }, condition)));
+  }
+
+  // Applies puts and deletes ([{ put: item, condition } | { delete: key, condition }]) all or nothing
+  async transact(writes) {
+    await DynamoStore.transact(writes.map(write => ({ ...write, store: this })));
+  }
+
+  // Like transact, for writes to the tables of several stores: [{ store, put | delete, condition }]
+  static async transact(writes) {
+    if (writes.length > MAX_TRANSACTION_ITEMS) {
+      throw new Error(`A transaction can hold at most ${MAX_TRANSACTION_ITEMS} writes`);
+    }
+    if (writes.length === 0) return;
+    await writes[0].store.send(new TransactWriteCommand({
+      TransactItems: writes.map(({ store, ...write }) => (write.put
+        ? { Put: withCondition({ TableName: store.tableName, Item: write.put }, write.condition) }
+        : { Delete: withCondition({ TableName: store.tableName, Key: { [store.keyName]: write.delete } }, write.condition) }))
+    }));
+  }
+
+  // Returns a page of the items whose index partition key equals value, ordered by the index sort key
+  // (order 'asc' or 'desc'), optionally only those with a sort key from..to. filter ({ attr: value }) drops
+  // items after limit is applied, as DynamoDB does, so a page can hold fewer items while a cursor follows.
+  async query(indexName, value, { from, to, order = 'asc', limit, cursor, filter } = {}) {
+    const index = this.indexes[indexName];
+    if (!index) throw new Error(`Unknown index "${indexName}" of ${this.tableName}`);
+    const keyCondition = buildKeyCondition(index, value, { from, to });
+    const filterParts = Object.entries(filter || {}).map(([attr, expected], i) => {
+      keyCondition.ExpressionAttributeNames[`#f${i}`] = attr;
+      keyCondition.ExpressionAttributeValues[`:f${i}`] = expected;
+      return `#f${i} = :f${i}`;
+    });
+    const result = await this.send(new QueryCommand({
+      TableName: this.tableName,
+      IndexName: indexName,
+      ...keyCondition,
+      FilterExpression: filterParts.length > 0 ? filterParts.join(' AND ') : undefined,
+      ScanIndexForward: order !== 'desc',
+      Limit: limit,
+      ExclusiveStartKey: cursor ? decodeCursor(cursor) : undefined
+    }));
+    return {
+      items: result.Items || [],
+      cursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null
+    };
+  }
+
+  // Returns the query cursor of an index that continues after item, for readers that stop inside a page:
+  // the key DynamoDB would give as LastEvaluatedKey, the table key with the keys of the index
+  cursorAfter(indexName, item) {
+    const index = this.indexes[indexName];
+    if (!index) throw new Error(`Unknown index "${indexName}" of ${this.tableName}`);
+    const key = { [this.keyName]: item[this.keyName], [index.partitionKey]: item[index.partitionKey] };
+    if (index.sortKey) key[index.sortKey] = item[index.sortKey];
+    return encodeCursor(key);
+  }
+
+  async list({ limit, cursor } = {}) {
+    const result = await this.send(new ScanCommand({
+      TableName: this.tableName,
+      Limit: limit,
+      ExclusiveStartKey: cursor ? decodeCursor(cursor) : undefined
+    }));
+    return {
+      items: result.Items || [],
+      cursor: result.LastEvaluatedKey ? encodeCursor(result.LastEvaluatedKey) : null
+    };
+  }
+}
+
+module.exports = DynamoStore;
@@ -0,0 +1,9 @@
+// Thrown by a store when the condition attached to a write does not hold
+class ConditionFailedError extends Error {
+  constructor(message = 'Condition check failed') {
+    super(message);
+    this.name = 'ConditionFailedError';
+  }
+}
+
+module.exports = { ConditionFailedError };
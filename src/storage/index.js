@@ -0,0 +1,163 @@
+const path = require('path');
+const DynamoStore = require('./dynamoStore');
+const MemoryStore = require('./memoryStore');
+const { ConditionFailedError } = require('./errors');
+
+// Every store the app uses: its key attribute, the env var naming its DynamoDB table and the global
+// secondary indexes it is queried by ({ [name]: { partitionKey, sortKey? } }). The indexes of the
+// tables the template creates are declared there too; the cards table gets them from create:indexes.
+const STORES = {
+  cards: {
+    keyName: 'CardId',
+    tableEnv: 'TABLE_NAME',
+    defaultTable: 'cardsTable',
+    indexes: {
+      'owner-index': { partitionKey: 'owner', sortKey: 'CardId' },
+      // For the refresh: the cards of an owner by when their Scryfall data expires
+      'owner-scryfall_ttl-index': { partitionKey: 'owner', sortKey: 'scryfall_ttl' },
+      // For the listing: the cards of an owner in each order it sorts by
+      'owner-sort_set-index': { partitionKey: 'owner', sortKey: 'sort_set' },
+      'owner-sort_name-index': { partitionKey: 'owner', sortKey: 'sort_name' },
+      'owner-sort_price-index': { partitionKey: 'owner', sortKey: 'sort_price' },
+      'owner-sort_added-index': { partitionKey: 'owner', sortKey: 'sort_added' }
+    }
+  },
+  // The prices of a card on a day, stored under "<set>:<number>#<YYYY-MM-DD>"
+  priceSnapshots: {
+    keyName: 'SnapshotId',
+    tableEnv: 'PRICE_SNAPSHOTS_TABLE_NAME',
+    defaultTable: 'priceSnapshotsTable',
+    indexes: { 'CardId-recorded_at-index': { partitionKey: 'CardId', sortKey: 'recorded_at' } }
+  },
+  trades: {
+    keyName: 'TradeId',
+    tableEnv: 'TRADES_TABLE_NAME',
+    defaultTable: 'tradesTable',
+    indexes: { 'owner-created_at-index': { partitionKey: 'owner', sortKey: 'created_at' } }
+  },
+  wants: {
+    keyName: 'WantId',
+    tableEnv: 'WANTS_TABLE_NAME',
+    defaultTable: 'wantsTable',
+    indexes: { 'owner-index': { partitionKey: 'owner', sortKey: 'WantId' } }
+  },
+  users: { keyName: 'Username', tableEnv: 'USERS_TABLE_NAME', defaultTable: 'usersTable' },
+  refreshTokens: {
+    keyName: 'TokenId',
+    tableEnv: 'REFRESH_TOKENS_TABLE_NAME',
+    defaultTable: 'refreshTokensTable',
+    indexes: { 'username-index': { partitionKey: 'username', sortKey: 'TokenId' } }
+  },
+  history: {
+    keyName: 'EventId',
+    tableEnv: 'HISTORY_TABLE_NAME',
+    defaultTable: 'historyTable',
+    indexes: {
+      'owner-at-index': { partitionKey: 'owner', sortKey: 'at' },
+      // The events of one card, keyed by "<owner>#<set>:<number>" like the cards table
+      'ownerCard-at-index': { partitionKey: 'ownerCard', sortKey: 'at' }
+    }
+  },
+  scryfall: { keyName: 'CacheKey', tableEnv: 'SCRYFALL_CACHE_TABLE_NAME', defaultTable: 'scryfallCacheTable' },
+  cardData: { keyName: 'DataKey', tableEnv: 'CARD_DATA_TABLE_NAME', defaultTable: 'cardDataTable' },
+  webhooks: {
+    keyName: 'WebhookId',
+    tableEnv: 'WEBHOOKS_TABLE_NAME',
+    defaultTable: 'webhooksTable',
+    indexes: {
+      'owner-created_at-index': { partitionKey: 'owner', sortKey: 'created_at' },
+      // Sparse: only active subscriptions to price.threshold_crossed have a watch attribute
+      'watch-created_at-index': { partitionKey: 'watch', sortKey: 'created_at' }
+    }
+  },
+  webhookDeliveries: {
+    keyName: 'DeliveryId',
+    tableEnv: 'WEBHOOK_DELIVERIES_TABLE_NAME',
+    defaultTable: 'webhookDeliveriesTable',
+    indexes: {
+      'WebhookId-created_at-index': { partitionKey: 'WebhookId', sortKey: 'created_at' },
+      // Sparse: only deliveries waiting for an attempt have a queue attribute
+      'queue-next_attempt_at-index': { partitionKey: 'queue', sortKey: 'next_attempt_at' }
+    }
+  },
+  shares: {
+    keyName: 'Token',
+    tableEnv: 'SHARES_TABLE_NAME',
+    defaultTable: 'sharesTable',
+    indexes: { 'owner-created_at-index': { partitionKey: 'owner', sortKey: 'created_at' } }
+  }
+};
+
+// STORAGE_BACKEND selects dynamodb, file or memory. Without it, deployments (TABLE_NAME set)
+// use DynamoDB and local runs keep their data in JSON files under STORAGE_DIR.
+function getBackend() {
+  if (process.env.STORAGE_BACKEND) return process.env.STORAGE_BACKEND.toLowerCase();
+  return process.env.TABLE_NAME || process.env.AWS_LAMBDA_FUNCTION_NAME ? 'dynamodb' : 'file';
+}
+
+function createStore(name) {
+  const config = STORES[name];
+  if (!config) throw new Error(`Unknown store "${name}"`);
+  const backend = getBackend();
+  switch (backend) {
+    case 'dynamodb':
+      return new DynamoStore({
+        keyName: config.keyName,
+        indexes: config.indexes,
+        tableName: process.env[config.tableEnv] || config.defaultTable
+      });
+    case 'file':
+      return new MemoryStore({
+        keyName: config.keyName,
+        indexes: config.indexes,
+        filePath: path.resolve(process.env.STORAGE_DIR || 'data', `${name}.json`)
+      });
+    case 'memory':
+      return new MemoryStore({ keyName: config.keyName, indexes: config.indexes });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+}
+
+const instances = {};
+function getStore(name) {
+  if (!instances[name]) instances[name] = createStore(name);
+  return instances[name];
+}
+
+// Helper to read a whole store, following list cursors until the last page
+async function listAll(store) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await store.list({ cursor });
+    items.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor);
+  return items;
+}
+
+// Applies puts and deletes to several stores all or nothing: [{ store, put: item, condition } |
+// { store, delete: key, condition }]. Throws ConditionFailedError, writing nothing, if a condition fails.
+async function transact(writes) {
+  if (writes.length === 0) return;
+  await writes[0].store.constructor.transact(writes);
+}
+
+// Helper to read every item of an index with the given partition key, following query cursors.
+// options are those of store.query: from, to, order and filter.
+async function queryAll(store, indexName, value, options = {}) {
+  const items = [];
+  let cursor = null;
+  do {
+    const page = await store.query(indexName, value, { ...options, cursor });
+    items.push(...page.items);
+    cursor = page.cursor;
+  } while (cursor);
+  return items;
+}
+
+// The names of the stores the app uses, e.g. for health checks
+const STORE_NAMES = Object.keys(STORES);
+
+module.exports = { getStore, listAll, queryAll, transact, STORE_NAMES, ConditionFailedError };
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { ConditionFailedError } = require('./errors');
+
+// Helper to copy items in and out of the store so callers never share references
+function clone(item) {
+  return item === undefined ? undefined : JSON.parse(JSON.stringify(item));
+}
+
+// Helper to check a write condition: { attr: value } must match, { attr: null } must be absent
+function matchesCondition(item, condition) {
+  for (const [attr, expected] of Object.entries(condition || {})) {
+    const actual = item ? item[attr] : undefined;
+    if (expected === null) {
+      if (actual !== undefined) return false;
+    } else if (actual !== expected) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Helper to check a query filter: every { attr: value } must match
+function matchesFilter(item, filter) {
+  return Object.entries(filter || {}).every(([attr, expected]) => item[attr] === expected);
+}
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+}
+
+// Helper to order two values of a key attribute, like DynamoDB orders strings and numbers
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+// In-memory store, optionally persisted to a JSON file so local runs keep their data.
+// Implements the same interface as DynamoStore.
+class MemoryStore {
+  constructor({ keyName, filePath, indexes = {} } = {}) {
+    this.keyName = keyName;
+    this.filePath = filePath;
+    this.indexes = indexes;
+    this.items = null;
+  }
+
+  load() {
+    if (this.items) return this.items;
+    this.items = new Map();
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      for (const [key, item] of Object.entries(data)) {
+        this.items.set(key, item);
+      }
+    }
+    return this.items;
+  }
+
+  persist() {
+    if (!this.filePath) return;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.items), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  async get(key) {
+    return clone(this.load().get(key));
+  }
+
+  async put(item, { condition } = {}) {
+    const items = this.load();
+    const key = item[this.keyName];
+    if (!matchesCondition(items.get(key), condition)) throw new ConditionFailedError();
+    items.set(key, clone(item));
+    this.persist();
+    return clone(item);
+  }
+
+  // Writes many items without conditions, persisting once
+  async putMany(items) {
+    const stored = this.load();
+    for (const item of items) stored.set(item[this.keyName], clone(item));
+    this.persist();
+  }
+
+  async update(key, changes, { condition } = {}) {
+    if (Object.keys(changes || {}).filter(attr => attr !== this.keyName).length === 0) throw new Error('Nothing to update');
+    const items = this.load();
+    const existing = items.get(key);
+    if (!existing || !matchesCondition(existing, condition)) throw new ConditionFailedError();
+    const updated = { ...existing, ...clone(changes), [this.keyName]: key };
+    items.set(key, updated);
+    this.persist();
+    return clone(updated);
+  }
+
+  async delete(key, { condition } = {}) {
+    const items = this.load();
+    if (!matchesCondition(items.get(key), condition)) throw new ConditionFailedError();
+    items.delete(key);
+    this.persist();
+  }
+
+  // Applies puts and deletes ([{ put: item, condition } | { delete: key, condition }]) all or nothing
+  async transact(writes) {
+    await MemoryStore.transact(writes.map(write => ({ ...write, store: this })));
+  }
+
+  // Like transact, for writes to several stores: [{ store, put | delete, condition }]
+  static async transact(writes) {
+    for (const { store, ...write } of writes) {
+      const key = write.put ? write.put[store.keyName] : write.delete;
+      if (!matchesCondition(store.load().get(key), write.condition)) throw new ConditionFailedError();
+    }
+    for (const { store, ...write } of writes) {
+      if (write.put) store.load().set(write.put[store.keyName], clone(write.put));
+      else store.load().delete(write.delete);
+    }
+    for (const store of new Set(writes.map(write => write.store))) store.persist();
+  }
+
+  // Like a DynamoDB index, an item without the partition or sort key of the index is not in it. Like a
+  // DynamoDB filter, filter ({ attr: value }) drops items from the page after limit is applied.
+  async query(indexName, value, { from, to, order = 'asc', limit, cursor, filter } = {}) {
+    const index = this.indexes[indexName];
+    if (!index) throw new Error(`Unknown index "${indexName}"`);
+    const sortOf = item => (index.sortKey ? item[index.sortKey] : null);
+    const direction = order === 'desc' ? -1 : 1;
+    const compare = (a, b) => direction * (compareKeys(a[0], b[0]) || compareKeys(a[1], b[1]));
+    const entries = [...this.load().values()]
+      .filter(item => item[index.partitionKey] === value
+        && (!index.sortKey || (item[index.sortKey] !== undefined && item[index.sortKey] !== null))
+        && (from === undefined || compareKeys(sortOf(item), from) >= 0)
+        && (to === undefined || compareKeys(sortOf(item), to) <= 0))
+      .map(item => ({ item, position: [sortOf(item), item[this.keyName]] }))
+      .sort((a, b) => compare(a.position, b.position));
+    let start = 0;
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      start = entries.findIndex(entry => compare(entry.position, after) > 0);
+      if (start === -1) start = entries.length;
+    }
+    const end = limit ? Math.min(start + limit, entries.length) : entries.length;
+    return {
+      items: entries.slice(start, end).filter(entry => matchesFilter(entry.item, filter)).map(entry => clone(entry.item)),
+      cursor: end < entries.length ? encodeCursor(entries[end - 1].position) : null
+    };
+  }
+
+  // Returns the query cursor of an index that continues after item, for readers that stop inside a page
+  cursorAfter(indexName, item) {
+    const index = this.indexes[indexName];
+    if (!index) throw new Error(`Unknown index "${indexName}"`);
+    return encodeCursor([index.sortKey ? item[index.sortKey] : null, item[this.keyName]]);
+  }
+
+  async list({ limit, cursor } = {}) {
+    const keys = [...this.load().keys()].sort();
+    let start = 0;
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      start = keys.findIndex(key => key > after);
+      if (start === -1) start = keys.length;
+    }
+    const end = limit ? Math.min(start + limit, keys.length) : keys.length;
+    const items = keys.slice(start, end).map(key => clone(this.items.get(key)));
+    return {
+      items,
+      cursor: end < keys.length ? encodeCursor(keys[end - 1]) : null
+    };
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,10 @@
+// Lambda handler sending the webhook deliveries that are due: the events the API and the refresh queued,
+// and retries of failed deliveries. Runs every minute, next to the API handler in lambda.js.
+const { deliverDue } = require('./lib/webhooks');
+const log = require('./lib/logger');
+
+exports.handler = async (event, context = {}) => log.runWithContext({ requestId: context.awsRequestId }, async () => {
+  const report = await deliverDue();
+  if (report.due > 0) log.info('Webhook deliveries sent', { report });
+  return report;
+});
@@ -0,0 +1,54 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+test('logging in gives a 15 minute access token and a refresh token', async () => {
+  await login('anna');
+  const response = await request('POST', '/auth/token', { body: { username: 'anna', password: 'anna-password' } });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.expiresIn, 900);
+  assert.ok(response.body.token);
+  assert.ok(response.body.refreshToken);
+
+  const wrong = await request('POST', '/auth/token', { body: { username: 'anna', password: 'not-her-password' } });
+  assert.equal(wrong.status, 403);
+});
+
+test('a refresh token can be used once', async () => {
+  await login('anna');
+  const { body } = await request('POST', '/auth/token', { body: { username: 'anna', password: 'anna-password' } });
+  const refreshed = await request('POST', '/auth/refresh', { body: { refreshToken: body.refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, body.refreshToken);
+  assert.equal((await request('POST', '/auth/refresh', { body: { refreshToken: body.refreshToken } })).status, 401);
+});
+
+test('protected routes need a valid token with the permission', async () => {
+  assert.equal((await request('GET', '/trades')).status, 401);
+  assert.equal((await request('GET', '/trades', { token: 'not-a-token' })).status, 401);
+  const viewer = await login('viewer', ['CARD_VIEWER']);
+  assert.equal((await request('GET', '/trades', { token: viewer })).status, 403);
+  assert.equal((await request('GET', '/trades', { token: await login('trader', ['TRADE_MANAGER']) })).status, 200);
+});
+
+test('only admins can register users', async () => {
+  const body = { username: 'newcomer', password: 'long-enough-password' };
+  assert.equal((await request('POST', '/auth/register', { body })).status, 401);
+  assert.equal((await request('POST', '/auth/register', { token: await login('anna'), body })).status, 403);
+
+  const created = await request('POST', '/auth/register', { token: await login('admin', ['ADMIN']), body });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.permissions, ['CARD_VIEWER']);
+  assert.equal((await request('POST', '/auth/token', { body })).status, 200);
+});
+
+test('an expired token is answered with 401, a missing permission with 403', async () => {
+  const jwt = require('jsonwebtoken');
+  const { getPrivateKey } = require('../src/lib/keys');
+  const expired = jwt.sign({ username: 'anna', permissions: ['TRADE_MANAGER'] }, await getPrivateKey(), { algorithm: 'RS256', expiresIn: -60 });
+  const response = await request('GET', '/trades', { token: expired });
+  assert.equal(response.status, 401);
+  assert.equal(response.body.detail, 'Invalid or expired token');
+  assert.equal((await request('GET', '/users/rik/cards', { token: expired })).status, 401);
+  assert.equal((await request('POST', '/trades', { token: await login('viewer', ['CARD_VIEWER']), body: {} })).status, 403);
+});
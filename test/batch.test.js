@@ -0,0 +1,43 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let token;
+before(async () => {
+  token = await login('rik');
+});
+
+const create = (setCode, cardNumber, finish, amount) => ({ type: 'create', setCode, cardNumber, body: { finishes: [{ finish, amount }] } });
+
+test('an atomic batch with an invalid operation writes nothing', async () => {
+  const response = await request('POST', '/cards/batch', {
+    token,
+    body: { atomic: true, operations: [create('cmr', '472', 'etched', 1), create('khm', '1', 'etched', 1)] }
+  });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.succeeded, 0);
+  assert.equal(response.body.results[0].status, 424);
+  assert.equal(response.body.results[1].status, 400);
+  assert.equal((await request('GET', '/cards/cmr/472', { token })).status, 404);
+});
+
+test('an atomic batch of valid operations writes every card', async () => {
+  const response = await request('POST', '/cards/batch', {
+    token,
+    body: { atomic: true, operations: [create('cmr', '472', 'etched', 1), create('khm', '1', 'foil', 2)] }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.succeeded, 2);
+  assert.equal((await request('GET', '/cards/khm/1', { token })).body.finishes[0].amount, 2);
+});
+
+test('a batch that is not atomic applies the valid operations', async () => {
+  const response = await request('POST', '/cards/batch', {
+    token,
+    body: { operations: [create('ths', '107', 'foil', 1), { type: 'delete', setCode: 'ths', cardNumber: '999' }] }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.succeeded, 1);
+  assert.equal(response.body.failed, 1);
+  assert.equal((await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount, 1);
+});
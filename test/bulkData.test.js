@@ -0,0 +1,75 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { parseJsonArray } = require('../src/lib/jsonStream');
+const { lookupCard, lookupCardById, getIngestStatus, ingestBulkData } = require('../src/lib/cardData');
+const { getStore } = require('../src/storage');
+const { ConflictError, ValidationError } = require('../src/lib/errors');
+
+// Helper to collect what parseJsonArray yields for a document sent in the given chunks
+async function parseChunks(chunks) {
+  const elements = [];
+  for await (const element of parseJsonArray(Readable.from(chunks))) elements.push(element);
+  return elements;
+}
+
+test('array elements are read across chunks, also with brackets and quotes inside strings', async () => {
+  const document = JSON.stringify([{ name: 'Jace, the "Mind" Sculptor', text: '{U}: Look at [the top] card \\ }' }, { faces: [{ name: 'Æther Vial' }] }, []]);
+  const expected = JSON.parse(document);
+  assert.deepEqual(await parseChunks([document]), expected);
+  // One character at a time, as bytes, so the characters of more than one byte are split too
+  const bytes = Buffer.from(document);
+  assert.deepEqual(await parseChunks([...bytes].map(byte => Buffer.from([byte]))), expected);
+});
+
+test('an empty array yields nothing and a cut off one fails', async () => {
+  assert.deepEqual(await parseChunks(['[', ']']), []);
+  await assert.rejects(parseChunks(['[{"name": "Sol Ring"}, {"name": "Tho']), /ended early/);
+});
+
+test('an ingest stores the cards of a bulk file by set and number and by id', async () => {
+  const file = path.join(os.tmpdir(), `default-cards-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify([
+    { id: 'id-neo-1', set: 'neo', collector_number: '1', name: 'Ancestral Katana', finishes: ['nonfoil', 'foil'], legalities: {}, prices: { usd: '0.05' } },
+    { object: 'card', name: 'Without a set' }
+  ]));
+  try {
+    const status = await ingestBulkData({ source: file });
+    assert.deepEqual([status.state, status.cards, status.source], ['completed', 1, file]);
+  } finally {
+    fs.unlinkSync(file);
+  }
+  const card = await lookupCard('NEO', '1');
+  assert.equal(card.name, 'Ancestral Katana');
+  assert.equal('legalities' in card, false);
+  assert.deepEqual(await lookupCardById('id-neo-1'), card);
+  assert.equal(await lookupCard('neo', '2'), null);
+
+  // Cards of the ingest are not looked up on Scryfall, which does not know this one
+  const token = await login('ingester');
+  const created = await request('POST', '/cards/neo/1', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.scryfall.name, 'Ancestral Katana');
+});
+
+test('only one ingest runs at a time, and a failed one keeps its error', async () => {
+  const status = await getIngestStatus();
+  await getStore('cardData').put({ ...status, state: 'running', updated_at: Date.now() });
+  await assert.rejects(ingestBulkData({ source: 'unused.json' }), ConflictError);
+  await getStore('cardData').put({ ...status, state: 'completed' });
+
+  await assert.rejects(ingestBulkData({ source: 'https://example.com/cards.json' }), ValidationError);
+  const failed = await getIngestStatus();
+  assert.equal(failed.state, 'failed');
+  assert.match(failed.error, /https URL on scryfall.io/);
+
+  const admin = await login('ingest-admin', ['ADMIN']);
+  const seen = await request('GET', '/bulk-data', { token: admin });
+  assert.equal(seen.status, 200);
+  assert.equal(seen.body.state, 'failed');
+  assert.equal((await request('GET', '/bulk-data', { token: await login('not-admin') })).status, 403);
+});
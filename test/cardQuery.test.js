@@ -0,0 +1,101 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCardQuery, listCardPage } = require('../src/lib/cardQuery');
+const { getCollection } = require('../src/lib/collection');
+
+// Helper to make a card with the Scryfall fields the listing reads
+function card(cardId, scryfall, finishes = [{ finish: 'nonfoil', amount: 1 }], addedAt) {
+  const [set] = cardId.split(':');
+  return { CardId: cardId, finishes, added_at: addedAt, scryfall: { set, colors: [], rarity: 'common', type_line: '', prices: {}, ...scryfall } };
+}
+
+const collection = getCollection('query-owner');
+before(async () => {
+  for (const stored of [
+    card('khm:10', { name: 'Behold the Multitude', colors: ['U'], rarity: 'common', type_line: 'Instant', prices: { usd: '0.10' } }, undefined, 3),
+    card('khm:2', { name: 'Angel of the Gods', colors: ['W'], rarity: 'uncommon', type_line: 'Creature — Angel', prices: { usd_foil: '0.25' } }, [{ finish: 'foil', amount: 3 }], 1),
+    card('cmr:472', { name: 'Sol Ring', colors: [], rarity: 'uncommon', type_line: 'Artifact', prices: { usd: '1.50' } }, undefined, 2),
+    card('ths:107', { name: 'Thoughtseize', colors: ['B'], rarity: 'rare', type_line: 'Sorcery' })
+  ]) {
+    await collection.put(stored);
+  }
+});
+
+// Helper to list with query parameters as GET /cards gets them
+async function list(query) {
+  const { options, error } = parseCardQuery(query);
+  assert.equal(error, undefined);
+  return listCardPage(collection, options);
+}
+
+// Helper to list and keep the CardIds
+async function listIds(query) {
+  return (await list(query)).cards.map(c => c.CardId);
+}
+
+test('cards are sorted by set and number by default, numbers as numbers', async () => {
+  assert.deepEqual(await listIds({}), ['cmr:472', 'khm:2', 'khm:10', 'ths:107']);
+  assert.deepEqual(await listIds({ sort: 'name', order: 'desc' }), ['ths:107', 'cmr:472', 'khm:10', 'khm:2']);
+  // Cards stored before added_at was kept sort first
+  assert.deepEqual(await listIds({ sort: 'added' }), ['ths:107', 'khm:2', 'cmr:472', 'khm:10']);
+});
+
+test('cards sort by the price of their priciest finish, those without one as if they cost 0', async () => {
+  assert.deepEqual(await listIds({ sort: 'price' }), ['ths:107', 'khm:10', 'khm:2', 'cmr:472']);
+  assert.deepEqual(await listIds({ sort: 'price', order: 'desc' }), ['cmr:472', 'khm:2', 'khm:10', 'ths:107']);
+});
+
+test('filters combine, and colorless is its own color', async () => {
+  assert.deepEqual(await listIds({ set: 'KHM,ths', rarity: 'common' }), ['khm:10']);
+  assert.deepEqual(await listIds({ color: 'c' }), ['cmr:472']);
+  assert.deepEqual(await listIds({ type: 'creature' }), ['khm:2']);
+  assert.deepEqual(await listIds({ name: 'ring' }), ['cmr:472']);
+  assert.deepEqual(await listIds({ finish: 'foil', minAmount: '2' }), ['khm:2']);
+});
+
+test('pages follow their cursor without repeating or skipping cards', async () => {
+  const first = await list({ limit: '3' });
+  assert.deepEqual(first.cards.map(c => c.CardId), ['cmr:472', 'khm:2', 'khm:10']);
+  const second = await list({ limit: '3', cursor: first.cursor });
+  assert.deepEqual(second.cards.map(c => c.CardId), ['ths:107']);
+  assert.equal(second.cursor, null);
+});
+
+test('filtered pages are filled from the following cards, and continue after the last card they hold', async () => {
+  const filtered = await list({ limit: '1', rarity: 'uncommon' });
+  assert.deepEqual(filtered.cards.map(c => c.CardId), ['cmr:472']);
+  const next = await list({ limit: '1', rarity: 'uncommon', cursor: filtered.cursor });
+  assert.deepEqual(next.cards.map(c => c.CardId), ['khm:2']);
+  const last = await list({ limit: '1', rarity: 'uncommon', cursor: next.cursor });
+  assert.deepEqual(last.cards, []);
+  assert.equal(last.cursor, null);
+
+  // The only match is the last card: one page holds it, without a cursor to follow
+  const rare = await list({ limit: '2', rarity: 'rare' });
+  assert.deepEqual(rare.cards.map(c => c.CardId), ['ths:107']);
+  assert.equal(rare.cursor, null);
+  assert.deepEqual((await list({ limit: '5', set: 'khm', sort: 'name' })).cards.map(c => c.CardId), ['khm:2', 'khm:10']);
+});
+
+test('invalid listing parameters are refused', async () => {
+  const { cursor } = await list({ limit: '1' });
+  for (const query of [{ color: 'x' }, { sort: 'power' }, { order: 'up' }, { limit: '0' }, { minAmount: '-1' }, { cursor: 'not-a-cursor' }, { sort: 'name', cursor }]) {
+    assert.ok(parseCardQuery(query).error, JSON.stringify(query));
+  }
+});
+
+test('GET /cards sends the page with X-Next-Cursor', async () => {
+  const token = await login('lister');
+  for (const path of ['/cards/cmr/472', '/cards/khm/1', '/cards/ths/107']) {
+    await request('POST', path, { token, body: { finishes: [{ finish: 'nonfoil', amount: 1 }] } });
+  }
+  const first = await request('GET', '/cards?limit=2', { token });
+  assert.equal(first.status, 200);
+  assert.deepEqual(Object.keys(first.body), ['cmr:472', 'khm:1']);
+  assert.equal(first.body['cmr:472'].sort_set, undefined);
+  const second = await request('GET', `/cards?limit=2&cursor=${first.headers.get('x-next-cursor')}`, { token });
+  assert.deepEqual(Object.keys(second.body), ['ths:107']);
+  assert.equal(second.headers.get('x-next-cursor'), null);
+  assert.equal((await request('GET', '/cards?sort=power', { token })).status, 400);
+});
@@ -0,0 +1,99 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery, matchesSearch } = require('../src/lib/cardSearch');
+
+const cards = [
+  {
+    CardId: 'khm:90',
+    finishes: [{ finish: 'foil', amount: 1, notes: [{ id: 'n1', text: 'For the zombie deck' }] }],
+    scryfall: { set: 'khm', name: 'Draugr Necromancer', type_line: 'Creature — Zombie Cleric', oracle_text: 'Snow mana can be spent to cast spells your opponents own.', colors: ['B'], rarity: 'rare' }
+  },
+  {
+    CardId: 'mid:51',
+    finishes: [{ finish: 'nonfoil', amount: 2, notes: [] }],
+    scryfall: {
+      set: 'mid',
+      rarity: 'uncommon',
+      card_faces: [
+        { name: 'Delver of Secrets', type_line: 'Creature — Human Wizard', oracle_text: 'At the beginning of your upkeep, look at the top card of your library.', colors: ['U'] },
+        { name: 'Insectile Aberration', type_line: 'Creature — Human Insect', oracle_text: 'Flying', colors: ['U'] }
+      ]
+    }
+  },
+  {
+    CardId: 'cmr:472',
+    finishes: [{ finish: 'etched', amount: 0, notes: [] }, { finish: 'nonfoil', amount: 1, notes: [] }],
+    scryfall: { set: 'cmr', name: 'Sol Ring', type_line: 'Artifact', oracle_text: '{T}: Add {C}{C}.', colors: [], rarity: 'uncommon' }
+  }
+];
+
+// Helper to search the cards above; returns the CardIds that match
+function search(q) {
+  const { terms, error } = parseSearchQuery(q);
+  assert.equal(error, undefined, q);
+  return cards.filter(card => matchesSearch(card, terms)).map(card => card.CardId);
+}
+
+test('bare words and phrases match the name, type, oracle text and notes', () => {
+  assert.deepEqual(search('necromancer'), ['khm:90']);
+  assert.deepEqual(search('"top card of your library"'), ['mid:51']);
+  assert.deepEqual(search('zombie'), ['khm:90']);
+  assert.deepEqual(search('ZOMBIE deck'), ['khm:90']);
+});
+
+test('operators and their aliases narrow the search, also on the faces of a card', () => {
+  assert.deepEqual(search('t:creature'), ['khm:90', 'mid:51']);
+  assert.deepEqual(search('n:aberration'), ['mid:51']);
+  assert.deepEqual(search('o:flying'), ['mid:51']);
+  assert.deepEqual(search('c:b'), ['khm:90']);
+  assert.deepEqual(search('c:c'), ['cmr:472']);
+  assert.deepEqual(search('e:MID'), ['mid:51']);
+  assert.deepEqual(search('r:uncommon'), ['mid:51', 'cmr:472']);
+  assert.deepEqual(search('note:zombie'), ['khm:90']);
+});
+
+test('finishes only match with copies', () => {
+  assert.deepEqual(search('f:etched'), []);
+  assert.deepEqual(search('f:nonfoil'), ['mid:51', 'cmr:472']);
+});
+
+test('a "-" excludes the matches of a term, and every term must match', () => {
+  assert.deepEqual(search('t:creature -set:khm'), ['mid:51']);
+  assert.deepEqual(search('-t:creature'), ['cmr:472']);
+  assert.deepEqual(search('t:creature c:u o:"upkeep"'), ['mid:51']);
+  assert.deepEqual(search('t:creature c:u o:snow'), []);
+});
+
+test('unknown operators and colors, and empty queries, are refused', () => {
+  assert.match(parseSearchQuery('pow:3').error, /Unknown search operator "pow:"/);
+  assert.match(parseSearchQuery('c:x').error, /Invalid color "x"/);
+  assert.match(parseSearchQuery('  ').error, /required/);
+});
+
+test('GET /cards/search answers like the listing, and with 400 for a bad query', async () => {
+  const token = await login('searcher');
+  await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 1 }] } });
+  await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+  const found = await request('GET', `/cards/search?q=${encodeURIComponent('t:artifact -f:foil')}`, { token });
+  assert.equal(found.status, 200);
+  assert.deepEqual(Object.keys(found.body), ['cmr:472']);
+  assert.equal(found.headers.get('x-next-cursor'), null);
+  assert.equal((await request('GET', '/cards/search?q=pow:3', { token })).status, 400);
+});
+
+test('a search fills its page from later store pages when the first has no match', async () => {
+  const token = await login('page-searcher');
+  for (const path of ['/cards/c21/263', '/cards/cmr/472', '/cards/khm/1', '/cards/ths/107']) {
+    await request('POST', path, { token, body: { finishes: [{ finish: 'nonfoil', amount: 1 }] } });
+  }
+  // With limit 1 the first store page holds only c21:263, in set order
+  const found = await request('GET', '/cards/search?q=thoughtseize&limit=1', { token });
+  assert.equal(found.status, 200);
+  assert.deepEqual(Object.keys(found.body), ['ths:107']);
+  assert.equal(found.headers.get('x-next-cursor'), null);
+
+  const none = await request('GET', '/cards/search?q=t:creature&limit=1', { token });
+  assert.deepEqual(Object.keys(none.body), []);
+  assert.equal(none.headers.get('x-next-cursor'), null);
+});
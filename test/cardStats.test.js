@@ -0,0 +1,79 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStatsQuery, getCollectionStats, getTopCards, getPriceMovers } = require('../src/lib/cardStats');
+
+const cards = [
+  {
+    CardId: 'cmr:472',
+    added_at: 2000,
+    finishes: [{ finish: 'nonfoil', amount: 2 }, { finish: 'etched', amount: 1 }],
+    scryfall: { name: 'Sol Ring', set: 'cmr', set_name: 'Commander Legends', rarity: 'uncommon', type_line: 'Artifact', color_identity: [], prices: { usd: '1.50', usd_etched: '9.00' } }
+  },
+  {
+    CardId: 'znr:100',
+    added_at: 2000,
+    finishes: [{ finish: 'foil', amount: 1 }],
+    scryfall: {
+      name: 'Kazandu Mammoth // Kazandu Valley',
+      set: 'znr',
+      rarity: 'rare',
+      color_identity: ['G'],
+      card_faces: [{ type_line: 'Creature — Elephant' }, { type_line: 'Land' }],
+      prices: { usd_foil: '0.50' }
+    }
+  },
+  {
+    CardId: 'khm:1',
+    finishes: [{ finish: 'nonfoil', amount: 0 }],
+    scryfall: { name: 'Draugr Necromancer', set: 'khm', rarity: 'rare', type_line: 'Creature', color_identity: ['B'], prices: { usd: '0.50' } }
+  }
+];
+
+test('the stats count printings and copies per set, color identity, rarity, type and finish', () => {
+  const stats = getCollectionStats(cards);
+  assert.deepEqual([stats.cards, stats.copies], [2, 4]);
+  assert.deepEqual(stats.sets, { cmr: { cards: 1, copies: 3, name: 'Commander Legends' }, znr: { cards: 1, copies: 1 } });
+  assert.deepEqual(stats.colors, { C: { cards: 1, copies: 3 }, G: { cards: 1, copies: 1 } });
+  assert.deepEqual(stats.types, { Artifact: { cards: 1, copies: 3 }, Creature: { cards: 1, copies: 1 }, Land: { cards: 1, copies: 1 } });
+  assert.deepEqual(stats.finishes, { nonfoil: { cards: 1, copies: 2 }, etched: { cards: 1, copies: 1 }, foil: { cards: 1, copies: 1 } });
+});
+
+test('the top list ranks finishes in stock by the price of a copy', () => {
+  assert.deepEqual(getTopCards(cards, { limit: 2 }).map(e => [e.CardId, e.finish, e.price, e.value]), [['cmr:472', 'etched', 9, 9], ['cmr:472', 'nonfoil', 1.5, 3]]);
+  assert.deepEqual(getTopCards(cards, { currency: 'eur' }), []);
+});
+
+test('movers compare the current price with the recorded price when the card was added', () => {
+  const snapshots = {
+    'cmr:472': [{ recorded_at: 1000, usd: 1, usd_etched: 12 }, { recorded_at: 3000, usd: 1.25, usd_etched: 10 }],
+    // Added before its prices were recorded: compared with the first snapshot
+    'znr:100': [{ recorded_at: 5000, usd_foil: 0.4 }]
+  };
+  const movers = getPriceMovers(cards, snapshots);
+  assert.deepEqual(movers.map(e => [e.finish, e.addedPrice, e.change, e.changePercent]), [['etched', 12, -3, -25], ['nonfoil', 1, 0.5, 50], ['foil', 0.4, 0.1, 25]]);
+  assert.deepEqual(getPriceMovers(cards, snapshots, { direction: 'up', limit: 1 }).map(e => e.finish), ['nonfoil']);
+  assert.deepEqual(getPriceMovers(cards, snapshots, { direction: 'down' }).map(e => e.finish), ['etched']);
+});
+
+test('invalid stats parameters are refused', () => {
+  assert.deepEqual(parseStatsQuery({}).options, { limit: 10, currency: 'usd', direction: 'both' });
+  for (const query of [{ limit: '0' }, { limit: '101' }, { currency: 'gbp' }, { direction: 'sideways' }]) {
+    assert.ok(parseStatsQuery(query).error, JSON.stringify(query));
+  }
+});
+
+test('the /cards/stats endpoints read the collection of the user', async () => {
+  const token = await login('statistician');
+  await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 1 }] } });
+  await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'foil', amount: 2 }] } });
+
+  const stats = await request('GET', '/cards/stats', { token });
+  assert.deepEqual([stats.status, stats.body.cards, stats.body.copies], [200, 2, 3]);
+  const top = await request('GET', '/cards/stats/top?limit=1', { token });
+  assert.deepEqual(top.body.map(e => [e.CardId, e.finish, e.value]), [['ths:107', 'foil', 60]]);
+  // Prices have not moved since the cards were added
+  const movers = await request('GET', '/cards/stats/movers', { token });
+  assert.deepEqual(movers.body.map(e => e.change), [0, 0]);
+  assert.equal((await request('GET', '/cards/stats/top?limit=500', { token })).status, 400);
+});
@@ -0,0 +1,33 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let token;
+before(async () => {
+  token = await login('rik');
+});
+
+test('adding a card answers with the card, which can then be read', async () => {
+  const created = await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 2 }] } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.CardId, 'cmr:472');
+  assert.equal(created.body.finishes[0].amount, 2);
+
+  const read = await request('GET', '/cards/cmr/472', { token });
+  assert.equal(read.status, 200);
+  assert.equal(read.body.finishes[0].amount, 2);
+});
+
+test('adding to a card merges the finishes, and deleting it removes it', async () => {
+  await request('POST', '/cards/khm/1', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+  const added = await request('POST', '/cards/khm/1', { token, body: { finishes: [{ finish: 'foil', amount: 2 }, { finish: 'nonfoil', amount: 1 }] } });
+  assert.deepEqual(added.body.finishes.map(f => [f.finish, f.amount]), [['foil', 3], ['nonfoil', 1]]);
+
+  assert.equal((await request('DELETE', '/cards/khm/1', { token })).status, 204);
+  assert.equal((await request('GET', '/cards/khm/1', { token })).status, 404);
+});
+
+test('finishes the printing does not have are refused', async () => {
+  const response = await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+  assert.equal(response.status, 400);
+});
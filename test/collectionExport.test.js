@@ -0,0 +1,80 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS } = require('../src/lib/collectionExport');
+const { parseCollection } = require('../src/lib/collectionImport');
+
+const card = {
+  CardId: 'cmr:472',
+  finishes: [
+    { finish: 'nonfoil', amount: 0 },
+    {
+      finish: 'etched',
+      amount: 3,
+      notes: [{ id: 'n1', text: 'one is "signed", the rest are not' }],
+      lots: [
+        { condition: 'NM', language: 'en', signed: false, altered: false, graded: false, acquisitionPrice: 8, amount: 2 },
+        { condition: 'LP', language: 'ja', signed: true, altered: false, graded: false, acquisitionPrice: null, amount: 1 }
+      ]
+    }
+  ],
+  scryfall: { name: 'Sol Ring', set: 'cmr', set_name: 'Commander Legends', collector_number: '472' }
+};
+
+test('csv and txt export a line per finish in stock, csv fields quoted as needed', () => {
+  const { csv, txt } = EXPORT_FORMATS;
+  assert.equal(csv.header(), 'CardId,Name,Set,Collector Number,Finish,Amount,Notes\r\n');
+  assert.equal(csv.card(card), 'cmr:472,Sol Ring,cmr,472,etched,3,"one is ""signed"", the rest are not"\r\n');
+  assert.equal(txt.card(card), '3 Sol Ring (CMR) 472 *E*\n');
+});
+
+test('moxfield and deckbox export a row per lot with the names of its condition and language', () => {
+  const moxfield = EXPORT_FORMATS.moxfield.card(card).trim().split('\r\n');
+  assert.deepEqual(moxfield, [
+    '2,2,Sol Ring,cmr,Near Mint,English,etched,,,472,False,False,8',
+    '1,1,Sol Ring,cmr,Lightly Played,Japanese,etched,,,472,False,False,'
+  ]);
+  const deckbox = EXPORT_FORMATS.deckbox.card(card).trim().split('\r\n');
+  assert.deepEqual(deckbox, [
+    '2,2,Sol Ring,Commander Legends,472,Near Mint,English,foil,,,,,,,',
+    '1,1,Sol Ring,Commander Legends,472,Lightly Played,Japanese,foil,signed,,,,,,'
+  ]);
+});
+
+test('json exports an array of the cards with every finish', () => {
+  const { json } = EXPORT_FORMATS;
+  const exported = JSON.parse(json.header() + json.card(card, 0) + json.card({ ...card, CardId: 'cmr:473' }, 1) + json.footer());
+  assert.deepEqual(exported.map(c => c.CardId), ['cmr:472', 'cmr:473']);
+  assert.deepEqual(exported[0].finishes.map(f => f.finish), ['nonfoil', 'etched']);
+});
+
+test('the txt and moxfield exports import back as they were', () => {
+  const txt = parseCollection(EXPORT_FORMATS.txt.card(card));
+  assert.deepEqual(txt.entries.map(e => [e.quantity, e.setCode, e.collectorNumber, e.finish]), [[3, 'cmr', '472', 'etched']]);
+  const moxfield = parseCollection(EXPORT_FORMATS.moxfield.header() + EXPORT_FORMATS.moxfield.card(card));
+  assert.equal(moxfield.format, 'moxfield');
+  assert.deepEqual(moxfield.entries.map(e => [e.quantity, e.finish]), [[2, 'etched'], [1, 'etched']]);
+});
+
+test('GET /cards/export downloads the filtered collection, without private fields for others', async () => {
+  const token = await login('exporter');
+  await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'nonfoil', amount: 2, notes: 'from the binder' }, { finish: 'foil', amount: 1 }] } });
+  await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 1 }] } });
+
+  const txt = await request('GET', '/cards/export?format=txt', { token });
+  assert.equal(txt.status, 200);
+  assert.equal(txt.headers.get('content-type'), 'text/plain; charset=utf-8');
+  assert.equal(txt.headers.get('content-disposition'), 'attachment; filename="tradelist.txt"');
+  assert.equal(txt.body, '1 Sol Ring (CMR) 472 *E*\n2 Thoughtseize (THS) 107\n1 Thoughtseize (THS) 107 *F*\n');
+
+  const foil = await request('GET', '/cards/export?format=txt&finish=foil', { token });
+  assert.equal(foil.body, '1 Thoughtseize (THS) 107 *F*\n');
+
+  const own = await request('GET', '/cards/export?set=ths', { token });
+  assert.match(own.body, /from the binder/);
+  const other = await request('GET', '/users/exporter/cards/export?set=ths', { token: await login('viewer') });
+  assert.equal(other.status, 200);
+  assert.doesNotMatch(other.body, /from the binder/);
+
+  assert.equal((await request('GET', '/cards/export?format=xlsx', { token })).status, 400);
+});
@@ -0,0 +1,101 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCollection } = require('../src/lib/collectionImport');
+
+test('decklist lines are read with their set, number and finish marker', () => {
+  const { format, entries, unrecognized } = parseCollection([
+    'Deck',
+    '4 Thoughtseize (THS) 107 *F*',
+    '1x Sol Ring',
+    '// sideboard cards',
+    '1 Sol Ring (CMR) 472 *E*',
+    'two Sol Rings'
+  ].join('\n'));
+  assert.equal(format, 'text');
+  assert.deepEqual(entries.map(({ lineNumber, quantity, name, setCode, collectorNumber, finish }) => [lineNumber, quantity, name, setCode, collectorNumber, finish]), [
+    [2, 4, 'Thoughtseize', 'ths', '107', 'foil'],
+    [3, 1, 'Sol Ring', null, null, 'nonfoil'],
+    [5, 1, 'Sol Ring', 'cmr', '472', 'etched']
+  ]);
+  assert.deepEqual(unrecognized, [{ lineNumber: 6, line: 'two Sol Rings', reason: 'Unrecognized line' }]);
+});
+
+test('CSV exports are recognized by their header row', () => {
+  const moxfield = parseCollection('Count,Tradelist Count,Name,Edition,Condition,Language,Foil,Collector Number\n2,0,Thoughtseize,ths,NM,English,foil,107\n');
+  assert.equal(moxfield.format, 'moxfield');
+  assert.deepEqual(moxfield.entries.map(e => [e.quantity, e.setCode, e.collectorNumber, e.finish]), [[2, 'ths', '107', 'foil']]);
+
+  const deckbox = parseCollection('Count,Tradelist Count,Name,Edition,Edition Code,Card Number,Foil\n1,0,Sol Ring,Commander Legends,CMR,472,etched\n');
+  assert.equal(deckbox.format, 'deckbox');
+  assert.deepEqual(deckbox.entries.map(e => [e.setName, e.setCode, e.finish]), [['Commander Legends', 'cmr', 'etched']]);
+
+  const manabox = parseCollection('Name,Set code,Set name,Collector number,Foil,Quantity,ManaBox ID,Scryfall ID\nSol Ring,CMR,Commander Legends,472,normal,3,1,id-cmr-472\n');
+  assert.equal(manabox.format, 'manabox');
+  assert.deepEqual(manabox.entries.map(e => [e.quantity, e.scryfallId, e.finish]), [[3, 'id-cmr-472', 'nonfoil']]);
+
+  const tcgplayer = parseCollection('Quantity,Name,Set,Set Code,Card Number,Printing,Product ID\n1,Thoughtseize,Theros,THS,107,Foil,123\n');
+  assert.equal(tcgplayer.format, 'tcgplayer');
+  assert.deepEqual(tcgplayer.entries.map(e => [e.setCode, e.finish]), [['ths', 'foil']]);
+});
+
+test('quoted CSV fields keep their commas and quotes, and bad quantities are reported', () => {
+  const { entries, unrecognized } = parseCollection([
+    'Count,Tradelist Count,Name,Edition,Foil,Collector Number',
+    '1,0,"Jace, the ""Mind"" Sculptor",wwk,,31',
+    'many,0,Sol Ring,cmr,,472'
+  ].join('\r\n'));
+  assert.deepEqual(entries.map(e => [e.lineNumber, e.name, e.finish]), [[2, 'Jace, the "Mind" Sculptor', 'nonfoil']]);
+  assert.deepEqual(unrecognized.map(u => [u.lineNumber, u.reason]), [[3, 'Invalid quantity']]);
+});
+
+test('an unknown format is refused', () => {
+  assert.match(parseCollection('1 Sol Ring', 'mtgo').error, /Invalid format "mtgo"/);
+});
+
+test('an import reports its changes, unresolved lines and invalid finishes, and writes nothing on a dry run', async () => {
+  const token = await login('importer');
+  const content = ['2 Thoughtseize (THS) 107', '1 Sol Ring (CMR) 472 *F*', '1 Unknown Card (XXX) 1', '1x Draugr Necromancer'].join('\n');
+
+  const dryRun = await request('POST', '/cards/import', { token, body: { content, dryRun: true } });
+  assert.equal(dryRun.status, 200);
+  assert.deepEqual(dryRun.body.summary, { lines: 4, imported: 2, unresolved: 1, invalidFinishes: 1, cards: 2 });
+  assert.deepEqual(dryRun.body.unresolved.map(line => line.lineNumber), [3]);
+  assert.deepEqual(dryRun.body.invalidFinishes.map(line => [line.CardId, line.finish]), [['cmr:472', 'foil']]);
+  assert.equal((await request('GET', '/cards/ths/107', { token })).status, 404);
+
+  const imported = await request('POST', '/cards/import', { token, body: { content } });
+  assert.deepEqual(imported.body.changes.map(c => [c.CardId, c.finish, c.before, c.after]), [['ths:107', 'nonfoil', 0, 2], ['khm:1', 'nonfoil', 0, 1]]);
+  assert.equal((await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount, 2);
+
+  // Imports add to what is there; the export can also be sent as it is
+  const added = await request('POST', '/cards/import?format=text', { token, headers: { 'Content-Type': 'text/plain' }, body: '1 Thoughtseize (THS) 107' });
+  assert.equal(added.status, 200);
+  assert.deepEqual(added.body.changes.map(c => [c.before, c.after]), [[2, 3]]);
+  assert.equal((await request('POST', '/cards/import', { token, body: { content: '' } })).status, 400);
+});
+
+test('an import whose cards keep changing stops with 409 and lists the cards it imported', async () => {
+  const token = await login('conflicted-importer');
+  const MemoryStore = require('../src/storage/memoryStore');
+  const { ConditionFailedError } = require('../src/storage');
+  const transact = MemoryStore.transact;
+  MemoryStore.transact = async () => {
+    throw new ConditionFailedError();
+  };
+  try {
+    const response = await request('POST', '/cards/import', { token, body: { content: '1 Thoughtseize (THS) 107' } });
+    assert.equal(response.status, 409);
+    assert.deepEqual(response.body.imported, []);
+  } finally {
+    MemoryStore.transact = transact;
+  }
+  assert.equal((await request('GET', '/cards/ths/107', { token })).status, 404);
+});
+
+test('an import with a body that is neither JSON nor text is answered with 400', async () => {
+  const token = await login('xml-importer');
+  const response = await request('POST', '/cards/import', { token, body: '<x/>', headers: { 'Content-Type': 'application/xml' } });
+  assert.equal(response.status, 400);
+  assert.equal(response.body.detail, 'Missing collection content');
+});
@@ -0,0 +1,52 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Helper to check the fields every error answer has
+function assertProblem(response, status) {
+  assert.equal(response.status, status);
+  assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+  assert.equal(response.body.type, 'about:blank');
+  assert.equal(typeof response.body.title, 'string');
+  assert.equal(response.body.status, status);
+  assert.equal(typeof response.body.detail, 'string');
+  assert.equal(response.body.requestId, response.headers.get('x-request-id'));
+}
+
+test('errors are answered with problem details carrying the request id', async () => {
+  const token = await login('anna');
+  const missing = await request('GET', '/cards/khm/999', { token, headers: { 'X-Request-Id': 'trace-1234' } });
+  assertProblem(missing, 404);
+  assert.equal(missing.body.title, 'Not Found');
+  assert.equal(missing.body.requestId, 'trace-1234');
+  assert.equal(missing.body.instance, '/cards/khm/999');
+
+  assertProblem(await request('GET', '/no-such-route'), 404);
+  assertProblem(await request('GET', '/trades'), 401);
+  assertProblem(await request('GET', '/trades', { token: await login('viewer', ['CARD_VIEWER']) }), 403);
+
+  const invalid = await request('POST', '/cards', { token, body: '{"setCode":', headers: { 'Content-Type': 'application/json' } });
+  assertProblem(invalid, 400);
+  assert.equal(invalid.body.detail, 'The request body is not valid JSON');
+});
+
+test('unexpected errors are answered with a generic 500, without the message or stack', async () => {
+  const token = await login('anna');
+  const MemoryStore = require('../src/storage/memoryStore');
+  const query = MemoryStore.prototype.query;
+  MemoryStore.prototype.query = async () => {
+    throw new Error('Table mtg-trades-internal is unreachable');
+  };
+  try {
+    const response = await request('GET', '/trades', { token });
+    assertProblem(response, 500);
+    assert.equal(response.body.title, 'Internal Server Error');
+    assert.equal(response.body.detail, 'Something went wrong; quote the request id when reporting this');
+    const text = JSON.stringify(response.body);
+    assert.doesNotMatch(text, /mtg-trades-internal/);
+    assert.doesNotMatch(text, /at .*\.js/);
+    assert.equal(response.body.stack, undefined);
+  } finally {
+    MemoryStore.prototype.query = query;
+  }
+});
@@ -0,0 +1,42 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let token;
+before(async () => {
+  token = await login('rik');
+});
+
+test('adding a card answers with its ETag, which reads give as well', async () => {
+  const created = await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 2 }] } });
+  assert.equal(created.status, 201);
+  assert.ok(created.headers.get('etag'));
+
+  const read = await request('GET', '/cards/cmr/472', { token });
+  assert.equal(read.headers.get('etag'), created.headers.get('etag'));
+});
+
+test('a write with a stale If-Match is rejected with 412 and the current ETag', async () => {
+  const created = await request('POST', '/cards/khm/1', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+  const etag = created.headers.get('etag');
+
+  const first = await request('PATCH', '/cards/khm/1', { token, headers: { 'If-Match': etag }, body: { finishes: [{ finish: 'foil', amount: 3 }] } });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.headers.get('etag'), etag);
+
+  const stale = await request('PATCH', '/cards/khm/1', { token, headers: { 'If-Match': etag }, body: { finishes: [{ finish: 'foil', amount: 5 }] } });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.etag, first.headers.get('etag'));
+  assert.equal((await request('GET', '/cards/khm/1', { token })).body.finishes[0].amount, 3);
+
+  const deleted = await request('DELETE', '/cards/khm/1', { token, headers: { 'If-Match': etag } });
+  assert.equal(deleted.status, 412);
+  assert.equal((await request('DELETE', '/cards/khm/1', { token, headers: { 'If-Match': first.headers.get('etag') } })).status, 204);
+});
+
+test('If-Match "*" only requires the card to exist', async () => {
+  const body = { finishes: [{ finish: 'foil', amount: 1 }] };
+  assert.equal((await request('POST', '/cards/ths/107', { token, headers: { 'If-Match': '*' }, body })).status, 412);
+  await request('POST', '/cards/ths/107', { token, body });
+  assert.equal((await request('POST', '/cards/ths/107', { token, headers: { 'If-Match': '*' }, body })).status, 201);
+});
@@ -0,0 +1,75 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const log = require('../src/lib/logger');
+const { getStore } = require('../src/storage');
+
+// Helper to collect the log lines written while fn runs, at the given LOG_LEVEL
+async function captureLogs(t, level, fn) {
+  const lines = [];
+  t.mock.method(console, 'log', line => lines.push(JSON.parse(line)));
+  t.mock.method(console, 'error', line => lines.push(JSON.parse(line)));
+  const previous = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = level;
+  try {
+    await fn();
+  } finally {
+    process.env.LOG_LEVEL = previous;
+    t.mock.restoreAll();
+  }
+  return lines;
+}
+
+test('log entries are JSON lines with the fields and request id of their context', async (t) => {
+  const lines = await captureLogs(t, 'info', () => log.runWithContext({ requestId: 'req-1' }, () => {
+    log.debug('Not written');
+    log.info('Card saved', { CardId: 'cmr:472' });
+    log.error('Card not saved', { error: Object.assign(new Error('Throttled'), { status: 503 }) });
+  }));
+  assert.deepEqual(lines.map(({ level, message, requestId }) => [level, message, requestId]), [['info', 'Card saved', 'req-1'], ['error', 'Card not saved', 'req-1']]);
+  assert.equal(lines[0].CardId, 'cmr:472');
+  assert.deepEqual([lines[1].error.name, lines[1].error.message, lines[1].error.status], ['Error', 'Throttled', 503]);
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+});
+
+test('every request gets an id, taken from X-Request-Id when it is a valid one', async (t) => {
+  const lines = await captureLogs(t, 'info', async () => {
+    const traced = await request('GET', '/users/nobody/cards/cmr/472', { headers: { 'X-Request-Id': 'trace-1' } });
+    assert.equal(traced.headers.get('x-request-id'), 'trace-1');
+    assert.equal(traced.body.requestId, 'trace-1');
+  });
+  const handled = lines.find(line => line.message === 'Request handled');
+  assert.deepEqual([handled.requestId, handled.method, handled.status], ['trace-1', 'GET', 404]);
+  assert.equal(typeof handled.durationMs, 'number');
+
+  const generated = await request('GET', '/health', { headers: { 'X-Request-Id': 'not valid!' } });
+  assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+});
+
+test('the health check reads every store and checks the token keys', async (t) => {
+  const healthy = await request('GET', '/health');
+  assert.equal(healthy.status, 200);
+  assert.equal(healthy.headers.get('cache-control'), 'no-store');
+  assert.deepEqual([healthy.body.status, healthy.body.checks.storage.status, healthy.body.checks.keys.status], ['ok', 'ok', 'ok']);
+
+  t.mock.method(getStore('trades'), 'get', async () => {
+    throw Object.assign(new Error('Requested resource not found: arn:aws:dynamodb:tradesTable'), { name: 'ResourceNotFoundException' });
+  });
+  const failing = await request('GET', '/health');
+  assert.equal(failing.status, 503);
+  assert.equal(failing.body.checks.storage.error, 'The trades store failed: ResourceNotFoundException');
+  assert.equal(failing.body.checks.keys.status, 'ok');
+});
+
+test('the counters are only shown to admins', async () => {
+  const token = await login('counter');
+  // The second write uses the Scryfall data the first one stored
+  for (let i = 0; i < 2; i++) {
+    await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+  }
+  assert.equal((await request('GET', '/health/metrics', { token })).status, 403);
+  const metrics = await request('GET', '/health/metrics', { token: await login('metrics-admin', ['ADMIN']) });
+  assert.equal(metrics.status, 200);
+  assert.ok(metrics.body.counters['scryfall.requests'] > 0);
+  assert.ok(metrics.body.counters['scryfall.ttl.hit'] > 0);
+});
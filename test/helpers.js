@@ -0,0 +1,163 @@
+// Shared setup of the tests: the app on the memory backend, a stand-in for the Scryfall API and users with
+// real tokens. Require this before anything from src, as it sets the environment the app reads.
+const crypto = require('crypto');
+const http = require('http');
+const { SecretsManagerClient } = require('@aws-sdk/client-secrets-manager');
+
+process.env.NODE_ENV = 'test';
+process.env.STORAGE_BACKEND = 'memory';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SCRYFALL_REQUEST_SPACING_MS = '0';
+process.env.SCRYFALL_RETRIES = '0';
+process.env.JWT_PUBLIC_KEY_SECRET_ARN = 'test-public-key';
+process.env.JWT_PRIVATE_KEY_SECRET_ARN = 'test-private-key';
+delete process.env.DEFAULT_OWNER;
+delete process.env.OPEN_REGISTRATION;
+
+// The token keys are made per test run instead of read from Secrets Manager
+const keys = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+SecretsManagerClient.prototype.send = async (command) => ({
+  SecretString: command.input.SecretId === process.env.JWT_PUBLIC_KEY_SECRET_ARN ? keys.publicKey : keys.privateKey
+});
+
+// The cards the stand-in Scryfall API knows, by "<set>/<collector number>"
+function scryfallCard(set, number, name, finishes, prices = {}) {
+  return {
+    id: `id-${set}-${number}`,
+    oracle_id: `oracle-${name.toLowerCase().replace(/\W+/g, '-')}`,
+    name,
+    set,
+    set_name: set.toUpperCase(),
+    collector_number: String(number),
+    rarity: 'rare',
+    colors: [],
+    type_line: 'Artifact',
+    oracle_text: '',
+    lang: 'en',
+    finishes,
+    prices
+  };
+}
+
+const scryfallCards = {
+  'cmr/472': scryfallCard('cmr', 472, 'Sol Ring', ['nonfoil', 'etched'], { usd: '1.50', usd_etched: '9.00' }),
+  'khm/1': scryfallCard('khm', 1, 'Draugr Necromancer', ['nonfoil', 'foil'], { usd: '0.50', usd_foil: '2.00' }),
+  'ths/107': scryfallCard('ths', 107, 'Thoughtseize', ['nonfoil', 'foil'], { usd: '12.00', usd_foil: '30.00' }),
+  'c21/263': scryfallCard('c21', 263, 'Sol Ring', ['nonfoil'], { usd: '1.00' })
+};
+
+// Helper to answer the Scryfall requests the app makes: cards by set and number, by id or by name, collections,
+// the printings of a card and the languages of a printing
+function answerScryfall(req, body) {
+  const url = new URL(req.url, 'http://scryfall.test');
+  const cards = Object.values(scryfallCards);
+  let match;
+  if (req.method === 'POST' && url.pathname === '/cards/collection') {
+    const data = [];
+    const notFound = [];
+    for (const identifier of JSON.parse(body).identifiers) {
+      const card = cards.find(c => (identifier.id && c.id === identifier.id)
+        || (identifier.collector_number && c.set === identifier.set && c.collector_number === String(identifier.collector_number))
+        || (identifier.name && c.name.toLowerCase() === identifier.name.toLowerCase()));
+      if (card) data.push(card);
+      else notFound.push(identifier);
+    }
+    return [200, { object: 'list', data, not_found: notFound }];
+  }
+  if (url.pathname === '/sets') return [200, { data: [] }];
+  if (url.pathname === '/cards/named') {
+    // Exact names match whole names, fuzzy ones any part of a name; the first printing found is the answer
+    const exact = url.searchParams.get('exact');
+    const fuzzy = url.searchParams.get('fuzzy');
+    const set = url.searchParams.get('set');
+    const card = cards.find(c => (!set || c.set === set)
+      && (exact ? c.name.toLowerCase() === exact.toLowerCase() : c.name.toLowerCase().includes(String(fuzzy).toLowerCase())));
+    return card ? [200, card] : [404, { object: 'error', status: 404, details: 'No cards found matching the name' }];
+  }
+  if (url.pathname === '/cards/search') {
+    const q = url.searchParams.get('q') || '';
+    if ((match = q.match(/^oracleid:(.*)$/))) {
+      const printings = cards.filter(c => c.oracle_id === match[1]);
+      return printings.length ? [200, { data: printings }] : [404, { object: 'error' }];
+    }
+    if ((match = q.match(/^set:(\S+) cn:"([^"]+)" lang:any$/))) {
+      return scryfallCards[`${match[1]}/${match[2]}`] ? [200, { data: [{ lang: 'en' }] }] : [404, { object: 'error' }];
+    }
+  }
+  if ((match = url.pathname.match(/^\/cards\/([a-z0-9]+)\/([^/]+)$/)) && scryfallCards[`${match[1]}/${decodeURIComponent(match[2])}`]) {
+    return [200, scryfallCards[`${match[1]}/${decodeURIComponent(match[2])}`]];
+  }
+  if ((match = url.pathname.match(/^\/cards\/([^/]+)$/))) {
+    const card = cards.find(c => c.id === decodeURIComponent(match[1]));
+    if (card) return [200, card];
+  }
+  return [404, { object: 'error', status: 404 }];
+}
+
+// Helper to listen on a free local port; resolves with the base URL. The servers do not keep a test alive.
+function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      server.unref();
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+}
+
+let baseUrl = null;
+
+// Starts the stand-in Scryfall API and the app, once per test file
+async function start() {
+  if (baseUrl) return baseUrl;
+  const scryfall = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const [status, payload] = answerScryfall(req, body);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  process.env.SCRYFALL_API_URL = await listen(scryfall);
+  baseUrl = await listen(http.createServer(require('../src/index')));
+  return baseUrl;
+}
+
+// Sends a request to the app; resolves with { status, headers, body }, the body parsed if it is JSON.
+// A string body is sent as it is, with the Content-Type given in headers.
+async function request(method, path, { body, token, headers = {} } = {}) {
+  const json = body !== undefined && typeof body !== 'string';
+  const response = await fetch(`${await start()}${path}`, {
+    method,
+    headers: {
+      ...(json ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: json ? JSON.stringify(body) : body
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    // Not JSON, e.g. an export or an empty 204
+  }
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+// Creates a user with the given permissions and logs in; resolves with the access token
+async function login(username, permissions = ['CARD_EDITOR', 'TRADE_MANAGER']) {
+  const { getStore } = require('../src/storage');
+  const { hashPassword } = require('../src/lib/users');
+  const password = `${username}-password`;
+  await getStore('users').put({ Username: username, passwordHash: await hashPassword(password), permissions, created_at: Date.now() });
+  const { body } = await request('POST', '/auth/token', { body: { username, password } });
+  return body.token;
+}
+
+module.exports = { scryfallCards, start, request, login };
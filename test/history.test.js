@@ -0,0 +1,117 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { listHistory } = require('../src/lib/cardHistory');
+
+let token;
+before(async () => {
+  token = await login('rik');
+});
+
+// Helper to write a card a millisecond after the last write, so the events are ordered by time
+async function write(method, path, body) {
+  await new Promise(resolve => setTimeout(resolve, 2));
+  return request(method, path, { token, body });
+}
+
+test('the history is paged newest first and followed by its cursor', async () => {
+  const anna = await login('anna');
+  for (const amount of [1, 2, 3]) {
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await request(amount === 1 ? 'POST' : 'PATCH', '/cards/khm/1', { token: anna, body: { finishes: [{ finish: 'foil', amount }] } });
+  }
+  const first = await request('GET', '/history?limit=2', { token: anna });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.map(event => event.changes[0].after), [3, 2]);
+  assert.equal('ownerCard' in first.body[0], false);
+  const cursor = first.headers.get('x-next-cursor');
+  assert.ok(cursor);
+
+  const second = await request('GET', `/history?limit=2&cursor=${cursor}`, { token: anna });
+  assert.deepEqual(second.body.map(event => event.changes[0].after), [1]);
+  assert.equal(second.headers.get('x-next-cursor'), null);
+
+  assert.equal((await request('GET', '/history?cursor=not-a-cursor', { token: anna })).status, 400);
+});
+
+test('the history of a card and of an action only holds those events', async () => {
+  await write('POST', '/cards/cmr/472', { finishes: [{ finish: 'etched', amount: 1 }] });
+  await write('POST', '/cards/ths/107', { finishes: [{ finish: 'nonfoil', amount: 1 }] });
+  await write('PATCH', '/cards/cmr/472', { finishes: [{ finish: 'etched', amount: 2 }] });
+
+  const card = await request('GET', '/cards/cmr/472/history', { token });
+  assert.deepEqual(card.body.map(event => [event.CardId, event.action]), [['cmr:472', 'update'], ['cmr:472', 'create']]);
+
+  const creates = await request('GET', '/history?action=create&limit=1', { token });
+  assert.deepEqual(creates.body.map(event => event.CardId), ['ths:107']);
+  const next = await request('GET', `/history?action=create&limit=1&cursor=${creates.headers.get('x-next-cursor')}`, { token });
+  assert.deepEqual(next.body.map(event => event.CardId), ['cmr:472']);
+});
+
+test('reverting a change sets the finishes it touched back', async () => {
+  await write('POST', '/cards/khm/1', { finishes: [{ finish: 'nonfoil', amount: 1 }, { finish: 'foil', amount: 1 }] });
+  await write('PATCH', '/cards/khm/1', { finishes: [{ finish: 'nonfoil', amount: 4 }, { finish: 'foil', amount: 1 }] });
+  await write('PATCH', '/cards/khm/1', { finishes: [{ finish: 'nonfoil', amount: 4 }, { finish: 'foil', amount: 2 }] });
+  const [, nonfoilChange] = (await request('GET', '/cards/khm/1/history', { token })).body;
+
+  const reverted = await request('POST', `/history/${nonfoilChange.EventId}/revert`, { token });
+  assert.equal(reverted.status, 200);
+  assert.deepEqual(reverted.body.finishes.map(f => [f.finish, f.amount]), [['nonfoil', 1], ['foil', 2]]);
+  const [revert] = (await request('GET', '/cards/khm/1/history', { token })).body;
+  assert.equal(revert.source, 'revert');
+  assert.equal(revert.revertOf, nonfoilChange.EventId);
+
+  assert.equal((await request('POST', '/history/no-such-event/revert', { token })).status, 404);
+});
+
+test('a deleted card is restored as it was last deleted', async () => {
+  const carla = await login('carla');
+  await request('POST', '/cards/ths/107', { token: carla, body: { finishes: [{ finish: 'foil', amount: 2, notes: 'near mint' }] } });
+  assert.equal((await request('POST', '/cards/ths/107/restore', { token: carla })).status, 409);
+  assert.equal((await request('DELETE', '/cards/ths/107', { token: carla })).status, 204);
+
+  const restored = await request('POST', '/cards/ths/107/restore', { token: carla });
+  assert.equal(restored.status, 201);
+  assert.equal(restored.body.finishes[0].amount, 2);
+  assert.equal(restored.body.finishes[0].notes[0].text, 'near mint');
+  assert.equal(restored.body.scryfall.name, 'Thoughtseize');
+
+  assert.equal((await request('POST', '/cards/cmr/999/restore', { token: carla })).status, 404);
+});
+
+test('only the owner and admins see a history', async () => {
+  const bob = await login('bob');
+  assert.equal((await request('GET', '/users/rik/history', { token: bob })).status, 403);
+  const admin = await login('admin', ['ADMIN']);
+  const seen = await request('GET', '/users/rik/history', { token: admin });
+  assert.equal(seen.status, 200);
+  assert.ok(seen.body.length > 0);
+});
+
+test('filtering on an action reads full pages instead of one query per event', async () => {
+  const dora = await login('dora');
+  await request('POST', '/cards/khm/1', { token: dora, body: { finishes: [{ finish: 'nonfoil', amount: 1 }] } });
+  for (let amount = 2; amount <= 6; amount++) {
+    await request('PATCH', '/cards/khm/1', { token: dora, body: { finishes: [{ finish: 'nonfoil', amount }] } });
+  }
+
+  const history = require('../src/storage').getStore('history');
+  const query = history.query;
+  let queries = 0;
+  history.query = (...args) => {
+    queries++;
+    return query.apply(history, args);
+  };
+  try {
+    const { items, cursor } = await listHistory('dora', { cardId: 'khm:1', action: 'create', limit: 1 });
+    assert.deepEqual(items.map(event => event.action), ['create']);
+    assert.equal(cursor, null);
+    const updates = await listHistory('dora', { cardId: 'khm:1', action: 'update', limit: 3 });
+    assert.equal(updates.items.length, 3);
+    const rest = await listHistory('dora', { cardId: 'khm:1', action: 'update', limit: 3, cursor: updates.cursor });
+    assert.deepEqual(rest.items.map(event => event.action), ['update', 'update']);
+  } finally {
+    history.query = query;
+  }
+  assert.equal(queries, 3);
+});
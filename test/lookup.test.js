@@ -0,0 +1,41 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { readPrintingLookup } = require('../src/lib/cards');
+
+let token;
+before(async () => {
+  token = await login('finder');
+});
+
+test('a card is named by exactly one of a name, a fuzzy name or a Scryfall id', () => {
+  assert.deepEqual(readPrintingLookup({ name: ' Sol Ring ', set: 'CMR' }).lookup, { name: 'Sol Ring', set: 'cmr' });
+  assert.deepEqual(readPrintingLookup({ scryfallId: 'id-ths-107' }).lookup, { scryfallId: 'id-ths-107', set: undefined });
+  assert.match(readPrintingLookup({}).error, /exactly one of scryfallId, name, fuzzy/);
+  assert.match(readPrintingLookup({ name: 'Sol Ring', fuzzy: 'sol' }).error, /exactly one/);
+  assert.match(readPrintingLookup({ name: 3 }).error, /name must be a string/);
+  assert.match(readPrintingLookup({ scryfallId: 'id-ths-107', set: 'ths' }).error, /set cannot be combined/);
+});
+
+test('POST /cards stores the printing Scryfall resolves under its set and number', async () => {
+  const byName = await request('POST', '/cards', { token, body: { name: 'sol ring', set: 'c21', finishes: [{ finish: 'nonfoil', amount: 1 }] } });
+  assert.equal(byName.status, 201);
+  assert.equal(byName.body.CardId, 'c21:263');
+
+  const byId = await request('POST', '/cards', { token, body: { scryfallId: 'id-cmr-472', finishes: [{ finish: 'etched', amount: 2 }] } });
+  assert.equal(byId.body.CardId, 'cmr:472');
+  const byFuzzyName = await request('POST', '/cards', { token, body: { fuzzy: 'thought', finishes: [{ finish: 'foil', amount: 1 }] } });
+  assert.equal(byFuzzyName.body.CardId, 'ths:107');
+  assert.equal((await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount, 1);
+
+  assert.equal((await request('POST', '/cards', { token, body: { name: 'No Such Card', finishes: [{ finish: 'nonfoil', amount: 1 }] } })).status, 404);
+  assert.equal((await request('POST', '/cards', { token, body: { name: 'Sol Ring', set: 'c21', finishes: [{ finish: 'foil', amount: 1 }] } })).status, 400);
+});
+
+test('GET /cards/by-oracle/:oracleId totals every printing of the card', async () => {
+  const summary = await request('GET', '/cards/by-oracle/oracle-sol-ring', { token });
+  assert.equal(summary.status, 200);
+  assert.deepEqual([summary.body.name, summary.body.amount, summary.body.finishes], ['Sol Ring', 3, { nonfoil: 1, etched: 2 }]);
+  assert.deepEqual(summary.body.printings.map(p => [p.CardId, p.amount]), [['c21:263', 1], ['cmr:472', 2]]);
+  assert.equal((await request('GET', '/cards/by-oracle/oracle-unknown', { token })).status, 404);
+});
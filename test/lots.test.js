@@ -0,0 +1,59 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readLot, validateLot, normalizeLots, addToLots, setInLots, takeFromLots, adjustLots } = require('../src/lib/lots');
+
+const nearMint = readLot({});
+const played = readLot({ condition: 'lp', language: 'JA', signed: true, acquisitionPrice: '4' });
+
+test('a posted finish names its lot, with defaults for what it leaves out', () => {
+  assert.deepEqual(nearMint, { condition: 'NM', language: 'en', signed: false, altered: false, graded: false, acquisitionPrice: null });
+  assert.deepEqual(played, { condition: 'LP', language: 'ja', signed: true, altered: false, graded: false, acquisitionPrice: 4 });
+  assert.deepEqual(normalizeLots({ finish: 'foil', amount: 2 }, 'de'), [{ ...readLot({}, 'de'), amount: 2 }]);
+});
+
+test('lot attributes are validated', () => {
+  assert.equal(validateLot({ finish: 'foil', condition: 'mp', language: 'ph', graded: false, acquisitionPrice: 0 }), null);
+  assert.match(validateLot({ finish: 'foil', condition: 'mint' }), /Invalid condition "mint"/);
+  assert.match(validateLot({ finish: 'foil', language: 'xx' }), /Invalid language "xx"/);
+  assert.match(validateLot({ finish: 'foil', altered: 'yes' }), /altered for finish "foil" must be true or false/);
+  assert.match(validateLot({ finish: 'foil', acquisitionPrice: -1 }), /acquisitionPrice/);
+});
+
+test('copies added to a lot average its acquisition price, and set to 0 remove it', () => {
+  let lots = addToLots([], { ...played, acquisitionPrice: 2 }, 1);
+  lots = addToLots(lots, played, 3);
+  lots = addToLots(lots, nearMint, 1);
+  assert.deepEqual(lots.map(l => [l.condition, l.amount, l.acquisitionPrice]), [['LP', 4, 3.5], ['NM', 1, null]]);
+  assert.deepEqual(setInLots(lots, played, 0).map(l => l.condition), ['NM']);
+  assert.deepEqual(setInLots(lots, nearMint, 5).map(l => l.amount), [4, 5]);
+});
+
+test('copies are taken from the matching lot or from the lots in order', () => {
+  const lots = [{ ...played, amount: 2 }, { ...nearMint, amount: 1 }];
+  assert.deepEqual(takeFromLots(lots, null, 3).lots, []);
+  assert.deepEqual(takeFromLots(lots, nearMint, 2), { lots: null, available: 1 });
+  assert.deepEqual(takeFromLots(lots, nearMint, 1).lots.map(l => l.condition), ['LP']);
+  assert.deepEqual(adjustLots(lots, 4).map(l => l.amount), [3, 1]);
+  assert.deepEqual(adjustLots(lots, 1).map(l => [l.condition, l.amount]), [['LP', 1]]);
+});
+
+test('a finish reports the total of its lots, and languages are checked against Scryfall', async () => {
+  const token = await login('lotkeeper');
+  const created = await request('POST', '/cards/khm/1', {
+    token,
+    body: { finishes: [{ finish: 'foil', amount: 2 }, { finish: 'foil', amount: 1, condition: 'HP', altered: true }] }
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.finishes[0].amount, 3);
+  assert.deepEqual(created.body.finishes[0].lots.map(l => [l.condition, l.altered, l.amount]), [['NM', false, 2], ['HP', true, 1]]);
+
+  const patched = await request('PATCH', '/cards/khm/1', { token, body: { finishes: [{ finish: 'foil', amount: 0, condition: 'HP', altered: true }] } });
+  assert.equal(patched.body.finishes[0].amount, 2);
+  assert.equal(patched.body.finishes[0].lots.length, 1);
+
+  const japanese = await request('PATCH', '/cards/khm/1', { token, body: { finishes: [{ finish: 'foil', amount: 1, language: 'ja' }] } });
+  assert.equal(japanese.status, 400);
+  assert.match(japanese.body.detail, /not printed in language "ja"/);
+  assert.equal((await request('PATCH', '/cards/khm/1', { token, body: { finishes: [{ finish: 'foil', amount: 1, condition: 'mint' }] } })).status, 400);
+});
@@ -0,0 +1,69 @@
+const { scryfallCards, request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStore } = require('../src/storage');
+const { normalizeNotes, notesToText, addFinishes } = require('../src/lib/finishes');
+
+test('legacy note strings are read as entries with ids that stay the same', () => {
+  const legacy = '2024-01-31 13:37 first copy\n\nfrom a trade';
+  const notes = normalizeNotes(legacy);
+  assert.deepEqual(notes.map(({ at, author, text }) => [at, author, text]), [
+    [Date.parse('2024-01-31T13:37:00Z'), null, 'first copy'],
+    [null, null, 'from a trade']
+  ]);
+  assert.deepEqual(normalizeNotes(legacy).map(note => note.id), notes.map(note => note.id));
+  assert.equal(notesToText(notes), '2024-01-31 13:37 first copy\nfrom a trade');
+  assert.deepEqual(normalizeNotes(undefined), []);
+});
+
+test('a posted note is added as an entry by its author', () => {
+  const [finish] = addFinishes(
+    [{ finish: 'foil', amount: 1, notes: 'old note' }],
+    [{ finish: 'foil', amount: 1, notes: 'new note' }],
+    { author: 'rik' }
+  );
+  assert.deepEqual(finish.notes.map(note => [note.author, note.text]), [[null, 'old note'], ['rik', 'new note']]);
+  assert.equal(typeof finish.notes[1].id, 'string');
+});
+
+test('single notes of a finish are added, edited and deleted', async () => {
+  const token = await login('noter');
+  await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+
+  const added = await request('POST', '/cards/ths/107/finishes/foil/notes', { token, body: { text: ' for the cube ' } });
+  assert.equal(added.status, 201);
+  assert.deepEqual([added.body.author, added.body.text], ['noter', 'for the cube']);
+  assert.ok(added.headers.get('etag'));
+
+  const edited = await request('PATCH', `/cards/ths/107/finishes/foil/notes/${added.body.id}`, { token, body: { text: 'for the deck' } });
+  assert.equal(edited.status, 200);
+  assert.deepEqual([edited.body.id, edited.body.text, edited.body.edited_by], [added.body.id, 'for the deck', 'noter']);
+
+  assert.equal((await request('POST', '/cards/ths/107/finishes/foil/notes', { token, body: { text: '  ' } })).status, 400);
+  assert.equal((await request('POST', '/cards/ths/107/finishes/nonfoil/notes', { token, body: { text: 'x' } })).status, 404);
+  assert.equal((await request('PATCH', '/cards/ths/107/finishes/foil/notes/no-such-note', { token, body: { text: 'x' } })).status, 404);
+  assert.equal((await request('POST', '/users/noter/cards/ths/107/finishes/foil/notes', { token: await login('other'), body: { text: 'x' } })).status, 403);
+
+  assert.equal((await request('DELETE', `/cards/ths/107/finishes/foil/notes/${added.body.id}`, { token })).status, 204);
+  assert.deepEqual((await request('GET', '/cards/ths/107', { token })).body.finishes[0].notes, []);
+});
+
+test('notes stored as a legacy string can be edited by the ids they are read with', async () => {
+  const token = await login('legacy');
+  await getStore('cards').put({
+    CardId: 'legacy#cmr:472',
+    owner: 'legacy',
+    version: 1,
+    finishes: [{ finish: 'etched', amount: 1, notes: '2024-01-31 13:37 first\n2024-02-01 09:00 second' }],
+    scryfall: scryfallCards['cmr/472'],
+    scryfall_ttl: Date.now() + 60 * 60 * 1000
+  });
+
+  const card = await request('GET', '/cards/cmr/472', { token });
+  const [first, second] = card.body.finishes[0].notes;
+  assert.deepEqual([first.text, second.text], ['first', 'second']);
+  assert.equal((await request('DELETE', `/cards/cmr/472/finishes/etched/notes/${first.id}`, { token })).status, 204);
+
+  const stored = await getStore('cards').get('legacy#cmr:472');
+  assert.deepEqual(stored.finishes[0].notes.map(note => [note.id, note.text]), [[second.id, 'second']]);
+});
@@ -0,0 +1,22 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let token;
+before(async () => {
+  token = await login('rik');
+  await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 1 }] } });
+});
+
+test('every user has a collection of their own', async () => {
+  const bob = await login('bob');
+  assert.equal((await request('GET', '/cards/cmr/472', { token: bob })).status, 404);
+  assert.equal((await request('GET', '/users/rik/cards/cmr/472', { token: bob })).body.finishes[0].amount, 1);
+});
+
+test('only the owner can change a collection', async () => {
+  const bob = await login('bob');
+  const response = await request('POST', '/users/rik/cards/cmr/472', { token: bob, body: { finishes: [{ finish: 'etched', amount: 1 }] } });
+  assert.equal(response.status, 403);
+  assert.equal((await request('GET', '/cards/cmr/472', { token })).body.finishes[0].amount, 1);
+});
@@ -0,0 +1,54 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCollectionValue } = require('../src/lib/prices');
+const { recordPrices, getPriceHistory } = require('../src/lib/priceHistory');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('the collection value is totalled per currency and finish, unpriced copies apart', () => {
+  const value = getCollectionValue([
+    { CardId: 'cmr:472', finishes: [{ finish: 'nonfoil', amount: 2 }, { finish: 'etched', amount: 1 }], scryfall: { prices: { usd: '1.50', usd_etched: '9.00', eur: '1.10' } } },
+    { CardId: 'ths:107', finishes: [{ finish: 'foil', amount: 1 }], scryfall: { prices: { usd_foil: '20.333' } } }
+  ]);
+  assert.equal(value.cards, 2);
+  assert.equal(value.copies, 4);
+  assert.deepEqual(value.currencies.usd, {
+    total: 32.33,
+    unpricedCopies: 0,
+    finishes: { nonfoil: { copies: 2, value: 3 }, etched: { copies: 1, value: 9 }, foil: { copies: 1, value: 20.33 } }
+  });
+  assert.deepEqual(value.currencies.eur, { total: 2.2, unpricedCopies: 2, finishes: { nonfoil: { copies: 2, value: 2.2 } } });
+});
+
+test('prices are recorded once per change, at most one snapshot a day', async () => {
+  const start = Date.UTC(2026, 0, 1, 10);
+  await recordPrices('tst:1', { prices: { usd: '1.00', usd_foil: null } }, start);
+  await recordPrices('tst:1', { prices: { usd: '1.00', usd_foil: null } }, start + 1000);
+  await recordPrices('tst:1', { prices: { usd: '1.25', usd_foil: null } }, start + 2000);
+  await recordPrices('tst:1', { prices: { usd: '1.50', usd_foil: '4.00' } }, start + DAY);
+
+  const history = await getPriceHistory('tst:1');
+  assert.deepEqual(Object.keys(history), ['nonfoil', 'foil']);
+  assert.deepEqual(history.nonfoil, [
+    { recorded_at: start + 2000, usd: 1.25, eur: null },
+    { recorded_at: start + DAY, usd: 1.5, eur: null }
+  ]);
+  assert.deepEqual(history.foil.map(point => point.usd), [null, 4]);
+  assert.equal(await getPriceHistory('tst:2'), null);
+});
+
+test('GET /cards/:setCode/:cardNumber/prices and /cards/stats/value read the fetched prices', async () => {
+  const token = await login('valuer');
+  await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'nonfoil', amount: 2 }, { finish: 'etched', amount: 1 }] } });
+
+  const prices = await request('GET', '/cards/cmr/472/prices', { token });
+  assert.equal(prices.status, 200);
+  assert.equal(prices.body.CardId, 'cmr:472');
+  assert.deepEqual(prices.body.finishes.etched.map(point => point.usd), [9]);
+  assert.equal((await request('GET', '/cards/khm/999/prices', { token })).status, 404);
+
+  const value = await request('GET', '/cards/stats/value', { token });
+  assert.equal(value.status, 200);
+  assert.equal(value.body.currencies.usd.total, 12);
+});
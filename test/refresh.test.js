@@ -0,0 +1,55 @@
+const { scryfallCards, request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStore } = require('../src/storage');
+const { refreshStaleCards } = require('../src/lib/scryfallRefresh');
+const { getPriceHistory } = require('../src/lib/priceHistory');
+
+const cards = getStore('cards');
+const HOUR = 60 * 60 * 1000;
+
+// Helper to store a card as it was written some time ago, with Scryfall data that expires at ttl
+async function storeCard(owner, cardId, ttl, scryfall = { name: 'Old name', set: cardId.split(':')[0], prices: {} }) {
+  await cards.put({
+    CardId: `${owner}#${cardId}`,
+    owner,
+    version: 1,
+    finishes: [{ finish: 'nonfoil', amount: 1 }],
+    scryfall,
+    scryfall_ttl: ttl
+  });
+}
+
+let token;
+before(async () => {
+  token = await login('rik');
+  await login('bob');
+  await storeCard('rik', 'cmr:472', Date.now() - HOUR);
+  await storeCard('bob', 'cmr:472', Date.now() - HOUR);
+  await storeCard('rik', 'ths:107', Date.now() + HOUR, scryfallCards['ths/107']);
+  await storeCard('rik', 'xyz:9', Date.now() - HOUR / 2);
+});
+
+test('reading a card with expired Scryfall data does not refresh it', async () => {
+  const read = await request('GET', '/cards/cmr/472', { token });
+  assert.equal(read.body.scryfall.name, 'Old name');
+  assert.equal((await cards.get('rik#cmr:472')).version, 1);
+});
+
+test('a run refreshes every owner\'s expired cards, records their prices and reports unknown cards', async () => {
+  const report = await refreshStaleCards({ maxPrintings: 1 });
+  assert.deepEqual(report, { stale: 2, refreshed: 2, failed: 0, remaining: 1, unknown: [] });
+
+  for (const owner of ['rik', 'bob']) {
+    const card = await cards.get(`${owner}#cmr:472`);
+    assert.equal(card.scryfall.name, 'Sol Ring');
+    assert.ok(card.scryfall_ttl > Date.now());
+  }
+  assert.deepEqual((await getPriceHistory('cmr:472')).etched.map(point => point.usd), [9]);
+  assert.equal((await cards.get('rik#ths:107')).version, 1);
+
+  const next = await refreshStaleCards();
+  assert.deepEqual(next, { stale: 1, refreshed: 0, failed: 0, remaining: 0, unknown: [{ owner: 'rik', CardId: 'xyz:9' }] });
+  // The refresh changes no amounts, so nothing is added to the history
+  assert.deepEqual((await request('GET', '/cards/cmr/472/history', { token })).body, []);
+});
@@ -0,0 +1,106 @@
+const { scryfallCards } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('../src/storage/memoryStore');
+const { createScryfallClient, ScryfallError, ScryfallNotFoundError, ScryfallUnavailableError } = require('../src/lib/scryfall');
+const { errorHandler } = require('../src/middleware/errors');
+
+// Helper to create a client whose requests are answered by answer(config, callNumber), without spacing and
+// with a short backoff. Returns { client, calls }, where calls collects the requests it made.
+function fakeClient(answer, options = {}) {
+  const calls = [];
+  const http = {
+    async request(config) {
+      calls.push(config);
+      return { data: await answer(config, calls.length) };
+    }
+  };
+  const client = createScryfallClient({ spacingMs: 0, backoffMs: 1, retries: 2, cache: new MemoryStore({ keyName: 'CacheKey' }), http, ...options });
+  return { client, calls };
+}
+
+test('searches follow the pages while Scryfall has more', async () => {
+  const { client, calls } = fakeClient(({ params }) => ({
+    data: [{ id: `p${params.page}`, finishes: params.page === 3 ? ['etched'] : ['nonfoil', 'foil'] }],
+    has_more: params.page < 3
+  }));
+  assert.deepEqual(await client.getFinishes('oracle-sol-ring'), ['nonfoil', 'foil', 'etched']);
+  assert.deepEqual(calls.map(call => call.params.page), [1, 2, 3]);
+  assert.equal(calls[0].params.q, 'oracleid:oracle-sol-ring');
+});
+
+test('the languages of a printing come from every page of the search', async () => {
+  const { client } = fakeClient(({ params }) => ({
+    data: params.page === 1 ? [{ lang: 'en' }, { lang: 'ja' }] : [{ lang: 'de' }, { lang: 'en' }],
+    has_more: params.page === 1
+  }));
+  assert.deepEqual(await client.getLanguages('khm', '1'), ['en', 'ja', 'de']);
+});
+
+// Helper to fail like axios does for an answer with this status
+function httpError(status, { headers = {}, data = {} } = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data } });
+}
+
+test('429 and 5xx answers are retried, honoring Retry-After', async () => {
+  const { client, calls } = fakeClient((config, call) => {
+    if (call === 1) throw httpError(429, { headers: { 'retry-after': '0' } });
+    if (call === 2) throw httpError(503);
+    return scryfallCards['khm/1'];
+  });
+  assert.equal((await client.getCard('KHM', '1')).name, 'Draugr Necromancer');
+  assert.equal(calls.length, 3);
+  assert.equal(calls[0].url.endsWith('/cards/khm/1'), true);
+
+  // Cached now
+  await client.getCard('khm', '1');
+  assert.equal(calls.length, 3);
+});
+
+test('a request that keeps failing gives up with ScryfallUnavailableError', async () => {
+  const { client, calls } = fakeClient(() => { throw httpError(500); });
+  await assert.rejects(client.getCard('khm', '1'), ScryfallUnavailableError);
+  assert.equal(calls.length, 3);
+
+  const offline = fakeClient(() => { throw new Error('connect ECONNREFUSED'); });
+  await assert.rejects(offline.client.getCardById('id-khm-1'), ScryfallUnavailableError);
+});
+
+test('client errors are not retried: 404 is not found, other 4xx a rejected request', async () => {
+  const missing = fakeClient(() => { throw httpError(404); });
+  await assert.rejects(missing.client.getCard('khm', '999'), ScryfallNotFoundError);
+  assert.equal(missing.calls.length, 1);
+
+  const rejected = fakeClient(() => { throw httpError(422, { data: { details: 'All of your terms were ignored' } }); });
+  await assert.rejects(rejected.client.search('nonsense:', 'prints'), err => err instanceof ScryfallError
+    && !(err instanceof ScryfallNotFoundError) && err.status === 422 && /All of your terms were ignored/.test(err.message));
+  assert.equal(rejected.calls.length, 1);
+});
+
+test('Scryfall errors are answered as unavailable, not found or a bad request', () => {
+  const statusOf = (err) => {
+    let status;
+    errorHandler(err, { originalUrl: '/cards', id: 'req-1' }, {
+      headersSent: false,
+      status(code) { status = code; return this; },
+      type() { return this; },
+      json() { return this; }
+    }, () => {});
+    return status;
+  };
+  assert.equal(statusOf(new ScryfallUnavailableError()), 503);
+  assert.equal(statusOf(new ScryfallNotFoundError()), 404);
+  assert.equal(statusOf(new ScryfallError('Scryfall rejected the request', 400)), 400);
+  assert.equal(statusOf(new ScryfallError('Unexpected answer', null)), 500);
+});
+
+test('collection lookups only request the cards that are not cached', async () => {
+  const { client, calls } = fakeClient(({ data }) => ({
+    data: data.identifiers.map(identifier => Object.values(scryfallCards).find(card => card.id === identifier.id)).filter(Boolean)
+  }));
+  const cards = await client.getCards([{ id: 'id-khm-1' }, { id: 'id-unknown' }]);
+  assert.deepEqual(cards.map(card => card && card.name), ['Draugr Necromancer', null]);
+  const again = await client.getCards([{ id: 'id-khm-1' }, { set: 'KHM', collector_number: '1' }]);
+  assert.deepEqual(again.map(card => card.name), ['Draugr Necromancer', 'Draugr Necromancer']);
+  assert.equal(calls.filter(call => call.url.endsWith('/cards/collection')).length, 1);
+});
@@ -0,0 +1,67 @@
+const { request, login } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let token;
+before(async () => {
+  token = await login('rik');
+  await request('POST', '/cards/ths/107', {
+    token,
+    body: { finishes: [{ finish: 'nonfoil', amount: 2, condition: 'LP', notes: 'from the binder', acquisitionPrice: 10 }, { finish: 'foil', amount: 1 }] }
+  });
+  await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 1 }] } });
+});
+
+// Helper to create a share link and view it without logging in
+async function viewShare(body) {
+  const created = await request('POST', '/shares', { token, body: { name: 'For trade', ...body } });
+  assert.equal(created.status, 201);
+  const viewed = await request('GET', `/share/${created.body.Token}`, { headers: { Accept: 'application/json' } });
+  assert.equal(viewed.status, 200);
+  return viewed.body;
+}
+
+test('a share link shows only the fields it lists', async () => {
+  const shared = await viewShare({ fields: ['name'] });
+  const card = shared.cards.find(c => c.CardId === 'ths:107');
+  assert.deepEqual(Object.keys(card).sort(), ['CardId', 'finishes', 'name']);
+  assert.deepEqual(card.finishes, [{ finish: 'nonfoil', amount: 2 }, { finish: 'foil', amount: 1 }]);
+});
+
+test('notes and acquisition prices are only shown when the link lists them', async () => {
+  const withoutPrivate = await viewShare({ fields: ['name', 'condition'] });
+  const lots = withoutPrivate.cards.find(c => c.CardId === 'ths:107').finishes[0].lots;
+  assert.equal(lots[0].condition, 'LP');
+  assert.equal('acquisitionPrice' in lots[0], false);
+  assert.equal('notes' in withoutPrivate.cards[0].finishes[0], false);
+
+  const withPrivate = await viewShare({ fields: ['name', 'notes', 'acquisitionPrice'] });
+  const finish = withPrivate.cards.find(c => c.CardId === 'ths:107').finishes[0];
+  assert.equal(finish.notes[0].text, 'from the binder');
+  assert.equal(finish.lots[0].acquisitionPrice, 10);
+  assert.equal('author' in finish.notes[0], false);
+});
+
+test('a share link filters the cards it shows', async () => {
+  const shared = await viewShare({ fields: ['name'], filter: { finish: 'etched' } });
+  assert.deepEqual(shared.cards.map(card => card.CardId), ['cmr:472']);
+});
+
+test('unknown fields are refused and revoked links are gone', async () => {
+  assert.equal((await request('POST', '/shares', { token, body: { name: 'x', fields: ['owner'] } })).status, 400);
+  const created = await request('POST', '/shares', { token, body: { name: 'Soon gone' } });
+  assert.equal((await request('DELETE', `/shares/${created.body.Token}`, { token })).status, 204);
+  assert.equal((await request('GET', `/share/${created.body.Token}`)).status, 410);
+});
+
+test('notes and acquisition prices are only shown to the owner', async () => {
+  const own = await request('GET', '/users/rik/cards/ths/107', { token });
+  assert.equal(own.body.finishes[0].notes[0].text, 'from the binder');
+  assert.equal(own.body.finishes[0].lots[0].acquisitionPrice, 10);
+
+  const other = await request('GET', '/users/rik/cards/ths/107', { token: await login('bob') });
+  assert.deepEqual(other.body.finishes[0].notes, []);
+  assert.equal(other.body.finishes[0].lots[0].acquisitionPrice, null);
+  const search = await request('GET', '/users/rik/cards/search?q=note:binder');
+  assert.deepEqual(search.body, {});
+});
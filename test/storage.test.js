@@ -0,0 +1,87 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStore, queryAll, transact, ConditionFailedError } = require('../src/storage');
+
+const cards = getStore('cards');
+const trades = getStore('trades');
+
+test('a put with a condition on an absent key only creates', async () => {
+  await cards.put({ CardId: 'rik#new:1', owner: 'rik', version: 1 }, { condition: { CardId: null } });
+  await assert.rejects(cards.put({ CardId: 'rik#new:1', owner: 'rik', version: 1 }, { condition: { CardId: null } }), ConditionFailedError);
+});
+
+test('a put with a condition on a value only replaces that version', async () => {
+  await cards.put({ CardId: 'rik#ver:1', owner: 'rik', version: 1 });
+  await cards.put({ CardId: 'rik#ver:1', owner: 'rik', version: 2 }, { condition: { version: 1 } });
+  await assert.rejects(cards.put({ CardId: 'rik#ver:1', owner: 'rik', version: 3 }, { condition: { version: 1 } }), ConditionFailedError);
+  assert.equal((await cards.get('rik#ver:1')).version, 2);
+});
+
+test('update and delete check their conditions', async () => {
+  await cards.put({ CardId: 'rik#upd:1', owner: 'rik', version: 1 });
+  await assert.rejects(cards.update('rik#upd:1', { version: 2 }, { condition: { version: 5 } }), ConditionFailedError);
+  await assert.rejects(cards.update('rik#missing:1', { version: 2 }), ConditionFailedError);
+  await assert.rejects(cards.delete('rik#upd:1', { condition: { version: 5 } }), ConditionFailedError);
+  await cards.delete('rik#upd:1', { condition: { version: 1 } });
+  assert.equal(await cards.get('rik#upd:1'), undefined);
+});
+
+test('an update without changes is a programming error, not a client error', async () => {
+  await cards.put({ CardId: 'rik#empty:1', owner: 'rik', version: 1 });
+  await assert.rejects(cards.update('rik#empty:1', { CardId: 'rik#empty:1' }), err => err.message === 'Nothing to update' && err.status === undefined);
+});
+
+test('a transaction over several stores writes nothing when one condition fails', async () => {
+  await cards.put({ CardId: 'rik#tx:1', owner: 'rik', version: 1 });
+  await assert.rejects(transact([
+    { store: cards, put: { CardId: 'rik#tx:1', owner: 'rik', version: 2 }, condition: { version: 1 } },
+    { store: trades, put: { TradeId: 'tx-trade', owner: 'rik', status: 'completed' }, condition: { status: 'accepted' } }
+  ]), ConditionFailedError);
+  assert.equal((await cards.get('rik#tx:1')).version, 1);
+  assert.equal(await trades.get('tx-trade'), undefined);
+
+  await transact([
+    { store: cards, put: { CardId: 'rik#tx:1', owner: 'rik', version: 2 }, condition: { version: 1 } },
+    { store: trades, put: { TradeId: 'tx-trade', owner: 'rik', status: 'completed' }, condition: { TradeId: null } }
+  ]);
+  assert.equal((await cards.get('rik#tx:1')).version, 2);
+  assert.equal((await trades.get('tx-trade')).status, 'completed');
+});
+
+test('queries read one partition of an index in order, page by page', async () => {
+  for (const [id, createdAt] of [['q1', 3], ['q2', 1], ['q3', 2]]) {
+    await trades.put({ TradeId: id, owner: 'query-owner', created_at: createdAt });
+  }
+  await trades.put({ TradeId: 'q-other', owner: 'someone-else', created_at: 1 });
+
+  const first = await trades.query('owner-created_at-index', 'query-owner', { order: 'desc', limit: 2 });
+  assert.deepEqual(first.items.map(item => item.TradeId), ['q1', 'q3']);
+  const second = await trades.query('owner-created_at-index', 'query-owner', { order: 'desc', limit: 2, cursor: first.cursor });
+  assert.deepEqual(second.items.map(item => item.TradeId), ['q2']);
+  assert.equal(second.cursor, null);
+
+  const between = await queryAll(trades, 'owner-created_at-index', 'query-owner', { from: 2, to: 3 });
+  assert.deepEqual(between.map(item => item.TradeId), ['q3', 'q1']);
+});
+
+test('a query continues after any item of a page with the cursor after it', async () => {
+  const first = await trades.query('owner-created_at-index', 'query-owner', { order: 'desc', limit: 3 });
+  const [, q3] = first.items;
+  const rest = await trades.query('owner-created_at-index', 'query-owner', {
+    order: 'desc',
+    cursor: trades.cursorAfter('owner-created_at-index', q3)
+  });
+  assert.deepEqual(rest.items.map(item => item.TradeId), ['q2']);
+});
+
+test('a query filter drops items after the limit, as DynamoDB does', async () => {
+  for (const [id, createdAt, status] of [['f1', 1, 'draft'], ['f2', 2, 'completed'], ['f3', 3, 'draft']]) {
+    await trades.put({ TradeId: id, owner: 'filter-owner', created_at: createdAt, status });
+  }
+  const first = await trades.query('owner-created_at-index', 'filter-owner', { limit: 2, filter: { status: 'draft' } });
+  assert.deepEqual(first.items.map(item => item.TradeId), ['f1']);
+  const second = await trades.query('owner-created_at-index', 'filter-owner', { limit: 2, cursor: first.cursor, filter: { status: 'draft' } });
+  assert.deepEqual(second.items.map(item => item.TradeId), ['f3']);
+  assert.equal(second.cursor, null);
+});
@@ -0,0 +1,84 @@
+const { request, login, scryfallCards } = require('./helpers');
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { getStore } = require('../src/storage');
+
+let token;
+before(async () => {
+  token = await login('rik');
+  await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'nonfoil', amount: 3 }] } });
+});
+
+// Helper to create a trade and move it to accepted
+async function acceptedTrade(body) {
+  const created = await request('POST', '/trades', { token, body: { counterparty: 'bob', ...body } });
+  assert.equal(created.status, 201);
+  for (const status of ['proposed', 'accepted']) {
+    assert.equal((await request('POST', `/trades/${created.body.TradeId}/status`, { token, body: { status } })).status, 200);
+  }
+  return created.body.TradeId;
+}
+
+test('completing a trade moves the cards once, also when completed twice at the same time', async () => {
+  const tradeId = await acceptedTrade({
+    give: [{ setCode: 'ths', cardNumber: '107', finish: 'nonfoil', amount: 1 }],
+    receive: [{ setCode: 'cmr', cardNumber: '472', finish: 'etched', amount: 1 }]
+  });
+  const answers = await Promise.all([1, 2].map(() => request('POST', `/trades/${tradeId}/status`, { token, body: { status: 'completed' } })));
+  assert.deepEqual(answers.map(answer => answer.status).sort(), [200, 409]);
+
+  assert.equal((await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount, 2);
+  assert.equal((await request('GET', '/cards/cmr/472', { token })).body.finishes[0].amount, 1);
+  assert.equal((await request('GET', `/trades/${tradeId}`, { token })).body.status, 'completed');
+});
+
+test('a trade giving more than the stock does not complete', async () => {
+  const tradeId = await acceptedTrade({ give: [{ setCode: 'ths', cardNumber: '107', finish: 'nonfoil', amount: 10 }] });
+  const response = await request('POST', `/trades/${tradeId}/status`, { token, body: { status: 'completed' } });
+  assert.equal(response.status, 409);
+  assert.equal((await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount, 2);
+  assert.equal((await request('GET', `/trades/${tradeId}`, { token })).body.status, 'accepted');
+});
+
+test('a trade receiving a card Scryfall does not know does not complete', async () => {
+  const tradeId = await acceptedTrade({ receive: [{ setCode: 'khm', cardNumber: '1', finish: 'foil', amount: 1 }] });
+  const known = scryfallCards['khm/1'];
+  delete scryfallCards['khm/1'];
+  // Creating the trade looked the card up, so it is cached
+  await getStore('scryfall').delete('card:khm:1');
+  await getStore('scryfall').delete(`id:${known.id}`);
+  try {
+    const response = await request('POST', `/trades/${tradeId}/status`, { token, body: { status: 'completed' } });
+    assert.equal(response.status, 404);
+    assert.equal((await request('GET', `/trades/${tradeId}`, { token })).body.status, 'accepted');
+  } finally {
+    scryfallCards['khm/1'] = known;
+  }
+});
+
+test('trades are only visible to their owner', async () => {
+  const tradeId = await acceptedTrade({ give: [{ setCode: 'ths', cardNumber: '107', finish: 'nonfoil', amount: 1 }] });
+  const bob = await login('bob');
+  assert.equal((await request('GET', `/trades/${tradeId}`, { token: bob })).status, 404);
+  assert.deepEqual((await request('GET', '/trades', { token: bob })).body, []);
+});
+
+test('a trade changing more cards than one transaction holds is refused', async () => {
+  const lines = count => Array.from({ length: count }, (_, i) => ({ setCode: 'ths', cardNumber: String(1000 + i), finish: 'nonfoil', amount: 1 }));
+  const created = await request('POST', '/trades', { token, body: { counterparty: 'bob', give: lines(60), receive: lines(100).slice(60) } });
+  assert.equal(created.status, 400);
+  assert.match(created.body.detail, /at most 99 different cards/);
+
+  const give = [{ setCode: 'ths', cardNumber: '107', finish: 'nonfoil', amount: 1 }];
+  const draft = await request('POST', '/trades', { token, body: { counterparty: 'bob', give } });
+  assert.equal((await request('PATCH', `/trades/${draft.body.TradeId}`, { token, body: { receive: lines(99) } })).status, 400);
+
+  // A trade saved before the limit is refused when completed, and the stock is left alone
+  const tradeId = await acceptedTrade({ give });
+  const trade = await getStore('trades').get(tradeId);
+  await getStore('trades').put({ ...trade, receive: lines(99) });
+  const stock = (await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount;
+  const completed = await request('POST', `/trades/${tradeId}/status`, { token, body: { status: 'completed' } });
+  assert.equal(completed.status, 400);
+  assert.equal((await request('GET', '/cards/ths/107', { token })).body.finishes[0].amount, stock);
+});
@@ -0,0 +1,151 @@
+const { request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { validateRequests, createRouter } = require('../src/middleware/validate');
+const { errorHandler } = require('../src/middleware/errors');
+
+// A small spec of its own, so the checks do not depend on how the routes happen to be documented
+const spec = {
+  paths: {
+    '/things/{id}': {
+      get: {
+        parameters: [
+          { in: 'path', name: 'id', required: true, schema: { type: 'integer', minimum: 1 } },
+          { in: 'query', name: 'full', schema: { type: 'boolean' } },
+          { in: 'query', name: 'sort', schema: { type: 'string', enum: ['name', 'added'] } }
+        ],
+        responses: {
+          200: {
+            content: {
+              'application/json': {
+                schema: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } }
+              }
+            }
+          }
+        }
+      }
+    },
+    '/things': {
+      post: {
+        security: [{ bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'object', required: ['name'], properties: { name: { type: 'string' }, amount: { type: 'integer' } } }
+            }
+          }
+        },
+        responses: { 201: { content: { 'application/json': { schema: { type: 'object' } } } } }
+      },
+      delete: {
+        security: [{ bearerAuth: [] }],
+        responses: { 204: {} }
+      }
+    }
+  }
+};
+
+// Helper to start an app on the spec above; answer(req) gives the body of GET /things/{id}
+async function startApp({ answer = req => ({ id: Number(req.params.id) }), withCheck = true, options } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(validateRequests(spec, options));
+  const router = withCheck ? createRouter() : express.Router();
+  router.get('/things/:id', (req, res) => res.json(answer(req)));
+  router.post('/things', (req, res) => res.status(201).json({}));
+  router.delete('/things', (req, res) => res.status(204).send());
+  app.use(router);
+  app.use(errorHandler);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  server.unref();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+}
+
+test('an invalid request is answered with 400 listing every violation', async () => {
+  const send = await startApp();
+  const response = await send('POST', '/things', { amount: 'two' });
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+  assert.equal(response.body.detail, 'Invalid request');
+  assert.deepEqual(response.body.violations.map(v => [v.in, v.path]).sort(), [['body', 'amount'], ['body', 'name']]);
+
+  const missing = await send('POST', '/things');
+  assert.equal(missing.status, 400);
+  assert.deepEqual(missing.body.violations, [{ in: 'body', path: '', message: 'The request body is required' }]);
+});
+
+test('path and query values are read as the type of their schema', async () => {
+  const send = await startApp();
+  assert.equal((await send('GET', '/things/12?full=true&sort=NAME')).status, 200);
+
+  const response = await send('GET', '/things/twelve?full=yes&sort=price');
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.violations.map(v => [v.in, v.path]).sort(),
+    [['path', 'id'], ['query', 'full'], ['query', 'sort']]);
+  const below = await send('GET', '/things/0');
+  assert.deepEqual(below.body.violations.map(v => [v.in, v.path]), [['path', 'id']]);
+});
+
+test('in tests, a response that does not match the spec is replaced by a 500', async () => {
+  const send = await startApp({ answer: () => ({ id: 'twelve' }) });
+  const response = await send('GET', '/things/12');
+  assert.equal(response.status, 500);
+  assert.deepEqual(response.body.violations.map(v => v.path), ['id']);
+
+  const unchecked = await startApp({ answer: () => ({ id: 'twelve' }), options: { validateResponses: false } });
+  assert.equal((await unchecked('GET', '/things/12')).status, 200);
+});
+
+test('a protected route that skips the check fails closed, also without response validation', async () => {
+  const send = await startApp({ withCheck: false, options: { validateResponses: false } });
+  const unchecked = await send('POST', '/things', { name: 'thing' });
+  assert.equal(unchecked.status, 500);
+  assert.equal(unchecked.body.detail, 'Something went wrong; quote the request id when reporting this');
+  assert.equal((await send('POST', '/things', { amount: 'two' })).status, 500);
+  assert.equal((await send('DELETE', '/things')).status, 500);
+
+  const checked = await startApp();
+  assert.equal((await checked('POST', '/things', { name: 'thing' })).status, 201);
+  assert.equal((await checked('POST', '/things', { amount: 'two' })).status, 400);
+  assert.equal((await checked('DELETE', '/things')).status, 204);
+});
+
+test('a malformed request without a token is answered with 401', async () => {
+  const anonymous = await request('POST', '/webhooks', { body: { url: 42 } });
+  assert.equal(anonymous.status, 401);
+  const loggedIn = await request('POST', '/webhooks', { token: await login('anna'), body: { url: 42 } });
+  assert.equal(loggedIn.status, 400);
+});
+
+test('a malformed request without the permission is answered with 403', async () => {
+  const viewer = await login('viewer', ['CARD_VIEWER']);
+  assert.equal((await request('POST', '/cards', { token: viewer, body: { setCode: 42 } })).status, 403);
+  assert.equal((await request('PUT', '/users/anna/password', { token: viewer, body: {} })).status, 403);
+  assert.equal((await request('POST', '/auth/register', { token: viewer, body: {} })).status, 403);
+  assert.equal((await request('POST', '/auth/register', { body: {} })).status, 401);
+
+  const editor = await login('anna');
+  assert.equal((await request('POST', '/cards', { token: editor, body: { setCode: 42 } })).status, 400);
+  assert.equal((await request('PUT', '/users/anna/password', { token: editor, body: {} })).status, 400);
+});
+
+test('query values of the app are checked against the documented types', async () => {
+  const token = await login('anna');
+  const response = await request('GET', '/cards?limit=many', { token });
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.violations.map(v => [v.in, v.path]), [['query', 'limit']]);
+  assert.equal((await request('GET', '/cards?limit=5', { token })).status, 200);
+});
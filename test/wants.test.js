@@ -0,0 +1,80 @@
+const { scryfallCards, request, login } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { matchOurWants, matchTheirWants } = require('../src/lib/wantMatching');
+
+const solRing = scryfallCards['cmr/472'];
+const thoughtseize = scryfallCards['ths/107'];
+
+test('our wants match the exact printing or any printing, and count only offers within the max price', () => {
+  const wants = [
+    { WantId: 'w1', CardId: 'ths:107', finish: 'foil', oracle_id: thoughtseize.oracle_id, quantity: 2, maxPrice: null },
+    { WantId: 'w2', CardId: null, finish: null, oracle_id: solRing.oracle_id, quantity: 4, maxPrice: 5 },
+    { WantId: 'w3', CardId: 'khm:1', finish: 'foil', oracle_id: 'oracle-draugr-necromancer', quantity: 1, maxPrice: null }
+  ];
+  const haves = [
+    { scryfall: thoughtseize, finish: 'nonfoil', quantity: 3 },
+    { scryfall: thoughtseize, finish: 'foil', quantity: 1 },
+    { scryfall: solRing, finish: 'etched', quantity: 2 },
+    { scryfall: solRing, finish: 'nonfoil', quantity: 1 }
+  ];
+  const matches = matchOurWants(wants, haves);
+  assert.deepEqual(matches.map(m => [m.want.WantId, m.fillable]), [['w1', 1], ['w2', 1]]);
+  assert.deepEqual(matches[1].offers.map(o => [o.finish, o.prices.usd, o.withinMaxPrice]), [['nonfoil', 1.5, true], ['etched', 9, false]]);
+});
+
+test('their wants are matched against the finishes we have copies of', () => {
+  const stock = [
+    { CardId: 'cmr:472', scryfall: solRing, finishes: [{ finish: 'nonfoil', amount: 0 }, { finish: 'etched', amount: 2 }] },
+    { CardId: 'ths:107', scryfall: thoughtseize, finishes: [{ finish: 'nonfoil', amount: 1 }] }
+  ];
+  const matches = matchTheirWants([
+    { lineNumber: 1, line: '3 Sol Ring', scryfall: solRing, finish: null, quantity: 3, exact: false },
+    { lineNumber: 2, line: '1 Thoughtseize (THS) 107 *F*', scryfall: thoughtseize, finish: 'foil', quantity: 1, exact: true }
+  ], stock);
+  assert.deepEqual(matches.map(m => [m.lineNumber, m.wanted, m.fillable]), [[1, 3, 2]]);
+  assert.deepEqual(matches[0].available.map(a => [a.CardId, a.finish, a.amount]), [['cmr:472', 'etched', 2]]);
+});
+
+test('wants are added for a printing or any printing, checked against Scryfall', async () => {
+  const token = await login('wanter');
+  const exact = await request('POST', '/wants', { token, body: { setCode: 'THS', cardNumber: '107', finish: 'foil', quantity: 2 } });
+  assert.equal(exact.status, 201);
+  assert.equal(exact.body.CardId, 'ths:107');
+  assert.equal(exact.body.oracle_id, thoughtseize.oracle_id);
+  const any = await request('POST', '/wants', { token, body: { oracle_id: solRing.oracle_id, maxPrice: 5 } });
+  assert.equal(any.status, 201);
+  assert.deepEqual([any.body.CardId, any.body.name, any.body.quantity], [null, 'Sol Ring', 1]);
+
+  assert.equal((await request('POST', '/wants', { token, body: { setCode: 'cmr', cardNumber: '472', finish: 'foil' } })).status, 400);
+  assert.equal((await request('POST', '/wants', { token, body: { oracle_id: solRing.oracle_id, finish: 'foil' } })).status, 400);
+  assert.equal((await request('POST', '/wants', { token, body: { oracle_id: solRing.oracle_id, currency: 'gbp' } })).status, 400);
+
+  const updated = await request('PATCH', `/wants/${any.body.WantId}`, { token, body: { quantity: 3 } });
+  assert.equal(updated.body.quantity, 3);
+  const listed = await request('GET', '/wants', { token });
+  assert.deepEqual(listed.body.map(want => want.name), ['Sol Ring', 'Thoughtseize']);
+  assert.equal((await request('DELETE', `/wants/${exact.body.WantId}`, { token })).status, 204);
+  assert.equal((await request('GET', `/wants/${exact.body.WantId}`, { token })).status, 404);
+});
+
+test('POST /wants/match reports both directions and the lines it could not resolve', async () => {
+  const token = await login('matcher');
+  await request('POST', '/wants', { token, body: { oracle_id: solRing.oracle_id, quantity: 2 } });
+  await request('POST', '/cards/ths/107', { token, body: { finishes: [{ finish: 'foil', amount: 1 }] } });
+
+  const matched = await request('POST', '/wants/match', {
+    token,
+    body: {
+      haves: [{ setCode: 'cmr', cardNumber: '472', finish: 'etched', amount: 1 }, { setCode: 'xxx', cardNumber: '1' }],
+      wants: '2 Thoughtseize (THS) 107 *F*\n1 Sol Ring (CMR) 472 *F*'
+    }
+  });
+  assert.equal(matched.status, 200);
+  assert.deepEqual(matched.body.weCanGet.map(m => [m.want.name, m.fillable]), [['Sol Ring', 1]]);
+  assert.deepEqual(matched.body.theyCanGet.map(m => [m.name, m.wanted, m.fillable]), [['Thoughtseize', 2, 1]]);
+  assert.deepEqual(matched.body.unresolved.map(u => [u.side, u.lineNumber]), [['haves', 2], ['wants', 2]]);
+
+  assert.equal((await request('POST', '/wants/match', { token, body: {} })).status, 400);
+  assert.equal((await request('POST', '/users/matcher/wants/match', { token: await login('stranger'), body: { haves: [] } })).status, 403);
+});
@@ -0,0 +1,105 @@
+const { request, login } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { signPayload, verifySignature, deliverDue } = require('../src/lib/webhooks');
+
+// A receiver on this machine, answering with the next of statuses (then 200) and keeping what it got
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+    res.end();
+  });
+});
+
+let token;
+let receiverUrl;
+before(async () => {
+  token = await login('rik');
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+after(() => receiver.close());
+
+// Helper to register a webhook on the local receiver, which only local tests may use
+async function createWebhook(events) {
+  process.env.WEBHOOKS_ALLOW_PRIVATE_URLS = 'true';
+  try {
+    const response = await request('POST', '/webhooks', { token, body: { url: receiverUrl, events } });
+    assert.equal(response.status, 201);
+    return response.body;
+  } finally {
+    delete process.env.WEBHOOKS_ALLOW_PRIVATE_URLS;
+  }
+}
+
+test('signatures are checked against the body, the secret and the time', () => {
+  const body = JSON.stringify({ type: 'ping' });
+  const header = signPayload('whsec_test', body);
+  assert.equal(verifySignature('whsec_test', header, body), true);
+  assert.equal(verifySignature('whsec_other', header, body), false);
+  assert.equal(verifySignature('whsec_test', header, `${body} `), false);
+  const old = signPayload('whsec_test', body, Math.floor(Date.now() / 1000) - 3600);
+  assert.equal(verifySignature('whsec_test', old, body), false);
+});
+
+test('webhooks to private addresses are refused', async () => {
+  for (const url of ['http://127.0.0.1/hook', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/', 'http://[::1]/']) {
+    const response = await request('POST', '/webhooks', { token, body: { url, events: ['card.added'] } });
+    assert.equal(response.status, 400, url);
+  }
+});
+
+test('a card change is queued, then delivered signed with the secret of the webhook', async () => {
+  const webhook = await createWebhook(['card.added']);
+  received.length = 0;
+  process.env.WEBHOOKS_ALLOW_PRIVATE_URLS = 'true';
+  try {
+    assert.equal((await request('POST', '/cards/cmr/472', { token, body: { finishes: [{ finish: 'etched', amount: 1 }] } })).status, 201);
+    assert.equal(received.length, 0);
+    const queued = await request('GET', `/webhooks/${webhook.WebhookId}/deliveries`, { token });
+    assert.deepEqual(queued.body.map(delivery => delivery.status), ['pending']);
+    assert.equal((await deliverDue()).delivered, 1);
+  } finally {
+    delete process.env.WEBHOOKS_ALLOW_PRIVATE_URLS;
+  }
+  assert.equal(received.length, 1);
+  const [delivery] = received;
+  assert.equal(delivery.headers['x-webhook-event'], 'card.added');
+  assert.equal(verifySignature(webhook.secret, delivery.headers['x-webhook-signature'], delivery.body), true);
+  assert.equal(JSON.parse(delivery.body).data.CardId, 'cmr:472');
+  await request('DELETE', `/webhooks/${webhook.WebhookId}`, { token });
+});
+
+test('a failed delivery is tried again when due, and not before', async () => {
+  const webhook = await createWebhook(['card.added']);
+  process.env.WEBHOOKS_ALLOW_PRIVATE_URLS = 'true';
+  try {
+    statuses.push(500);
+    const ping = await request('POST', `/webhooks/${webhook.WebhookId}/ping`, { token });
+    assert.equal(ping.body.status, 'pending');
+    assert.equal(ping.body.attempts[0].status, 500);
+
+    assert.equal((await deliverDue()).due, 0);
+    const report = await deliverDue({ now: Date.now() + 2 * 60 * 1000 });
+    assert.equal(report.delivered, 1);
+  } finally {
+    delete process.env.WEBHOOKS_ALLOW_PRIVATE_URLS;
+  }
+  const deliveries = await request('GET', `/webhooks/${webhook.WebhookId}/deliveries`, { token });
+  const delivery = await request('GET', `/webhooks/${webhook.WebhookId}/deliveries/${deliveries.body[0].DeliveryId}`, { token });
+  assert.equal(delivery.body.status, 'delivered');
+  assert.deepEqual(delivery.body.attempts.map(attempt => attempt.status), [500, 200]);
+});
+
+test('deliveries to a private address fail, also for webhooks saved while it was allowed', async () => {
+  const webhook = await createWebhook(['card.added']);
+  const ping = await request('POST', `/webhooks/${webhook.WebhookId}/ping`, { token });
+  assert.equal(ping.body.attempts[0].ok, false);
+  assert.match(ping.body.attempts[0].error, /private/);
+});